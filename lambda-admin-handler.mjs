@@ -0,0 +1,345 @@
+// ==========================================
+// LAMBDA FUNCTION 8: ADMIN HANDLER (.mjs)
+// ==========================================
+// Admin-only routes behind the Cognito authorizer; callers must be in the admin group.
+//   - GET /admin/metrics reads the metrics the other handlers publish and returns them aggregated
+//     per namespace and per operation: metric sums, request counts, errors and p50/p90/p99 durations,
+//     as totals and as time-bucketed series. ?range=1h|24h|7d|30d picks a window (default 1h);
+//     ?start=&end= (ISO 8601) asks for a custom one. Results are cached for a minute per container,
+//     so the dashboard's polling stays cheap.
+// Only this function needs CloudWatch read access (cloudwatch:ListMetrics and cloudwatch:GetMetricData).
+
+import { CloudWatchClient, PutMetricDataCommand, ListMetricsCommand, GetMetricDataCommand } from "@aws-sdk/client-cloudwatch";
+import { getUserRole } from "./lambda-lib/roles.mjs";
+import { resolveWindow } from "./lambda-lib/metrics-window.mjs";
+
+// Initialize clients
+const cloudwatchClient = new CloudWatchClient({ region: 'ap-south-1' });
+const NAMESPACE = 'PersonalCloudAssistant/Admin';
+
+// Every handler publishes to PersonalCloudAssistant/<name> with Environment and OperationType dimensions
+const NAMESPACE_PREFIX = 'PersonalCloudAssistant/';
+const REPORTED_NAMESPACES = ['Notes', 'Files', 'Trash', 'Search', 'Sharing', 'Thumbnails', 'TextExtraction', 'Admin'];
+// Recorded once per request, so its sample count doubles as the request count
+const DURATION_METRIC = 'RequestDuration';
+const ERRORS_METRIC = 'Errors';
+const PERCENTILES = ['p50', 'p90', 'p99'];
+
+const HOUR_MS = 60 * 60 * 1000;
+
+const CACHE_TTL_MS = 60 * 1000;
+const MAX_CACHE_ENTRIES = 20;
+// GetMetricData accepts at most 500 queries per call
+const MAX_QUERIES_PER_CALL = 500;
+
+// Aggregated responses by window; lives as long as the Lambda container does
+const metricsCache = new Map();
+
+const round = (value) => (value === null ? null : Math.round(value * 100) / 100);
+const sumOf = (values) => values.reduce((total, value) => total + value, 0);
+const addInto = (target, values) => values.forEach((value, index) => { target[index] += value; });
+
+// Every metric stream (one per metric name and dimension combination) in a namespace.
+// ListMetrics leaves out streams without data in the last two weeks, so older ranges only
+// show metrics that are still being published.
+const listMetricStreams = async (namespace, start) => {
+    const streams = [];
+    let nextToken;
+    do {
+        const response = await cloudwatchClient.send(new ListMetricsCommand({
+            Namespace: namespace,
+            // Streams with no data in short, recent windows would only add empty queries
+            ...(Date.now() - start.getTime() <= 3 * HOUR_MS && { RecentlyActive: 'PT3H' }),
+            NextToken: nextToken
+        }));
+        streams.push(...(response.Metrics || []));
+        nextToken = response.NextToken;
+    } while (nextToken);
+    return streams;
+};
+
+// Series queries per bucket: durations get counts, sums and percentiles, everything else is
+// summed. Durations also get percentiles over the whole window, since those cannot be worked
+// out from the buckets; wholePeriod spans the window (see resolveWindow).
+const buildQueries = (streams, period, wholePeriod) => streams.flatMap((stream) => {
+    if (stream.MetricName !== DURATION_METRIC) return [{ stream, stat: 'Sum', period }];
+    return [
+        ...['SampleCount', 'Sum', ...PERCENTILES].map(stat => ({ stream, stat, period })),
+        ...PERCENTILES.map(stat => ({ stream, stat, period: wholePeriod, whole: true }))
+    ];
+}).map((query, index) => ({
+    ...query,
+    id: `m${index}`,
+    request: {
+        Id: `m${index}`,
+        MetricStat: {
+            Metric: { Namespace: query.stream.Namespace, MetricName: query.stream.MetricName, Dimensions: query.stream.Dimensions },
+            Period: query.period,
+            Stat: query.stat
+        },
+        ReturnData: true
+    }
+}));
+
+// Returns query id -> [{ timestamp, value }]
+const fetchMetricValues = async (queries, start, end) => {
+    const values = new Map();
+    for (let i = 0; i < queries.length; i += MAX_QUERIES_PER_CALL) {
+        const batch = queries.slice(i, i + MAX_QUERIES_PER_CALL).map(query => query.request);
+        let nextToken;
+        do {
+            const response = await cloudwatchClient.send(new GetMetricDataCommand({
+                MetricDataQueries: batch,
+                StartTime: start,
+                EndTime: end,
+                ScanBy: 'TimestampAscending',
+                NextToken: nextToken
+            }));
+            for (const result of response.MetricDataResults || []) {
+                const points = (result.Values || []).map((value, index) => ({ timestamp: new Date(result.Timestamps[index]), value }));
+                values.set(result.Id, [...(values.get(result.Id) || []), ...points]);
+            }
+            nextToken = response.NextToken;
+        } while (nextToken);
+    }
+    return values;
+};
+
+// Series are arrays with one entry per bucket; counts default to 0, averages and percentiles to null
+const emptyGroup = (buckets) => ({
+    requests: new Array(buckets).fill(0),
+    errors: new Array(buckets).fill(0),
+    durationSum: new Array(buckets).fill(0),
+    metrics: {}
+});
+
+// Folds a statistic's series into a namespace or operation group
+const addToGroup = (group, metricName, stat, series) => {
+    if (metricName === DURATION_METRIC) {
+        if (stat === 'SampleCount') addInto(group.requests, series);
+        if (stat === 'Sum') addInto(group.durationSum, series);
+        return;
+    }
+    if (metricName === ERRORS_METRIC) {
+        addInto(group.errors, series);
+        return;
+    }
+    if (!group.metrics[metricName]) group.metrics[metricName] = new Array(series.length).fill(0);
+    addInto(group.metrics[metricName], series);
+};
+
+const averageOf = (durationSum, requests) => (requests > 0 ? round(durationSum / requests) : null);
+
+const toSummary = ({ requests, errors, durationSum, metrics }) => ({
+    requests: sumOf(requests),
+    errors: sumOf(errors),
+    averageDuration: averageOf(sumOf(durationSum), sumOf(requests)),
+    metrics: Object.fromEntries(Object.entries(metrics).map(([name, series]) => [name, sumOf(series)])),
+    series: {
+        requests,
+        errors,
+        averageDuration: durationSum.map((sum, index) => averageOf(sum, requests[index])),
+        metrics
+    }
+});
+
+// Aggregates every reported namespace over [start, end) into totals and per-bucket series
+const loadMetrics = async ({ range, start, end, period, wholePeriod }) => {
+    const windowSeconds = Math.round((end - start) / 1000);
+    const buckets = Math.ceil(windowSeconds / period);
+    const timestamps = Array.from({ length: buckets }, (_, index) => new Date(start.getTime() + index * period * 1000).toISOString());
+
+    const streamsByNamespace = await Promise.all(
+        REPORTED_NAMESPACES.map(name => listMetricStreams(`${NAMESPACE_PREFIX}${name}`, start))
+    );
+    const queries = buildQueries(streamsByNamespace.flat(), period, wholePeriod);
+    const values = await fetchMetricValues(queries, start, end);
+
+    const namespaces = new Map(REPORTED_NAMESPACES.map(name => [name, { total: emptyGroup(buckets), operations: new Map() }]));
+    for (const query of queries) {
+        const points = values.get(query.id) || [];
+        if (points.length === 0) continue;
+
+        const namespace = namespaces.get(query.stream.Namespace.slice(NAMESPACE_PREFIX.length));
+        const operationName = query.stream.Dimensions?.find(dimension => dimension.Name === 'OperationType')?.Value || 'unknown';
+        if (!namespace.operations.has(operationName)) {
+            namespace.operations.set(operationName, {
+                ...emptyGroup(buckets),
+                percentiles: {},
+                percentileSeries: Object.fromEntries(PERCENTILES.map(stat => [stat, new Array(buckets).fill(null)]))
+            });
+        }
+        const operation = namespace.operations.get(operationName);
+
+        // The whole-window query has a single datapoint; should CloudWatch split it, the worst is reported
+        if (query.whole) {
+            operation.percentiles[query.stat] = round(Math.max(...points.map(point => point.value)));
+            continue;
+        }
+        const bucketOf = (point) => Math.min(Math.max(Math.floor((point.timestamp - start) / (period * 1000)), 0), buckets - 1);
+        if (PERCENTILES.includes(query.stat)) {
+            points.forEach((point) => { operation.percentileSeries[query.stat][bucketOf(point)] = round(point.value); });
+            continue;
+        }
+        const series = new Array(buckets).fill(0);
+        points.forEach((point) => { series[bucketOf(point)] += point.value; });
+        addToGroup(namespace.total, query.stream.MetricName, query.stat, series);
+        addToGroup(operation, query.stream.MetricName, query.stat, series);
+    }
+
+    const result = [...namespaces].map(([name, { total, operations }]) => ({
+        name,
+        ...toSummary(total),
+        // Busiest first; percentiles are per operation because CloudWatch cannot combine them across streams
+        operations: [...operations]
+            .map(([operation, group]) => {
+                const { series, ...summary } = toSummary(group);
+                return {
+                    operation,
+                    ...summary,
+                    p50: group.percentiles.p50 ?? null,
+                    p90: group.percentiles.p90 ?? null,
+                    p99: group.percentiles.p99 ?? null,
+                    series: { requests: series.requests, errors: series.errors, averageDuration: series.averageDuration, ...group.percentileSeries }
+                };
+            })
+            .filter(operation => operation.requests > 0 || operation.errors > 0 || Object.keys(operation.metrics).length > 0)
+            .sort((a, b) => b.requests - a.requests || a.operation.localeCompare(b.operation))
+    }));
+
+    const totals = emptyGroup(buckets);
+    for (const { total } of namespaces.values()) {
+        addInto(totals.requests, total.requests);
+        addInto(totals.errors, total.errors);
+        addInto(totals.durationSum, total.durationSum);
+    }
+    const { metrics, series, ...overall } = toSummary(totals);
+
+    return {
+        range,
+        start: start.toISOString(),
+        end: end.toISOString(),
+        period,
+        timestamps,
+        totals: { ...overall, series: { requests: series.requests, errors: series.errors, averageDuration: series.averageDuration } },
+        namespaces: result
+    };
+};
+
+export const handler = async (event, context) => {
+    const startTime = Date.now();
+    const requestId = context?.requestId || context?.awsRequestId || `req-${Date.now()}`;
+    let operationType = 'unknown';
+
+    console.log(`[${requestId}] [START] Received event:`, JSON.stringify(event, null, 2));
+
+    const requestOrigin = event?.headers?.origin || event?.headers?.Origin;
+    const allowedOrigins = new Set([
+        'https://main.d1xrjjt0e3swym.amplifyapp.com',
+        'http://localhost:3000'
+    ]);
+
+    const corsHeaders = {
+        'Access-Control-Allow-Origin': allowedOrigins.has(requestOrigin) ? requestOrigin : 'https://main.d1xrjjt0e3swym.amplifyapp.com',
+        'Access-Control-Allow-Headers': 'Content-Type,Authorization,X-Amz-Date,X-Api-Key,X-Amz-Security-Token,Origin,Accept',
+        'Access-Control-Allow-Methods': 'GET,OPTIONS',
+        'Access-Control-Allow-Credentials': 'true',
+        'Content-Type': 'application/json'
+    };
+
+    // Helper function to send metrics to CloudWatch
+    const sendMetric = async (metricName, value, unit = 'Count') => {
+        try {
+            await cloudwatchClient.send(new PutMetricDataCommand({
+                Namespace: NAMESPACE,
+                MetricData: [
+                    {
+                        MetricName: metricName,
+                        Value: value,
+                        Unit: unit,
+                        Timestamp: new Date(),
+                        Dimensions: [
+                            { Name: 'Environment', Value: 'production' },
+                            { Name: 'OperationType', Value: operationType }
+                        ]
+                    }
+                ]
+            }));
+        } catch (err) {
+            console.error(`[${requestId}] Failed to send metric ${metricName}:`, err);
+        }
+    };
+
+    try {
+        const method = event.httpMethod || event.requestContext?.http?.method;
+        const path = event.path || event.rawPath || '';
+
+        console.log(`[${requestId}] Method: ${method}, Path: ${path}`);
+
+        if (method === 'OPTIONS') {
+            return { statusCode: 200, headers: corsHeaders, body: '' };
+        }
+
+        const claims = event?.requestContext?.authorizer?.jwt?.claims || event?.requestContext?.authorizer?.claims || {};
+        const userId = claims.sub || claims['cognito:username'];
+
+        if (!userId) {
+            console.error(`[${requestId}] Missing authenticated user`);
+            return { statusCode: 401, headers: corsHeaders, body: JSON.stringify({ error: 'Unauthorized' }) };
+        }
+
+        if (getUserRole(claims) !== 'admin') {
+            await sendMetric('Errors', 1, 'Count');
+            console.error(`[${requestId}] Non-admin user ${userId} attempted ${method} ${path}`);
+            return { statusCode: 403, headers: corsHeaders, body: JSON.stringify({ error: 'Admin access required', code: 'ADMIN_ONLY' }) };
+        }
+
+        // GET /admin/metrics?range=24h or ?start=...&end=... - totals and series per namespace and operation
+        if (method === 'GET' && path.endsWith('/admin/metrics')) {
+            operationType = 'GET_METRICS';
+
+            const metricsWindow = resolveWindow(event.queryStringParameters || {});
+            if (metricsWindow.error) {
+                await sendMetric('Errors', 1, 'Count');
+                console.error(`[${requestId}] Invalid metrics window: ${metricsWindow.error}`);
+                return { statusCode: 400, headers: corsHeaders, body: JSON.stringify({ error: metricsWindow.error }) };
+            }
+
+            // Preset windows end at the current minute, so their cache entries only move once a minute
+            const cacheKey = `${metricsWindow.start.toISOString()}/${metricsWindow.end.toISOString()}/${metricsWindow.period}`;
+            let cached = metricsCache.get(cacheKey);
+            const hit = Boolean(cached && cached.expiresAt > Date.now());
+            if (!hit) {
+                cached = { expiresAt: Date.now() + CACHE_TTL_MS, generatedAt: new Date().toISOString(), value: await loadMetrics(metricsWindow) };
+                metricsCache.delete(cacheKey);
+                metricsCache.set(cacheKey, cached);
+                // Maps keep insertion order, so the first key is the oldest entry
+                for (const [key, entry] of metricsCache) {
+                    if (metricsCache.size > MAX_CACHE_ENTRIES || entry.expiresAt <= Date.now()) metricsCache.delete(key);
+                }
+            }
+
+            const duration = Date.now() - startTime;
+            await sendMetric('RequestDuration', duration, 'Milliseconds');
+            await sendMetric(hit ? 'MetricsCacheHits' : 'MetricsCacheMisses', 1, 'Count');
+
+            console.log(`[${requestId}] [SUCCESS] Returned ${metricsWindow.range} metrics for ${cached.value.totals.requests} requests${hit ? ' from cache' : ''} in ${duration}ms`);
+            return {
+                statusCode: 200,
+                headers: corsHeaders,
+                body: JSON.stringify({ ...cached.value, generatedAt: cached.generatedAt, cached: hit })
+            };
+        }
+
+        await sendMetric('Errors', 1, 'Count');
+        return { statusCode: 405, headers: corsHeaders, body: JSON.stringify({ error: `Method ${method} not allowed` }) };
+
+    } catch (error) {
+        const duration = Date.now() - startTime;
+        await sendMetric('Errors', 1, 'Count');
+        await sendMetric('RequestDuration', duration, 'Milliseconds');
+
+        console.error(`[${requestId}] [ERROR] Unexpected error after ${duration}ms:`, error);
+        return { statusCode: 500, headers: corsHeaders, body: JSON.stringify({ error: 'Internal server error: ' + error.message }) };
+    }
+};
@@ -2,16 +2,497 @@
 // LAMBDA FUNCTION 2: FILES HANDLER (.mjs)
 // ==========================================
 
-import { S3Client, PutObjectCommand, GetObjectCommand, ListObjectsV2Command, DeleteObjectCommand } from "@aws-sdk/client-s3";
+import {
+    S3Client, PutObjectCommand, GetObjectCommand, HeadObjectCommand, ListObjectsV2Command, DeleteObjectCommand,
+    CopyObjectCommand, DeleteObjectsCommand,
+    CreateMultipartUploadCommand, UploadPartCommand, ListPartsCommand, CompleteMultipartUploadCommand, AbortMultipartUploadCommand
+} from "@aws-sdk/client-s3";
 import { getSignedUrl } from "@aws-sdk/s3-request-presigner";
+import { DynamoDBClient } from "@aws-sdk/client-dynamodb";
+import { DynamoDBDocumentClient, GetCommand, PutCommand, UpdateCommand, QueryCommand, ScanCommand, BatchGetCommand } from "@aws-sdk/lib-dynamodb";
 import { CloudWatchClient, PutMetricDataCommand } from "@aws-sdk/client-cloudwatch";
+import { summarize, markdownToText } from "./lambda-lib/summarizer.mjs";
+import { relinkNotes } from "./lambda-lib/note-attachments.mjs";
+import { parseShareOptions, createShareLink } from "./lambda-lib/share-links.mjs";
+import { getUserRole } from "./lambda-lib/roles.mjs";
+import { randomUUID, createHash } from 'crypto';
+
+// Points S3 at a local stand-in such as MinIO or LocalStack; unset in production
+const S3_ENDPOINT = process.env.S3_ENDPOINT;
 
 // Initialize clients
-const s3Client = new S3Client({ region: 'ap-south-1' });
+const s3Client = new S3Client({
+    region: 'ap-south-1',
+    ...(S3_ENDPOINT && { endpoint: S3_ENDPOINT, forcePathStyle: true })
+});
+const docClient = DynamoDBDocumentClient.from(new DynamoDBClient({}));
 const cloudwatchClient = new CloudWatchClient({ region: 'ap-south-1' });
 const BUCKET_NAME = 'pca-files-namraa';
+// File metadata, one item per upload keyed by its opaque fileId
+const FILES_TABLE = 'Files';
 const NAMESPACE = 'PersonalCloudAssistant/Files';
 
+// Read-only users can list, preview, download and summarize files but not change anything
+const isReadRequest = (method, path) => method === 'GET' || (method === 'POST' && path.endsWith('/summarize'));
+
+const UPLOAD_URL_EXPIRY_SECONDS = 900;
+const MAX_SINGLE_UPLOAD_SIZE = 100 * 1024 * 1024; // 100 MB
+const MAX_UPLOAD_SIZE = 5 * 1024 * 1024 * 1024; // 5 GB, via multipart
+// Default per-file limit; a user's Cognito "custom:max_file_size" attribute (bytes) overrides it
+const DEFAULT_MAX_FILE_SIZE = Number(process.env.MAX_FILE_SIZE_BYTES) || MAX_UPLOAD_SIZE;
+const MULTIPART_PART_SIZE = 10 * 1024 * 1024; // S3 minimum is 5 MB for all but the last part
+const MAX_PARTS_PER_SIGN_REQUEST = 100;
+const CHECKSUM_MAX_BYTES = 100 * 1024 * 1024; // larger objects are not re-read to hash them
+const FILE_ID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/;
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 200;
+const MAX_FOLDER_NAME_LENGTH = 100;
+const MAX_FOLDER_DEPTH = 10;
+// Written by lambda-thumbnails-handler.mjs; the list only links the grid-sized one
+const THUMBNAIL_WIDTH = 256;
+const THUMBNAIL_URL_EXPIRY_SECONDS = 300;
+const THUMBNAIL_EXTENSIONS = new Set(['jpg', 'jpeg', 'png', 'gif', 'webp']);
+
+// GET /files pages through GSIs on Files rather than listing S3. Live files carry ownerId
+// (their userId) and ownerFolder ("{userId}#{folder}"), which trashing removes, so trashed files
+// drop out of the indexes. Each is indexed by every sort key below, e.g. ownerFolder-nameKey-index.
+const FILE_SORT_KEYS = {
+    name: 'nameKey',
+    size: 'size',
+    uploadedAt: 'uploadedAt'
+};
+
+// Index attributes for a live file. DynamoDB compares strings byte by byte, so names sort by
+// their lower-cased form.
+const listingAttributes = (record) => ({
+    ownerId: record.userId,
+    ownerFolder: `${record.userId}#${record.folder || ''}`,
+    nameKey: record.name.toLowerCase()
+});
+
+// Tokens carry the last key of the page (null once the files run out) and the S3 token for the
+// next page of sub-folders, and pin the sort and folder, so a client cannot mix pages from two
+// different listings.
+const encodeContinuationToken = (state) => Buffer.from(JSON.stringify(state)).toString('base64url');
+
+const decodeContinuationToken = (token) => {
+    try {
+        return JSON.parse(Buffer.from(token, 'base64url').toString('utf8'));
+    } catch {
+        return null;
+    }
+};
+
+// Every extension the API can verify: the Content-Type we store it with, and the types
+// magic-byte sniffing may report for a genuine file of that kind
+const KNOWN_FILE_TYPES = {
+    txt: { contentType: 'text/plain', sniffed: ['text/plain'] },
+    md: { contentType: 'text/markdown', sniffed: ['text/plain'] },
+    csv: { contentType: 'text/csv', sniffed: ['text/plain'] },
+    json: { contentType: 'application/json', sniffed: ['text/plain'] },
+    pdf: { contentType: 'application/pdf', sniffed: ['application/pdf'] },
+    doc: { contentType: 'application/msword', sniffed: ['application/x-ole-storage'] },
+    docx: {
+        contentType: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+        // The Word entries are not always inside the sniffed window, so a plain zip is accepted too
+        sniffed: ['application/vnd.openxmlformats-officedocument.wordprocessingml.document', 'application/zip']
+    },
+    jpg: { contentType: 'image/jpeg', sniffed: ['image/jpeg'] },
+    jpeg: { contentType: 'image/jpeg', sniffed: ['image/jpeg'] },
+    png: { contentType: 'image/png', sniffed: ['image/png'] },
+    gif: { contentType: 'image/gif', sniffed: ['image/gif'] },
+    webp: { contentType: 'image/webp', sniffed: ['image/webp'] },
+    zip: { contentType: 'application/zip', sniffed: ['application/zip', 'application/vnd.openxmlformats-officedocument.wordprocessingml.document'] },
+    mp3: { contentType: 'audio/mpeg', sniffed: ['audio/mpeg'] },
+    wav: { contentType: 'audio/wav', sniffed: ['audio/wav'] },
+    mp4: { contentType: 'video/mp4', sniffed: ['video/mp4'] }
+};
+
+// Types the browser can safely render from a presigned URL with an inline disposition.
+// Nothing here can run script in the bucket's origin (no HTML or SVG).
+const INLINE_PREVIEW_EXTENSIONS = new Set(['txt', 'md', 'csv', 'json', 'pdf', 'jpg', 'jpeg', 'png', 'gif', 'webp']);
+
+// Content type to serve an inline preview with; text gets an explicit charset so it is not mis-decoded
+const previewContentType = (extension) => {
+    const contentType = KNOWN_FILE_TYPES[extension].contentType;
+    return contentType.startsWith('text/') || contentType === 'application/json'
+        ? `${contentType}; charset=utf-8`
+        : contentType;
+};
+
+// Comma-separated extensions, e.g. ALLOWED_FILE_EXTENSIONS="pdf,png,jpg"; unknown ones are ignored
+const ALLOWED_EXTENSIONS = new Set(
+    (process.env.ALLOWED_FILE_EXTENSIONS || 'txt,md,csv,json,pdf,doc,docx,jpg,jpeg,png,gif,webp,zip,mp3,wav,mp4')
+        .split(',')
+        .map(ext => ext.trim().toLowerCase())
+        .filter(ext => KNOWN_FILE_TYPES[ext])
+);
+
+const SNIFF_BYTES = 8192;
+
+const getExtension = (fileName) => fileName.includes('.') ? fileName.split('.').pop().toLowerCase() : '';
+
+const getMaxFileSize = (claims) => {
+    const userLimit = Number(claims?.['custom:max_file_size']);
+    return Math.min(userLimit > 0 ? userLimit : DEFAULT_MAX_FILE_SIZE, MAX_UPLOAD_SIZE);
+};
+
+// Returns a { statusCode, body } rejection for a disallowed upload, or null when it may proceed
+const validateUpload = (fileName, size, maxFileSize) => {
+    const extension = getExtension(fileName);
+    if (!ALLOWED_EXTENSIONS.has(extension)) {
+        return {
+            statusCode: 400,
+            body: {
+                error: extension ? `.${extension} files are not allowed` : 'Files without an extension are not allowed',
+                code: 'FILE_TYPE_NOT_ALLOWED',
+                allowedExtensions: [...ALLOWED_EXTENSIONS]
+            }
+        };
+    }
+    if (size > maxFileSize) {
+        return {
+            statusCode: 413,
+            body: {
+                error: `File is ${size} bytes but the limit is ${maxFileSize} bytes`,
+                code: 'FILE_TOO_LARGE',
+                size,
+                maxFileSize
+            }
+        };
+    }
+    return null;
+};
+
+// Files that can be summarized. Text comes from the record's extractedText (written by
+// lambda-text-extraction-handler.mjs) or, for plain text files, from the object itself.
+const SUMMARIZABLE_EXTENSIONS = new Set(['txt', 'md', 'pdf', 'docx']);
+const MAX_SUMMARY_SOURCE_SIZE = 1024 * 1024;
+
+const startsWith = (bytes, signature, offset = 0) => signature.every((byte, i) => bytes[offset + i] === byte);
+const ascii = (text) => [...text].map(char => char.charCodeAt(0));
+
+// Detects the real MIME type from the first bytes of a file
+const sniffContentType = (bytes) => {
+    if (startsWith(bytes, ascii('%PDF-'))) return 'application/pdf';
+    if (startsWith(bytes, [0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A])) return 'image/png';
+    if (startsWith(bytes, [0xFF, 0xD8, 0xFF])) return 'image/jpeg';
+    if (startsWith(bytes, ascii('GIF87a')) || startsWith(bytes, ascii('GIF89a'))) return 'image/gif';
+    if (startsWith(bytes, ascii('RIFF')) && startsWith(bytes, ascii('WEBP'), 8)) return 'image/webp';
+    if (startsWith(bytes, ascii('RIFF')) && startsWith(bytes, ascii('WAVE'), 8)) return 'audio/wav';
+    if (startsWith(bytes, ascii('ftyp'), 4)) return 'video/mp4';
+    if (startsWith(bytes, ascii('ID3')) || (bytes[0] === 0xFF && (bytes[1] & 0xE0) === 0xE0)) return 'audio/mpeg';
+    if (startsWith(bytes, [0xD0, 0xCF, 0x11, 0xE0, 0xA1, 0xB1, 0x1A, 0xE1])) return 'application/x-ole-storage';
+    if (startsWith(bytes, [0x50, 0x4B, 0x03, 0x04])) {
+        return Buffer.from(bytes).includes('word/')
+            ? 'application/vnd.openxmlformats-officedocument.wordprocessingml.document'
+            : 'application/zip';
+    }
+    if (bytes.length === 0) return 'text/plain';
+    if (!bytes.includes(0)) {
+        try {
+            // A multi-byte character may be cut off at the end of the window
+            new TextDecoder('utf-8', { fatal: true }).decode(bytes.length === SNIFF_BYTES ? bytes.subarray(0, -3) : bytes);
+            return 'text/plain';
+        } catch {
+            // not UTF-8
+        }
+    }
+    return 'application/octet-stream';
+};
+
+// Strips any client-supplied path so a name can never escape the user's prefix
+const sanitizeFileName = (fileName) => String(fileName).split(/[\\/]/).pop().trim();
+
+// Control characters (below U+0020) and backslashes are not allowed in folder names
+const hasForbiddenCharacter = (segment) => [...segment].some(char => char.charCodeAt(0) < 0x20 || char === '\\');
+
+// Folders are plain S3 prefixes below users/{userId}/. A path is "" for the root or
+// "Projects/2024/" style, always with a trailing slash. Returns null for invalid input.
+const normalizeFolder = (folder) => {
+    if (typeof folder !== 'string') return null;
+    const segments = folder.split('/').map(segment => segment.trim()).filter(Boolean);
+    const invalid = segments.some(segment => (
+        segment === '.' || segment === '..' || segment.length > MAX_FOLDER_NAME_LENGTH || hasForbiddenCharacter(segment)
+    ));
+    if (invalid || segments.length > MAX_FOLDER_DEPTH) return null;
+    return segments.length ? `${segments.join('/')}/` : '';
+};
+
+// Folder a key lives in, relative to the user's prefix
+const folderOfKey = (userId, key) => key.slice(`users/${userId}/`.length, key.lastIndexOf('/') + 1);
+
+// Objects uploaded before the metadata table existed are stored as "{ms timestamp}-{name}"
+// and have no metadata item; their stored name doubles as their ID.
+const legacyRecord = (userId, key, size, lastModified, contentType) => {
+    const storedName = key.split('/').pop();
+    return {
+        fileId: storedName,
+        userId,
+        key,
+        folder: folderOfKey(userId, key),
+        name: storedName.replace(/^\d{13}-/, ''),
+        size,
+        uploadedAt: lastModified.toISOString(),
+        contentType,
+        legacy: true
+    };
+};
+
+const toFileInfo = (record) => ({
+    id: record.fileId,
+    name: record.name,
+    size: record.size,
+    uploadedAt: record.uploadedAt,
+    folder: record.folder || '',
+    type: getExtension(record.name),
+    contentType: record.contentType,
+    checksum: record.checksum || null,
+    // Start of the text lambda-text-extraction-handler.mjs pulled out of the file, if any
+    textSnippet: record.textSnippet || null
+});
+
+// Adds a short-lived thumbnail URL to image file info. Signing is local, so this costs no
+// S3 calls; a thumbnail that is not generated yet simply fails to load in the browser.
+const withThumbnailUrl = async (userId, fileInfo) => {
+    if (!THUMBNAIL_EXTENSIONS.has(fileInfo.type)) return { ...fileInfo, thumbnailUrl: null };
+    const command = new GetObjectCommand({
+        Bucket: BUCKET_NAME,
+        Key: `thumbnails/${userId}/${fileInfo.id}/${THUMBNAIL_WIDTH}.webp`
+    });
+    return { ...fileInfo, thumbnailUrl: await getSignedUrl(s3Client, command, { expiresIn: THUMBNAIL_URL_EXPIRY_SECONDS }) };
+};
+
+// Fetches metadata items by ID; BatchGet takes at most 100 keys per call
+const getFileRecords = async (fileIds) => {
+    const records = {};
+    for (let i = 0; i < fileIds.length; i += 100) {
+        let requestItems = { [FILES_TABLE]: { Keys: fileIds.slice(i, i + 100).map(fileId => ({ fileId })) } };
+        while (requestItems && Object.keys(requestItems).length > 0) {
+            const response = await docClient.send(new BatchGetCommand({ RequestItems: requestItems }));
+            (response.Responses?.[FILES_TABLE] || []).forEach(record => { records[record.fileId] = record; });
+            requestItems = response.UnprocessedKeys;
+        }
+    }
+    return records;
+};
+
+// The index partition GET /files reads: every live file of the user, or one folder's
+const listingPartition = (userId, folder) => (folder === null
+    ? { name: 'ownerId', value: userId }
+    : { name: 'ownerFolder', value: `${userId}#${folder}` });
+
+// One page of the listing. Asks for one item more than the page to know whether another page
+// follows, and hands back the key of the page's last item to continue after.
+const queryFilesPage = async ({ partition, sort, order, limit, startKey }) => {
+    const sortKey = FILE_SORT_KEYS[sort];
+    const response = await docClient.send(new QueryCommand({
+        TableName: FILES_TABLE,
+        IndexName: `${partition.name}-${sortKey}-index`,
+        KeyConditionExpression: '#partition = :partition',
+        ExpressionAttributeNames: { '#partition': partition.name },
+        ExpressionAttributeValues: { ':partition': partition.value },
+        ScanIndexForward: order === 'asc',
+        Limit: limit + 1,
+        ExclusiveStartKey: startKey
+    }));
+    const items = response.Items || [];
+    const records = items.slice(0, limit);
+    const last = records[records.length - 1];
+    // A query also stops early at 1 MB of data, in which case DynamoDB supplies the key itself
+    const lastKey = items.length > limit
+        ? { fileId: last.fileId, [partition.name]: last[partition.name], [sortKey]: last[sortKey] }
+        : response.LastEvaluatedKey || null;
+    return { records, lastKey };
+};
+
+// Number of files in the listing, for the first page only
+const countFiles = async (partition) => {
+    let count = 0;
+    let exclusiveStartKey;
+    do {
+        const response = await docClient.send(new QueryCommand({
+            TableName: FILES_TABLE,
+            IndexName: `${partition.name}-uploadedAt-index`,
+            KeyConditionExpression: '#partition = :partition',
+            ExpressionAttributeNames: { '#partition': partition.name },
+            ExpressionAttributeValues: { ':partition': partition.value },
+            Select: 'COUNT',
+            ExclusiveStartKey: exclusiveStartKey
+        }));
+        count += response.Count || 0;
+        exclusiveStartKey = response.LastEvaluatedKey;
+    } while (exclusiveStartKey);
+    return count;
+};
+
+// Sets only the given attributes (and removes the listed ones) on a live file the user owns.
+// Returns the updated item, or null if it no longer exists, went to the trash or was moved
+// since the record was read.
+const updateFileRecord = async (record, changes, remove = []) => {
+    const names = { '#key': 'key' };
+    const values = { ':userId': record.userId, ':expectedKey': record.key };
+    const setExpressions = Object.entries(changes).map(([attribute, value]) => {
+        names[`#${attribute}`] = attribute;
+        values[`:${attribute}`] = value;
+        return `#${attribute} = :${attribute}`;
+    });
+    remove.forEach(attribute => { names[`#${attribute}`] = attribute; });
+    const removeExpression = remove.length ? ` REMOVE ${remove.map(attribute => `#${attribute}`).join(', ')}` : '';
+    try {
+        const response = await docClient.send(new UpdateCommand({
+            TableName: FILES_TABLE,
+            Key: { fileId: record.fileId },
+            UpdateExpression: `SET ${setExpressions.join(', ')}${removeExpression}`,
+            ConditionExpression: 'attribute_exists(fileId) AND userId = :userId AND #key = :expectedKey AND attribute_not_exists(deletedAt)',
+            ExpressionAttributeNames: names,
+            ExpressionAttributeValues: values,
+            ReturnValues: 'ALL_NEW'
+        }));
+        return response.Attributes;
+    } catch (err) {
+        if (err.name === 'ConditionalCheckFailedException') return null;
+        throw err;
+    }
+};
+
+// Finds a file the user owns by ID, or null. Falls back to legacy objects without metadata.
+const resolveFile = async (userId, fileId) => {
+    if (!fileId || fileId.includes('/') || fileId.includes('..')) return null;
+
+    const { Item } = await docClient.send(new GetCommand({ TableName: FILES_TABLE, Key: { fileId } }));
+    // Trashed files are only reachable through the trash API
+    if (Item) return Item.userId === userId && !Item.deletedAt ? Item : null;
+    // A new-style ID without metadata is an upload that was never confirmed
+    if (FILE_ID_PATTERN.test(fileId)) return null;
+
+    const key = `users/${userId}/${fileId}`;
+    try {
+        const head = await s3Client.send(new HeadObjectCommand({ Bucket: BUCKET_NAME, Key: key }));
+        return legacyRecord(userId, key, head.ContentLength, head.LastModified, head.ContentType);
+    } catch (err) {
+        if (err.name === 'NotFound' || err.$metadata?.httpStatusCode === 404) return null;
+        throw err;
+    }
+};
+
+// SHA-256 of a stored object, streamed from S3
+const computeChecksum = async (key) => {
+    const object = await s3Client.send(new GetObjectCommand({ Bucket: BUCKET_NAME, Key: key }));
+    const hash = createHash('sha256');
+    for await (const chunk of object.Body) {
+        hash.update(chunk);
+    }
+    return `sha256:${hash.digest('hex')}`;
+};
+
+// Download filename header that survives non-ASCII names
+const contentDisposition = (type, fileName) => {
+    const asciiName = fileName.replace(/[^\x20-\x7e]/g, '_').replace(/["\\]/g, '_');
+    return `${type}; filename="${asciiName}"; filename*=UTF-8''${encodeURIComponent(fileName)}`;
+};
+
+// Collects every uploaded part of a multipart upload (ListParts pages at 1000)
+const listAllParts = async (key, uploadId) => {
+    const parts = [];
+    let partNumberMarker;
+    do {
+        const response = await s3Client.send(new ListPartsCommand({
+            Bucket: BUCKET_NAME,
+            Key: key,
+            UploadId: uploadId,
+            PartNumberMarker: partNumberMarker
+        }));
+        parts.push(...(response.Parts || []));
+        partNumberMarker = response.IsTruncated ? response.NextPartNumberMarker : undefined;
+    } while (partNumberMarker);
+    return parts;
+};
+
+// Walks every ListObjectsV2 page under the prefix instead of stopping at the first 1000 keys.
+// With a delimiter, keys below the next "/" are rolled up into prefixes (sub-folders).
+const listAllObjects = async (prefix, delimiter) => {
+    const objects = [];
+    const prefixes = [];
+    let continuationToken;
+    do {
+        const response = await s3Client.send(new ListObjectsV2Command({
+            Bucket: BUCKET_NAME,
+            Prefix: prefix,
+            Delimiter: delimiter,
+            ContinuationToken: continuationToken
+        }));
+        objects.push(...(response.Contents || []));
+        prefixes.push(...(response.CommonPrefixes || []).map(entry => entry.Prefix));
+        continuationToken = response.IsTruncated ? response.NextContinuationToken : undefined;
+    } while (continuationToken);
+    return { objects, prefixes };
+};
+
+// S3 has no rename, so moves copy to the new key (metadata included) and delete the old
+// key once the metadata item points at the new one
+const copyObject = async (fromKey, toKey) => {
+    await s3Client.send(new CopyObjectCommand({
+        Bucket: BUCKET_NAME,
+        CopySource: `${BUCKET_NAME}/${encodeURIComponent(fromKey).replace(/%2F/g, '/')}`,
+        Key: toKey
+    }));
+};
+
+const folderExists = async (prefix) => {
+    const response = await s3Client.send(new ListObjectsV2Command({ Bucket: BUCKET_NAME, Prefix: prefix, MaxKeys: 1 }));
+    return (response.KeyCount || 0) > 0;
+};
+
+// Removes keys in batches of 1000, the DeleteObjects maximum
+const deleteObjects = async (keys) => {
+    for (let i = 0; i < keys.length; i += 1000) {
+        await s3Client.send(new DeleteObjectsCommand({
+            Bucket: BUCKET_NAME,
+            Delete: { Objects: keys.slice(i, i + 1000).map(Key => ({ Key })), Quiet: true }
+        }));
+    }
+};
+
+// Soft delete: the object moves to trash/{userId}/{fileId} and its metadata gets a deletedAt,
+// remembering the folder it came from. lambda-trash-handler.mjs restores and purges trashed files.
+// Legacy files get a metadata item here, keyed by their existing ID. Returns false if the file
+// was moved or trashed by another request meanwhile; the copy is dropped unless it is in the trash now.
+const moveToTrash = async (record, deletedAt) => {
+    const trashKey = `trash/${record.userId}/${record.fileId}`;
+    const changes = { key: trashKey, folder: folderOfKey(record.userId, record.key), deletedAt };
+    await copyObject(record.key, trashKey);
+    let trashed = true;
+    if (record.legacy) {
+        const { legacy, ...existing } = record;
+        try {
+            await docClient.send(new PutCommand({
+                TableName: FILES_TABLE,
+                Item: { ...existing, ...changes },
+                ConditionExpression: 'attribute_not_exists(fileId)'
+            }));
+        } catch (err) {
+            if (err.name !== 'ConditionalCheckFailedException') throw err;
+            trashed = false;
+        }
+    } else {
+        trashed = Boolean(await updateFileRecord(record, changes, ['ownerId', 'ownerFolder']));
+    }
+    if (!trashed) {
+        const { Item } = await docClient.send(new GetCommand({ TableName: FILES_TABLE, Key: { fileId: record.fileId } }));
+        if (Item?.key !== trashKey) {
+            await s3Client.send(new DeleteObjectCommand({ Bucket: BUCKET_NAME, Key: trashKey }));
+        }
+        return false;
+    }
+    await s3Client.send(new DeleteObjectCommand({ Bucket: BUCKET_NAME, Key: record.key }));
+    // Legacy files cannot be attached to notes, so only files with a record are linked anywhere
+    if (!record.legacy) {
+        await relinkNotes(docClient, record, 'trash');
+    }
+    return true;
+};
+
 export const handler = async (event, context) => {
     const startTime = Date.now();
     const requestId = context?.requestId || `req-${Date.now()}`;
@@ -28,7 +509,7 @@ export const handler = async (event, context) => {
     const corsHeaders = {
         'Access-Control-Allow-Origin': allowedOrigins.has(requestOrigin) ? requestOrigin : 'https://main.d1xrjjt0e3swym.amplifyapp.com',
         'Access-Control-Allow-Headers': 'Content-Type,Authorization,X-Amz-Date,X-Api-Key,X-Amz-Security-Token,Origin,Accept',
-        'Access-Control-Allow-Methods': 'GET,POST,DELETE,OPTIONS',
+        'Access-Control-Allow-Methods': 'GET,POST,PUT,PATCH,DELETE,OPTIONS',
         'Access-Control-Allow-Credentials': 'true',
         'Content-Type': 'application/json'
     };
@@ -56,6 +537,65 @@ export const handler = async (event, context) => {
         }
     };
 
+    // Manual invocation that fills the listing indexes for files stored before they existed:
+    // live items get their index attributes and legacy objects get an item, keyed by their stored name
+    if (event?.action === 'backfillListing') {
+        operationType = 'BACKFILL_LISTING';
+        let indexed = 0;
+        let exclusiveStartKey;
+        do {
+            const response = await docClient.send(new ScanCommand({
+                TableName: FILES_TABLE,
+                FilterExpression: 'attribute_not_exists(ownerId) AND attribute_not_exists(deletedAt)',
+                ExclusiveStartKey: exclusiveStartKey
+            }));
+            for (const record of response.Items || []) {
+                const { ownerId, ownerFolder, nameKey } = listingAttributes(record);
+                try {
+                    await docClient.send(new UpdateCommand({
+                        TableName: FILES_TABLE,
+                        Key: { fileId: record.fileId },
+                        UpdateExpression: 'SET ownerId = :ownerId, ownerFolder = :ownerFolder, nameKey = :nameKey',
+                        ConditionExpression: 'attribute_exists(fileId) AND attribute_not_exists(deletedAt)',
+                        ExpressionAttributeValues: { ':ownerId': ownerId, ':ownerFolder': ownerFolder, ':nameKey': nameKey }
+                    }));
+                    indexed++;
+                } catch (err) {
+                    // Trashed or purged since the scan
+                    if (err.name !== 'ConditionalCheckFailedException') throw err;
+                }
+            }
+            exclusiveStartKey = response.LastEvaluatedKey;
+        } while (exclusiveStartKey);
+
+        const { objects } = await listAllObjects('users/');
+        const legacyObjects = objects.filter(object => !object.Key.endsWith('/') && !FILE_ID_PATTERN.test(object.Key.split('/').pop()));
+        const existing = await getFileRecords(legacyObjects.map(object => object.Key.split('/').pop()));
+        let adopted = 0;
+        for (const object of legacyObjects) {
+            if (existing[object.Key.split('/').pop()]) continue;
+            const head = await s3Client.send(new HeadObjectCommand({ Bucket: BUCKET_NAME, Key: object.Key }));
+            const { legacy, ...record } = legacyRecord(object.Key.split('/')[1], object.Key, head.ContentLength, head.LastModified, head.ContentType || 'application/octet-stream');
+            try {
+                await docClient.send(new PutCommand({
+                    TableName: FILES_TABLE,
+                    Item: { ...record, ...listingAttributes(record) },
+                    ConditionExpression: 'attribute_not_exists(fileId)'
+                }));
+                adopted++;
+            } catch (err) {
+                // Another user's legacy file with the same stored name already owns the ID
+                if (err.name !== 'ConditionalCheckFailedException') throw err;
+                console.error(`[${requestId}] Could not adopt ${object.Key}: ID already taken`);
+            }
+        }
+
+        const duration = Date.now() - startTime;
+        await sendMetric('RequestDuration', duration, 'Milliseconds');
+        console.log(`[${requestId}] [SUCCESS] Indexed ${indexed} files and adopted ${adopted} legacy files in ${duration}ms`);
+        return { indexed, adopted };
+    }
+
     try {
         const method = event.httpMethod || event.requestContext?.http?.method;
         const path = event.path || event.rawPath || '';
@@ -77,118 +617,886 @@ export const handler = async (event, context) => {
                 return { statusCode: 401, headers: corsHeaders, body: JSON.stringify({ error: 'Unauthorized' }) };
             }
 
-        // GET /files
+            const claims = event?.requestContext?.authorizer?.jwt?.claims || event?.requestContext?.authorizer?.claims || {};
+            const maxFileSize = getMaxFileSize(claims);
+
+            if (getUserRole(claims) === 'read-only' && !isReadRequest(method, path)) {
+                await sendMetric('Errors', 1, 'Count');
+                console.error(`[${requestId}] Read-only user attempted ${method} ${path}`);
+                return { statusCode: 403, headers: corsHeaders, body: JSON.stringify({ error: 'Your account is read-only', code: 'READ_ONLY' }) };
+            }
+
+        // GET /files?folder=&limit=&continuationToken=&sort=name|size|uploadedAt&order=asc|desc
         if (method === 'GET' && (path === '/files' || path.endsWith('/files'))) {
             operationType = 'LIST_FILES';
-            console.log(`[${requestId}] Listing files for user: ${userId}`);
-            
-            const command = new ListObjectsV2Command({
-                Bucket: BUCKET_NAME,
-                    Prefix: `users/${userId}/`
-            });
+            console.log(`[${requestId}] Listing files for user: ${userId}`, queryParameters);
 
-            const response = await s3Client.send(command);
-            const files = (response.Contents || []).map(file => ({
-                id: file.Key.split('/').pop(),
-                name: file.Key.split('/').pop(),
-                size: file.Size,
-                uploadedAt: file.LastModified.toISOString(),
-                key: file.Key,
-                type: file.Key.split('.').pop()
-            }));
+            const sort = queryParameters.sort || 'uploadedAt';
+            const order = queryParameters.order || (sort === 'uploadedAt' ? 'desc' : 'asc');
+            const limit = queryParameters.limit === undefined ? DEFAULT_PAGE_SIZE : Number(queryParameters.limit);
+
+            if (!FILE_SORT_KEYS[sort] || !['asc', 'desc'].includes(order)) {
+                await sendMetric('Errors', 1, 'Count');
+                console.error(`[${requestId}] Invalid sort: ${sort} ${order}`);
+                return { statusCode: 400, headers: corsHeaders, body: JSON.stringify({ error: 'sort must be name, size or uploadedAt and order must be asc or desc' }) };
+            }
+
+            if (!Number.isInteger(limit) || limit < 1 || limit > MAX_PAGE_SIZE) {
+                await sendMetric('Errors', 1, 'Count');
+                console.error(`[${requestId}] Invalid limit: ${queryParameters.limit}`);
+                return { statusCode: 400, headers: corsHeaders, body: JSON.stringify({ error: `limit must be an integer between 1 and ${MAX_PAGE_SIZE}` }) };
+            }
+
+            // Without a folder every file is listed; with one (use "/" for the root) only its
+            // direct children are, plus its sub-folders
+            let folder = null;
+            if (queryParameters.folder !== undefined) {
+                folder = normalizeFolder(queryParameters.folder);
+                if (folder === null) {
+                    await sendMetric('Errors', 1, 'Count');
+                    console.error(`[${requestId}] Invalid folder: ${queryParameters.folder}`);
+                    return { statusCode: 400, headers: corsHeaders, body: JSON.stringify({ error: 'Invalid folder' }) };
+                }
+            }
+
+            const partition = listingPartition(userId, folder);
+            let startKey;
+            let folderToken;
+            if (queryParameters.continuationToken) {
+                const state = decodeContinuationToken(queryParameters.continuationToken);
+                const validKey = state?.key === null
+                    || (typeof state?.key?.fileId === 'string' && state.key[partition.name] === partition.value);
+                if (!state || state.sort !== sort || state.order !== order || (state.folder ?? null) !== folder
+                    || !validKey || !(state.folderToken == null || typeof state.folderToken === 'string')
+                    || (state.key === null && !state.folderToken)) {
+                    await sendMetric('Errors', 1, 'Count');
+                    console.error(`[${requestId}] Invalid continuation token`);
+                    return { statusCode: 400, headers: corsHeaders, body: JSON.stringify({ error: 'Invalid continuationToken' }) };
+                }
+                startKey = state.key;
+                folderToken = state.folderToken;
+            }
+            const firstPage = startKey === undefined;
+
+            // A null key means the files ran out on an earlier page and only sub-folders are left
+            let records = [];
+            let lastKey;
+            if (startKey !== null) {
+                ({ records, lastKey } = await queryFilesPage({ partition, sort, order, limit, startKey }));
+            }
+            const files = await Promise.all(records.map(record => withThumbnailUrl(userId, toFileInfo(record))));
+
+            // Sub-folders come one S3 listing page per request, so a folder with many files costs
+            // one ListObjectsV2 call per page rather than a walk of every key under it
+            let folders;
+            let nextFolderToken = null;
+            if (folder !== null && (firstPage || folderToken)) {
+                const userPrefix = `users/${userId}/`;
+                const response = await s3Client.send(new ListObjectsV2Command({
+                    Bucket: BUCKET_NAME,
+                    Prefix: `${userPrefix}${folder}`,
+                    Delimiter: '/',
+                    ContinuationToken: folderToken || undefined
+                }));
+                folders = (response.CommonPrefixes || [])
+                    .map(({ Prefix: prefix }) => ({ name: prefix.slice(userPrefix.length + folder.length, -1), path: prefix.slice(userPrefix.length) }))
+                    .sort((a, b) => a.name.localeCompare(b.name, undefined, { numeric: true, sensitivity: 'base' }));
+                nextFolderToken = response.IsTruncated ? response.NextContinuationToken : null;
+            }
+
+            const nextContinuationToken = lastKey || nextFolderToken
+                ? encodeContinuationToken({ key: lastKey || null, sort, order, folder, folderToken: nextFolderToken })
+                : null;
+
+            // The total comes with the first page; later pages add files and any further sub-folders
+            const totalCount = firstPage ? await countFiles(partition) : undefined;
 
             const duration = Date.now() - startTime;
             await sendMetric('RequestDuration', duration, 'Milliseconds');
             await sendMetric('FilesListed', files.length, 'Count');
             
             console.log(`[${requestId}] [SUCCESS] Listed ${files.length} files in ${duration}ms`);
-            return { statusCode: 200, headers: corsHeaders, body: JSON.stringify(files) };
+            return {
+                statusCode: 200,
+                headers: corsHeaders,
+                body: JSON.stringify({ files, folders, folder, totalCount, nextContinuationToken })
+            };
         }
 
-        // GET /files/{id}/download
+        // GET /files/{id}/download?disposition=attachment|inline
         if (method === 'GET' && path.includes('download')) {
-            operationType = 'DOWNLOAD_FILE';
-            const fileId = pathParameters.fileId || queryParameters.id;
+            const disposition = queryParameters.disposition || 'attachment';
+            operationType = disposition === 'inline' ? 'PREVIEW_FILE' : 'DOWNLOAD_FILE';
+            const fileId = pathParameters.fileId || pathParameters.id || queryParameters.id || path.split('/').slice(-2)[0];
             if (!fileId) {
                 await sendMetric('Errors', 1, 'Count');
                 console.error(`[${requestId}] File ID is required`);
                 return { statusCode: 400, headers: corsHeaders, body: JSON.stringify({ error: 'File ID is required' }) };
             }
 
-            const fileKey = `users/${userId}/${fileId}`;
-            console.log(`[${requestId}] Generating presigned URL for: ${fileKey}`);
+            const file = await resolveFile(userId, fileId);
+            if (!file) {
+                await sendMetric('Errors', 1, 'Count');
+                console.error(`[${requestId}] File not found or not owned by user: ${fileId}`);
+                return { statusCode: 404, headers: corsHeaders, body: JSON.stringify({ error: 'File not found' }) };
+            }
+
+            if (!['attachment', 'inline'].includes(disposition)) {
+                await sendMetric('Errors', 1, 'Count');
+                console.error(`[${requestId}] Invalid disposition: ${disposition}`);
+                return { statusCode: 400, headers: corsHeaders, body: JSON.stringify({ error: 'disposition must be attachment or inline' }) };
+            }
+
+            const extension = getExtension(file.name);
+            if (disposition === 'inline' && !INLINE_PREVIEW_EXTENSIONS.has(extension)) {
+                await sendMetric('Errors', 1, 'Count');
+                console.error(`[${requestId}] Preview not supported for .${extension}: ${fileId}`);
+                return {
+                    statusCode: 400,
+                    headers: corsHeaders,
+                    body: JSON.stringify({ error: `Files of type .${extension} cannot be previewed`, code: 'PREVIEW_NOT_SUPPORTED' })
+                };
+            }
+
+            console.log(`[${requestId}] Generating ${disposition} presigned URL for: ${file.key}`);
             
+            // Previews override the stored content type, which legacy uploads may have wrong
+            const contentType = disposition === 'inline' ? previewContentType(extension) : undefined;
             const command = new GetObjectCommand({
                 Bucket: BUCKET_NAME,
-                Key: fileKey,
-                ResponseContentDisposition: `attachment; filename="${fileId}"`
+                Key: file.key,
+                ResponseContentDisposition: contentDisposition(disposition, file.name),
+                ResponseContentType: contentType
             });
             const presignedUrl = await getSignedUrl(s3Client, command, { expiresIn: 3600 });
             
             const duration = Date.now() - startTime;
             await sendMetric('RequestDuration', duration, 'Milliseconds');
+            if (disposition === 'inline') {
+                await sendMetric('FilesPreviewed', 1, 'Count');
+            }
             
             console.log(`[${requestId}] [SUCCESS] Generated presigned URL in ${duration}ms`);
-            return { statusCode: 200, headers: corsHeaders, body: JSON.stringify({ downloadUrl: presignedUrl, fileName: fileId }) };
+            return {
+                statusCode: 200,
+                headers: corsHeaders,
+                body: JSON.stringify({
+                    downloadUrl: presignedUrl,
+                    fileName: file.name,
+                    disposition,
+                    contentType: contentType || file.contentType || KNOWN_FILE_TYPES[extension]?.contentType || 'application/octet-stream'
+                })
+            };
         }
 
-        // POST /files
-        if (method === 'POST' && (path === '/files' || path.endsWith('/files'))) {
-            operationType = 'UPLOAD_FILE';
-            const bodyStr = event.body || '{}';
+        // POST /files/{id}/summarize - short summary of a text document
+        if (method === 'POST' && path.endsWith('/summarize')) {
+            operationType = 'SUMMARIZE_FILE';
+            const fileId = pathParameters.fileId || pathParameters.id || path.split('/').slice(-2)[0];
+            const file = await resolveFile(userId, fileId);
+            if (!file) {
+                await sendMetric('Errors', 1, 'Count');
+                console.error(`[${requestId}] File not found or not owned by user: ${fileId}`);
+                return { statusCode: 404, headers: corsHeaders, body: JSON.stringify({ error: 'File not found' }) };
+            }
+
+            const extension = getExtension(file.name);
+            if (!SUMMARIZABLE_EXTENSIONS.has(extension)) {
+                await sendMetric('Errors', 1, 'Count');
+                console.error(`[${requestId}] Summaries not supported for .${extension}: ${fileId}`);
+                return {
+                    statusCode: 400,
+                    headers: corsHeaders,
+                    body: JSON.stringify({ error: `Files of type .${extension} cannot be summarized`, code: 'SUMMARY_NOT_SUPPORTED' })
+                };
+            }
+
+            let text = file.extractedText;
+            if (text === undefined && (extension === 'txt' || extension === 'md')) {
+                // Legacy files and files whose text has not been extracted yet
+                if (file.size > MAX_SUMMARY_SOURCE_SIZE) {
+                    await sendMetric('Errors', 1, 'Count');
+                    console.error(`[${requestId}] ${fileId} is too large to summarize directly: ${file.size} bytes`);
+                    return { statusCode: 413, headers: corsHeaders, body: JSON.stringify({ error: 'File is too large to summarize' }) };
+                }
+                const object = await s3Client.send(new GetObjectCommand({ Bucket: BUCKET_NAME, Key: file.key }));
+                text = await object.Body.transformToString('utf-8');
+            }
+
+            const result = await summarize(extension === 'md' ? markdownToText(text || '') : (text || ''));
+            if (result.sentences.length === 0) {
+                await sendMetric('Errors', 1, 'Count');
+                console.error(`[${requestId}] No text to summarize in ${fileId}`);
+                return {
+                    statusCode: 400,
+                    headers: corsHeaders,
+                    body: JSON.stringify({
+                        error: text === undefined ? 'Text has not been extracted from this file yet' : 'This file has no text to summarize',
+                        code: 'NO_TEXT'
+                    })
+                };
+            }
+
+            const duration = Date.now() - startTime;
+            await sendMetric('RequestDuration', duration, 'Milliseconds');
+            await sendMetric('SummarizeOperations', 1, 'Count');
+
+            console.log(`[${requestId}] [SUCCESS] Summarized file ${fileId} with ${result.summarizer} in ${duration}ms`);
+            return { statusCode: 200, headers: corsHeaders, body: JSON.stringify({ ...result, fileId }) };
+        }
+
+        // POST /files/{id}/share - public download link: { expiresInHours, password, maxDownloads }
+        if (method === 'POST' && path.endsWith('/share')) {
+            operationType = 'SHARE_FILE';
+            const fileId = pathParameters.fileId || pathParameters.id || path.split('/').slice(-2)[0];
             let data;
             try {
-                data = JSON.parse(bodyStr);
+                data = JSON.parse(event.body || '{}');
             } catch (err) {
                 await sendMetric('Errors', 1, 'Count');
                 console.error(`[${requestId}] JSON parse error:`, err);
                 return { statusCode: 400, headers: corsHeaders, body: JSON.stringify({ error: 'Invalid JSON in request body' }) };
             }
 
-            if (!data.fileName || !data.fileContent) {
+            const options = parseShareOptions(data);
+            if (options.error) {
+                await sendMetric('Errors', 1, 'Count');
+                console.error(`[${requestId}] Invalid share options: ${options.error}`);
+                return { statusCode: 400, headers: corsHeaders, body: JSON.stringify({ error: options.error }) };
+            }
+
+            const file = await resolveFile(userId, fileId);
+            if (!file) {
+                await sendMetric('Errors', 1, 'Count');
+                console.error(`[${requestId}] File not found or not owned by user: ${fileId}`);
+                return { statusCode: 404, headers: corsHeaders, body: JSON.stringify({ error: 'File not found' }) };
+            }
+            // The share handler finds the object through the Files table, which legacy uploads are not in
+            if (file.legacy) {
                 await sendMetric('Errors', 1, 'Count');
-                console.error(`[${requestId}] Missing required fields: fileName or fileContent`);
-                return { statusCode: 400, headers: corsHeaders, body: JSON.stringify({ error: 'fileName and fileContent are required' }) };
+                console.error(`[${requestId}] Legacy file cannot be shared: ${fileId}`);
+                return {
+                    statusCode: 400,
+                    headers: corsHeaders,
+                    body: JSON.stringify({ error: 'Files uploaded before file IDs were introduced cannot be shared', code: 'SHARE_NOT_SUPPORTED' })
+                };
             }
 
-            const timestamp = Date.now();
-            const fileExtension = data.fileName.includes('.') ? data.fileName.split('.').pop() : 'txt';
-            const baseName = data.fileName.replace(/\.[^/.]+$/, "");
-            const uniqueFileName = `${timestamp}-${baseName}.${fileExtension}`;
-            const fileKey = `users/${userId}/${uniqueFileName}`;
+            const share = await createShareLink(docClient, { userId, type: 'file', itemId: file.fileId, title: file.name, options });
 
-            const fileBuffer = data.isBase64 ? Buffer.from(data.fileContent, 'base64') : Buffer.from(data.fileContent, 'utf8');
+            const duration = Date.now() - startTime;
+            await sendMetric('RequestDuration', duration, 'Milliseconds');
+            await sendMetric('SharesCreated', 1, 'Count');
 
-            console.log(`[${requestId}] Uploading file: ${uniqueFileName}, Size: ${fileBuffer.length} bytes`);
+            console.log(`[${requestId}] [SUCCESS] Shared file ${fileId} until ${share.expiresAt} in ${duration}ms`);
+            return { statusCode: 201, headers: corsHeaders, body: JSON.stringify({ message: 'Share link created', share }) };
+        }
+
+        // POST /files/upload-url - presigned PUT so the browser uploads straight to S3
+        if (method === 'POST' && path.endsWith('/files/upload-url')) {
+            operationType = 'CREATE_UPLOAD_URL';
+            let data;
+            try {
+                data = JSON.parse(event.body || '{}');
+            } catch (err) {
+                await sendMetric('Errors', 1, 'Count');
+                console.error(`[${requestId}] JSON parse error:`, err);
+                return { statusCode: 400, headers: corsHeaders, body: JSON.stringify({ error: 'Invalid JSON in request body' }) };
+            }
+
+            const fileName = sanitizeFileName(data.fileName || '');
+            const size = Number(data.size);
+            if (!fileName || !Number.isFinite(size) || size < 0) {
+                await sendMetric('Errors', 1, 'Count');
+                console.error(`[${requestId}] Missing required fields: fileName or size`);
+                return { statusCode: 400, headers: corsHeaders, body: JSON.stringify({ error: 'fileName and size are required' }) };
+            }
+
+            const rejection = validateUpload(fileName, size, maxFileSize);
+            if (rejection) {
+                await sendMetric('Errors', 1, 'Count');
+                console.error(`[${requestId}] Upload rejected: ${rejection.body.code}`);
+                return { statusCode: rejection.statusCode, headers: corsHeaders, body: JSON.stringify(rejection.body) };
+            }
+
+            if (size > MAX_SINGLE_UPLOAD_SIZE) {
+                await sendMetric('Errors', 1, 'Count');
+                console.error(`[${requestId}] File too large: ${size} bytes`);
+                return { statusCode: 413, headers: corsHeaders, body: JSON.stringify({ error: `File exceeds the ${MAX_SINGLE_UPLOAD_SIZE} byte single upload limit - use a multipart upload` }) };
+            }
+
+            const fileId = randomUUID();
+            const fileKey = `users/${userId}/${fileId}`;
+            // The stored type comes from the verified extension, not from what the client claims
+            const contentType = KNOWN_FILE_TYPES[getExtension(fileName)].contentType;
+
+            // Everything signed here must be sent back verbatim by the browser
+            const uploadHeaders = {
+                'Content-Type': contentType,
+                'x-amz-meta-original-name': encodeURIComponent(fileName),
+                'x-amz-meta-uploaded-by': userId
+            };
 
             const command = new PutObjectCommand({
                 Bucket: BUCKET_NAME,
                 Key: fileKey,
-                Body: fileBuffer,
-                ContentType: data.contentType || 'application/octet-stream'
+                ContentType: contentType,
+                Metadata: {
+                    'original-name': uploadHeaders['x-amz-meta-original-name'],
+                    'uploaded-by': userId
+                }
             });
+            const uploadUrl = await getSignedUrl(s3Client, command, {
+                expiresIn: UPLOAD_URL_EXPIRY_SECONDS,
+                // Keep the metadata headers signed rather than hoisted into the query string
+                unhoistableHeaders: new Set(['x-amz-meta-original-name', 'x-amz-meta-uploaded-by'])
+            });
+
+            const duration = Date.now() - startTime;
+            await sendMetric('RequestDuration', duration, 'Milliseconds');
+
+            console.log(`[${requestId}] [SUCCESS] Generated upload URL for ${fileKey} in ${duration}ms`);
+            return {
+                statusCode: 200,
+                headers: corsHeaders,
+                body: JSON.stringify({ uploadUrl, fileId, key: fileKey, headers: uploadHeaders, expiresIn: UPLOAD_URL_EXPIRY_SECONDS })
+            };
+        }
 
-            await s3Client.send(command);
+        // POST /files/multipart/{initiate|sign-parts|list-parts|complete|abort}
+        // Large uploads go to S3 in parts; the client finishes with POST /files like any other upload
+        if (method === 'POST' && path.includes('/files/multipart/')) {
+            const action = path.split('/').pop();
+            operationType = `MULTIPART_${action.toUpperCase().replace('-', '_')}`;
 
-            const fileInfo = {
-                id: uniqueFileName,
-                name: data.fileName,
-                size: fileBuffer.length,
-                uploadedAt: new Date().toISOString(),
+            let data;
+            try {
+                data = JSON.parse(event.body || '{}');
+            } catch (err) {
+                await sendMetric('Errors', 1, 'Count');
+                console.error(`[${requestId}] JSON parse error:`, err);
+                return { statusCode: 400, headers: corsHeaders, body: JSON.stringify({ error: 'Invalid JSON in request body' }) };
+            }
+
+            if (action === 'initiate') {
+                const fileName = sanitizeFileName(data.fileName || '');
+                const size = Number(data.size);
+                if (!fileName || !Number.isFinite(size) || size <= 0) {
+                    await sendMetric('Errors', 1, 'Count');
+                    console.error(`[${requestId}] Missing required fields: fileName or size`);
+                    return { statusCode: 400, headers: corsHeaders, body: JSON.stringify({ error: 'fileName and size are required' }) };
+                }
+
+                const rejection = validateUpload(fileName, size, maxFileSize);
+                if (rejection) {
+                    await sendMetric('Errors', 1, 'Count');
+                    console.error(`[${requestId}] Upload rejected: ${rejection.body.code}`);
+                    return { statusCode: rejection.statusCode, headers: corsHeaders, body: JSON.stringify(rejection.body) };
+                }
+
+                const fileId = randomUUID();
+                const fileKey = `users/${userId}/${fileId}`;
+                const response = await s3Client.send(new CreateMultipartUploadCommand({
+                    Bucket: BUCKET_NAME,
+                    Key: fileKey,
+                    ContentType: KNOWN_FILE_TYPES[getExtension(fileName)].contentType,
+                    Metadata: {
+                        'original-name': encodeURIComponent(fileName),
+                        'uploaded-by': userId
+                    }
+                }));
+
+                const duration = Date.now() - startTime;
+                await sendMetric('RequestDuration', duration, 'Milliseconds');
+
+                console.log(`[${requestId}] [SUCCESS] Started multipart upload for ${fileKey} in ${duration}ms`);
+                return {
+                    statusCode: 201,
+                    headers: corsHeaders,
+                    body: JSON.stringify({
+                        fileId,
+                        key: fileKey,
+                        uploadId: response.UploadId,
+                        partSize: MULTIPART_PART_SIZE,
+                        partCount: Math.ceil(size / MULTIPART_PART_SIZE)
+                    })
+                };
+            }
+
+            // Every other action works on an existing upload, which must live under the caller's prefix
+            const fileKey = typeof data.key === 'string' ? data.key : '';
+            const uploadId = typeof data.uploadId === 'string' ? data.uploadId : '';
+            if (!fileKey.startsWith(`users/${userId}/`) || fileKey.includes('..') || !uploadId) {
+                await sendMetric('Errors', 1, 'Count');
+                console.error(`[${requestId}] Invalid multipart reference: ${fileKey}`);
+                return { statusCode: 400, headers: corsHeaders, body: JSON.stringify({ error: 'key and uploadId of one of your uploads are required' }) };
+            }
+
+            let result;
+            try {
+                if (action === 'sign-parts') {
+                    const partNumbers = Array.isArray(data.partNumbers) ? data.partNumbers : [];
+                    if (partNumbers.length === 0 || partNumbers.length > MAX_PARTS_PER_SIGN_REQUEST
+                        || !partNumbers.every(n => Number.isInteger(n) && n >= 1 && n <= 10000)) {
+                        await sendMetric('Errors', 1, 'Count');
+                        console.error(`[${requestId}] Invalid part numbers`);
+                        return { statusCode: 400, headers: corsHeaders, body: JSON.stringify({ error: `partNumbers must list 1-${MAX_PARTS_PER_SIGN_REQUEST} part numbers between 1 and 10000` }) };
+                    }
+
+                    const urls = {};
+                    for (const partNumber of partNumbers) {
+                        urls[partNumber] = await getSignedUrl(s3Client, new UploadPartCommand({
+                            Bucket: BUCKET_NAME,
+                            Key: fileKey,
+                            UploadId: uploadId,
+                            PartNumber: partNumber
+                        }), { expiresIn: UPLOAD_URL_EXPIRY_SECONDS });
+                    }
+                    result = { statusCode: 200, body: { urls, expiresIn: UPLOAD_URL_EXPIRY_SECONDS } };
+                } else if (action === 'list-parts') {
+                    const parts = await listAllParts(fileKey, uploadId);
+                    result = { statusCode: 200, body: { parts: parts.map(p => ({ partNumber: p.PartNumber, size: p.Size })) } };
+                } else if (action === 'complete') {
+                    const partCount = Number(data.partCount);
+                    const parts = await listAllParts(fileKey, uploadId);
+                    parts.sort((a, b) => a.PartNumber - b.PartNumber);
+                    const contiguous = parts.every((p, index) => p.PartNumber === index + 1);
+                    if (!Number.isInteger(partCount) || parts.length !== partCount || !contiguous) {
+                        await sendMetric('Errors', 1, 'Count');
+                        console.error(`[${requestId}] Upload incomplete: ${parts.length}/${partCount} parts`);
+                        return { statusCode: 409, headers: corsHeaders, body: JSON.stringify({ error: 'Not all parts have been uploaded', uploadedParts: parts.map(p => p.PartNumber) }) };
+                    }
+
+                    await s3Client.send(new CompleteMultipartUploadCommand({
+                        Bucket: BUCKET_NAME,
+                        Key: fileKey,
+                        UploadId: uploadId,
+                        MultipartUpload: { Parts: parts.map(p => ({ PartNumber: p.PartNumber, ETag: p.ETag })) }
+                    }));
+                    result = { statusCode: 200, body: { key: fileKey } };
+                } else if (action === 'abort') {
+                    await s3Client.send(new AbortMultipartUploadCommand({ Bucket: BUCKET_NAME, Key: fileKey, UploadId: uploadId }));
+                    result = { statusCode: 200, body: { message: 'Upload aborted', key: fileKey } };
+                } else {
+                    await sendMetric('Errors', 1, 'Count');
+                    return { statusCode: 404, headers: corsHeaders, body: JSON.stringify({ error: `Unknown multipart action: ${action}` }) };
+                }
+            } catch (err) {
+                if (err.name !== 'NoSuchUpload') {
+                    throw err;
+                }
+                await sendMetric('Errors', 1, 'Count');
+                console.error(`[${requestId}] Multipart upload not found: ${uploadId}`);
+                return { statusCode: 404, headers: corsHeaders, body: JSON.stringify({ error: 'Upload not found - it may have been completed or aborted', code: 'UPLOAD_NOT_FOUND' }) };
+            }
+
+            const duration = Date.now() - startTime;
+            await sendMetric('RequestDuration', duration, 'Milliseconds');
+
+            console.log(`[${requestId}] [SUCCESS] Multipart ${action} for ${fileKey} in ${duration}ms`);
+            return { statusCode: result.statusCode, headers: corsHeaders, body: JSON.stringify(result.body) };
+        }
+
+        // POST /files - confirm a direct upload and record its metadata
+        if (method === 'POST' && (path === '/files' || path.endsWith('/files'))) {
+            operationType = 'UPLOAD_FILE';
+            const bodyStr = event.body || '{}';
+            let data;
+            try {
+                data = JSON.parse(bodyStr);
+            } catch (err) {
+                await sendMetric('Errors', 1, 'Count');
+                console.error(`[${requestId}] JSON parse error:`, err);
+                return { statusCode: 400, headers: corsHeaders, body: JSON.stringify({ error: 'Invalid JSON in request body' }) };
+            }
+
+            const fileId = typeof data.fileId === 'string' ? data.fileId : '';
+            if (!FILE_ID_PATTERN.test(fileId)) {
+                await sendMetric('Errors', 1, 'Count');
+                console.error(`[${requestId}] Invalid fileId for confirm: ${fileId}`);
+                return { statusCode: 400, headers: corsHeaders, body: JSON.stringify({ error: 'fileId of an upload is required' }) };
+            }
+
+            // Confirming twice (e.g. a retried request) returns the existing record
+            const existing = await docClient.send(new GetCommand({ TableName: FILES_TABLE, Key: { fileId } }));
+            if (existing.Item) {
+                if (existing.Item.userId !== userId) {
+                    await sendMetric('Errors', 1, 'Count');
+                    console.error(`[${requestId}] fileId belongs to another user: ${fileId}`);
+                    return { statusCode: 404, headers: corsHeaders, body: JSON.stringify({ error: 'Upload not found' }) };
+                }
+                console.log(`[${requestId}] Upload ${fileId} already confirmed`);
+                return { statusCode: 200, headers: corsHeaders, body: JSON.stringify({ message: 'File already uploaded', file: toFileInfo(existing.Item) }) };
+            }
+
+            const fileKey = `users/${userId}/${fileId}`;
+            let head;
+            try {
+                head = await s3Client.send(new HeadObjectCommand({ Bucket: BUCKET_NAME, Key: fileKey }));
+            } catch (err) {
+                if (err.name !== 'NotFound' && err.$metadata?.httpStatusCode !== 404) {
+                    throw err;
+                }
+                await sendMetric('Errors', 1, 'Count');
+                console.error(`[${requestId}] Uploaded object not found: ${fileKey}`);
+                return { statusCode: 404, headers: corsHeaders, body: JSON.stringify({ error: 'Upload not found - upload the file before confirming it' }) };
+            }
+
+            const originalName = head.Metadata?.['original-name']
+                ? sanitizeFileName(decodeURIComponent(head.Metadata['original-name']))
+                : '';
+            const rejection = validateUpload(originalName, head.ContentLength, maxFileSize);
+            if (rejection) {
+                await s3Client.send(new DeleteObjectCommand({ Bucket: BUCKET_NAME, Key: fileKey }));
+                await sendMetric('Errors', 1, 'Count');
+                console.error(`[${requestId}] Uploaded object rejected and removed: ${rejection.body.code}`);
+                return { statusCode: rejection.statusCode, headers: corsHeaders, body: JSON.stringify(rejection.body) };
+            }
+
+            // Check the bytes really are what the extension says
+            const extension = getExtension(originalName);
+            let detectedType = 'text/plain';
+            if (head.ContentLength > 0) {
+                const sample = await s3Client.send(new GetObjectCommand({
+                    Bucket: BUCKET_NAME,
+                    Key: fileKey,
+                    Range: `bytes=0-${SNIFF_BYTES - 1}`
+                }));
+                detectedType = sniffContentType(await sample.Body.transformToByteArray());
+            }
+            if (!KNOWN_FILE_TYPES[extension].sniffed.includes(detectedType)) {
+                await s3Client.send(new DeleteObjectCommand({ Bucket: BUCKET_NAME, Key: fileKey }));
+                await sendMetric('Errors', 1, 'Count');
+                console.error(`[${requestId}] Content mismatch for ${fileKey}: .${extension} but detected ${detectedType}`);
+                return {
+                    statusCode: 400,
+                    headers: corsHeaders,
+                    body: JSON.stringify({
+                        error: `File content does not match its .${extension} extension (detected ${detectedType})`,
+                        code: 'CONTENT_TYPE_MISMATCH',
+                        extension,
+                        detectedType
+                    })
+                };
+            }
+
+            const record = {
+                fileId,
+                userId,
                 key: fileKey,
-                type: fileExtension
+                folder: '',
+                name: originalName,
+                contentType: head.ContentType || KNOWN_FILE_TYPES[extension].contentType,
+                size: head.ContentLength,
+                checksum: head.ContentLength <= CHECKSUM_MAX_BYTES ? await computeChecksum(fileKey) : null,
+                etag: head.ETag,
+                uploadedBy: claims.email || userId,
+                uploadedAt: head.LastModified.toISOString()
             };
 
+            await docClient.send(new PutCommand({
+                TableName: FILES_TABLE,
+                Item: { ...record, ...listingAttributes(record) },
+                ConditionExpression: 'attribute_not_exists(fileId)'
+            }));
+
+            const fileInfo = toFileInfo(record);
+
             const duration = Date.now() - startTime;
             await sendMetric('RequestDuration', duration, 'Milliseconds');
-            await sendMetric('FileUploadSize', fileBuffer.length, 'Bytes');
+            await sendMetric('FileUploadSize', head.ContentLength, 'Bytes');
             await sendMetric('FilesUploaded', 1, 'Count');
             
-            console.log(`[${requestId}] [SUCCESS] File uploaded in ${duration}ms`);
+            console.log(`[${requestId}] [SUCCESS] File upload confirmed in ${duration}ms`);
             return { statusCode: 201, headers: corsHeaders, body: JSON.stringify({ message: 'File uploaded successfully', file: fileInfo }) };
         }
 
-        // DELETE /files/{id}
+        // POST /files/folders - create an (empty) folder
+        if (method === 'POST' && path.endsWith('/files/folders')) {
+            operationType = 'CREATE_FOLDER';
+            let data;
+            try {
+                data = JSON.parse(event.body || '{}');
+            } catch (err) {
+                await sendMetric('Errors', 1, 'Count');
+                console.error(`[${requestId}] JSON parse error:`, err);
+                return { statusCode: 400, headers: corsHeaders, body: JSON.stringify({ error: 'Invalid JSON in request body' }) };
+            }
+
+            const folder = normalizeFolder(data.path);
+            if (!folder) {
+                await sendMetric('Errors', 1, 'Count');
+                console.error(`[${requestId}] Invalid folder path: ${data.path}`);
+                return { statusCode: 400, headers: corsHeaders, body: JSON.stringify({ error: 'A valid folder path is required' }) };
+            }
+
+            const folderKey = `users/${userId}/${folder}`;
+            if (await folderExists(folderKey)) {
+                await sendMetric('Errors', 1, 'Count');
+                console.error(`[${requestId}] Folder already exists: ${folderKey}`);
+                return { statusCode: 409, headers: corsHeaders, body: JSON.stringify({ error: 'A folder with that name already exists' }) };
+            }
+
+            // A zero-byte placeholder keeps the prefix listed while the folder is empty
+            await s3Client.send(new PutObjectCommand({ Bucket: BUCKET_NAME, Key: folderKey, Body: '' }));
+
+            const duration = Date.now() - startTime;
+            await sendMetric('RequestDuration', duration, 'Milliseconds');
+            await sendMetric('FoldersCreated', 1, 'Count');
+
+            console.log(`[${requestId}] [SUCCESS] Folder ${folder} created in ${duration}ms`);
+            return { statusCode: 201, headers: corsHeaders, body: JSON.stringify({ message: 'Folder created successfully', folder: { name: folder.split('/').slice(-2)[0], path: folder } }) };
+        }
+
+        // PUT /files/folders - rename or move a folder: { path, newPath }
+        if (method === 'PUT' && path.endsWith('/files/folders')) {
+            operationType = 'MOVE_FOLDER';
+            let data;
+            try {
+                data = JSON.parse(event.body || '{}');
+            } catch (err) {
+                await sendMetric('Errors', 1, 'Count');
+                console.error(`[${requestId}] JSON parse error:`, err);
+                return { statusCode: 400, headers: corsHeaders, body: JSON.stringify({ error: 'Invalid JSON in request body' }) };
+            }
+
+            const fromFolder = normalizeFolder(data.path);
+            const toFolder = normalizeFolder(data.newPath);
+            if (!fromFolder || !toFolder) {
+                await sendMetric('Errors', 1, 'Count');
+                console.error(`[${requestId}] Invalid folder move: ${data.path} -> ${data.newPath}`);
+                return { statusCode: 400, headers: corsHeaders, body: JSON.stringify({ error: 'Valid path and newPath are required' }) };
+            }
+            if (toFolder.startsWith(fromFolder)) {
+                await sendMetric('Errors', 1, 'Count');
+                console.error(`[${requestId}] Folder moved into itself: ${fromFolder} -> ${toFolder}`);
+                return { statusCode: 400, headers: corsHeaders, body: JSON.stringify({ error: 'A folder cannot be moved into itself' }) };
+            }
+
+            const fromPrefix = `users/${userId}/${fromFolder}`;
+            const toPrefix = `users/${userId}/${toFolder}`;
+            const { objects } = await listAllObjects(fromPrefix);
+            if (objects.length === 0) {
+                await sendMetric('Errors', 1, 'Count');
+                console.error(`[${requestId}] Folder not found: ${fromPrefix}`);
+                return { statusCode: 404, headers: corsHeaders, body: JSON.stringify({ error: 'Folder not found' }) };
+            }
+            if (await folderExists(toPrefix)) {
+                await sendMetric('Errors', 1, 'Count');
+                console.error(`[${requestId}] Target folder already exists: ${toPrefix}`);
+                return { statusCode: 409, headers: corsHeaders, body: JSON.stringify({ error: 'A folder with that name already exists' }) };
+            }
+
+            console.log(`[${requestId}] Moving ${objects.length} objects from ${fromPrefix} to ${toPrefix}`);
+            const records = await getFileRecords(objects.filter(object => !object.Key.endsWith('/')).map(object => object.Key.split('/').pop()));
+            // Files trashed, moved or deleted by another request since the listing stay where that request put them
+            const skippedFileIds = [];
+            for (const object of objects) {
+                const newKey = `${toPrefix}${object.Key.slice(fromPrefix.length)}`;
+                const record = records[object.Key.split('/').pop()];
+                try {
+                    await copyObject(object.Key, newKey);
+                } catch (err) {
+                    if (err.name !== 'NoSuchKey') throw err;
+                    if (record) skippedFileIds.push(record.fileId);
+                    continue;
+                }
+                if (record && record.userId === userId && record.key === object.Key) {
+                    const newFolder = folderOfKey(userId, newKey);
+                    const moved = await updateFileRecord(record, { key: newKey, folder: newFolder, ownerFolder: `${userId}#${newFolder}` });
+                    if (!moved) {
+                        await s3Client.send(new DeleteObjectCommand({ Bucket: BUCKET_NAME, Key: newKey }));
+                        skippedFileIds.push(record.fileId);
+                        continue;
+                    }
+                }
+                await s3Client.send(new DeleteObjectCommand({ Bucket: BUCKET_NAME, Key: object.Key }));
+            }
+            if (skippedFileIds.length > 0) {
+                console.log(`[${requestId}] Left ${skippedFileIds.length} files that changed during the move:`, skippedFileIds);
+            }
+
+            const duration = Date.now() - startTime;
+            await sendMetric('RequestDuration', duration, 'Milliseconds');
+            await sendMetric('FoldersMoved', 1, 'Count');
+
+            console.log(`[${requestId}] [SUCCESS] Folder ${fromFolder} moved to ${toFolder} in ${duration}ms`);
+            return {
+                statusCode: 200,
+                headers: corsHeaders,
+                body: JSON.stringify({
+                    message: 'Folder moved successfully',
+                    folder: { name: toFolder.split('/').slice(-2)[0], path: toFolder },
+                    movedCount: objects.length - skippedFileIds.length,
+                    skippedFileIds
+                })
+            };
+        }
+
+        // DELETE /files/folders?path=&recursive=true - a folder with contents is only removed when
+        // recursive; its files go to the trash and the folder itself is gone
+        if (method === 'DELETE' && path.endsWith('/files/folders')) {
+            operationType = 'DELETE_FOLDER';
+            const folder = normalizeFolder(queryParameters.path);
+            if (!folder) {
+                await sendMetric('Errors', 1, 'Count');
+                console.error(`[${requestId}] Invalid folder path: ${queryParameters.path}`);
+                return { statusCode: 400, headers: corsHeaders, body: JSON.stringify({ error: 'A valid folder path is required' }) };
+            }
+
+            const prefix = `users/${userId}/${folder}`;
+            const { objects } = await listAllObjects(prefix);
+            if (objects.length === 0) {
+                await sendMetric('Errors', 1, 'Count');
+                console.error(`[${requestId}] Folder not found: ${prefix}`);
+                return { statusCode: 404, headers: corsHeaders, body: JSON.stringify({ error: 'Folder not found' }) };
+            }
+
+            const contents = objects.filter(object => object.Key !== prefix);
+            if (contents.length > 0 && queryParameters.recursive !== 'true') {
+                await sendMetric('Errors', 1, 'Count');
+                console.error(`[${requestId}] Folder not empty: ${prefix} (${contents.length} objects)`);
+                return {
+                    statusCode: 409,
+                    headers: corsHeaders,
+                    body: JSON.stringify({ error: 'Folder is not empty', code: 'FOLDER_NOT_EMPTY', itemCount: contents.length })
+                };
+            }
+
+            const files = objects.filter(object => !object.Key.endsWith('/'));
+            const records = await getFileRecords(files.map(object => object.Key.split('/').pop()));
+            const deletedAt = new Date().toISOString();
+            const leftovers = objects.filter(object => object.Key.endsWith('/')).map(object => object.Key);
+            let trashedCount = 0;
+
+            console.log(`[${requestId}] Deleting folder ${prefix} with ${files.length} files`);
+            for (const object of files) {
+                const fileId = object.Key.split('/').pop();
+                const record = records[fileId];
+                if (record && record.userId === userId && !record.deletedAt) {
+                    if (await moveToTrash(record, deletedAt)) trashedCount++;
+                } else if (!record && !FILE_ID_PATTERN.test(fileId)) {
+                    if (await moveToTrash(legacyRecord(userId, object.Key, object.Size, object.LastModified), deletedAt)) trashedCount++;
+                } else {
+                    // Uploads that were never confirmed have nothing worth keeping
+                    leftovers.push(object.Key);
+                }
+            }
+            await deleteObjects(leftovers);
+
+            const duration = Date.now() - startTime;
+            await sendMetric('RequestDuration', duration, 'Milliseconds');
+            await sendMetric('FoldersDeleted', 1, 'Count');
+            await sendMetric('FilesTrashed', trashedCount, 'Count');
+
+            console.log(`[${requestId}] [SUCCESS] Folder deleted, ${trashedCount} files moved to trash in ${duration}ms`);
+            return {
+                statusCode: 200,
+                headers: corsHeaders,
+                body: JSON.stringify({ message: 'Folder deleted; its files were moved to the trash', path: folder, trashedCount })
+            };
+        }
+
+        // PATCH /files/{id} - rename and/or move a file: { name, folder }
+        if (method === 'PATCH' && path.includes('/files/')) {
+            operationType = 'UPDATE_FILE';
+            const fileId = pathParameters.fileId || pathParameters.id || (path.split('/').pop() || '').trim();
+            let data;
+            try {
+                data = JSON.parse(event.body || '{}');
+            } catch (err) {
+                await sendMetric('Errors', 1, 'Count');
+                console.error(`[${requestId}] JSON parse error:`, err);
+                return { statusCode: 400, headers: corsHeaders, body: JSON.stringify({ error: 'Invalid JSON in request body' }) };
+            }
+
+            if (data.name === undefined && data.folder === undefined) {
+                await sendMetric('Errors', 1, 'Count');
+                console.error(`[${requestId}] Nothing to update for file ${fileId}`);
+                return { statusCode: 400, headers: corsHeaders, body: JSON.stringify({ error: 'name or folder is required' }) };
+            }
+
+            const file = await resolveFile(userId, fileId);
+            if (!file) {
+                await sendMetric('Errors', 1, 'Count');
+                console.error(`[${requestId}] File not found or not owned by user: ${fileId}`);
+                return { statusCode: 404, headers: corsHeaders, body: JSON.stringify({ error: 'File not found' }) };
+            }
+
+            const name = data.name === undefined ? file.name : sanitizeFileName(data.name);
+            if (!name || name.length > 255) {
+                await sendMetric('Errors', 1, 'Count');
+                console.error(`[${requestId}] Invalid file name: ${data.name}`);
+                return { statusCode: 400, headers: corsHeaders, body: JSON.stringify({ error: 'A file name of up to 255 characters is required' }) };
+            }
+            // The stored bytes were validated against the original extension
+            if (getExtension(name) !== getExtension(file.name)) {
+                await sendMetric('Errors', 1, 'Count');
+                console.error(`[${requestId}] Extension change rejected: ${file.name} -> ${name}`);
+                return {
+                    statusCode: 400,
+                    headers: corsHeaders,
+                    body: JSON.stringify({ error: `The file extension must stay .${getExtension(file.name)}`, code: 'EXTENSION_CHANGE_NOT_ALLOWED' })
+                };
+            }
+
+            const folder = data.folder === undefined ? folderOfKey(userId, file.key) : normalizeFolder(data.folder);
+            if (folder === null) {
+                await sendMetric('Errors', 1, 'Count');
+                console.error(`[${requestId}] Invalid folder: ${data.folder}`);
+                return { statusCode: 400, headers: corsHeaders, body: JSON.stringify({ error: 'Invalid folder' }) };
+            }
+
+            // Names live in the metadata item, so only a move touches S3. Legacy files get an item
+            // here, keyed by their existing ID so links to them keep working.
+            const newKey = `users/${userId}/${folder}${file.key.split('/').pop()}`;
+            const { legacy, ...existing } = file;
+            const changes = { updatedAt: new Date().toISOString() };
+            if (name !== file.name) Object.assign(changes, { name, nameKey: name.toLowerCase() });
+            if (newKey !== file.key) Object.assign(changes, { key: newKey, folder, ownerFolder: `${userId}#${folder}` });
+
+            if (newKey !== file.key) {
+                console.log(`[${requestId}] Moving ${file.key} to ${newKey}`);
+                await copyObject(file.key, newKey);
+            }
+            let record;
+            if (legacy) {
+                record = { ...existing, key: newKey, folder, name, updatedAt: changes.updatedAt };
+                try {
+                    await docClient.send(new PutCommand({
+                        TableName: FILES_TABLE,
+                        Item: { ...record, ...listingAttributes(record) },
+                        ConditionExpression: 'attribute_not_exists(fileId)'
+                    }));
+                } catch (err) {
+                    if (err.name !== 'ConditionalCheckFailedException') throw err;
+                    record = null;
+                }
+            } else {
+                record = await updateFileRecord(file, changes);
+            }
+            if (!record) {
+                // Trashed or purged while this request ran; drop the copy so only the trashed object remains
+                if (newKey !== file.key) {
+                    await s3Client.send(new DeleteObjectCommand({ Bucket: BUCKET_NAME, Key: newKey }));
+                }
+                await sendMetric('Errors', 1, 'Count');
+                console.error(`[${requestId}] File ${fileId} changed during update`);
+                return { statusCode: 404, headers: corsHeaders, body: JSON.stringify({ error: 'File not found' }) };
+            }
+            if (newKey !== file.key) {
+                await s3Client.send(new DeleteObjectCommand({ Bucket: BUCKET_NAME, Key: file.key }));
+            }
+
+            const duration = Date.now() - startTime;
+            await sendMetric('RequestDuration', duration, 'Milliseconds');
+            await sendMetric('FilesUpdated', 1, 'Count');
+
+            console.log(`[${requestId}] [SUCCESS] File ${fileId} updated${legacy ? ' (adopted legacy file)' : ''} in ${duration}ms`);
+            return { statusCode: 200, headers: corsHeaders, body: JSON.stringify({ message: 'File updated successfully', file: await withThumbnailUrl(userId, toFileInfo(record)) }) };
+        }
+
+        // DELETE /files/{id} - moves the file to the trash
         if (method === 'DELETE' && (path.includes('/files/') || path.endsWith('/files'))) {
             operationType = 'DELETE_FILE';
             const fileId = pathParameters.fileId || pathParameters.id || (path.split('/').pop() || '').trim();
@@ -198,18 +1506,28 @@ export const handler = async (event, context) => {
                 return { statusCode: 400, headers: corsHeaders, body: JSON.stringify({ error: 'File ID is required' }) };
             }
 
-            const fileKey = `users/${userId}/${fileId}`;
-            console.log(`[${requestId}] Deleting file: ${fileKey}`);
+            const file = await resolveFile(userId, fileId);
+            if (!file) {
+                await sendMetric('Errors', 1, 'Count');
+                console.error(`[${requestId}] File not found or not owned by user: ${fileId}`);
+                return { statusCode: 404, headers: corsHeaders, body: JSON.stringify({ error: 'File not found' }) };
+            }
+
+            console.log(`[${requestId}] Moving file to trash: ${file.key}`);
             
-            const command = new DeleteObjectCommand({ Bucket: BUCKET_NAME, Key: fileKey });
-            await s3Client.send(command);
+            const deletedAt = new Date().toISOString();
+            if (!(await moveToTrash(file, deletedAt))) {
+                await sendMetric('Errors', 1, 'Count');
+                console.error(`[${requestId}] File ${fileId} changed while moving it to the trash`);
+                return { statusCode: 404, headers: corsHeaders, body: JSON.stringify({ error: 'File not found' }) };
+            }
             
             const duration = Date.now() - startTime;
             await sendMetric('RequestDuration', duration, 'Milliseconds');
-            await sendMetric('FilesDeleted', 1, 'Count');
+            await sendMetric('FilesTrashed', 1, 'Count');
             
-            console.log(`[${requestId}] [SUCCESS] File deleted in ${duration}ms`);
-            return { statusCode: 200, headers: corsHeaders, body: JSON.stringify({ message: 'File deleted successfully', fileId }) };
+            console.log(`[${requestId}] [SUCCESS] File moved to trash in ${duration}ms`);
+            return { statusCode: 200, headers: corsHeaders, body: JSON.stringify({ message: 'File moved to trash', fileId, deletedAt }) };
         }
 
         await sendMetric('Errors', 1, 'Count');
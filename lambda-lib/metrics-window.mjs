@@ -0,0 +1,66 @@
+// Time window and bucket size for GET /admin/metrics, used by lambda-admin-handler.mjs
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+// Preset ranges for ?range=; anything else needs ?start= and ?end=
+const RANGES = { '1h': HOUR_MS, '24h': DAY_MS, '7d': 7 * DAY_MS, '30d': 30 * DAY_MS };
+const DEFAULT_RANGE = '1h';
+const MIN_CUSTOM_RANGE_MS = 5 * 60 * 1000;
+const MAX_CUSTOM_RANGE_MS = 90 * DAY_MS;
+// CloudWatch keeps hourly data for 455 days
+const MAX_HISTORY_MS = 455 * DAY_MS;
+// Series get the shortest of these periods (seconds) that keeps them to about MAX_BUCKETS points
+const BUCKET_PERIODS = [60, 300, 900, 1800, 3600, 10800, 21600, 43200, 86400];
+const MAX_BUCKETS = 60;
+
+// CloudWatch only keeps one-minute data for 15 days and five-minute data for 63 days, and
+// rejects periods for older data that are not a multiple of what it kept
+export const minimumPeriod = (start, now = Date.now()) => {
+    const age = now - start.getTime();
+    if (age > 63 * DAY_MS) return 3600;
+    if (age > 15 * DAY_MS) return 300;
+    return 60;
+};
+
+// Works out the window and bucket size from the query string. Returns { error } when it is invalid.
+// The end is the current minute for presets; the start is moved back to a bucket boundary so
+// every bucket covers a whole period. wholePeriod is the period for statistics over the whole
+// window: its length rounded up to a period CloudWatch accepts for the start.
+export const resolveWindow = (query = {}, currentTime = Date.now()) => {
+    const now = Math.floor(currentTime / 60000) * 60000;
+    let range = query.range || DEFAULT_RANGE;
+    let start;
+    let end;
+
+    if (query.start || query.end) {
+        range = 'custom';
+        start = Date.parse(query.start);
+        end = Date.parse(query.end);
+        if (Number.isNaN(start) || Number.isNaN(end)) {
+            return { error: 'start and end must be ISO 8601 dates' };
+        }
+        end = Math.min(Math.floor(end / 60000) * 60000, now);
+        start = Math.floor(start / 60000) * 60000;
+        if (end - start < MIN_CUSTOM_RANGE_MS) {
+            return { error: 'The range must be at least 5 minutes long and end in the past' };
+        }
+        if (end - start > MAX_CUSTOM_RANGE_MS) {
+            return { error: 'The range can be at most 90 days long' };
+        }
+        if (now - start > MAX_HISTORY_MS) {
+            return { error: 'Metrics are only kept for 455 days' };
+        }
+    } else if (RANGES[range]) {
+        end = now;
+        start = now - RANGES[range];
+    } else {
+        return { error: `range must be one of ${Object.keys(RANGES).join(', ')}, or pass start and end` };
+    }
+
+    const floor = minimumPeriod(new Date(start), currentTime);
+    const period = BUCKET_PERIODS.find(seconds => seconds >= floor && (end - start) / (seconds * 1000) <= MAX_BUCKETS)
+        || BUCKET_PERIODS[BUCKET_PERIODS.length - 1];
+    const alignedStart = Math.floor(start / (period * 1000)) * period * 1000;
+    const wholePeriod = Math.ceil((end - alignedStart) / (floor * 1000)) * floor;
+    return { range, start: new Date(alignedStart), end: new Date(end), period, wholePeriod };
+};
@@ -0,0 +1,60 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { minimumPeriod, resolveWindow } from './metrics-window.mjs';
+
+const NOW = Date.parse('2026-10-18T12:00:30Z');
+const daysAgo = (days) => new Date(NOW - days * 24 * 60 * 60 * 1000);
+
+describe('minimumPeriod', () => {
+    test('follows how long CloudWatch keeps each resolution', () => {
+        assert.equal(minimumPeriod(daysAgo(1), NOW), 60);
+        assert.equal(minimumPeriod(daysAgo(16), NOW), 300);
+        assert.equal(minimumPeriod(daysAgo(64), NOW), 3600);
+    });
+});
+
+describe('resolveWindow', () => {
+    test('defaults to the last hour up to the current minute', () => {
+        assert.deepEqual(resolveWindow({}, NOW), {
+            range: '1h',
+            start: new Date('2026-10-18T11:00:00Z'),
+            end: new Date('2026-10-18T12:00:00Z'),
+            period: 60,
+            wholePeriod: 3600
+        });
+    });
+
+    test('picks the shortest period that keeps to 60 buckets', () => {
+        const { start, period, wholePeriod } = resolveWindow({ range: '24h' }, NOW);
+        assert.equal(period, 1800);
+        assert.deepEqual(start, new Date('2026-10-17T12:00:00Z'));
+        assert.equal(wholePeriod, 86400);
+    });
+
+    test('moves a custom start back to a bucket boundary and stops the end at now', () => {
+        const { range, start, end, period } = resolveWindow({ start: '2026-10-18T10:07:20Z', end: '2026-10-19T00:00:00Z' }, NOW);
+        assert.equal(range, 'custom');
+        assert.equal(period, 300);
+        assert.deepEqual(start, new Date('2026-10-18T10:05:00Z'));
+        assert.deepEqual(end, new Date('2026-10-18T12:00:00Z'));
+    });
+
+    test('rounds the whole-window period up to a multiple CloudWatch accepts for older data', () => {
+        const fiveMinuteData = resolveWindow({ start: '2026-09-28T10:07:00Z', end: '2026-09-28T11:07:00Z' }, NOW);
+        assert.equal(fiveMinuteData.period, 300);
+        assert.equal(fiveMinuteData.wholePeriod, 3900);
+
+        const hourlyData = resolveWindow({ start: '2026-08-09T10:30:00Z', end: '2026-08-11T09:45:00Z' }, NOW);
+        assert.equal(hourlyData.period, 3600);
+        assert.deepEqual(hourlyData.start, new Date('2026-08-09T10:00:00Z'));
+        assert.equal(hourlyData.wholePeriod, 48 * 3600);
+    });
+
+    test('rejects unknown ranges and custom ranges it cannot serve', () => {
+        assert.match(resolveWindow({ range: '2h' }, NOW).error, /range must be one of 1h, 24h, 7d, 30d/);
+        assert.match(resolveWindow({ start: 'yesterday', end: 'today' }, NOW).error, /ISO 8601/);
+        assert.match(resolveWindow({ start: '2026-10-18T11:58:00Z', end: '2026-10-18T12:00:00Z' }, NOW).error, /at least 5 minutes/);
+        assert.match(resolveWindow({ start: '2026-06-01T00:00:00Z', end: '2026-10-01T00:00:00Z' }, NOW).error, /at most 90 days/);
+        assert.match(resolveWindow({ start: '2025-01-01T00:00:00Z', end: '2025-01-02T00:00:00Z' }, NOW).error, /455 days/);
+    });
+});
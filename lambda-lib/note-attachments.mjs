@@ -0,0 +1,66 @@
+// Keeps the attachment lists on notes in step with the files they link to, shared by
+// lambda-files-handler.mjs (a file moves to the trash) and lambda-trash-handler.mjs (it is
+// restored or purged). A note lists live files in attachments and trashed ones in
+// trashedAttachments, so a trashed file drops out of the note until it comes back.
+
+import { QueryCommand, UpdateCommand } from "@aws-sdk/lib-dynamodb";
+
+const NOTES_TABLE = 'Notes';
+// GSI on the Notes table: partition key userId, sort key createdAt
+const NOTES_USER_INDEX = 'userId-createdAt-index';
+
+const without = (list, fileId) => (list || []).filter(id => id !== fileId);
+const including = (list, fileId) => ((list || []).includes(fileId) ? list : [...(list || []), fileId]);
+
+// A note's { attachments, trashedAttachments } after fileId is trashed, restored or purged
+export const relinkAttachments = (note, fileId, change) => {
+    switch (change) {
+        case 'trash':
+            return { attachments: without(note.attachments, fileId), trashedAttachments: including(note.trashedAttachments, fileId) };
+        case 'restore':
+            return { attachments: including(note.attachments, fileId), trashedAttachments: without(note.trashedAttachments, fileId) };
+        case 'purge':
+            return { attachments: without(note.attachments, fileId), trashedAttachments: without(note.trashedAttachments, fileId) };
+        default:
+            throw new Error(`Unknown attachment change: ${change}`);
+    }
+};
+
+// Applies relinkAttachments to every note of the file's owner that links to it (trashed notes
+// included, so a restored note never points at a purged file)
+export const relinkNotes = async (docClient, record, change) => {
+    let exclusiveStartKey;
+    do {
+        const response = await docClient.send(new QueryCommand({
+            TableName: NOTES_TABLE,
+            IndexName: NOTES_USER_INDEX,
+            KeyConditionExpression: 'userId = :userId',
+            FilterExpression: 'contains(attachments, :fileId) OR contains(trashedAttachments, :fileId)',
+            ExpressionAttributeValues: { ':userId': record.userId, ':fileId': record.fileId },
+            ExclusiveStartKey: exclusiveStartKey
+        }));
+        for (const note of response.Items || []) {
+            const lists = relinkAttachments(note, record.fileId, change);
+            const values = { ':attachments': lists.attachments, ':trashedAttachments': lists.trashedAttachments };
+            const conditions = ['attachments', 'trashedAttachments'].map(name => {
+                if (note[name] === undefined) return `attribute_not_exists(${name})`;
+                values[`:previous_${name}`] = note[name];
+                return `${name} = :previous_${name}`;
+            });
+            try {
+                await docClient.send(new UpdateCommand({
+                    TableName: NOTES_TABLE,
+                    Key: { noteId: note.noteId },
+                    UpdateExpression: 'SET attachments = :attachments, trashedAttachments = :trashedAttachments',
+                    ConditionExpression: conditions.join(' AND '),
+                    ExpressionAttributeValues: values
+                }));
+            } catch (err) {
+                // Attachments changed since the query; the note view still reads the file's state
+                // from its Files record, so it shows as trashed or missing instead
+                if (err.name !== 'ConditionalCheckFailedException') throw err;
+            }
+        }
+        exclusiveStartKey = response.LastEvaluatedKey;
+    } while (exclusiveStartKey);
+};
@@ -0,0 +1,33 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { relinkAttachments } from './note-attachments.mjs';
+
+describe('relinkAttachments', () => {
+    test('moves a trashed file out of the attachments', () => {
+        assert.deepEqual(relinkAttachments({ attachments: ['a', 'b'] }, 'a', 'trash'), {
+            attachments: ['b'],
+            trashedAttachments: ['a']
+        });
+    });
+
+    test('puts a restored file back at the end of the attachments', () => {
+        assert.deepEqual(relinkAttachments({ attachments: ['b'], trashedAttachments: ['a', 'c'] }, 'a', 'restore'), {
+            attachments: ['b', 'a'],
+            trashedAttachments: ['c']
+        });
+    });
+
+    test('drops a purged file from both lists', () => {
+        assert.deepEqual(relinkAttachments({ attachments: ['a'], trashedAttachments: ['b'] }, 'b', 'purge'), {
+            attachments: ['a'],
+            trashedAttachments: []
+        });
+    });
+
+    test('does not list a file twice', () => {
+        assert.deepEqual(relinkAttachments({ attachments: ['a'], trashedAttachments: ['a'] }, 'a', 'restore'), {
+            attachments: ['a'],
+            trashedAttachments: []
+        });
+    });
+});
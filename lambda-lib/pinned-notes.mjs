@@ -0,0 +1,23 @@
+// The pinned section of the notes list, shared by lambda-notes-handler.mjs (pinning) and
+// lambda-trash-handler.mjs (restoring a pinned note). Only live pinned notes carry pinnedAt,
+// which puts them in a sparse GSI (partition key userId, sort key pinnedAt); the list reads at
+// most MAX_PINNED_NOTES from it, so every path that sets pinnedAt has to respect the cap.
+
+import { QueryCommand } from "@aws-sdk/lib-dynamodb";
+
+const NOTES_TABLE = 'Notes';
+export const PINNED_INDEX_NAME = 'userId-pinnedAt-index';
+export const MAX_PINNED_NOTES = 20;
+
+// Pinned notes the user has now; at most MAX_PINNED_NOTES are read
+export const countPinnedNotes = async (docClient, userId) => {
+    const response = await docClient.send(new QueryCommand({
+        TableName: NOTES_TABLE,
+        IndexName: PINNED_INDEX_NAME,
+        KeyConditionExpression: 'userId = :userId',
+        ExpressionAttributeValues: { ':userId': userId },
+        Select: 'COUNT',
+        Limit: MAX_PINNED_NOTES
+    }));
+    return response.Count || 0;
+};
@@ -0,0 +1,18 @@
+// User roles, shared by the notes, files, trash, share and admin handlers. The frontend gets its
+// role from GET /notes/role rather than a copy of these rules.
+// Roles come from the Cognito groups in the ID token: admin, member or read-only. Users in no
+// group are members; someone in several groups gets the most privileged one. Groups are only
+// changed by administrators, unlike custom attributes, which users can often write themselves.
+
+const ROLES = ['read-only', 'member', 'admin'];
+const DEFAULT_ROLE = 'member';
+
+export const getUserRole = (claims) => {
+    const groups = claims?.['cognito:groups'];
+    // REST API authorizers pass the groups as "a,b", HTTP API JWT authorizers as "[a b]"
+    const names = Array.isArray(groups) ? groups : String(groups || '').replace(/^\[|\]$/g, '').split(/[\s,]+/);
+    return names
+        .map(name => String(name).trim().toLowerCase())
+        .filter(name => ROLES.includes(name))
+        .reduce((best, name) => (ROLES.indexOf(name) > ROLES.indexOf(best) ? name : best), null) || DEFAULT_ROLE;
+};
@@ -0,0 +1,22 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { getUserRole } from './roles.mjs';
+
+describe('getUserRole', () => {
+    test('makes users in no known group members', () => {
+        assert.equal(getUserRole(undefined), 'member');
+        assert.equal(getUserRole({}), 'member');
+        assert.equal(getUserRole({ 'cognito:groups': 'testers' }), 'member');
+    });
+
+    test('reads the groups as a list, "a,b" or "[a b]"', () => {
+        assert.equal(getUserRole({ 'cognito:groups': ['read-only'] }), 'read-only');
+        assert.equal(getUserRole({ 'cognito:groups': 'testers,Admin' }), 'admin');
+        assert.equal(getUserRole({ 'cognito:groups': '[testers read-only]' }), 'read-only');
+    });
+
+    test('picks the most privileged of several roles', () => {
+        assert.equal(getUserRole({ 'cognito:groups': ['read-only', 'member'] }), 'member');
+        assert.equal(getUserRole({ 'cognito:groups': '[admin read-only]' }), 'admin');
+    });
+});
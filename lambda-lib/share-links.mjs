@@ -0,0 +1,173 @@
+// Public share links, shared by lambda-notes-handler.mjs and lambda-files-handler.mjs (which create
+// them) and lambda-share-handler.mjs (which serves, lists and revokes them). One ShareLinks item per
+// link; expired items are removed by the ttl attribute.
+
+import { GetCommand, PutCommand, QueryCommand, UpdateCommand, DeleteCommand } from "@aws-sdk/lib-dynamodb";
+import { randomBytes, scrypt, timingSafeEqual } from 'crypto';
+import { promisify } from 'util';
+
+// Partition key token; GSI userId-createdAt-index lists a user's links
+export const SHARES_TABLE = 'ShareLinks';
+const SHARES_USER_INDEX = 'userId-createdAt-index';
+const DEFAULT_SHARE_HOURS = 7 * 24;
+const MAX_SHARE_HOURS = 30 * 24;
+const MAX_SHARE_DOWNLOADS = 1000;
+const MIN_SHARE_PASSWORD_LENGTH = 8;
+const MAX_SHARE_PASSWORD_LENGTH = 128;
+// Wrong passwords a link takes before it stops checking them for the lockout window
+const MAX_PASSWORD_ATTEMPTS = 5;
+const PASSWORD_LOCKOUT_MS = 15 * 60 * 1000;
+const scryptAsync = promisify(scrypt);
+
+// Validates { expiresInHours, password, maxDownloads } from a share request.
+// Returns { error } or { expiresInHours, password, maxDownloads } with defaults filled in.
+export const parseShareOptions = (body) => {
+    const expiresInHours = body.expiresInHours === undefined ? DEFAULT_SHARE_HOURS : Number(body.expiresInHours);
+    if (!Number.isInteger(expiresInHours) || expiresInHours < 1 || expiresInHours > MAX_SHARE_HOURS) {
+        return { error: `expiresInHours must be a whole number of hours between 1 and ${MAX_SHARE_HOURS}` };
+    }
+    const password = body.password ? String(body.password) : null;
+    if (password && (password.length < MIN_SHARE_PASSWORD_LENGTH || password.length > MAX_SHARE_PASSWORD_LENGTH)) {
+        return { error: `password must be between ${MIN_SHARE_PASSWORD_LENGTH} and ${MAX_SHARE_PASSWORD_LENGTH} characters` };
+    }
+    const maxDownloads = body.maxDownloads === undefined || body.maxDownloads === null ? null : Number(body.maxDownloads);
+    if (maxDownloads !== null && (!Number.isInteger(maxDownloads) || maxDownloads < 1 || maxDownloads > MAX_SHARE_DOWNLOADS)) {
+        return { error: `maxDownloads must be a whole number between 1 and ${MAX_SHARE_DOWNLOADS}` };
+    }
+    return { expiresInHours, password, maxDownloads };
+};
+
+// Stored as "salt:hash" (hex)
+export const hashSharePassword = async (password) => {
+    const salt = randomBytes(16);
+    const hash = await scryptAsync(password, salt, 32);
+    return `${salt.toString('hex')}:${hash.toString('hex')}`;
+};
+
+export const verifySharePassword = async (password, stored) => {
+    const [salt, hash] = stored.split(':');
+    const expected = Buffer.from(hash, 'hex');
+    const actual = await scryptAsync(password, Buffer.from(salt, 'hex'), expected.length);
+    return timingSafeEqual(actual, expected);
+};
+
+export const isLockedOut = (share) => Boolean(share.lockedUntil) && new Date(share.lockedUntil).getTime() > Date.now();
+
+// Counts a wrong password on the link. The MAX_PASSWORD_ATTEMPTS-th one locks the link for
+// PASSWORD_LOCKOUT_MS and starts the count again. The increment only applies while the link is
+// not locked, so attempts racing the lock cannot extend it. Returns the lock's end time if the
+// link is locked now, otherwise null.
+export const recordFailedPassword = async (docClient, share) => {
+    const now = new Date();
+    let failedAttempts;
+    try {
+        const response = await docClient.send(new UpdateCommand({
+            TableName: SHARES_TABLE,
+            Key: { token: share.token },
+            UpdateExpression: 'SET failedAttempts = if_not_exists(failedAttempts, :zero) + :one',
+            ConditionExpression: 'attribute_exists(#token) AND (attribute_not_exists(lockedUntil) OR lockedUntil <= :now)',
+            ExpressionAttributeNames: { '#token': 'token' },
+            ExpressionAttributeValues: { ':zero': 0, ':one': 1, ':now': now.toISOString() },
+            ReturnValues: 'UPDATED_NEW'
+        }));
+        failedAttempts = response.Attributes.failedAttempts;
+    } catch (err) {
+        if (err.name !== 'ConditionalCheckFailedException') throw err;
+        // Locked by another attempt since the link was read, or revoked
+        const { Item } = await docClient.send(new GetCommand({ TableName: SHARES_TABLE, Key: { token: share.token } }));
+        return Item && isLockedOut(Item) ? Item.lockedUntil : null;
+    }
+    if (failedAttempts < MAX_PASSWORD_ATTEMPTS) return null;
+
+    const lockedUntil = new Date(now.getTime() + PASSWORD_LOCKOUT_MS).toISOString();
+    try {
+        await docClient.send(new UpdateCommand({
+            TableName: SHARES_TABLE,
+            Key: { token: share.token },
+            UpdateExpression: 'SET lockedUntil = :lockedUntil, failedAttempts = :zero',
+            ConditionExpression: 'failedAttempts >= :max',
+            ExpressionAttributeValues: { ':lockedUntil': lockedUntil, ':zero': 0, ':max': MAX_PASSWORD_ATTEMPTS }
+        }));
+    } catch (err) {
+        // Another attempt reached the limit at the same time and set the lock
+        if (err.name !== 'ConditionalCheckFailedException') throw err;
+    }
+    return lockedUntil;
+};
+
+// A share link as its owner sees it; the password hash never leaves the table
+export const toShareInfo = (share) => ({
+    token: share.token,
+    type: share.type,
+    itemId: share.itemId,
+    title: share.title,
+    createdAt: share.createdAt,
+    expiresAt: share.expiresAt,
+    hasPassword: Boolean(share.passwordHash),
+    maxDownloads: share.maxDownloads,
+    downloadCount: share.downloadCount
+});
+
+// DynamoDB TTL deletes expired items eventually (up to a few days late), so expiry is checked here too
+export const isExpired = (share) => new Date(share.expiresAt).getTime() <= Date.now();
+
+// options come from parseShareOptions
+export const createShareLink = async (docClient, { userId, type, itemId, title, options }) => {
+    const now = new Date();
+    const expiresAt = new Date(now.getTime() + options.expiresInHours * 60 * 60 * 1000);
+    const share = {
+        token: randomBytes(24).toString('base64url'),
+        userId,
+        type,
+        itemId,
+        title,
+        createdAt: now.toISOString(),
+        expiresAt: expiresAt.toISOString(),
+        ttl: Math.floor(expiresAt.getTime() / 1000),
+        passwordHash: options.password ? await hashSharePassword(options.password) : null,
+        maxDownloads: options.maxDownloads,
+        downloadCount: 0
+    };
+    await docClient.send(new PutCommand({
+        TableName: SHARES_TABLE,
+        Item: share,
+        ConditionExpression: 'attribute_not_exists(#token)',
+        ExpressionAttributeNames: { '#token': 'token' }
+    }));
+    return toShareInfo(share);
+};
+
+// The user's links, newest first, expired ones included (and marked) until TTL removes them
+export const listShareLinks = async (docClient, userId) => {
+    const shares = [];
+    let exclusiveStartKey;
+    do {
+        const response = await docClient.send(new QueryCommand({
+            TableName: SHARES_TABLE,
+            IndexName: SHARES_USER_INDEX,
+            KeyConditionExpression: 'userId = :userId',
+            ExpressionAttributeValues: { ':userId': userId },
+            ScanIndexForward: false,
+            ExclusiveStartKey: exclusiveStartKey
+        }));
+        shares.push(...(response.Items || []));
+        exclusiveStartKey = response.LastEvaluatedKey;
+    } while (exclusiveStartKey);
+    return shares.map(share => ({ ...toShareInfo(share), expired: isExpired(share) }));
+};
+
+// Returns false if there is no such link or it belongs to someone else
+export const revokeShareLink = async (docClient, userId, token) => {
+    try {
+        await docClient.send(new DeleteCommand({
+            TableName: SHARES_TABLE,
+            Key: { token },
+            ConditionExpression: 'userId = :userId',
+            ExpressionAttributeValues: { ':userId': userId }
+        }));
+        return true;
+    } catch (err) {
+        if (err.name === 'ConditionalCheckFailedException') return false;
+        throw err;
+    }
+};
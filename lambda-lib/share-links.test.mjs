@@ -0,0 +1,56 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseShareOptions, hashSharePassword, verifySharePassword, isLockedOut, toShareInfo, isExpired } from './share-links.mjs';
+
+describe('parseShareOptions', () => {
+    test('fills in a week without a password or download limit', () => {
+        assert.deepEqual(parseShareOptions({}), { expiresInHours: 168, password: null, maxDownloads: null });
+    });
+
+    test('accepts whole numbers in range', () => {
+        assert.deepEqual(parseShareOptions({ expiresInHours: '24', password: 'open sesame', maxDownloads: 5 }), {
+            expiresInHours: 24,
+            password: 'open sesame',
+            maxDownloads: 5
+        });
+    });
+
+    test('rejects out of range values', () => {
+        assert.match(parseShareOptions({ expiresInHours: 721 }).error, /expiresInHours/);
+        assert.match(parseShareOptions({ expiresInHours: 1.5 }).error, /expiresInHours/);
+        assert.match(parseShareOptions({ password: 'seven77' }).error, /password/);
+        assert.match(parseShareOptions({ maxDownloads: 0 }).error, /maxDownloads/);
+    });
+});
+
+describe('share passwords', () => {
+    test('verify against their salted hash only', async () => {
+        const stored = await hashSharePassword('open sesame');
+        assert.notEqual(stored, await hashSharePassword('open sesame'));
+        assert.equal(await verifySharePassword('open sesame', stored), true);
+        assert.equal(await verifySharePassword('open sesame!', stored), false);
+    });
+});
+
+describe('isLockedOut', () => {
+    test('holds until lockedUntil has passed', () => {
+        assert.equal(isLockedOut({}), false);
+        assert.equal(isLockedOut({ lockedUntil: new Date(Date.now() + 60000).toISOString() }), true);
+        assert.equal(isLockedOut({ lockedUntil: new Date(Date.now() - 1000).toISOString() }), false);
+    });
+});
+
+describe('toShareInfo', () => {
+    test('says whether there is a password without returning its hash', () => {
+        const info = toShareInfo({ token: 't', type: 'note', passwordHash: 'salt:hash', downloadCount: 0 });
+        assert.equal(info.hasPassword, true);
+        assert.equal('passwordHash' in info, false);
+    });
+});
+
+describe('isExpired', () => {
+    test('compares expiresAt with the current time', () => {
+        assert.equal(isExpired({ expiresAt: new Date(Date.now() - 1000).toISOString() }), true);
+        assert.equal(isExpired({ expiresAt: new Date(Date.now() + 60000).toISOString() }), false);
+    });
+});
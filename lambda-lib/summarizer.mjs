@@ -0,0 +1,72 @@
+// Note and file summaries, shared by lambda-notes-handler.mjs and lambda-files-handler.mjs.
+//
+// Summarizers share one interface: summarize(text, { maxSentences }) resolves to the sentences
+// that make up the summary, in reading order. SUMMARIZER picks one by name; the default
+// extractive one runs locally, so summaries need no external service.
+const SUMMARIZER = process.env.SUMMARIZER || 'extractive';
+const SUMMARY_MAX_SENTENCES = 3;
+const SUMMARY_STOPWORDS = new Set([
+    'a', 'about', 'after', 'all', 'also', 'an', 'and', 'any', 'are', 'as', 'at', 'be', 'because', 'been', 'but',
+    'by', 'can', 'could', 'did', 'do', 'does', 'for', 'from', 'had', 'has', 'have', 'he', 'her', 'his', 'how',
+    'i', 'if', 'in', 'into', 'is', 'it', 'its', 'just', 'me', 'more', 'my', 'no', 'not', 'of', 'on', 'one', 'or',
+    'our', 'out', 'she', 'so', 'some', 'than', 'that', 'the', 'their', 'them', 'then', 'there', 'these', 'they',
+    'this', 'to', 'up', 'us', 'was', 'we', 'were', 'what', 'when', 'which', 'who', 'will', 'with', 'would', 'you', 'your'
+]);
+
+// Line breaks always end a sentence (list items, headings); within a line a sentence ends at
+// . ! or ? followed by a capital or digit, so "e.g. this" and "3.5" stay in one piece
+export const splitSentences = (text) => text
+    .split(/\n+/)
+    .map(line => line.replace(/^\s*(?:[-*+•]|\d+[.)])\s+/, ''))
+    .flatMap(line => line.split(/(?<=[.!?]["')\]]?)\s+(?=["'([]?[\p{Lu}\p{N}])/u))
+    .map(sentence => sentence.trim())
+    .filter(sentence => /[\p{L}\p{N}]/u.test(sentence));
+
+// Scores each sentence by how frequent its words are across the whole text and keeps the best
+const summarizeExtractive = async (text, { maxSentences }) => {
+    const sentences = splitSentences(text);
+    if (sentences.length <= maxSentences) return sentences;
+
+    const sentenceWords = sentences.map(sentence => (sentence.toLowerCase().match(/[\p{L}\p{N}]+/gu) || [])
+        .filter(word => word.length > 1 && !SUMMARY_STOPWORDS.has(word)));
+    const frequency = new Map();
+    sentenceWords.flat().forEach(word => frequency.set(word, (frequency.get(word) || 0) + 1));
+    const topFrequency = [...frequency.values()].reduce((max, count) => Math.max(max, count), 1);
+
+    const scored = sentenceWords.map((words, index) => {
+        const weight = words.reduce((sum, word) => sum + frequency.get(word) / topFrequency, 0);
+        // Dividing by the square root keeps long sentences from winning on length alone
+        const score = words.length ? weight / Math.sqrt(words.length) : 0;
+        // The opening sentence usually states what the text is about
+        return { index, score: index === 0 ? score * 1.25 : score };
+    });
+
+    return scored
+        .sort((a, b) => b.score - a.score || a.index - b.index)
+        .slice(0, maxSentences)
+        .sort((a, b) => a.index - b.index)
+        .map(({ index }) => sentences[index]);
+};
+
+const SUMMARIZERS = {
+    extractive: summarizeExtractive
+};
+
+export const summarize = async (text) => {
+    const name = SUMMARIZERS[SUMMARIZER] ? SUMMARIZER : 'extractive';
+    const sentences = await SUMMARIZERS[name](text, { maxSentences: SUMMARY_MAX_SENTENCES });
+    // List items and headings have no full stop of their own
+    const summary = sentences.map(sentence => (/[.!?…]["')\]]?$/.test(sentence) ? sentence : `${sentence}.`)).join(' ');
+    return { summary, sentences, summarizer: name };
+};
+
+// Notes and markdown files are summarized from the text a reader would see
+export const markdownToText = (markdown) => markdown
+    .replace(/```[\s\S]*?```/g, '\n')
+    .replace(/!\[[^\]]*\]\([^)]*\)/g, '')
+    .replace(/\[([^\]]*)\]\([^)]*\)/g, '$1')
+    .replace(/^\s{0,3}(?:#{1,6}|>)\s*/gm, '')
+    .replace(/^\s*[-*+]\s+/gm, '')
+    .replace(/[*~`]+/g, '')
+    // Underscores only as emphasis, so snake_case words survive
+    .replace(/(^|[^\p{L}\p{N}])_+|_+(?=[^\p{L}\p{N}]|$)/gmu, '$1');
@@ -0,0 +1,60 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { splitSentences, summarize, markdownToText } from './summarizer.mjs';
+
+describe('splitSentences', () => {
+    test('ends sentences at line breaks and at . ! or ? before a capital or digit', () => {
+        assert.deepEqual(splitSentences('First one. Second one! Third?\nA heading\n- a list item'), [
+            'First one.', 'Second one!', 'Third?', 'A heading', 'a list item'
+        ]);
+    });
+
+    test('keeps abbreviations and decimals in one piece', () => {
+        assert.deepEqual(splitSentences('Use a tool, e.g. this one. Version 3.5 is out.'), [
+            'Use a tool, e.g. this one.', 'Version 3.5 is out.'
+        ]);
+    });
+
+    test('splits before quoted and bracketed sentences', () => {
+        assert.deepEqual(splitSentences('He said "Go." [Then] he left. (Later) we met.'), [
+            'He said "Go."', '[Then] he left.', '(Later) we met.'
+        ]);
+    });
+});
+
+describe('summarize', () => {
+    test('returns short text as it is', async () => {
+        assert.deepEqual(await summarize('Only one sentence here.'), {
+            summary: 'Only one sentence here.',
+            sentences: ['Only one sentence here.'],
+            summarizer: 'extractive'
+        });
+    });
+
+    test('keeps the three most representative sentences in reading order', async () => {
+        const text = [
+            'The budget review covers the budget for next year.',
+            'Lunch was nice.',
+            'The budget needs approval from finance before the review ends.',
+            'Someone mentioned the weather.',
+            'Finance will send the approved budget after the review.'
+        ].join(' ');
+        const { sentences } = await summarize(text);
+        assert.deepEqual(sentences, [
+            'The budget review covers the budget for next year.',
+            'The budget needs approval from finance before the review ends.',
+            'Finance will send the approved budget after the review.'
+        ]);
+    });
+
+    test('adds a full stop to list items and headings', async () => {
+        assert.equal((await summarize('Shopping\n- milk\n- eggs')).summary, 'Shopping. milk. eggs.');
+    });
+});
+
+describe('markdownToText', () => {
+    test('keeps the text a reader would see', () => {
+        const markdown = '# Plan\n\n> **Bold** and _italic_ with [a link](https://example.com)\n\n```js\ncode();\n```\n![img](x.png)\n- item with snake_case';
+        assert.equal(markdownToText(markdown), 'Plan\nBold and italic with a link\nitem with snake_case');
+    });
+});
@@ -0,0 +1,135 @@
+// Tokenizing and stemming shared by lambda-search-handler.mjs: the same rules build the
+// SearchIndex terms, parse queries and highlight matches in results.
+
+// Longer words are not indexed
+const MAX_TERM_LENGTH = 40;
+
+const STOPWORDS = new Set([
+    'a', 'an', 'and', 'are', 'as', 'at', 'be', 'but', 'by', 'for', 'from', 'if', 'in', 'into', 'is', 'it',
+    'its', 'of', 'on', 'or', 'so', 'that', 'the', 'their', 'then', 'there', 'these', 'they', 'this', 'to',
+    'was', 'were', 'will', 'with'
+]);
+
+// Lowercased words with their offsets in the original text
+export const tokenize = (text) => [...String(text || '').matchAll(/[\p{L}\p{N}]+/gu)].map(match => ({
+    word: match[0].toLowerCase(),
+    start: match.index,
+    end: match.index + match[0].length
+}));
+
+// Step 1 of the Porter stemmer (plurals, -ed, -ing, -y), enough for "notes", "noted" and
+// "noting" to all match "note". Words that are not plain a-z are left alone.
+const isConsonant = (word, i) => {
+    if ('aeiou'.includes(word[i])) return false;
+    if (word[i] === 'y') return i === 0 || !isConsonant(word, i - 1);
+    return true;
+};
+
+// Porter's measure: the number of vowel-consonant sequences in the word
+const measure = (word) => {
+    let m = 0;
+    let i = 0;
+    while (i < word.length && isConsonant(word, i)) i++;
+    while (i < word.length) {
+        while (i < word.length && !isConsonant(word, i)) i++;
+        if (i >= word.length) break;
+        while (i < word.length && isConsonant(word, i)) i++;
+        m++;
+    }
+    return m;
+};
+
+const hasVowel = (word) => [...word].some((_, i) => !isConsonant(word, i));
+
+const endsConsonantVowelConsonant = (word) => {
+    const n = word.length;
+    return n >= 3 && isConsonant(word, n - 3) && !isConsonant(word, n - 2) && isConsonant(word, n - 1)
+        && !'wxy'.includes(word[n - 1]);
+};
+
+export const stem = (word) => {
+    if (word.length <= 3 || !/^[a-z]+$/.test(word)) return word;
+
+    if (word.endsWith('sses') || word.endsWith('ies')) {
+        word = word.slice(0, -2);
+    } else if (word.endsWith('s') && !word.endsWith('ss')) {
+        word = word.slice(0, -1);
+    }
+
+    if (word.endsWith('eed')) {
+        if (measure(word.slice(0, -3)) > 0) word = word.slice(0, -1);
+    } else {
+        const suffix = ['ed', 'ing'].find(ending => word.endsWith(ending) && hasVowel(word.slice(0, -ending.length)));
+        if (suffix) {
+            word = word.slice(0, -suffix.length);
+            if (/(at|bl|iz)$/.test(word)) {
+                word += 'e';
+            } else if (/([^aeiouylsz])\1$/.test(word)) {
+                word = word.slice(0, -1);
+            } else if (measure(word) === 1 && endsConsonantVowelConsonant(word)) {
+                word += 'e';
+            }
+        }
+    }
+
+    if (word.endsWith('y') && hasVowel(word.slice(0, -1))) {
+        word = `${word.slice(0, -1)}i`;
+    }
+    return word;
+};
+
+export const isIndexable = (word) => !STOPWORDS.has(word) && word.length <= MAX_TERM_LENGTH;
+
+// term -> weight for the fields of one document
+export const termWeights = (fields) => {
+    const weights = new Map();
+    for (const { text, weight } of fields) {
+        for (const { word } of tokenize(text)) {
+            if (!isIndexable(word)) continue;
+            const term = stem(word);
+            weights.set(term, (weights.get(term) || 0) + weight);
+        }
+    }
+    return weights;
+};
+
+// Quoted parts of the query must appear as written (after stemming); every other word just has to appear
+export const parseQuery = (query) => {
+    const phrases = [...query.matchAll(/"([^"]+)"/g)]
+        .map(match => tokenize(match[1]).map(token => stem(token.word)))
+        .filter(phrase => phrase.length > 1);
+    const terms = [...new Set(tokenize(query).filter(token => isIndexable(token.word)).map(token => stem(token.word)))];
+    return { terms, phrases };
+};
+
+export const containsPhrase = (text, phrase) => {
+    const stems = tokenize(text).map(token => stem(token.word));
+    return stems.some((_, start) => phrase.every((term, offset) => stems[start + offset] === term));
+};
+
+// The text around the first match (or the start when nothing matches), with [start, end]
+// offsets of every matching word inside the returned text
+export const highlight = (text, terms, maxLength) => {
+    text = String(text || '');
+    const matches = tokenize(text).filter(token => terms.has(stem(token.word)));
+    let start = 0;
+    let end = text.length;
+
+    if (maxLength && text.length > maxLength) {
+        if (matches.length > 0 && matches[0].start > maxLength / 4) {
+            start = text.lastIndexOf(' ', matches[0].start - Math.floor(maxLength / 4)) + 1;
+        }
+        end = Math.min(text.length, start + maxLength);
+        const lastSpace = text.lastIndexOf(' ', end);
+        if (end < text.length && lastSpace > start) end = lastSpace;
+    }
+
+    const prefix = start > 0 ? '…' : '';
+    const suffix = end < text.length ? '…' : '';
+    return {
+        text: `${prefix}${text.slice(start, end)}${suffix}`,
+        highlights: matches
+            .filter(match => match.start >= start && match.end <= end)
+            .map(match => [match.start - start + prefix.length, match.end - start + prefix.length])
+    };
+};
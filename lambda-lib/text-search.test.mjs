@@ -0,0 +1,95 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { tokenize, stem, isIndexable, termWeights, parseQuery, containsPhrase, highlight } from './text-search.mjs';
+
+describe('tokenize', () => {
+    test('lowercases words and keeps their offsets', () => {
+        assert.deepEqual(tokenize('Hello, World!'), [
+            { word: 'hello', start: 0, end: 5 },
+            { word: 'world', start: 7, end: 12 }
+        ]);
+    });
+
+    test('splits on anything that is not a letter or digit, in any script', () => {
+        assert.deepEqual(tokenize('café-2024 Größe').map(token => token.word), ['café', '2024', 'größe']);
+    });
+
+    test('treats missing text as empty', () => {
+        assert.deepEqual(tokenize(undefined), []);
+    });
+});
+
+describe('stem', () => {
+    test('matches plurals, -ed and -ing forms to one stem', () => {
+        assert.equal(stem('notes'), 'note');
+        assert.equal(stem('noted'), 'note');
+        assert.equal(stem('noting'), 'note');
+    });
+
+    test('follows step 1 of the Porter stemmer', () => {
+        assert.equal(stem('caresses'), 'caress');
+        assert.equal(stem('ponies'), 'poni');
+        assert.equal(stem('agreed'), 'agree');
+        assert.equal(stem('hopping'), 'hop');
+        assert.equal(stem('filing'), 'file');
+        assert.equal(stem('happy'), 'happi');
+    });
+
+    test('leaves short and non a-z words alone', () => {
+        assert.equal(stem('was'), 'was');
+        assert.equal(stem('größe'), 'größe');
+        assert.equal(stem('2024s'), '2024s');
+    });
+});
+
+describe('isIndexable', () => {
+    test('skips stopwords and very long words', () => {
+        assert.equal(isIndexable('the'), false);
+        assert.equal(isIndexable('a'.repeat(41)), false);
+        assert.equal(isIndexable('budget'), true);
+    });
+});
+
+describe('termWeights', () => {
+    test('adds up field weights per stemmed term', () => {
+        const weights = termWeights([
+            { text: 'Meeting notes', weight: 3 },
+            { text: 'The notes from the meetings', weight: 1 }
+        ]);
+        assert.deepEqual(Object.fromEntries(weights), { meet: 4, note: 4 });
+    });
+});
+
+describe('parseQuery', () => {
+    test('returns unique stemmed terms without stopwords', () => {
+        assert.deepEqual(parseQuery('the notes and noting'), { terms: ['note'], phrases: [] });
+    });
+
+    test('keeps quoted phrases of more than one word', () => {
+        assert.deepEqual(parseQuery('"budget meetings" "solo" plan').phrases, [['budget', 'meet']]);
+    });
+});
+
+describe('containsPhrase', () => {
+    test('matches consecutive stemmed words only', () => {
+        assert.equal(containsPhrase('Notes from budget meetings', ['budget', 'meet']), true);
+        assert.equal(containsPhrase('Meetings about the budget', ['budget', 'meet']), false);
+    });
+});
+
+describe('highlight', () => {
+    test('marks every matching word', () => {
+        assert.deepEqual(highlight('Notes on notes', new Set(['note'])), {
+            text: 'Notes on notes',
+            highlights: [[0, 5], [9, 14]]
+        });
+    });
+
+    test('cuts long text around the first match', () => {
+        const text = `${'lorem '.repeat(30)}budget ${'ipsum '.repeat(30)}`;
+        const { text: snippet, highlights } = highlight(text, new Set(['budget']), 40);
+        assert.ok(snippet.startsWith('…') && snippet.endsWith('…'));
+        assert.ok(snippet.length <= 42);
+        assert.equal(snippet.slice(highlights[0][0], highlights[0][1]), 'budget');
+    });
+});
@@ -3,8 +3,14 @@
 // ==========================================
 
 import { DynamoDBClient } from "@aws-sdk/client-dynamodb";
-import { DynamoDBDocumentClient, ScanCommand, PutCommand, DeleteCommand, GetCommand } from "@aws-sdk/lib-dynamodb";
+import {
+    DynamoDBDocumentClient, QueryCommand, ScanCommand, PutCommand, GetCommand, UpdateCommand, TransactWriteCommand, BatchGetCommand
+} from "@aws-sdk/lib-dynamodb";
 import { CloudWatchClient, PutMetricDataCommand } from "@aws-sdk/client-cloudwatch";
+import { summarize, markdownToText } from "./lambda-lib/summarizer.mjs";
+import { parseShareOptions, createShareLink } from "./lambda-lib/share-links.mjs";
+import { getUserRole } from "./lambda-lib/roles.mjs";
+import { PINNED_INDEX_NAME, MAX_PINNED_NOTES, countPinnedNotes } from "./lambda-lib/pinned-notes.mjs";
 import { randomUUID } from 'crypto';
 
 // Initialize clients
@@ -12,103 +18,1288 @@ const client = new DynamoDBClient({});
 const docClient = DynamoDBDocumentClient.from(client);
 const cloudwatchClient = new CloudWatchClient({ region: 'ap-south-1' });
 const TABLE_NAME = 'Notes';
+// GSI on the Notes table: partition key userId, sort key createdAt
+const USER_INDEX_NAME = 'userId-createdAt-index';
+// Earlier versions of each note: partition key noteId, sort key version (number)
+const VERSIONS_TABLE = 'NoteVersions';
+// File metadata kept by lambda-files-handler.mjs; notes link to files by fileId
+const FILES_TABLE = 'Files';
+const MAX_ATTACHMENTS = 20;
+// One item per note shared with someone: partition key email, sort key noteId. It is the
+// "shared with me" index; the note's own collaborators map is what access is checked against.
+const COLLABORATORS_TABLE = 'NoteCollaborators';
+const MAX_COLLABORATORS = 25;
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+// Pagination cursors are the DynamoDB LastEvaluatedKey, base64url-encoded so clients treat them as opaque
+const encodeCursor = (key) => key ? Buffer.from(JSON.stringify(key)).toString('base64url') : null;
+
+const decodeCursor = (cursor) => {
+    try {
+        return JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    } catch {
+        return null;
+    }
+};
 const NAMESPACE = 'PersonalCloudAssistant/Notes';
 
-export const handler = async (event, context) => {
-    const startTime = Date.now();
-    const requestId = context?.requestId || `req-${Date.now()}`;
-    let operationType = 'unknown';
-    const userId = event?.requestContext?.authorizer?.jwt?.claims?.sub
-        || event?.requestContext?.authorizer?.claims?.sub
-        || event?.requestContext?.authorizer?.claims?.["cognito:username"];
-    
-    console.log(`[${requestId}] [START] Received event:`, JSON.stringify(event, null, 2));
+// Read-only users can list, open and summarize notes but not change anything
+const isReadRequest = (method, path) => method === 'GET' || (method === 'POST' && path.endsWith('/summarize'));
+
+const MAX_TAGS = 10;
+const MAX_TAG_LENGTH = 30;
+const TAG_PATTERN = /^[a-z0-9][a-z0-9 _-]*$/;
+
+// Tags are stored lowercased, trimmed and de-duplicated. Returns null if the value is not a valid tag list.
+const normalizeTags = (value) => {
+    if (!Array.isArray(value)) return null;
+    const tags = [...new Set(value.map(tag => String(tag).trim().toLowerCase().replace(/\s+/g, ' ')))];
+    if (tags.length > MAX_TAGS || tags.some(tag => !tag || tag.length > MAX_TAG_LENGTH || !TAG_PATTERN.test(tag))) {
+        return null;
+    }
+    return tags;
+};
+
+// Flags that organize notes rather than change them: setting one alone does not create a version
+const NOTE_FLAGS = ['pinned', 'favorite', 'archived'];
+
+// Update clauses that keep pinnedAt in step with pinned. Re-pinning keeps the original time.
+const pinnedAtUpdate = (pinned) => (pinned
+    ? { set: ['pinnedAt = if_not_exists(pinnedAt, :pinnedAt)'], remove: [], values: { ':pinnedAt': new Date().toISOString() } }
+    : { set: [], remove: ['pinnedAt'], values: {} });
+
+const updateExpression = (setExpressions, removeExpressions) => [
+    setExpressions.length ? `SET ${setExpressions.join(', ')}` : '',
+    removeExpressions.length ? `REMOVE ${removeExpressions.join(', ')}` : ''
+].filter(Boolean).join(' ');
+
+// Sets flags on a note the user owns without touching its version. Returns the updated note,
+// or null if it does not exist, belongs to someone else or is in the trash.
+const setNoteFlags = async (noteId, userId, flags) => {
+    const names = {};
+    const values = { ':userId': userId };
+    const setExpressions = Object.entries(flags).map(([flag, value]) => {
+        names[`#${flag}`] = flag;
+        values[`:${flag}`] = value;
+        return `#${flag} = :${flag}`;
+    });
+    const removeExpressions = [];
+    if (flags.pinned !== undefined) {
+        const pin = pinnedAtUpdate(flags.pinned);
+        setExpressions.push(...pin.set);
+        removeExpressions.push(...pin.remove);
+        Object.assign(values, pin.values);
+    }
+    try {
+        const response = await docClient.send(new UpdateCommand({
+            TableName: TABLE_NAME,
+            Key: { noteId },
+            UpdateExpression: updateExpression(setExpressions, removeExpressions),
+            ConditionExpression: 'userId = :userId AND attribute_not_exists(deletedAt)',
+            ExpressionAttributeNames: names,
+            ExpressionAttributeValues: values,
+            ReturnValues: 'ALL_NEW'
+        }));
+        return response.Attributes;
+    } catch (err) {
+        if (err.name === 'ConditionalCheckFailedException') return null;
+        throw err;
+    }
+};
+
+const getExtension = (fileName) => fileName.includes('.') ? fileName.split('.').pop().toLowerCase() : '';
+
+// Fetches items by ID into { [id]: item }; BatchGet takes at most 100 keys per call
+const getItemsById = async (tableName, keyName, ids) => {
+    const items = {};
+    for (let i = 0; i < ids.length; i += 100) {
+        let requestItems = { [tableName]: { Keys: ids.slice(i, i + 100).map(id => ({ [keyName]: id })) } };
+        while (requestItems && Object.keys(requestItems).length > 0) {
+            const response = await docClient.send(new BatchGetCommand({ RequestItems: requestItems }));
+            (response.Responses?.[tableName] || []).forEach(item => { items[item[keyName]] = item; });
+            requestItems = response.UnprocessedKeys;
+        }
+    }
+    return items;
+};
+
+const getFileRecords = (fileIds) => getItemsById(FILES_TABLE, 'fileId', fileIds);
+
+// An attachment as the full-note view lists it, shaped like the files API's file info so it can
+// be previewed and downloaded through /files. Files that are trashed or gone are flagged rather
+// than dropped, so the owner can still detach them.
+const toAttachmentInfo = (fileId, record, userId) => {
+    if (!record || record.userId !== userId) return { id: fileId, status: 'missing' };
+    return {
+        id: fileId,
+        name: record.name,
+        size: record.size,
+        uploadedAt: record.uploadedAt,
+        folder: record.folder || '',
+        type: getExtension(record.name),
+        contentType: record.contentType,
+        status: record.deletedAt ? 'trashed' : 'available'
+    };
+};
+
+// Trashing a file moves it from the note's attachments to trashedAttachments and restoring it
+// moves it back (lambda-lib/note-attachments.mjs); the full-note view lists those last.
+const noteFileIds = (note) => [...(note.attachments || []), ...(note.trashedAttachments || [])];
+
+const listAttachments = async (note) => {
+    const fileIds = noteFileIds(note);
+    const records = await getFileRecords(fileIds);
+    return fileIds.map(fileId => toAttachmentInfo(fileId, records[fileId], note.userId));
+};
+
+// Replaces a note's attachment lists if they are still the ones the change was based on.
+// Returns the updated note, or null if the note changed (or was trashed) in the meantime.
+const saveAttachments = async (note, attachments, trashedAttachments = note.trashedAttachments || []) => {
+    const values = { ':attachments': attachments, ':trashedAttachments': trashedAttachments, ':userId': note.userId };
+    const conditions = ['userId = :userId', 'attribute_not_exists(deletedAt)'];
+    for (const name of ['attachments', 'trashedAttachments']) {
+        if (note[name] === undefined) {
+            conditions.push(`attribute_not_exists(${name})`);
+        } else {
+            conditions.push(`${name} = :previous_${name}`);
+            values[`:previous_${name}`] = note[name];
+        }
+    }
+    try {
+        const response = await docClient.send(new UpdateCommand({
+            TableName: TABLE_NAME,
+            Key: { noteId: note.noteId },
+            UpdateExpression: 'SET attachments = :attachments, trashedAttachments = :trashedAttachments',
+            ConditionExpression: conditions.join(' AND '),
+            ExpressionAttributeValues: values,
+            ReturnValues: 'ALL_NEW'
+        }));
+        return response.Attributes;
+    } catch (err) {
+        if (err.name === 'ConditionalCheckFailedException') return null;
+        throw err;
+    }
+};
+
+// Access levels, lowest first. The owner can do anything with a note; people it is shared with
+// by email are viewers (read it, its history and summary) or editors (also change its title,
+// content and tags, and restore versions). Flags, attachments, links and deletion stay with the owner.
+const NOTE_ROLES = ['viewer', 'editor', 'owner'];
+const COLLABORATOR_ROLES = ['viewer', 'editor'];
+
+// requester is { userId, email }; email is only set when Cognito has verified it
+const getNoteRole = (note, requester) => {
+    if (note.userId === requester.userId) return 'owner';
+    return (requester.email && note.collaborators?.[requester.email]) || null;
+};
+
+// The permission check every note route goes through. Resolves to { note, role } when the
+// requester has at least requiredRole, otherwise to { statusCode, error }: 404 when they cannot
+// see the note at all (so its existence is not given away), 403 when they can but not this way.
+// Trashed notes are out of reach for everyone until the owner restores them.
+const authorizeNote = async (noteId, requester, requiredRole) => {
+    const existing = noteId ? await docClient.send(new GetCommand({
+        TableName: TABLE_NAME,
+        Key: { noteId }
+    })) : null;
+    const note = existing?.Item;
+    const role = note && !note.deletedAt ? getNoteRole(note, requester) : null;
+    if (!role) {
+        return { statusCode: 404, error: 'Note not found' };
+    }
+    if (NOTE_ROLES.indexOf(role) < NOTE_ROLES.indexOf(requiredRole)) {
+        return {
+            statusCode: 403,
+            error: requiredRole === 'owner' ? 'Only the owner of this note can do that' : 'You can view this note but not edit it'
+        };
+    }
+    return { note, role };
+};
+
+// A note as the API returns it: id for the frontend, and the caller's role so it knows what to offer
+const toNoteInfo = (note, role) => ({ ...note, id: note.noteId, role });
+
+// Replaces a note's collaborators map and adds or removes the matching NoteCollaborators item in
+// one transaction, if the map is still the one the change was based on. change is
+// { email, role } to share (or change a role) and { email } to stop sharing. Returns the
+// updated note, or null if the note changed (or was trashed) in the meantime.
+const saveCollaborator = async (note, change) => {
+    const collaborators = { ...(note.collaborators || {}) };
+    if (change.role) {
+        collaborators[change.email] = change.role;
+    } else {
+        delete collaborators[change.email];
+    }
+
+    const values = { ':collaborators': collaborators, ':userId': note.userId };
+    let condition = 'userId = :userId AND attribute_not_exists(deletedAt) AND ';
+    if (note.collaborators === undefined) {
+        condition += 'attribute_not_exists(collaborators)';
+    } else {
+        condition += 'collaborators = :previous';
+        values[':previous'] = note.collaborators;
+    }
+
+    const key = { email: change.email, noteId: note.noteId };
+    try {
+        await docClient.send(new TransactWriteCommand({
+            TransactItems: [
+                {
+                    Update: {
+                        TableName: TABLE_NAME,
+                        Key: { noteId: note.noteId },
+                        UpdateExpression: 'SET collaborators = :collaborators',
+                        ConditionExpression: condition,
+                        ExpressionAttributeValues: values
+                    }
+                },
+                change.role
+                    ? {
+                        Put: {
+                            TableName: COLLABORATORS_TABLE,
+                            Item: { ...key, role: change.role, ownerId: note.userId, sharedAt: new Date().toISOString() }
+                        }
+                    }
+                    : { Delete: { TableName: COLLABORATORS_TABLE, Key: key } }
+            ]
+        }));
+    } catch (err) {
+        if (err.name === 'TransactionCanceledException' && err.CancellationReasons?.some(reason => reason.Code === 'ConditionalCheckFailed')) {
+            return null;
+        }
+        throw err;
+    }
+    return { ...note, collaborators };
+};
+
+const toCollaboratorList = (note) => Object.entries(note.collaborators || {})
+    .map(([email, role]) => ({ email, role }))
+    .sort((a, b) => a.email.localeCompare(b.email));
+
+// A note as it is at its current version, archived before an update overwrites it
+const toVersionItem = (note) => ({
+    noteId: note.noteId,
+    version: note.version || 0,
+    userId: note.userId,
+    title: note.title,
+    content: note.content,
+    tags: note.tags || [],
+    editedBy: note.updatedBy || note.createdBy || null,
+    editedAt: note.updatedAt || note.createdAt
+});
+
+const toVersionInfo = (item, current = false) => ({
+    version: item.version,
+    title: item.title,
+    content: item.content,
+    tags: item.tags || [],
+    editedBy: item.editedBy,
+    editedAt: item.editedAt,
+    current
+});
+
+// Applies title/content/tags changes and archives the previous version in one transaction.
+// Returns the updated note, or null if the note is no longer at expectedVersion.
+const saveNoteRevision = async (existing, changes, expectedVersion, editedBy) => {
+    const updatedAt = new Date().toISOString();
+    const setExpressions = ['updatedAt = :updatedAt', 'updatedBy = :updatedBy', '#version = :nextVersion'];
+    const expressionValues = {
+        ':updatedAt': updatedAt,
+        ':updatedBy': editedBy,
+        ':nextVersion': expectedVersion + 1,
+        ':userId': existing.userId
+    };
+    if (changes.title !== undefined) {
+        setExpressions.push('title = :title');
+        expressionValues[':title'] = changes.title;
+    }
+    if (changes.content !== undefined) {
+        setExpressions.push('content = :content');
+        expressionValues[':content'] = changes.content;
+    }
+    if (changes.tags !== undefined) {
+        setExpressions.push('tags = :tags');
+        expressionValues[':tags'] = changes.tags;
+    }
+    // Flags ride along with an edit but are not part of the archived version
+    for (const flag of NOTE_FLAGS) {
+        if (changes[flag] !== undefined) {
+            setExpressions.push(`${flag} = :${flag}`);
+            expressionValues[`:${flag}`] = changes[flag];
+        }
+    }
+    const removeExpressions = [];
+    if (changes.pinned !== undefined) {
+        const pin = pinnedAtUpdate(changes.pinned);
+        setExpressions.push(...pin.set);
+        removeExpressions.push(...pin.remove);
+        Object.assign(expressionValues, pin.values);
+    }
+
+    let condition = 'userId = :userId AND attribute_not_exists(deletedAt) AND ';
+    if (expectedVersion === 0) {
+        condition += 'attribute_not_exists(#version)';
+    } else {
+        condition += '#version = :expectedVersion';
+        expressionValues[':expectedVersion'] = expectedVersion;
+    }
+
+    try {
+        await docClient.send(new TransactWriteCommand({
+            TransactItems: [
+                { Put: { TableName: VERSIONS_TABLE, Item: toVersionItem(existing) } },
+                {
+                    Update: {
+                        TableName: TABLE_NAME,
+                        Key: { noteId: existing.noteId },
+                        UpdateExpression: updateExpression(setExpressions, removeExpressions),
+                        ConditionExpression: condition,
+                        ExpressionAttributeNames: { '#version': 'version' },
+                        ExpressionAttributeValues: expressionValues
+                    }
+                }
+            ]
+        }));
+    } catch (err) {
+        if (err.name === 'TransactionCanceledException' && err.CancellationReasons?.some(reason => reason.Code === 'ConditionalCheckFailed')) {
+            return null;
+        }
+        throw err;
+    }
+
+    const updated = { ...existing, ...changes, updatedAt, updatedBy: editedBy, version: expectedVersion + 1 };
+    if (changes.pinned === true) updated.pinnedAt = existing.pinnedAt || expressionValues[':pinnedAt'];
+    if (changes.pinned === false) delete updated.pinnedAt;
+    return updated;
+};
+
+export const handler = async (event, context) => {
+    const startTime = Date.now();
+    const requestId = context?.requestId || `req-${Date.now()}`;
+    let operationType = 'unknown';
+    const userId = event?.requestContext?.authorizer?.jwt?.claims?.sub
+        || event?.requestContext?.authorizer?.claims?.sub
+        || event?.requestContext?.authorizer?.claims?.["cognito:username"];
+    const claims = event?.requestContext?.authorizer?.jwt?.claims || event?.requestContext?.authorizer?.claims || {};
+    // Recorded as the author of each version
+    const editor = claims.email || userId;
+    // Notes are shared by email address, so only an address Cognito has verified grants access
+    const verifiedEmail = claims.email && (claims.email_verified === true || claims.email_verified === 'true')
+        ? String(claims.email).toLowerCase()
+        : null;
+    const requester = { userId, email: verifiedEmail };
+    const userRole = getUserRole(claims);
+    
+    console.log(`[${requestId}] [START] Received event:`, JSON.stringify(event, null, 2));
+
+    const requestOrigin = event?.headers?.origin || event?.headers?.Origin;
+    const allowedOrigins = new Set([
+        'https://main.d1xrjjt0e3swym.amplifyapp.com',
+        'http://localhost:3000'
+    ]);
+
+    // CORS headers for all responses
+    const headers = {
+        'Access-Control-Allow-Origin': allowedOrigins.has(requestOrigin) ? requestOrigin : 'https://main.d1xrjjt0e3swym.amplifyapp.com',
+        'Access-Control-Allow-Headers': 'Content-Type,Authorization,X-Amz-Date,X-Api-Key,X-Amz-Security-Token,Origin,Accept',
+        'Access-Control-Allow-Methods': 'GET,POST,PUT,PATCH,DELETE,OPTIONS',
+        'Access-Control-Allow-Credentials': 'true',
+        'Content-Type': 'application/json'
+    };
+
+    // Manual invocation that adds pinnedAt to notes pinned before the pinned index existed;
+    // notes of users already at MAX_PINNED_NOTES are unpinned instead
+    if (event?.action === 'backfillPinned') {
+        let backfilled = 0;
+        let unpinned = 0;
+        let exclusiveStartKey;
+        do {
+            const response = await docClient.send(new ScanCommand({
+                TableName: TABLE_NAME,
+                FilterExpression: 'pinned = :true AND attribute_not_exists(pinnedAt) AND attribute_not_exists(deletedAt)',
+                ExpressionAttributeValues: { ':true': true },
+                ProjectionExpression: 'noteId, userId, createdAt, updatedAt',
+                ExclusiveStartKey: exclusiveStartKey
+            }));
+            for (const note of response.Items || []) {
+                // Past the cap the list would never show the note, so it is unpinned instead
+                if (await countPinnedNotes(docClient, note.userId) >= MAX_PINNED_NOTES) {
+                    try {
+                        await docClient.send(new UpdateCommand({
+                            TableName: TABLE_NAME,
+                            Key: { noteId: note.noteId },
+                            UpdateExpression: 'SET pinned = :false',
+                            ConditionExpression: 'attribute_not_exists(pinnedAt)',
+                            ExpressionAttributeValues: { ':false': false }
+                        }));
+                        unpinned++;
+                    } catch (err) {
+                        // Pinned again through the API in the meantime, which checked the cap itself
+                        if (err.name !== 'ConditionalCheckFailedException') throw err;
+                    }
+                    continue;
+                }
+                await docClient.send(new UpdateCommand({
+                    TableName: TABLE_NAME,
+                    Key: { noteId: note.noteId },
+                    UpdateExpression: 'SET pinnedAt = if_not_exists(pinnedAt, :pinnedAt)',
+                    ExpressionAttributeValues: { ':pinnedAt': note.updatedAt || note.createdAt }
+                }));
+                backfilled++;
+            }
+            exclusiveStartKey = response.LastEvaluatedKey;
+        } while (exclusiveStartKey);
+        console.log(`[${requestId}] [SUCCESS] Added pinnedAt to ${backfilled} pinned notes, unpinned ${unpinned} past the cap`);
+        return { backfilled, unpinned };
+    }
+
+    if (!userId) {
+        console.error(`[${requestId}] Missing authenticated user`);
+        return {
+            statusCode: 401,
+            headers,
+            body: JSON.stringify({ error: 'Unauthorized' })
+        };
+    }
+
+    // Helper function to send metrics to CloudWatch
+    const sendMetric = async (metricName, value, unit = 'Count') => {
+        try {
+            await cloudwatchClient.send(new PutMetricDataCommand({
+                Namespace: NAMESPACE,
+                MetricData: [
+                    {
+                        MetricName: metricName,
+                        Value: value,
+                        Unit: unit,
+                        Timestamp: new Date(),
+                        Dimensions: [
+                            { Name: 'Environment', Value: 'production' },
+                            { Name: 'OperationType', Value: operationType }
+                        ]
+                    }
+                ]
+            }));
+        } catch (err) {
+            console.error(`[${requestId}] Failed to send metric ${metricName}:`, err);
+        }
+    };
+    
+    try {
+        // Get HTTP method
+        const method = event.httpMethod || event.requestContext?.http?.method;
+        console.log(`[${requestId}] HTTP Method: ${method}`);
+        
+        // Handle OPTIONS (preflight CORS request)
+        if (method === 'OPTIONS') {
+            return {
+                statusCode: 200,
+                headers: headers,
+                body: ''
+            };
+        }
+        
+        const path = event.path || event.rawPath || '';
+
+        if (userRole === 'read-only' && !isReadRequest(method, path)) {
+            await sendMetric('Errors', 1, 'Count');
+            console.error(`[${requestId}] Read-only user attempted ${method} ${path}`);
+            return {
+                statusCode: 403,
+                headers: headers,
+                body: JSON.stringify({ error: 'Your account is read-only', code: 'READ_ONLY' })
+            };
+        }
+
+        // Handle GET /notes/role - the caller's role, so the UI hides what it cannot do without
+        // a second copy of the group rules
+        if (method === 'GET' && path.endsWith('/notes/role')) {
+            operationType = 'GET_ROLE';
+            return {
+                statusCode: 200,
+                headers: headers,
+                body: JSON.stringify({ role: userRole })
+            };
+        }
+
+        // Handle GET /notes/tags - how many of the user's notes carry each tag, most used first
+        if (method === 'GET' && path.endsWith('/notes/tags')) {
+            operationType = 'LIST_NOTE_TAGS';
+            const counts = new Map();
+            let exclusiveStartKey;
+            do {
+                const response = await docClient.send(new QueryCommand({
+                    TableName: TABLE_NAME,
+                    IndexName: USER_INDEX_NAME,
+                    KeyConditionExpression: 'userId = :userId',
+                    FilterExpression: 'attribute_not_exists(deletedAt) AND attribute_exists(tags)',
+                    ProjectionExpression: 'tags',
+                    ExpressionAttributeValues: { ':userId': userId },
+                    ExclusiveStartKey: exclusiveStartKey
+                }));
+                for (const note of response.Items || []) {
+                    for (const tag of note.tags || []) {
+                        counts.set(tag, (counts.get(tag) || 0) + 1);
+                    }
+                }
+                exclusiveStartKey = response.LastEvaluatedKey;
+            } while (exclusiveStartKey);
+
+            const tags = [...counts.entries()]
+                .map(([name, count]) => ({ name, count }))
+                .sort((a, b) => b.count - a.count || a.name.localeCompare(b.name));
+
+            const duration = Date.now() - startTime;
+            await sendMetric('RequestDuration', duration, 'Milliseconds');
+
+            console.log(`[${requestId}] [SUCCESS] Counted ${tags.length} tags in ${duration}ms`);
+            return {
+                statusCode: 200,
+                headers: headers,
+                body: JSON.stringify({ tags })
+            };
+        }
+
+        // Handle GET /notes/{id}/versions - current version first, then earlier ones newest first
+        if (method === 'GET' && path.endsWith('/versions')) {
+            operationType = 'LIST_NOTE_VERSIONS';
+            const pathParams = event.pathParameters || {};
+            const noteId = pathParams.id || pathParams.noteId;
+
+            const access = await authorizeNote(noteId, requester, 'viewer');
+            if (access.error) {
+                await sendMetric('Errors', 1, 'Count');
+                console.error(`[${requestId}] Access to note ${noteId} denied: ${access.error}`);
+                return {
+                    statusCode: access.statusCode,
+                    headers: headers,
+                    body: JSON.stringify({ error: access.error })
+                };
+            }
+            const { note } = access;
+
+            const versions = [];
+            let exclusiveStartKey;
+            do {
+                const response = await docClient.send(new QueryCommand({
+                    TableName: VERSIONS_TABLE,
+                    KeyConditionExpression: 'noteId = :noteId',
+                    ExpressionAttributeValues: { ':noteId': noteId },
+                    ScanIndexForward: false,
+                    ExclusiveStartKey: exclusiveStartKey
+                }));
+                versions.push(...(response.Items || []));
+                exclusiveStartKey = response.LastEvaluatedKey;
+            } while (exclusiveStartKey);
+
+            const duration = Date.now() - startTime;
+            await sendMetric('RequestDuration', duration, 'Milliseconds');
+
+            console.log(`[${requestId}] [SUCCESS] Retrieved ${versions.length} earlier versions in ${duration}ms`);
+            return {
+                statusCode: 200,
+                headers: headers,
+                body: JSON.stringify({
+                    versions: [
+                        toVersionInfo(toVersionItem(note), true),
+                        ...versions.map(item => toVersionInfo(item))
+                    ]
+                })
+            };
+        }
+
+        // Handle POST /notes/{id}/versions/{version}/restore - saves the old title and content as a new version
+        if (method === 'POST' && path.endsWith('/restore')) {
+            operationType = 'RESTORE_NOTE_VERSION';
+            const pathParams = event.pathParameters || {};
+            const noteId = pathParams.id || pathParams.noteId;
+            const version = Number(pathParams.version ?? path.split('/').slice(-2)[0]);
+
+            if (!noteId || !Number.isInteger(version) || version < 0) {
+                await sendMetric('Errors', 1, 'Count');
+                console.error(`[${requestId}] Invalid restore request: ${noteId} v${pathParams.version}`);
+                return {
+                    statusCode: 400,
+                    headers: headers,
+                    body: JSON.stringify({ error: 'noteId and a numeric version are required in the path' })
+                };
+            }
+
+            const access = await authorizeNote(noteId, requester, 'editor');
+            if (access.error) {
+                await sendMetric('Errors', 1, 'Count');
+                console.error(`[${requestId}] Access to note ${noteId} denied: ${access.error}`);
+                return {
+                    statusCode: access.statusCode,
+                    headers: headers,
+                    body: JSON.stringify({ error: access.error })
+                };
+            }
+            const { note, role } = access;
+
+            const currentVersion = note.version || 0;
+            const snapshot = version === currentVersion ? null : (await docClient.send(new GetCommand({
+                TableName: VERSIONS_TABLE,
+                Key: { noteId, version }
+            }))).Item;
+
+            if (!snapshot) {
+                await sendMetric('Errors', 1, 'Count');
+                console.error(`[${requestId}] Version ${version} of ${noteId} not found (current is ${currentVersion})`);
+                return {
+                    statusCode: 404,
+                    headers: headers,
+                    body: JSON.stringify({ error: version === currentVersion ? 'That version is already current' : 'Version not found' })
+                };
+            }
+
+            const updated = await saveNoteRevision(note, { title: snapshot.title, content: snapshot.content }, currentVersion, editor);
+            if (!updated) {
+                await sendMetric('Errors', 1, 'Count');
+                console.error(`[${requestId}] Note changed while restoring version ${version}`);
+                return {
+                    statusCode: 409,
+                    headers: headers,
+                    body: JSON.stringify({ error: 'Note was modified by another request, please try again' })
+                };
+            }
+
+            const duration = Date.now() - startTime;
+            await sendMetric('RequestDuration', duration, 'Milliseconds');
+            await sendMetric('NoteVersionsRestored', 1, 'Count');
+
+            console.log(`[${requestId}] [SUCCESS] Restored version ${version} as version ${updated.version} in ${duration}ms`);
+            return {
+                statusCode: 200,
+                headers: headers,
+                body: JSON.stringify({
+                    message: `Version ${version} restored`,
+                    note: toNoteInfo(updated, role)
+                })
+            };
+        }
+
+        // Handle POST /notes/{id}/summarize - short summary of the note's current content
+        if (method === 'POST' && path.endsWith('/summarize')) {
+            operationType = 'SUMMARIZE_NOTE';
+            const pathParams = event.pathParameters || {};
+            const noteId = pathParams.id || pathParams.noteId;
+
+            const access = await authorizeNote(noteId, requester, 'viewer');
+            if (access.error) {
+                await sendMetric('Errors', 1, 'Count');
+                console.error(`[${requestId}] Access to note ${noteId} denied: ${access.error}`);
+                return {
+                    statusCode: access.statusCode,
+                    headers: headers,
+                    body: JSON.stringify({ error: access.error })
+                };
+            }
+            const { note } = access;
+
+            const result = await summarize(markdownToText(note.content || ''));
+            if (result.sentences.length === 0) {
+                await sendMetric('Errors', 1, 'Count');
+                console.error(`[${requestId}] Note ${noteId} has no text to summarize`);
+                return {
+                    statusCode: 400,
+                    headers: headers,
+                    body: JSON.stringify({ error: 'This note has no text to summarize' })
+                };
+            }
+
+            const duration = Date.now() - startTime;
+            await sendMetric('RequestDuration', duration, 'Milliseconds');
+            await sendMetric('SummarizeOperations', 1, 'Count');
+
+            console.log(`[${requestId}] [SUCCESS] Summarized note ${noteId} with ${result.summarizer} in ${duration}ms`);
+            return {
+                statusCode: 200,
+                headers: headers,
+                body: JSON.stringify({ ...result, noteId, version: note.version || 0 })
+            };
+        }
+
+        // Handle POST /notes/{id}/share - public read-only link: { expiresInHours, password, maxDownloads }
+        if (method === 'POST' && path.endsWith('/share')) {
+            operationType = 'SHARE_NOTE';
+            const pathParams = event.pathParameters || {};
+            const noteId = pathParams.id || pathParams.noteId;
+
+            let body;
+            try {
+                body = JSON.parse(event.body || '{}');
+            } catch (parseError) {
+                await sendMetric('Errors', 1, 'Count');
+                console.error(`[${requestId}] JSON parse error:`, parseError);
+                return {
+                    statusCode: 400,
+                    headers: headers,
+                    body: JSON.stringify({ error: 'Invalid JSON in request body' })
+                };
+            }
+
+            const options = parseShareOptions(body);
+            if (options.error) {
+                await sendMetric('Errors', 1, 'Count');
+                console.error(`[${requestId}] Invalid share options: ${options.error}`);
+                return {
+                    statusCode: 400,
+                    headers: headers,
+                    body: JSON.stringify({ error: options.error })
+                };
+            }
+
+            const access = await authorizeNote(noteId, requester, 'owner');
+            if (access.error) {
+                await sendMetric('Errors', 1, 'Count');
+                console.error(`[${requestId}] Access to note ${noteId} denied: ${access.error}`);
+                return {
+                    statusCode: access.statusCode,
+                    headers: headers,
+                    body: JSON.stringify({ error: access.error })
+                };
+            }
+            const { note } = access;
+
+            const share = await createShareLink(docClient, { userId, type: 'note', itemId: noteId, title: note.title, options });
+
+            const duration = Date.now() - startTime;
+            await sendMetric('RequestDuration', duration, 'Milliseconds');
+            await sendMetric('SharesCreated', 1, 'Count');
+
+            console.log(`[${requestId}] [SUCCESS] Shared note ${noteId} until ${share.expiresAt} in ${duration}ms`);
+            return {
+                statusCode: 201,
+                headers: headers,
+                body: JSON.stringify({ message: 'Share link created', share })
+            };
+        }
+
+        // Handle GET /notes/{id}/attachments - the files linked to a note, in the order they were attached and trashed ones last
+        if (method === 'GET' && path.endsWith('/attachments')) {
+            operationType = 'LIST_ATTACHMENTS';
+            const pathParams = event.pathParameters || {};
+            const noteId = pathParams.id || pathParams.noteId;
+
+            const access = await authorizeNote(noteId, requester, 'viewer');
+            if (access.error) {
+                await sendMetric('Errors', 1, 'Count');
+                console.error(`[${requestId}] Access to note ${noteId} denied: ${access.error}`);
+                return {
+                    statusCode: access.statusCode,
+                    headers: headers,
+                    body: JSON.stringify({ error: access.error })
+                };
+            }
+            const { note } = access;
+
+            const attachments = await listAttachments(note);
+
+            const duration = Date.now() - startTime;
+            await sendMetric('RequestDuration', duration, 'Milliseconds');
+
+            console.log(`[${requestId}] [SUCCESS] Retrieved ${attachments.length} attachments in ${duration}ms`);
+            return {
+                statusCode: 200,
+                headers: headers,
+                body: JSON.stringify({ attachments })
+            };
+        }
+
+        // Handle POST /notes/{id}/attachments - link files the user owns: { fileIds: [...] }
+        if (method === 'POST' && path.endsWith('/attachments')) {
+            operationType = 'ATTACH_FILES';
+            const pathParams = event.pathParameters || {};
+            const noteId = pathParams.id || pathParams.noteId;
+
+            let body;
+            try {
+                body = JSON.parse(event.body || '{}');
+            } catch (parseError) {
+                await sendMetric('Errors', 1, 'Count');
+                console.error(`[${requestId}] JSON parse error:`, parseError);
+                return {
+                    statusCode: 400,
+                    headers: headers,
+                    body: JSON.stringify({ error: 'Invalid JSON in request body' })
+                };
+            }
+
+            const fileIds = Array.isArray(body.fileIds) ? [...new Set(body.fileIds.map(String))] : [];
+            if (fileIds.length === 0) {
+                await sendMetric('Errors', 1, 'Count');
+                console.error(`[${requestId}] fileIds is required`);
+                return {
+                    statusCode: 400,
+                    headers: headers,
+                    body: JSON.stringify({ error: 'fileIds must be a non-empty list of file IDs' })
+                };
+            }
+
+            const access = await authorizeNote(noteId, requester, 'owner');
+            if (access.error) {
+                await sendMetric('Errors', 1, 'Count');
+                console.error(`[${requestId}] Access to note ${noteId} denied: ${access.error}`);
+                return {
+                    statusCode: access.statusCode,
+                    headers: headers,
+                    body: JSON.stringify({ error: access.error })
+                };
+            }
+            const { note, role } = access;
+
+            // Only files with a metadata record can be attached, so legacy uploads are not attachable
+            const records = await getFileRecords(fileIds);
+            const missingFileIds = fileIds.filter(fileId => (
+                !records[fileId] || records[fileId].userId !== userId || records[fileId].deletedAt
+            ));
+            if (missingFileIds.length > 0) {
+                await sendMetric('Errors', 1, 'Count');
+                console.error(`[${requestId}] Files not found, trashed or not owned by user:`, missingFileIds);
+                return {
+                    statusCode: 404,
+                    headers: headers,
+                    body: JSON.stringify({ error: 'File not found', missingFileIds })
+                };
+            }
+
+            const current = note.attachments || [];
+            const attachments = [...current, ...fileIds.filter(fileId => !current.includes(fileId))];
+            // Trashed attachments count too, or restoring them could take a note past the limit
+            const attachmentCount = attachments.length + (note.trashedAttachments || []).length;
+            if (attachmentCount > MAX_ATTACHMENTS) {
+                await sendMetric('Errors', 1, 'Count');
+                console.error(`[${requestId}] Too many attachments: ${attachmentCount}`);
+                return {
+                    statusCode: 400,
+                    headers: headers,
+                    body: JSON.stringify({ error: `A note can have at most ${MAX_ATTACHMENTS} attachments` })
+                };
+            }
+
+            const updated = await saveAttachments(note, attachments);
+            if (!updated) {
+                await sendMetric('Errors', 1, 'Count');
+                console.error(`[${requestId}] Note changed while attaching files`);
+                return {
+                    statusCode: 409,
+                    headers: headers,
+                    body: JSON.stringify({ error: 'Note was modified by another request, please try again' })
+                };
+            }
+
+            const duration = Date.now() - startTime;
+            await sendMetric('RequestDuration', duration, 'Milliseconds');
+            await sendMetric('FilesAttached', attachments.length - current.length, 'Count');
+
+            console.log(`[${requestId}] [SUCCESS] Attached ${attachments.length - current.length} files to ${noteId} in ${duration}ms`);
+            return {
+                statusCode: 200,
+                headers: headers,
+                body: JSON.stringify({
+                    message: 'Files attached',
+                    note: toNoteInfo(updated, role),
+                    attachments: await listAttachments(updated)
+                })
+            };
+        }
+
+        // Handle DELETE /notes/{id}/attachments/{fileId} - unlink a file; the file itself is kept
+        if (method === 'DELETE' && path.includes('/attachments/')) {
+            operationType = 'DETACH_FILE';
+            const pathParams = event.pathParameters || {};
+            const noteId = pathParams.id || pathParams.noteId;
+            const fileId = pathParams.fileId || decodeURIComponent(path.split('/').pop());
+
+            const access = await authorizeNote(noteId, requester, 'owner');
+            if (access.error) {
+                await sendMetric('Errors', 1, 'Count');
+                console.error(`[${requestId}] Access to note ${noteId} denied: ${access.error}`);
+                return {
+                    statusCode: access.statusCode,
+                    headers: headers,
+                    body: JSON.stringify({ error: access.error })
+                };
+            }
+            const { note, role } = access;
+
+            if (!noteFileIds(note).includes(fileId)) {
+                await sendMetric('Errors', 1, 'Count');
+                console.error(`[${requestId}] ${fileId} is not attached to ${noteId}`);
+                return {
+                    statusCode: 404,
+                    headers: headers,
+                    body: JSON.stringify({ error: 'File is not attached to this note' })
+                };
+            }
+
+            const updated = await saveAttachments(
+                note,
+                (note.attachments || []).filter(id => id !== fileId),
+                (note.trashedAttachments || []).filter(id => id !== fileId)
+            );
+            if (!updated) {
+                await sendMetric('Errors', 1, 'Count');
+                console.error(`[${requestId}] Note changed while detaching ${fileId}`);
+                return {
+                    statusCode: 409,
+                    headers: headers,
+                    body: JSON.stringify({ error: 'Note was modified by another request, please try again' })
+                };
+            }
+
+            const duration = Date.now() - startTime;
+            await sendMetric('RequestDuration', duration, 'Milliseconds');
+            await sendMetric('FilesDetached', 1, 'Count');
+
+            console.log(`[${requestId}] [SUCCESS] Detached ${fileId} from ${noteId} in ${duration}ms`);
+            return {
+                statusCode: 200,
+                headers: headers,
+                body: JSON.stringify({
+                    message: 'File detached',
+                    note: toNoteInfo(updated, role),
+                    attachments: await listAttachments(updated)
+                })
+            };
+        }
+
+        // Handle GET /notes/{id}/collaborators - who the note is shared with; anyone with access can see this
+        if (method === 'GET' && path.endsWith('/collaborators')) {
+            operationType = 'LIST_COLLABORATORS';
+            const pathParams = event.pathParameters || {};
+            const noteId = pathParams.id || pathParams.noteId;
+
+            const access = await authorizeNote(noteId, requester, 'viewer');
+            if (access.error) {
+                await sendMetric('Errors', 1, 'Count');
+                console.error(`[${requestId}] Access to note ${noteId} denied: ${access.error}`);
+                return {
+                    statusCode: access.statusCode,
+                    headers: headers,
+                    body: JSON.stringify({ error: access.error })
+                };
+            }
+            const { note, role } = access;
+            const collaborators = toCollaboratorList(note);
+
+            const duration = Date.now() - startTime;
+            await sendMetric('RequestDuration', duration, 'Milliseconds');
+
+            console.log(`[${requestId}] [SUCCESS] Retrieved ${collaborators.length} collaborators in ${duration}ms`);
+            return {
+                statusCode: 200,
+                headers: headers,
+                body: JSON.stringify({ owner: note.createdBy || null, role, yourEmail: verifiedEmail, collaborators })
+            };
+        }
+
+        // Handle PUT /notes/{id}/collaborators - share with someone by email, or change their role: { email, role }
+        if (method === 'PUT' && path.endsWith('/collaborators')) {
+            operationType = 'SHARE_NOTE_WITH_USER';
+            const pathParams = event.pathParameters || {};
+            const noteId = pathParams.id || pathParams.noteId;
+
+            let body;
+            try {
+                body = JSON.parse(event.body || '{}');
+            } catch (parseError) {
+                await sendMetric('Errors', 1, 'Count');
+                console.error(`[${requestId}] JSON parse error:`, parseError);
+                return {
+                    statusCode: 400,
+                    headers: headers,
+                    body: JSON.stringify({ error: 'Invalid JSON in request body' })
+                };
+            }
+
+            const email = String(body.email || '').trim().toLowerCase();
+            if (!EMAIL_PATTERN.test(email) || email.length > 254 || !COLLABORATOR_ROLES.includes(body.role)) {
+                await sendMetric('Errors', 1, 'Count');
+                console.error(`[${requestId}] Invalid collaborator:`, body.email, body.role);
+                return {
+                    statusCode: 400,
+                    headers: headers,
+                    body: JSON.stringify({ error: `A valid email and a role (${COLLABORATOR_ROLES.join(' or ')}) are required` })
+                };
+            }
+
+            const access = await authorizeNote(noteId, requester, 'owner');
+            if (access.error) {
+                await sendMetric('Errors', 1, 'Count');
+                console.error(`[${requestId}] Access to note ${noteId} denied: ${access.error}`);
+                return {
+                    statusCode: access.statusCode,
+                    headers: headers,
+                    body: JSON.stringify({ error: access.error })
+                };
+            }
+            const { note, role } = access;
+
+            if (email === verifiedEmail || email === String(note.createdBy || '').toLowerCase()) {
+                await sendMetric('Errors', 1, 'Count');
+                console.error(`[${requestId}] Owner tried to share ${noteId} with themselves`);
+                return {
+                    statusCode: 400,
+                    headers: headers,
+                    body: JSON.stringify({ error: 'You already own this note' })
+                };
+            }
+
+            const collaboratorCount = Object.keys(note.collaborators || {}).length;
+            if (!note.collaborators?.[email] && collaboratorCount >= MAX_COLLABORATORS) {
+                await sendMetric('Errors', 1, 'Count');
+                console.error(`[${requestId}] Too many collaborators on ${noteId}`);
+                return {
+                    statusCode: 400,
+                    headers: headers,
+                    body: JSON.stringify({ error: `A note can be shared with at most ${MAX_COLLABORATORS} people` })
+                };
+            }
+
+            const updated = await saveCollaborator(note, { email, role: body.role });
+            if (!updated) {
+                await sendMetric('Errors', 1, 'Count');
+                console.error(`[${requestId}] Note changed while sharing it with ${email}`);
+                return {
+                    statusCode: 409,
+                    headers: headers,
+                    body: JSON.stringify({ error: 'Note was modified by another request, please try again' })
+                };
+            }
+
+            const duration = Date.now() - startTime;
+            await sendMetric('RequestDuration', duration, 'Milliseconds');
+            await sendMetric('NotesSharedWithUsers', 1, 'Count');
+
+            console.log(`[${requestId}] [SUCCESS] Shared ${noteId} as ${body.role} in ${duration}ms`);
+            return {
+                statusCode: 200,
+                headers: headers,
+                body: JSON.stringify({
+                    message: `Shared with ${email}`,
+                    note: toNoteInfo(updated, role),
+                    collaborators: toCollaboratorList(updated)
+                })
+            };
+        }
+
+        // Handle DELETE /notes/{id}/collaborators/{email} - the owner stops sharing, or a collaborator leaves
+        if (method === 'DELETE' && path.includes('/collaborators/')) {
+            operationType = 'UNSHARE_NOTE_WITH_USER';
+            const pathParams = event.pathParameters || {};
+            const noteId = pathParams.id || pathParams.noteId;
+            const email = decodeURIComponent(pathParams.email || path.split('/').pop()).trim().toLowerCase();
 
-    const requestOrigin = event?.headers?.origin || event?.headers?.Origin;
-    const allowedOrigins = new Set([
-        'https://main.d1xrjjt0e3swym.amplifyapp.com',
-        'http://localhost:3000'
-    ]);
+            // Leaving only needs access to the note; removing someone else needs ownership
+            const access = await authorizeNote(noteId, requester, email === verifiedEmail ? 'viewer' : 'owner');
+            if (access.error) {
+                await sendMetric('Errors', 1, 'Count');
+                console.error(`[${requestId}] Access to note ${noteId} denied: ${access.error}`);
+                return {
+                    statusCode: access.statusCode,
+                    headers: headers,
+                    body: JSON.stringify({ error: access.error })
+                };
+            }
+            const { note, role } = access;
 
-    // CORS headers for all responses
-    const headers = {
-        'Access-Control-Allow-Origin': allowedOrigins.has(requestOrigin) ? requestOrigin : 'https://main.d1xrjjt0e3swym.amplifyapp.com',
-        'Access-Control-Allow-Headers': 'Content-Type,Authorization,X-Amz-Date,X-Api-Key,X-Amz-Security-Token,Origin,Accept',
-        'Access-Control-Allow-Methods': 'GET,POST,DELETE,OPTIONS',
-        'Access-Control-Allow-Credentials': 'true',
-        'Content-Type': 'application/json'
-    };
+            if (!note.collaborators?.[email]) {
+                await sendMetric('Errors', 1, 'Count');
+                console.error(`[${requestId}] ${noteId} is not shared with that email`);
+                return {
+                    statusCode: 404,
+                    headers: headers,
+                    body: JSON.stringify({ error: 'This note is not shared with that email' })
+                };
+            }
 
-    if (!userId) {
-        console.error(`[${requestId}] Missing authenticated user`);
-        return {
-            statusCode: 401,
-            headers,
-            body: JSON.stringify({ error: 'Unauthorized' })
-        };
-    }
+            const updated = await saveCollaborator(note, { email });
+            if (!updated) {
+                await sendMetric('Errors', 1, 'Count');
+                console.error(`[${requestId}] Note changed while unsharing it`);
+                return {
+                    statusCode: 409,
+                    headers: headers,
+                    body: JSON.stringify({ error: 'Note was modified by another request, please try again' })
+                };
+            }
 
-    // Helper function to send metrics to CloudWatch
-    const sendMetric = async (metricName, value, unit = 'Count') => {
-        try {
-            await cloudwatchClient.send(new PutMetricDataCommand({
-                Namespace: NAMESPACE,
-                MetricData: [
-                    {
-                        MetricName: metricName,
-                        Value: value,
-                        Unit: unit,
-                        Timestamp: new Date(),
-                        Dimensions: [
-                            { Name: 'Environment', Value: 'production' },
-                            { Name: 'OperationType', Value: operationType }
-                        ]
-                    }
-                ]
-            }));
-        } catch (err) {
-            console.error(`[${requestId}] Failed to send metric ${metricName}:`, err);
+            const duration = Date.now() - startTime;
+            await sendMetric('RequestDuration', duration, 'Milliseconds');
+            await sendMetric('NotesUnsharedWithUsers', 1, 'Count');
+
+            console.log(`[${requestId}] [SUCCESS] Removed a collaborator from ${noteId} in ${duration}ms`);
+            return {
+                statusCode: 200,
+                headers: headers,
+                body: JSON.stringify({
+                    message: `No longer shared with ${email}`,
+                    note: role === 'owner' ? toNoteInfo(updated, role) : null,
+                    collaborators: toCollaboratorList(updated)
+                })
+            };
         }
-    };
-    
-    try {
-        // Get HTTP method
-        const method = event.httpMethod || event.requestContext?.http?.method;
-        console.log(`[${requestId}] HTTP Method: ${method}`);
-        
-        // Handle OPTIONS (preflight CORS request)
-        if (method === 'OPTIONS') {
+
+        // Handle GET ?shared=true - one page of the notes other users shared with this user
+        if (method === 'GET' && (event.queryStringParameters || {}).shared === 'true') {
+            operationType = 'LIST_SHARED_NOTES';
+            const queryParams = event.queryStringParameters || {};
+
+            const limit = queryParams.limit === undefined ? DEFAULT_PAGE_SIZE : Number(queryParams.limit);
+            if (!Number.isInteger(limit) || limit < 1 || limit > MAX_PAGE_SIZE) {
+                await sendMetric('Errors', 1, 'Count');
+                console.error(`[${requestId}] Invalid limit:`, queryParams.limit);
+                return {
+                    statusCode: 400,
+                    headers: headers,
+                    body: JSON.stringify({ error: `limit must be an integer between 1 and ${MAX_PAGE_SIZE}` })
+                };
+            }
+
+            // Without a verified email nothing can have been shared with this user
+            if (!verifiedEmail) {
+                return {
+                    statusCode: 200,
+                    headers: headers,
+                    body: JSON.stringify({ notes: [], nextCursor: null })
+                };
+            }
+
+            let exclusiveStartKey;
+            if (queryParams.cursor) {
+                exclusiveStartKey = decodeCursor(queryParams.cursor);
+                if (!exclusiveStartKey || exclusiveStartKey.email !== verifiedEmail) {
+                    await sendMetric('Errors', 1, 'Count');
+                    console.error(`[${requestId}] Invalid cursor`);
+                    return {
+                        statusCode: 400,
+                        headers: headers,
+                        body: JSON.stringify({ error: 'Invalid cursor' })
+                    };
+                }
+            }
+
+            const response = await docClient.send(new QueryCommand({
+                TableName: COLLABORATORS_TABLE,
+                KeyConditionExpression: 'email = :email',
+                ExpressionAttributeValues: { ':email': verifiedEmail },
+                Limit: limit,
+                ExclusiveStartKey: exclusiveStartKey
+            }));
+            const noteIds = (response.Items || []).map(item => item.noteId);
+            const notesById = await getItemsById(TABLE_NAME, 'noteId', noteIds);
+
+            // The note's collaborators map is what counts; trashed notes are left out like in the owner's list.
+            // As with the owner's list, filtering after the Limit can make a page short.
+            const tag = queryParams.tag ? String(queryParams.tag).trim().toLowerCase() : null;
+            const notes = noteIds
+                .map(noteId => notesById[noteId])
+                .filter(note => note && !note.deletedAt && (!tag || (note.tags || []).includes(tag)))
+                .map(note => ({ note, role: getNoteRole(note, requester) }))
+                .filter(({ role }) => role && role !== 'owner')
+                // Pinned, favorite and archived organize the owner's own list, so collaborators do not get them
+                .map(({ note: { pinned, pinnedAt, favorite, archived, ...note }, role }) => ({
+                    ...toNoteInfo(note, role),
+                    sharedBy: note.createdBy || null
+                }));
+
+            const duration = Date.now() - startTime;
+            await sendMetric('RequestDuration', duration, 'Milliseconds');
+            await sendMetric('NotesListed', notes.length, 'Count');
+
+            console.log(`[${requestId}] [SUCCESS] Retrieved ${notes.length} shared notes in ${duration}ms`);
             return {
                 statusCode: 200,
                 headers: headers,
-                body: ''
+                body: JSON.stringify({
+                    notes,
+                    nextCursor: encodeCursor(response.LastEvaluatedKey)
+                })
             };
         }
-        
-        // Handle GET - Fetch notes from DynamoDB
+
+        // Handle GET - Fetch one page of the user's notes, pinned first and then newest first
         if (method === 'GET') {
             operationType = 'LIST_NOTES';
-            console.log(`[${requestId}] Listing notes for user: ${userId}`);
-            
-            const command = new ScanCommand({
-                TableName: TABLE_NAME,
-                FilterExpression: 'userId = :userId',
-                ExpressionAttributeValues: {
-                    ':userId': userId
+            const queryParams = event.queryStringParameters || {};
+            console.log(`[${requestId}] Listing notes for user: ${userId}`, queryParams);
+
+            const limit = queryParams.limit === undefined ? DEFAULT_PAGE_SIZE : Number(queryParams.limit);
+            if (!Number.isInteger(limit) || limit < 1 || limit > MAX_PAGE_SIZE) {
+                await sendMetric('Errors', 1, 'Count');
+                console.error(`[${requestId}] Invalid limit:`, queryParams.limit);
+                return {
+                    statusCode: 400,
+                    headers: headers,
+                    body: JSON.stringify({ error: `limit must be an integer between 1 and ${MAX_PAGE_SIZE}` })
+                };
+            }
+
+            let exclusiveStartKey;
+            if (queryParams.cursor) {
+                exclusiveStartKey = decodeCursor(queryParams.cursor);
+                if (!exclusiveStartKey || exclusiveStartKey.userId !== userId) {
+                    await sendMetric('Errors', 1, 'Count');
+                    console.error(`[${requestId}] Invalid cursor`);
+                    return {
+                        statusCode: 400,
+                        headers: headers,
+                        body: JSON.stringify({ error: 'Invalid cursor' })
+                    };
                 }
+            }
+
+            const expressionValues = { ':userId': userId, ':true': true };
+            let filter = 'attribute_not_exists(deletedAt)';
+            if (queryParams.tag) {
+                filter += ' AND contains(tags, :tag)';
+                expressionValues[':tag'] = String(queryParams.tag).trim().toLowerCase();
+            }
+            // Archived notes are only listed when asked for, and then on their own
+            filter += queryParams.archived === 'true' ? ' AND archived = :true' : ' AND NOT (archived = :true)';
+            if (queryParams.favorite === 'true') {
+                filter += ' AND favorite = :true';
+            }
+
+            // Pinned notes are all returned at the top of the first page and left out of every
+            // page after that, so they stay first however far the list is paged. Pins are capped,
+            // so one bounded read of the pinned index finds them all, most recently pinned first.
+            const pinnedNotes = [];
+            if (!exclusiveStartKey) {
+                const pinnedResponse = await docClient.send(new QueryCommand({
+                    TableName: TABLE_NAME,
+                    IndexName: PINNED_INDEX_NAME,
+                    KeyConditionExpression: 'userId = :userId',
+                    FilterExpression: filter,
+                    ExpressionAttributeValues: expressionValues,
+                    ScanIndexForward: false,
+                    Limit: MAX_PINNED_NOTES
+                }));
+                pinnedNotes.push(...(pinnedResponse.Items || []));
+            }
+
+            // Trashed notes (and notes without the requested tag) are filtered out after the Limit
+            // is applied, so a page can come back short (even empty) while nextCursor is still set
+            const command = new QueryCommand({
+                TableName: TABLE_NAME,
+                IndexName: USER_INDEX_NAME,
+                KeyConditionExpression: 'userId = :userId',
+                FilterExpression: `${filter} AND attribute_not_exists(pinnedAt)`,
+                ExpressionAttributeValues: expressionValues,
+                ScanIndexForward: false,
+                Limit: limit,
+                ExclusiveStartKey: exclusiveStartKey
             });
             
             const response = await docClient.send(command);
-            const notes = response.Items || [];
-            
-            // Sort by creation date (newest first)
-            notes.sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+            const notes = [...pinnedNotes, ...(response.Items || [])];
             
             // Add id field for frontend compatibility
-            const notesWithId = notes.map(note => ({
-                ...note,
-                id: note.noteId
-            }));
+            const notesWithId = notes.map(note => toNoteInfo(note, 'owner'));
             
             const duration = Date.now() - startTime;
             await sendMetric('RequestDuration', duration, 'Milliseconds');
@@ -118,7 +1309,10 @@ export const handler = async (event, context) => {
             return {
                 statusCode: 200,
                 headers: headers,
-                body: JSON.stringify(notesWithId)
+                body: JSON.stringify({
+                    notes: notesWithId,
+                    nextCursor: encodeCursor(response.LastEvaluatedKey)
+                })
             };
         }
         
@@ -154,6 +1348,7 @@ export const handler = async (event, context) => {
             // Validate required fields
             const title = (body.title || '').trim();
             const content = body.content || '';
+            const tags = body.tags === undefined ? [] : normalizeTags(body.tags);
             
             if (!title) {
                 await sendMetric('Errors', 1, 'Count');
@@ -164,14 +1359,27 @@ export const handler = async (event, context) => {
                     body: JSON.stringify({ error: 'Title is required' })
                 };
             }
+
+            if (!tags) {
+                await sendMetric('Errors', 1, 'Count');
+                console.error(`[${requestId}] Invalid tags:`, body.tags);
+                return {
+                    statusCode: 400,
+                    headers: headers,
+                    body: JSON.stringify({ error: `tags must be a list of at most ${MAX_TAGS} tags of up to ${MAX_TAG_LENGTH} letters, digits, spaces, - or _` })
+                };
+            }
             
             // Create new note and save to DynamoDB
             const newNote = {
                 noteId: randomUUID(),
                 title: title,
                 content: content,
+                tags: tags,
                 createdAt: new Date().toISOString(),
                 updatedAt: new Date().toISOString(),
+                version: 1,
+                createdBy: editor,
                 userId
             };
             
@@ -196,12 +1404,196 @@ export const handler = async (event, context) => {
                 headers: headers,
                 body: JSON.stringify({
                     message: 'Note created successfully',
-                    note: { ...newNote, id: newNote.noteId }
+                    note: toNoteInfo(newNote, 'owner')
                 })
             };
         }
         
-        // Handle DELETE - Remove note by id
+        // Handle PUT/PATCH - Update note by id (optimistic concurrency on version)
+        if (method === 'PUT' || method === 'PATCH') {
+            operationType = 'UPDATE_NOTE';
+            const pathParams = event.pathParameters || {};
+            const noteId = pathParams.id || pathParams.noteId;
+            console.log(`[${requestId}] Update request for noteId:`, noteId);
+
+            if (!noteId) {
+                await sendMetric('Errors', 1, 'Count');
+                console.error(`[${requestId}] noteId is required in the path`);
+                return {
+                    statusCode: 400,
+                    headers: headers,
+                    body: JSON.stringify({ error: 'noteId is required in the path' })
+                };
+            }
+
+            let body;
+            try {
+                body = JSON.parse(event.body || '{}');
+            } catch (parseError) {
+                await sendMetric('Errors', 1, 'Count');
+                console.error(`[${requestId}] JSON parse error:`, parseError);
+                return {
+                    statusCode: 400,
+                    headers: headers,
+                    body: JSON.stringify({ error: 'Invalid JSON in request body' })
+                };
+            }
+
+            const hasTitle = body.title !== undefined;
+            const hasContent = body.content !== undefined;
+            const hasTags = body.tags !== undefined;
+            const title = hasTitle ? String(body.title).trim() : undefined;
+            const tags = hasTags ? normalizeTags(body.tags) : undefined;
+            const flags = Object.fromEntries(NOTE_FLAGS.filter(flag => body[flag] !== undefined).map(flag => [flag, body[flag]]));
+            const hasFlags = Object.keys(flags).length > 0;
+
+            if (!hasTitle && !hasContent && !hasTags && !hasFlags) {
+                await sendMetric('Errors', 1, 'Count');
+                console.error(`[${requestId}] Nothing to update`);
+                return {
+                    statusCode: 400,
+                    headers: headers,
+                    body: JSON.stringify({ error: 'title, content, tags, pinned, favorite or archived is required' })
+                };
+            }
+
+            if (Object.values(flags).some(value => typeof value !== 'boolean')) {
+                await sendMetric('Errors', 1, 'Count');
+                console.error(`[${requestId}] Invalid flags:`, flags);
+                return {
+                    statusCode: 400,
+                    headers: headers,
+                    body: JSON.stringify({ error: 'pinned, favorite and archived must be true or false' })
+                };
+            }
+
+            if (hasTags && !tags) {
+                await sendMetric('Errors', 1, 'Count');
+                console.error(`[${requestId}] Invalid tags:`, body.tags);
+                return {
+                    statusCode: 400,
+                    headers: headers,
+                    body: JSON.stringify({ error: `tags must be a list of at most ${MAX_TAGS} tags of up to ${MAX_TAG_LENGTH} letters, digits, spaces, - or _` })
+                };
+            }
+
+            if (hasTitle && !title) {
+                await sendMetric('Errors', 1, 'Count');
+                console.error(`[${requestId}] Title cannot be empty`);
+                return {
+                    statusCode: 400,
+                    headers: headers,
+                    body: JSON.stringify({ error: 'Title cannot be empty' })
+                };
+            }
+
+            // Flags organize the owner's list, so only the owner can set them; editors change the text.
+            // Notes in the trash have to be restored before they can be edited
+            const access = await authorizeNote(noteId, requester, hasFlags ? 'owner' : 'editor');
+            if (access.error) {
+                await sendMetric('Errors', 1, 'Count');
+                console.error(`[${requestId}] Access to note ${noteId} denied: ${access.error}`);
+                return {
+                    statusCode: access.statusCode,
+                    headers: headers,
+                    body: JSON.stringify({ error: access.error })
+                };
+            }
+            const { note, role } = access;
+
+            if (flags.pinned === true && !note.pinned && await countPinnedNotes(docClient, userId) >= MAX_PINNED_NOTES) {
+                await sendMetric('Errors', 1, 'Count');
+                console.error(`[${requestId}] Pin limit reached for user ${userId}`);
+                return {
+                    statusCode: 409,
+                    headers: headers,
+                    body: JSON.stringify({ error: `You can pin up to ${MAX_PINNED_NOTES} notes; unpin one first`, code: 'PIN_LIMIT_REACHED' })
+                };
+            }
+
+            // Pinning, favoriting or archiving alone is not an edit: no version is needed or created
+            if (!hasTitle && !hasContent && !hasTags) {
+                operationType = 'UPDATE_NOTE_FLAGS';
+                const updated = await setNoteFlags(noteId, userId, flags);
+                if (!updated) {
+                    await sendMetric('Errors', 1, 'Count');
+                    console.error(`[${requestId}] Note not found, trashed or not owned by user`);
+                    return {
+                        statusCode: 404,
+                        headers: headers,
+                        body: JSON.stringify({ error: 'Note not found' })
+                    };
+                }
+
+                const duration = Date.now() - startTime;
+                await sendMetric('RequestDuration', duration, 'Milliseconds');
+                await sendMetric('NoteFlagsUpdated', 1, 'Count');
+
+                console.log(`[${requestId}] [SUCCESS] Set ${Object.keys(flags).join(', ')} on note ${noteId} in ${duration}ms`);
+                return {
+                    statusCode: 200,
+                    headers: headers,
+                    body: JSON.stringify({
+                        message: 'Note updated successfully',
+                        note: toNoteInfo(updated, role)
+                    })
+                };
+            }
+
+            // Notes created before versioning was introduced have no version attribute
+            const expectedVersion = Number(body.version ?? 0);
+            if (!Number.isInteger(expectedVersion) || expectedVersion < 0) {
+                await sendMetric('Errors', 1, 'Count');
+                console.error(`[${requestId}] Invalid version:`, body.version);
+                return {
+                    statusCode: 400,
+                    headers: headers,
+                    body: JSON.stringify({ error: 'version must be a non-negative integer' })
+                };
+            }
+
+            const changes = {};
+            if (hasTitle) changes.title = title;
+            if (hasContent) changes.content = String(body.content);
+            if (hasTags) changes.tags = tags;
+            Object.assign(changes, flags);
+
+            const updated = await saveNoteRevision(note, changes, expectedVersion, editor);
+            if (!updated) {
+                // Someone else saved first - hand back the current copy so the client can resolve it
+                const current = await docClient.send(new GetCommand({
+                    TableName: TABLE_NAME,
+                    Key: { noteId }
+                }));
+                await sendMetric('Errors', 1, 'Count');
+                console.error(`[${requestId}] Version conflict: expected ${expectedVersion}, found ${current?.Item?.version ?? 0}`);
+                return {
+                    statusCode: 409,
+                    headers: headers,
+                    body: JSON.stringify({
+                        error: 'Note was modified by another request',
+                        note: current?.Item ? toNoteInfo(current.Item, role) : null
+                    })
+                };
+            }
+
+            const duration = Date.now() - startTime;
+            await sendMetric('RequestDuration', duration, 'Milliseconds');
+            await sendMetric('NotesUpdated', 1, 'Count');
+
+            console.log(`[${requestId}] [SUCCESS] Note updated to version ${expectedVersion + 1} in ${duration}ms`);
+
+            return {
+                statusCode: 200,
+                headers: headers,
+                body: JSON.stringify({
+                    message: 'Note updated successfully',
+                    note: toNoteInfo(updated, role)
+                })
+            };
+        }
+
+        // Handle DELETE - Move note to the trash; lambda-trash-handler.mjs restores and purges it
         if (method === 'DELETE') {
             operationType = 'DELETE_NOTE';
             const pathParams = event.pathParameters || {};
@@ -218,36 +1610,40 @@ export const handler = async (event, context) => {
                 };
             }
 
-            const existing = await docClient.send(new GetCommand({
-                TableName: TABLE_NAME,
-                Key: { noteId }
-            }));
-
-            if (!existing?.Item || existing.Item.userId !== userId) {
+            const access = await authorizeNote(noteId, requester, 'owner');
+            if (access.error) {
                 await sendMetric('Errors', 1, 'Count');
-                console.error(`[${requestId}] Note not found or not owned by user`);
+                console.error(`[${requestId}] Access to note ${noteId} denied: ${access.error}`);
                 return {
-                    statusCode: 404,
+                    statusCode: access.statusCode,
                     headers: headers,
-                    body: JSON.stringify({ error: 'Note not found' })
+                    body: JSON.stringify({ error: access.error })
                 };
             }
 
-            await docClient.send(new DeleteCommand({
+            const deletedAt = new Date().toISOString();
+            await docClient.send(new UpdateCommand({
                 TableName: TABLE_NAME,
-                Key: { noteId }
+                Key: { noteId },
+                // Trashed notes leave the pinned index; restoring a pinned note puts it back
+                UpdateExpression: 'SET deletedAt = :deletedAt REMOVE pinnedAt',
+                ConditionExpression: 'userId = :userId',
+                ExpressionAttributeValues: {
+                    ':deletedAt': deletedAt,
+                    ':userId': userId
+                }
             }));
             
             const duration = Date.now() - startTime;
             await sendMetric('RequestDuration', duration, 'Milliseconds');
-            await sendMetric('NotesDeleted', 1, 'Count');
+            await sendMetric('NotesTrashed', 1, 'Count');
             
-            console.log(`[${requestId}] [SUCCESS] Note deleted in ${duration}ms`);
+            console.log(`[${requestId}] [SUCCESS] Note moved to trash in ${duration}ms`);
 
             return {
                 statusCode: 200,
                 headers: headers,
-                body: JSON.stringify({ message: 'Note deleted successfully', noteId })
+                body: JSON.stringify({ message: 'Note moved to trash', noteId, deletedAt })
             };
         }
 
@@ -0,0 +1,381 @@
+// ==========================================
+// LAMBDA FUNCTION 5: SEARCH HANDLER (.mjs)
+// ==========================================
+// Keeps an inverted index of notes and file names in the SearchIndex table and serves GET /search.
+//   - DynamoDB Streams on the Notes and Files tables (view type NEW_AND_OLD_IMAGES) update the
+//     index on every write; trashed items are dropped from it and restored ones added back.
+//     File contents come from the extractedText that lambda-text-extraction-handler.mjs adds
+//   - Invoking it with { "action": "reindex" } indexes every existing note and file
+//   - API Gateway GET /search?q= returns ranked results with highlighted snippets
+
+import { DynamoDBClient } from "@aws-sdk/client-dynamodb";
+import { DynamoDBDocumentClient, QueryCommand, ScanCommand, BatchGetCommand, BatchWriteCommand } from "@aws-sdk/lib-dynamodb";
+import { unmarshall } from "@aws-sdk/util-dynamodb";
+import { CloudWatchClient, PutMetricDataCommand } from "@aws-sdk/client-cloudwatch";
+import { termWeights, parseQuery, containsPhrase, highlight } from "./lambda-lib/text-search.mjs";
+
+// Initialize clients
+const docClient = DynamoDBDocumentClient.from(new DynamoDBClient({}));
+const cloudwatchClient = new CloudWatchClient({ region: 'ap-south-1' });
+const NOTES_TABLE = 'Notes';
+const FILES_TABLE = 'Files';
+// Partition key pk ("{userId}#{term}"), sort key docId ("note#{noteId}" or "file#{fileId}")
+const INDEX_TABLE = 'SearchIndex';
+const NAMESPACE = 'PersonalCloudAssistant/Search';
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 50;
+const MAX_QUERY_TERMS = 10;
+// Candidates fetched to build results; phrase checks can reject some, so this is more than the limit
+const MAX_CANDIDATES = 200;
+// A word in a title, tag or file name counts as much as this many words in the body
+const TITLE_WEIGHT = 3;
+const SNIPPET_LENGTH = 160;
+
+// What gets indexed for a Notes or Files item; null for items that should not be searchable
+const toDocument = (table, item) => {
+    if (!item?.userId || item.deletedAt) return null;
+    if (table === NOTES_TABLE) {
+        return {
+            userId: item.userId,
+            docId: `note#${item.noteId}`,
+            fields: [
+                { text: item.title, weight: TITLE_WEIGHT },
+                { text: (item.tags || []).join(' '), weight: TITLE_WEIGHT },
+                { text: item.content, weight: 1 }
+            ]
+        };
+    }
+    if (table === FILES_TABLE) {
+        return {
+            userId: item.userId,
+            docId: `file#${item.fileId}`,
+            fields: [
+                { text: item.name, weight: TITLE_WEIGHT },
+                { text: item.folder, weight: 1 },
+                { text: item.extractedText, weight: 1 }
+            ]
+        };
+    }
+    return null;
+};
+
+const indexKey = (userId, term) => `${userId}#${term}`;
+
+// BatchWrite takes at most 25 requests per call
+const batchWrite = async (requests) => {
+    for (let i = 0; i < requests.length; i += 25) {
+        let requestItems = { [INDEX_TABLE]: requests.slice(i, i + 25) };
+        while (requestItems && Object.keys(requestItems).length > 0) {
+            const result = await docClient.send(new BatchWriteCommand({ RequestItems: requestItems }));
+            requestItems = result.UnprocessedItems;
+        }
+    }
+};
+
+// Writes only the index entries that differ between the old and new version of an item.
+// Returns the number of entries written or removed.
+const updateIndex = async (table, oldItem, newItem) => {
+    const before = toDocument(table, oldItem);
+    const after = toDocument(table, newItem);
+    const doc = after || before;
+    if (!doc) return 0;
+
+    const oldWeights = before ? termWeights(before.fields) : new Map();
+    const newWeights = after ? termWeights(after.fields) : new Map();
+    const requests = [];
+    for (const term of oldWeights.keys()) {
+        if (!newWeights.has(term)) {
+            requests.push({ DeleteRequest: { Key: { pk: indexKey(doc.userId, term), docId: doc.docId } } });
+        }
+    }
+    for (const [term, weight] of newWeights) {
+        if (oldWeights.get(term) !== weight) {
+            requests.push({ PutRequest: { Item: { pk: indexKey(doc.userId, term), docId: doc.docId, userId: doc.userId, weight } } });
+        }
+    }
+
+    await batchWrite(requests);
+    return requests.length;
+};
+
+// docId -> weight for every document of the user containing the term
+const getPostings = async (userId, term) => {
+    const postings = new Map();
+    let exclusiveStartKey;
+    do {
+        const response = await docClient.send(new QueryCommand({
+            TableName: INDEX_TABLE,
+            KeyConditionExpression: 'pk = :pk',
+            ExpressionAttributeValues: { ':pk': indexKey(userId, term) },
+            ExclusiveStartKey: exclusiveStartKey
+        }));
+        (response.Items || []).forEach(item => postings.set(item.docId, item.weight));
+        exclusiveStartKey = response.LastEvaluatedKey;
+    } while (exclusiveStartKey);
+    return postings;
+};
+
+// Fetches the notes and file records behind a list of docIds; BatchGet takes at most 100 keys per call
+const getDocuments = async (docIds) => {
+    const keys = docIds.map(docId => {
+        const [type, id] = docId.split('#');
+        return type === 'note' ? { table: NOTES_TABLE, key: { noteId: id } } : { table: FILES_TABLE, key: { fileId: id } };
+    });
+    const items = {};
+    for (let i = 0; i < keys.length; i += 100) {
+        let requestItems = {};
+        for (const { table, key } of keys.slice(i, i + 100)) {
+            requestItems[table] = requestItems[table] || { Keys: [] };
+            requestItems[table].Keys.push(key);
+        }
+        while (requestItems && Object.keys(requestItems).length > 0) {
+            const response = await docClient.send(new BatchGetCommand({ RequestItems: requestItems }));
+            (response.Responses?.[NOTES_TABLE] || []).forEach(note => { items[`note#${note.noteId}`] = note; });
+            (response.Responses?.[FILES_TABLE] || []).forEach(record => { items[`file#${record.fileId}`] = record; });
+            requestItems = response.UnprocessedKeys;
+        }
+    }
+    return items;
+};
+
+const getExtension = (fileName) => {
+    const dot = fileName.lastIndexOf('.');
+    return dot > 0 ? fileName.slice(dot + 1).toLowerCase() : '';
+};
+
+const toResult = (docId, item, score, terms) => {
+    if (docId.startsWith('note#')) {
+        const title = highlight(item.title, terms);
+        const snippet = highlight(item.content, terms, SNIPPET_LENGTH);
+        return {
+            type: 'note',
+            id: item.noteId,
+            title: title.text,
+            titleHighlights: title.highlights,
+            snippet: snippet.text,
+            snippetHighlights: snippet.highlights,
+            score,
+            note: { ...item, id: item.noteId }
+        };
+    }
+    const title = highlight(item.name, terms);
+    // Files matched on their contents show where; files matched on their name show their folder
+    let snippet = highlight(item.extractedText, terms, SNIPPET_LENGTH);
+    if (snippet.highlights.length === 0 && item.folder) {
+        snippet = { text: `in ${item.folder}`, highlights: [] };
+    }
+    return {
+        type: 'file',
+        id: item.fileId,
+        title: title.text,
+        titleHighlights: title.highlights,
+        snippet: snippet.text,
+        snippetHighlights: snippet.highlights,
+        score,
+        file: {
+            id: item.fileId,
+            name: item.name,
+            size: item.size,
+            folder: item.folder || '',
+            type: getExtension(item.name),
+            uploadedAt: item.uploadedAt
+        }
+    };
+};
+
+// Table name from a stream ARN: arn:aws:dynamodb:{region}:{account}:table/{name}/stream/{label}
+const tableOfStream = (arn) => arn?.split(':table/')[1]?.split('/')[0];
+
+export const handler = async (event, context) => {
+    const startTime = Date.now();
+    const requestId = context?.requestId || context?.awsRequestId || `req-${Date.now()}`;
+    let operationType = 'unknown';
+
+    console.log(`[${requestId}] [START] Received event:`, JSON.stringify(event, null, 2));
+
+    const requestOrigin = event?.headers?.origin || event?.headers?.Origin;
+    const allowedOrigins = new Set([
+        'https://main.d1xrjjt0e3swym.amplifyapp.com',
+        'http://localhost:3000'
+    ]);
+
+    const corsHeaders = {
+        'Access-Control-Allow-Origin': allowedOrigins.has(requestOrigin) ? requestOrigin : 'https://main.d1xrjjt0e3swym.amplifyapp.com',
+        'Access-Control-Allow-Headers': 'Content-Type,Authorization,X-Amz-Date,X-Api-Key,X-Amz-Security-Token,Origin,Accept',
+        'Access-Control-Allow-Methods': 'GET,OPTIONS',
+        'Access-Control-Allow-Credentials': 'true',
+        'Content-Type': 'application/json'
+    };
+
+    // Helper function to send metrics to CloudWatch
+    const sendMetric = async (metricName, value, unit = 'Count') => {
+        try {
+            await cloudwatchClient.send(new PutMetricDataCommand({
+                Namespace: NAMESPACE,
+                MetricData: [
+                    {
+                        MetricName: metricName,
+                        Value: value,
+                        Unit: unit,
+                        Timestamp: new Date(),
+                        Dimensions: [
+                            { Name: 'Environment', Value: 'production' },
+                            { Name: 'OperationType', Value: operationType }
+                        ]
+                    }
+                ]
+            }));
+        } catch (err) {
+            console.error(`[${requestId}] Failed to send metric ${metricName}:`, err);
+        }
+    };
+
+    // DynamoDB stream batch from the Notes or Files table
+    if (event?.Records?.[0]?.eventSource === 'aws:dynamodb') {
+        operationType = 'UPDATE_INDEX';
+        let entries = 0;
+        let failures = 0;
+
+        for (const record of event.Records) {
+            const table = tableOfStream(record.eventSourceARN);
+            const oldItem = record.dynamodb?.OldImage ? unmarshall(record.dynamodb.OldImage) : null;
+            const newItem = record.dynamodb?.NewImage ? unmarshall(record.dynamodb.NewImage) : null;
+            try {
+                entries += await updateIndex(table, oldItem, newItem);
+            } catch (error) {
+                failures++;
+                await sendMetric('Errors', 1, 'Count');
+                console.error(`[${requestId}] [ERROR] Failed to index ${record.eventName} on ${table}:`, error);
+            }
+        }
+
+        const duration = Date.now() - startTime;
+        await sendMetric('RequestDuration', duration, 'Milliseconds');
+        await sendMetric('IndexEntriesWritten', entries, 'Count');
+
+        // Throwing makes Lambda retry the batch; entries that are already written are rewritten unchanged
+        if (failures > 0) {
+            throw new Error(`${failures} of ${event.Records.length} stream records failed`);
+        }
+        console.log(`[${requestId}] [SUCCESS] Wrote ${entries} index entries for ${event.Records.length} records in ${duration}ms`);
+        return { entries };
+    }
+
+    // Manual invocation to index everything that was written before the streams were enabled
+    if (event?.action === 'reindex') {
+        operationType = 'REINDEX';
+        let documents = 0;
+        for (const table of [NOTES_TABLE, FILES_TABLE]) {
+            let exclusiveStartKey;
+            do {
+                const response = await docClient.send(new ScanCommand({ TableName: table, ExclusiveStartKey: exclusiveStartKey }));
+                for (const item of response.Items || []) {
+                    await updateIndex(table, null, item);
+                    documents++;
+                }
+                exclusiveStartKey = response.LastEvaluatedKey;
+            } while (exclusiveStartKey);
+        }
+
+        const duration = Date.now() - startTime;
+        await sendMetric('RequestDuration', duration, 'Milliseconds');
+        console.log(`[${requestId}] [SUCCESS] Reindexed ${documents} items in ${duration}ms`);
+        return { documents };
+    }
+
+    try {
+        const method = event.httpMethod || event.requestContext?.http?.method;
+        console.log(`[${requestId}] Method: ${method}`);
+
+        if (method === 'OPTIONS') {
+            return { statusCode: 200, headers: corsHeaders, body: '' };
+        }
+
+        const userId = event?.requestContext?.authorizer?.jwt?.claims?.sub
+            || event?.requestContext?.authorizer?.claims?.sub
+            || event?.requestContext?.authorizer?.claims?.["cognito:username"];
+
+        if (!userId) {
+            console.error(`[${requestId}] Missing authenticated user`);
+            return { statusCode: 401, headers: corsHeaders, body: JSON.stringify({ error: 'Unauthorized' }) };
+        }
+
+        if (method !== 'GET') {
+            await sendMetric('Errors', 1, 'Count');
+            return { statusCode: 405, headers: corsHeaders, body: JSON.stringify({ error: `Method ${method} not allowed` }) };
+        }
+
+        // GET /search?q=&limit=
+        operationType = 'SEARCH';
+        const queryParams = event.queryStringParameters || {};
+        const query = String(queryParams.q || '').trim();
+        const limit = queryParams.limit === undefined ? DEFAULT_LIMIT : Number(queryParams.limit);
+
+        if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+            await sendMetric('Errors', 1, 'Count');
+            console.error(`[${requestId}] Invalid limit:`, queryParams.limit);
+            return { statusCode: 400, headers: corsHeaders, body: JSON.stringify({ error: `limit must be an integer between 1 and ${MAX_LIMIT}` }) };
+        }
+
+        const { terms, phrases } = parseQuery(query);
+        if (terms.length === 0) {
+            await sendMetric('Errors', 1, 'Count');
+            console.error(`[${requestId}] No searchable words in query: ${query}`);
+            return { statusCode: 400, headers: corsHeaders, body: JSON.stringify({ error: 'Enter at least one word to search for' }) };
+        }
+        if (terms.length > MAX_QUERY_TERMS) {
+            await sendMetric('Errors', 1, 'Count');
+            console.error(`[${requestId}] Too many search terms: ${terms.length}`);
+            return { statusCode: 400, headers: corsHeaders, body: JSON.stringify({ error: `Search for at most ${MAX_QUERY_TERMS} words at a time` }) };
+        }
+
+        // Every term has to match. Rarer terms count for more (tf-idf over the user's documents
+        // that contain any of the terms).
+        const postings = await Promise.all(terms.map(term => getPostings(userId, term)));
+        const seen = new Set(postings.flatMap(termPostings => [...termPostings.keys()]));
+        const candidates = [...postings[0].keys()]
+            .filter(docId => postings.every(termPostings => termPostings.has(docId)))
+            .map(docId => ({
+                docId,
+                score: postings.reduce((score, termPostings) => (
+                    score + (1 + Math.log(termPostings.get(docId))) * Math.log(1 + seen.size / termPostings.size)
+                ), 0)
+            }))
+            .sort((a, b) => b.score - a.score)
+            .slice(0, MAX_CANDIDATES);
+
+        const highlightTerms = new Set(terms);
+        const results = [];
+        for (let i = 0; i < candidates.length && results.length < limit; i += limit) {
+            const batch = candidates.slice(i, i + limit);
+            const items = await getDocuments(batch.map(candidate => candidate.docId));
+            for (const { docId, score } of batch) {
+                const item = items[docId];
+                // The index can briefly lag behind a delete or trash
+                if (!item || item.userId !== userId || item.deletedAt) continue;
+                const texts = docId.startsWith('note#') ? [item.title, item.content] : [item.name, item.extractedText];
+                if (!phrases.every(phrase => texts.some(text => containsPhrase(text, phrase)))) continue;
+                results.push(toResult(docId, item, Math.round(score * 1000) / 1000, highlightTerms));
+                if (results.length === limit) break;
+            }
+        }
+
+        const duration = Date.now() - startTime;
+        await sendMetric('RequestDuration', duration, 'Milliseconds');
+        await sendMetric('SearchQueries', 1, 'Count');
+        await sendMetric('SearchResults', results.length, 'Count');
+
+        console.log(`[${requestId}] [SUCCESS] ${results.length} results for ${terms.length} terms in ${duration}ms`);
+        return {
+            statusCode: 200,
+            headers: corsHeaders,
+            body: JSON.stringify({ query, results })
+        };
+    } catch (error) {
+        const duration = Date.now() - startTime;
+        await sendMetric('Errors', 1, 'Count');
+        await sendMetric('RequestDuration', duration, 'Milliseconds');
+        console.error(`[${requestId}] [ERROR] Unexpected error after ${duration}ms:`, error);
+        return { statusCode: 500, headers: corsHeaders, body: JSON.stringify({ error: 'Internal server error: ' + error.message }) };
+    }
+};
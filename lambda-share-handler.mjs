@@ -0,0 +1,334 @@
+// ==========================================
+// LAMBDA FUNCTION 7: SHARE HANDLER (.mjs)
+// ==========================================
+// Serves the public links created by POST /notes/{id}/share and POST /files/{id}/share.
+//   - GET /share/{token} and POST /share/{token}/download need no login; route them without
+//     the Cognito authorizer. A password, if the link has one, comes in the X-Share-Password header.
+//   - GET /shares and DELETE /shares/{token} let the owner list and revoke links (authorizer required)
+
+import { S3Client, GetObjectCommand } from "@aws-sdk/client-s3";
+import { getSignedUrl } from "@aws-sdk/s3-request-presigner";
+import { DynamoDBClient } from "@aws-sdk/client-dynamodb";
+import { DynamoDBDocumentClient, GetCommand, UpdateCommand } from "@aws-sdk/lib-dynamodb";
+import { CloudWatchClient, PutMetricDataCommand } from "@aws-sdk/client-cloudwatch";
+import {
+    SHARES_TABLE, verifySharePassword, isLockedOut, recordFailedPassword, isExpired, listShareLinks, revokeShareLink
+} from "./lambda-lib/share-links.mjs";
+import { getUserRole } from "./lambda-lib/roles.mjs";
+
+// Points S3 at a local stand-in such as MinIO or LocalStack; unset in production
+const S3_ENDPOINT = process.env.S3_ENDPOINT;
+
+// Initialize clients
+const s3Client = new S3Client({
+    region: 'ap-south-1',
+    ...(S3_ENDPOINT && { endpoint: S3_ENDPOINT, forcePathStyle: true })
+});
+const docClient = DynamoDBDocumentClient.from(new DynamoDBClient({}));
+const cloudwatchClient = new CloudWatchClient({ region: 'ap-south-1' });
+const BUCKET_NAME = 'pca-files-namraa';
+const NOTES_TABLE = 'Notes';
+const FILES_TABLE = 'Files';
+const NAMESPACE = 'PersonalCloudAssistant/Sharing';
+
+// The presigned URL only has to last until the browser starts the download
+const DOWNLOAD_URL_EXPIRY_SECONDS = 300;
+
+const getExtension = (fileName) => fileName.includes('.') ? fileName.split('.').pop().toLowerCase() : '';
+
+// Download filename header that survives non-ASCII names
+const contentDisposition = (fileName) => {
+    const asciiName = fileName.replace(/[^\x20-\x7e]/g, '_').replace(/["\\]/g, '_');
+    return `attachment; filename="${asciiName}"; filename*=UTF-8''${encodeURIComponent(fileName)}`;
+};
+
+// The shared note or file, or null once it has been trashed or purged
+const getSharedItem = async (share) => {
+    const { Item } = share.type === 'note'
+        ? await docClient.send(new GetCommand({ TableName: NOTES_TABLE, Key: { noteId: share.itemId } }))
+        : await docClient.send(new GetCommand({ TableName: FILES_TABLE, Key: { fileId: share.itemId } }));
+    return Item && Item.userId === share.userId && !Item.deletedAt ? Item : null;
+};
+
+// Counts one download (or note view) against the link's cap. Returns false when the cap is
+// used up or the link was revoked or expired since it was read.
+const recordDownload = async (share) => {
+    try {
+        await docClient.send(new UpdateCommand({
+            TableName: SHARES_TABLE,
+            Key: { token: share.token },
+            UpdateExpression: 'ADD downloadCount :one',
+            ConditionExpression: 'attribute_exists(#token) AND expiresAt > :now AND (attribute_type(maxDownloads, :null) OR downloadCount < maxDownloads)',
+            ExpressionAttributeNames: { '#token': 'token' },
+            ExpressionAttributeValues: { ':one': 1, ':now': new Date().toISOString(), ':null': 'NULL' }
+        }));
+        return true;
+    } catch (err) {
+        if (err.name === 'ConditionalCheckFailedException') return false;
+        throw err;
+    }
+};
+
+export const handler = async (event, context) => {
+    const startTime = Date.now();
+    const requestId = context?.requestId || context?.awsRequestId || `req-${Date.now()}`;
+    let operationType = 'unknown';
+
+    // Headers are left out of the log: they can carry a share password
+    console.log(`[${requestId}] [START] Received event:`, JSON.stringify({ ...event, headers: undefined, multiValueHeaders: undefined }, null, 2));
+
+    const requestOrigin = event?.headers?.origin || event?.headers?.Origin;
+    const allowedOrigins = new Set([
+        'https://main.d1xrjjt0e3swym.amplifyapp.com',
+        'http://localhost:3000'
+    ]);
+
+    const corsHeaders = {
+        'Access-Control-Allow-Origin': allowedOrigins.has(requestOrigin) ? requestOrigin : 'https://main.d1xrjjt0e3swym.amplifyapp.com',
+        'Access-Control-Allow-Headers': 'Content-Type,Authorization,X-Amz-Date,X-Api-Key,X-Amz-Security-Token,Origin,Accept,X-Share-Password',
+        'Access-Control-Allow-Methods': 'GET,POST,DELETE,OPTIONS',
+        'Access-Control-Allow-Credentials': 'true',
+        'Content-Type': 'application/json'
+    };
+
+    // Helper function to send metrics to CloudWatch
+    const sendMetric = async (metricName, value, unit = 'Count') => {
+        try {
+            await cloudwatchClient.send(new PutMetricDataCommand({
+                Namespace: NAMESPACE,
+                MetricData: [
+                    {
+                        MetricName: metricName,
+                        Value: value,
+                        Unit: unit,
+                        Timestamp: new Date(),
+                        Dimensions: [
+                            { Name: 'Environment', Value: 'production' },
+                            { Name: 'OperationType', Value: operationType }
+                        ]
+                    }
+                ]
+            }));
+        } catch (err) {
+            console.error(`[${requestId}] Failed to send metric ${metricName}:`, err);
+        }
+    };
+
+    try {
+        const method = event.httpMethod || event.requestContext?.http?.method;
+        const path = event.path || event.rawPath || '';
+        const pathParameters = event.pathParameters || {};
+        const requestHeaders = event.headers || {};
+
+        console.log(`[${requestId}] Method: ${method}, Path: ${path}`);
+
+        if (method === 'OPTIONS') {
+            return { statusCode: 200, headers: corsHeaders, body: '' };
+        }
+
+        // /shares, /shares/{token}, /share/{token} or /share/{token}/download
+        const segments = path.split('/').filter(Boolean);
+        const routeIndex = segments.findIndex(segment => segment === 'share' || segment === 'shares');
+        const route = segments[routeIndex];
+        const [pathToken, action] = segments.slice(routeIndex + 1);
+        const token = pathParameters.token || (pathToken ? decodeURIComponent(pathToken) : undefined);
+
+        if (route === 'shares') {
+            const userId = event?.requestContext?.authorizer?.jwt?.claims?.sub
+                || event?.requestContext?.authorizer?.claims?.sub
+                || event?.requestContext?.authorizer?.claims?.["cognito:username"];
+
+            if (!userId) {
+                console.error(`[${requestId}] Missing authenticated user`);
+                return { statusCode: 401, headers: corsHeaders, body: JSON.stringify({ error: 'Unauthorized' }) };
+            }
+
+            // Read-only users can see their links but not revoke them
+            const claims = event?.requestContext?.authorizer?.jwt?.claims || event?.requestContext?.authorizer?.claims || {};
+            if (getUserRole(claims) === 'read-only' && method !== 'GET') {
+                await sendMetric('Errors', 1, 'Count');
+                console.error(`[${requestId}] Read-only user attempted ${method} ${path}`);
+                return { statusCode: 403, headers: corsHeaders, body: JSON.stringify({ error: 'Your account is read-only', code: 'READ_ONLY' }) };
+            }
+
+            // GET /shares - the user's links, newest first, expired ones included until TTL removes them
+            if (method === 'GET' && !token) {
+                operationType = 'LIST_SHARES';
+                const shares = await listShareLinks(docClient, userId);
+
+                const duration = Date.now() - startTime;
+                await sendMetric('RequestDuration', duration, 'Milliseconds');
+
+                console.log(`[${requestId}] [SUCCESS] Listed ${shares.length} share links in ${duration}ms`);
+                return {
+                    statusCode: 200,
+                    headers: corsHeaders,
+                    body: JSON.stringify({ shares })
+                };
+            }
+
+            // DELETE /shares/{token} - revoke a link
+            if (method === 'DELETE' && token) {
+                operationType = 'REVOKE_SHARE';
+                if (!await revokeShareLink(docClient, userId, token)) {
+                    await sendMetric('Errors', 1, 'Count');
+                    console.error(`[${requestId}] Share link not found or not owned by user`);
+                    return { statusCode: 404, headers: corsHeaders, body: JSON.stringify({ error: 'Share link not found' }) };
+                }
+
+                const duration = Date.now() - startTime;
+                await sendMetric('RequestDuration', duration, 'Milliseconds');
+                await sendMetric('SharesRevoked', 1, 'Count');
+
+                console.log(`[${requestId}] [SUCCESS] Revoked share link in ${duration}ms`);
+                return { statusCode: 200, headers: corsHeaders, body: JSON.stringify({ message: 'Share link revoked' }) };
+            }
+
+            await sendMetric('Errors', 1, 'Count');
+            return { statusCode: 405, headers: corsHeaders, body: JSON.stringify({ error: `Method ${method} not allowed` }) };
+        }
+
+        if (route !== 'share' || !token || (action && action !== 'download')) {
+            await sendMetric('Errors', 1, 'Count');
+            console.error(`[${requestId}] Unknown share route: ${method} ${path}`);
+            return { statusCode: 404, headers: corsHeaders, body: JSON.stringify({ error: 'Not found' }) };
+        }
+
+        // Everything below is public: the token (and password, if set) is the only credential.
+        // Unknown, revoked and expired links all get the same answer.
+        operationType = action === 'download' ? 'DOWNLOAD_SHARE' : 'VIEW_SHARE';
+        const { Item: share } = await docClient.send(new GetCommand({ TableName: SHARES_TABLE, Key: { token } }));
+        if (!share || isExpired(share)) {
+            await sendMetric('ShareAccessDenied', 1, 'Count');
+            console.error(`[${requestId}] Share link missing or expired`);
+            return { statusCode: 404, headers: corsHeaders, body: JSON.stringify({ error: 'This link does not exist or has expired', code: 'LINK_NOT_FOUND' }) };
+        }
+
+        if (share.passwordHash) {
+            const password = requestHeaders['x-share-password'] || requestHeaders['X-Share-Password'];
+            if (!password) {
+                return {
+                    statusCode: 401,
+                    headers: corsHeaders,
+                    body: JSON.stringify({ error: 'This link is password protected', code: 'PASSWORD_REQUIRED', type: share.type })
+                };
+            }
+            // After too many wrong passwords the link stops checking them for a while (see recordFailedPassword)
+            const lockedOut = (lockedUntil) => ({
+                statusCode: 429,
+                headers: { ...corsHeaders, 'Retry-After': String(Math.max(Math.ceil((new Date(lockedUntil).getTime() - Date.now()) / 1000), 1)) },
+                body: JSON.stringify({ error: 'Too many wrong passwords, please try again later', code: 'TOO_MANY_ATTEMPTS', type: share.type, lockedUntil })
+            });
+            if (isLockedOut(share)) {
+                await sendMetric('ShareAccessDenied', 1, 'Count');
+                console.error(`[${requestId}] Share link locked until ${share.lockedUntil}`);
+                return lockedOut(share.lockedUntil);
+            }
+            if (!await verifySharePassword(String(password), share.passwordHash)) {
+                await sendMetric('ShareAccessDenied', 1, 'Count');
+                const lockedUntil = await recordFailedPassword(docClient, share);
+                if (lockedUntil) {
+                    await sendMetric('SharePasswordLockouts', 1, 'Count');
+                    console.error(`[${requestId}] Wrong password for share link, locked until ${lockedUntil}`);
+                    return lockedOut(lockedUntil);
+                }
+                console.error(`[${requestId}] Wrong password for share link`);
+                return {
+                    statusCode: 403,
+                    headers: corsHeaders,
+                    body: JSON.stringify({ error: 'Wrong password', code: 'WRONG_PASSWORD', type: share.type })
+                };
+            }
+        }
+
+        const item = await getSharedItem(share);
+        if (!item) {
+            await sendMetric('ShareAccessDenied', 1, 'Count');
+            console.error(`[${requestId}] Shared ${share.type} ${share.itemId} is trashed or gone`);
+            return { statusCode: 410, headers: corsHeaders, body: JSON.stringify({ error: 'The shared item is no longer available', code: 'ITEM_GONE' }) };
+        }
+
+        const limitReached = share.maxDownloads !== null && share.maxDownloads !== undefined && share.downloadCount >= share.maxDownloads;
+        const downloadsRemaining = share.maxDownloads ? Math.max(share.maxDownloads - share.downloadCount, 0) : null;
+
+        // GET /share/{token} on a file: what it is, without using up a download
+        if (method === 'GET' && share.type === 'file' && !action) {
+            const duration = Date.now() - startTime;
+            await sendMetric('RequestDuration', duration, 'Milliseconds');
+            await sendMetric('ShareViews', 1, 'Count');
+
+            console.log(`[${requestId}] [SUCCESS] Served shared file info in ${duration}ms`);
+            return {
+                statusCode: 200,
+                headers: corsHeaders,
+                body: JSON.stringify({
+                    type: 'file',
+                    file: { name: item.name, size: item.size, type: getExtension(item.name), contentType: item.contentType },
+                    expiresAt: share.expiresAt,
+                    downloadsRemaining,
+                    limitReached
+                })
+            };
+        }
+
+        // POST /share/{token}/download on a file, or GET /share/{token} on a note (each view counts)
+        if ((method === 'POST' && share.type === 'file' && action === 'download') || (method === 'GET' && share.type === 'note' && !action)) {
+            if (!await recordDownload(share)) {
+                await sendMetric('ShareAccessDenied', 1, 'Count');
+                console.error(`[${requestId}] Download limit of ${share.maxDownloads} reached`);
+                return {
+                    statusCode: 410,
+                    headers: corsHeaders,
+                    body: JSON.stringify({ error: 'This link has reached its download limit', code: 'DOWNLOAD_LIMIT_REACHED' })
+                };
+            }
+            const remaining = downloadsRemaining === null ? null : downloadsRemaining - 1;
+
+            if (share.type === 'note') {
+                const duration = Date.now() - startTime;
+                await sendMetric('RequestDuration', duration, 'Milliseconds');
+                await sendMetric('ShareViews', 1, 'Count');
+
+                console.log(`[${requestId}] [SUCCESS] Served shared note in ${duration}ms`);
+                return {
+                    statusCode: 200,
+                    headers: corsHeaders,
+                    body: JSON.stringify({
+                        type: 'note',
+                        note: { title: item.title, content: item.content, tags: item.tags || [], updatedAt: item.updatedAt },
+                        expiresAt: share.expiresAt,
+                        downloadsRemaining: remaining
+                    })
+                };
+            }
+
+            const downloadUrl = await getSignedUrl(s3Client, new GetObjectCommand({
+                Bucket: BUCKET_NAME,
+                Key: item.key,
+                ResponseContentDisposition: contentDisposition(item.name)
+            }), { expiresIn: DOWNLOAD_URL_EXPIRY_SECONDS });
+
+            const duration = Date.now() - startTime;
+            await sendMetric('RequestDuration', duration, 'Milliseconds');
+            await sendMetric('ShareDownloads', 1, 'Count');
+
+            console.log(`[${requestId}] [SUCCESS] Served shared file download in ${duration}ms`);
+            return {
+                statusCode: 200,
+                headers: corsHeaders,
+                body: JSON.stringify({ downloadUrl, fileName: item.name, downloadsRemaining: remaining })
+            };
+        }
+
+        await sendMetric('Errors', 1, 'Count');
+        return { statusCode: 405, headers: corsHeaders, body: JSON.stringify({ error: `Method ${method} not allowed` }) };
+
+    } catch (error) {
+        const duration = Date.now() - startTime;
+        await sendMetric('Errors', 1, 'Count');
+        await sendMetric('RequestDuration', duration, 'Milliseconds');
+
+        console.error(`[${requestId}] [ERROR] Unexpected error after ${duration}ms:`, error);
+        return { statusCode: 500, headers: corsHeaders, body: JSON.stringify({ error: 'Internal server error: ' + error.message }) };
+    }
+};
@@ -0,0 +1,235 @@
+// ==========================================
+// LAMBDA FUNCTION 6: TEXT EXTRACTION HANDLER (.mjs)
+// ==========================================
+// Triggered by the Files table stream (the same one lambda-search-handler.mjs reads). When an
+// upload is confirmed its record is inserted; this handler reads the object, extracts its text
+// and stores it on the record as extractedText, which the search index then picks up.
+//   - .txt, .md, .csv and .json are decoded as UTF-8, .pdf via pdf-parse and .docx via mammoth
+//   - Invoking it with { "action": "backfill" } extracts text for files uploaded earlier
+// Needs the pdf-parse and mammoth packages bundled with the function.
+
+import { S3Client, GetObjectCommand } from "@aws-sdk/client-s3";
+import { DynamoDBClient } from "@aws-sdk/client-dynamodb";
+import { DynamoDBDocumentClient, GetCommand, UpdateCommand, ScanCommand } from "@aws-sdk/lib-dynamodb";
+import { unmarshall } from "@aws-sdk/util-dynamodb";
+import { CloudWatchClient, PutMetricDataCommand } from "@aws-sdk/client-cloudwatch";
+import { PDFParse } from 'pdf-parse';
+import mammoth from 'mammoth';
+
+// S3_ENDPOINT / DYNAMODB_ENDPOINT point the handler at local stand-ins (MinIO, LocalStack,
+// DynamoDB Local) so it can be run outside AWS; unset in production
+const S3_ENDPOINT = process.env.S3_ENDPOINT;
+const DYNAMODB_ENDPOINT = process.env.DYNAMODB_ENDPOINT;
+
+// Initialize clients
+const s3Client = new S3Client({
+    region: 'ap-south-1',
+    ...(S3_ENDPOINT && { endpoint: S3_ENDPOINT, forcePathStyle: true })
+});
+const docClient = DynamoDBDocumentClient.from(new DynamoDBClient({
+    ...(DYNAMODB_ENDPOINT && { endpoint: DYNAMODB_ENDPOINT })
+}));
+const cloudwatchClient = new CloudWatchClient({ region: 'ap-south-1' });
+const BUCKET_NAME = 'pca-files-namraa';
+const FILES_TABLE = 'Files';
+const NAMESPACE = 'PersonalCloudAssistant/TextExtraction';
+const MAX_SOURCE_SIZE = 25 * 1024 * 1024; // larger files are not worth holding in memory
+// Stored text is capped so the record stays well inside DynamoDB's 400 KB item limit
+const MAX_TEXT_LENGTH = 50000;
+// Shown on file cards; kept as its own attribute so listings do not have to cut the full text
+const TEXT_SNIPPET_LENGTH = 200;
+
+const getExtension = (fileName) => fileName.includes('.') ? fileName.split('.').pop().toLowerCase() : '';
+
+const extractPdf = async (bytes) => {
+    const parser = new PDFParse({ data: bytes });
+    try {
+        return (await parser.getText()).text;
+    } finally {
+        await parser.destroy();
+    }
+};
+
+const extractDocx = async (bytes) => (await mammoth.extractRawText({ buffer: Buffer.from(bytes) })).value;
+
+const decodeText = async (bytes) => new TextDecoder('utf-8').decode(bytes);
+
+// Extension -> extractor taking the object's bytes
+const EXTRACTORS = {
+    txt: decodeText,
+    md: decodeText,
+    csv: decodeText,
+    json: decodeText,
+    pdf: extractPdf,
+    docx: extractDocx
+};
+
+// Collapses the layout whitespace PDFs and documents are full of
+const normalizeText = (text) => text
+    .replace(/\r\n?/g, '\n')
+    .replace(/[ \t\f\v\u00a0]+/g, ' ')
+    .replace(/ *\n */g, '\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+
+const toSnippet = (text) => {
+    const flat = text.replace(/\s+/g, ' ');
+    return flat.length > TEXT_SNIPPET_LENGTH ? `${flat.slice(0, TEXT_SNIPPET_LENGTH).trimEnd()}…` : flat;
+};
+
+const needsExtraction = (record) => Boolean(
+    record && !record.deletedAt && !record.textExtractedAt && EXTRACTORS[getExtension(record.name || '')]
+);
+
+export const handler = async (event, context) => {
+    const startTime = Date.now();
+    const requestId = context?.awsRequestId || context?.requestId || `req-${Date.now()}`;
+    let operationType = 'unknown';
+
+    console.log(`[${requestId}] [START] Received event:`, JSON.stringify(event, null, 2));
+
+    // Helper function to send metrics to CloudWatch
+    const sendMetric = async (metricName, value, unit = 'Count') => {
+        try {
+            await cloudwatchClient.send(new PutMetricDataCommand({
+                Namespace: NAMESPACE,
+                MetricData: [
+                    {
+                        MetricName: metricName,
+                        Value: value,
+                        Unit: unit,
+                        Timestamp: new Date(),
+                        Dimensions: [
+                            { Name: 'Environment', Value: 'production' },
+                            { Name: 'OperationType', Value: operationType }
+                        ]
+                    }
+                ]
+            }));
+        } catch (err) {
+            console.error(`[${requestId}] Failed to send metric ${metricName}:`, err);
+        }
+    };
+
+    // Returns true when text was stored. Files that cannot be parsed (corrupt, encrypted) are
+    // marked with textExtractionError so they are not retried; S3 and DynamoDB errors throw.
+    const extractText = async (fileId) => {
+        operationType = 'EXTRACT_TEXT';
+
+        // Re-read the record: the file may have been moved or trashed since the stream record was written
+        const { Item: record } = await docClient.send(new GetCommand({ TableName: FILES_TABLE, Key: { fileId } }));
+        if (!needsExtraction(record)) {
+            console.log(`[${requestId}] Skipping ${fileId}: nothing to extract`);
+            return false;
+        }
+        if (record.size > MAX_SOURCE_SIZE) {
+            console.log(`[${requestId}] Skipping ${fileId}: ${record.size} bytes is too large`);
+            return false;
+        }
+
+        const object = await s3Client.send(new GetObjectCommand({ Bucket: BUCKET_NAME, Key: record.key }));
+        const bytes = await object.Body.transformToByteArray();
+
+        let text = '';
+        let extractionError = null;
+        try {
+            text = normalizeText(await EXTRACTORS[getExtension(record.name)](bytes));
+        } catch (error) {
+            extractionError = error.message || String(error);
+            console.error(`[${requestId}] Could not extract text from ${fileId} (${record.name}):`, error);
+        }
+
+        const truncated = text.length > MAX_TEXT_LENGTH;
+        const extractedText = truncated ? text.slice(0, MAX_TEXT_LENGTH) : text;
+        try {
+            await docClient.send(new UpdateCommand({
+                TableName: FILES_TABLE,
+                Key: { fileId },
+                UpdateExpression: 'SET extractedText = :text, textSnippet = :snippet, textTruncated = :truncated, '
+                    + 'textExtractedAt = :now, textExtractionError = :error',
+                // A record purged in the meantime must not be recreated
+                ConditionExpression: 'attribute_exists(fileId)',
+                ExpressionAttributeValues: {
+                    ':text': extractedText,
+                    ':snippet': toSnippet(extractedText),
+                    ':truncated': truncated,
+                    ':now': new Date().toISOString(),
+                    ':error': extractionError
+                }
+            }));
+        } catch (err) {
+            if (err.name !== 'ConditionalCheckFailedException') throw err;
+            console.log(`[${requestId}] ${fileId} was deleted during extraction, skipping`);
+            return false;
+        }
+
+        if (extractionError) {
+            await sendMetric('ExtractionFailures', 1, 'Count');
+            return false;
+        }
+        await sendMetric('ExtractedTextLength', extractedText.length, 'Count');
+        console.log(`[${requestId}] Extracted ${extractedText.length} characters from ${fileId}${truncated ? ' (truncated)' : ''}`);
+        return true;
+    };
+
+    // Manual invocation for files uploaded before extraction existed
+    if (event?.action === 'backfill') {
+        operationType = 'BACKFILL';
+        let extracted = 0;
+        let exclusiveStartKey;
+        do {
+            const response = await docClient.send(new ScanCommand({
+                TableName: FILES_TABLE,
+                FilterExpression: 'attribute_not_exists(textExtractedAt) AND attribute_not_exists(deletedAt)',
+                ProjectionExpression: 'fileId, #name',
+                ExpressionAttributeNames: { '#name': 'name' },
+                ExclusiveStartKey: exclusiveStartKey
+            }));
+            for (const record of response.Items || []) {
+                if (EXTRACTORS[getExtension(record.name || '')] && await extractText(record.fileId)) extracted++;
+            }
+            exclusiveStartKey = response.LastEvaluatedKey;
+        } while (exclusiveStartKey);
+
+        const duration = Date.now() - startTime;
+        await sendMetric('RequestDuration', duration, 'Milliseconds');
+        await sendMetric('TextExtracted', extracted, 'Count');
+        console.log(`[${requestId}] [SUCCESS] Backfilled text for ${extracted} files in ${duration}ms`);
+        return { extracted };
+    }
+
+    // Stream batch: only new records are interesting, the updates this handler makes come back as MODIFY
+    const records = (event?.Records || []).filter(record => record.eventName === 'INSERT' && record.dynamodb?.NewImage);
+    let extracted = 0;
+    let failures = 0;
+
+    for (const record of records) {
+        const item = unmarshall(record.dynamodb.NewImage);
+        if (!needsExtraction(item)) continue;
+        try {
+            if (await extractText(item.fileId)) extracted++;
+        } catch (error) {
+            // The object can be gone already, e.g. purged straight after upload
+            if (error.name === 'NoSuchKey') {
+                console.log(`[${requestId}] ${item.key} no longer exists, skipping`);
+                continue;
+            }
+            failures++;
+            await sendMetric('Errors', 1, 'Count');
+            console.error(`[${requestId}] [ERROR] Failed to extract text for ${item.fileId}:`, error);
+        }
+    }
+
+    const duration = Date.now() - startTime;
+    await sendMetric('RequestDuration', duration, 'Milliseconds');
+    if (extracted > 0) {
+        await sendMetric('TextExtracted', extracted, 'Count');
+    }
+
+    // Throwing makes Lambda retry the batch; files that already have text are skipped on the retry
+    if (failures > 0) {
+        throw new Error(`${failures} of ${records.length} files failed text extraction`);
+    }
+    console.log(`[${requestId}] [SUCCESS] Extracted text from ${extracted} of ${records.length} new files in ${duration}ms`);
+    return { extracted };
+};
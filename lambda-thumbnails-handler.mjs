@@ -0,0 +1,207 @@
+// ==========================================
+// LAMBDA FUNCTION 3: THUMBNAILS HANDLER (.mjs)
+// ==========================================
+// Triggered by S3 events on the files bucket (prefix "users/"):
+//   - s3:ObjectCreated:*  resizes images into thumbnails/{userId}/{fileId}/{width}.webp
+//   - s3:ObjectRemoved:*  removes those thumbnails again, unless the file was only moved
+// Needs the sharp package (bundle it or attach it as a layer built for linux-x64).
+
+import { S3Client, GetObjectCommand, HeadObjectCommand, PutObjectCommand, DeleteObjectsCommand } from "@aws-sdk/client-s3";
+import { DynamoDBClient } from "@aws-sdk/client-dynamodb";
+import { DynamoDBDocumentClient, GetCommand } from "@aws-sdk/lib-dynamodb";
+import { CloudWatchClient, PutMetricDataCommand } from "@aws-sdk/client-cloudwatch";
+import sharp from 'sharp';
+
+// S3_ENDPOINT / DYNAMODB_ENDPOINT point the handler at local stand-ins (MinIO, LocalStack,
+// DynamoDB Local) so it can be run outside AWS; unset in production
+const S3_ENDPOINT = process.env.S3_ENDPOINT;
+const DYNAMODB_ENDPOINT = process.env.DYNAMODB_ENDPOINT;
+
+// Initialize clients
+const s3Client = new S3Client({
+    region: 'ap-south-1',
+    ...(S3_ENDPOINT && { endpoint: S3_ENDPOINT, forcePathStyle: true })
+});
+const docClient = DynamoDBDocumentClient.from(new DynamoDBClient({
+    ...(DYNAMODB_ENDPOINT && { endpoint: DYNAMODB_ENDPOINT })
+}));
+const cloudwatchClient = new CloudWatchClient({ region: 'ap-south-1' });
+const FILES_TABLE = 'Files';
+const NAMESPACE = 'PersonalCloudAssistant/Thumbnails';
+const THUMBNAIL_PREFIX = 'thumbnails/';
+// Widths in pixels; 256 is what the file grid uses, 1024 suits larger previews
+const THUMBNAIL_WIDTHS = [256, 1024];
+const THUMBNAIL_CONTENT_TYPES = new Set(['image/jpeg', 'image/png', 'image/gif', 'image/webp']);
+const MAX_SOURCE_SIZE = 50 * 1024 * 1024; // larger images are not worth holding in memory
+
+// Thumbnails are keyed by fileId rather than by path, so moving a file between folders keeps them
+const thumbnailKey = (userId, fileId, width) => `${THUMBNAIL_PREFIX}${userId}/${fileId}/${width}.webp`;
+
+// S3 event keys are URL-encoded with "+" for spaces
+const decodeKey = (key) => decodeURIComponent(key.replace(/\+/g, ' '));
+
+// users/{userId}/[folders/]{fileId} -> { userId, fileId }, or null for anything else (e.g. folder placeholders)
+const parseKey = (key) => {
+    const segments = key.split('/');
+    if (segments[0] !== 'users' || segments.length < 3 || !segments[segments.length - 1]) return null;
+    return { userId: segments[1], fileId: segments[segments.length - 1] };
+};
+
+const objectExists = async (bucket, key) => {
+    try {
+        await s3Client.send(new HeadObjectCommand({ Bucket: bucket, Key: key }));
+        return true;
+    } catch (err) {
+        if (err.name === 'NotFound' || err.$metadata?.httpStatusCode === 404) return false;
+        throw err;
+    }
+};
+
+export const handler = async (event, context) => {
+    const startTime = Date.now();
+    const requestId = context?.awsRequestId || context?.requestId || `req-${Date.now()}`;
+    let operationType = 'unknown';
+
+    console.log(`[${requestId}] [START] Received event:`, JSON.stringify(event, null, 2));
+
+    // Helper function to send metrics to CloudWatch
+    const sendMetric = async (metricName, value, unit = 'Count') => {
+        try {
+            await cloudwatchClient.send(new PutMetricDataCommand({
+                Namespace: NAMESPACE,
+                MetricData: [
+                    {
+                        MetricName: metricName,
+                        Value: value,
+                        Unit: unit,
+                        Timestamp: new Date(),
+                        Dimensions: [
+                            { Name: 'Environment', Value: 'production' },
+                            { Name: 'OperationType', Value: operationType }
+                        ]
+                    }
+                ]
+            }));
+        } catch (err) {
+            console.error(`[${requestId}] Failed to send metric ${metricName}:`, err);
+        }
+    };
+
+    const generateThumbnails = async (bucket, key, userId, fileId) => {
+        operationType = 'GENERATE_THUMBNAIL';
+
+        const head = await s3Client.send(new HeadObjectCommand({ Bucket: bucket, Key: key }));
+        if (!THUMBNAIL_CONTENT_TYPES.has(head.ContentType)) {
+            console.log(`[${requestId}] Skipping ${key}: ${head.ContentType} is not a supported image`);
+            return 0;
+        }
+        if (head.ContentLength > MAX_SOURCE_SIZE) {
+            console.log(`[${requestId}] Skipping ${key}: ${head.ContentLength} bytes is too large`);
+            return 0;
+        }
+
+        // A move copies the object to a new key and fires another create event; the
+        // thumbnails from the first one are still valid
+        const widths = [];
+        for (const width of THUMBNAIL_WIDTHS) {
+            if (!(await objectExists(bucket, thumbnailKey(userId, fileId, width)))) widths.push(width);
+        }
+        if (widths.length === 0) {
+            console.log(`[${requestId}] Thumbnails for ${fileId} already exist`);
+            return 0;
+        }
+
+        const object = await s3Client.send(new GetObjectCommand({ Bucket: bucket, Key: key }));
+        const source = await object.Body.transformToByteArray();
+
+        for (const width of widths) {
+            // rotate() applies the EXIF orientation; small images are never upscaled
+            const thumbnail = await sharp(source, { animated: false })
+                .rotate()
+                .resize({ width, withoutEnlargement: true })
+                .webp({ quality: 80 })
+                .toBuffer();
+
+            await s3Client.send(new PutObjectCommand({
+                Bucket: bucket,
+                Key: thumbnailKey(userId, fileId, width),
+                Body: thumbnail,
+                ContentType: 'image/webp',
+                CacheControl: 'private, max-age=86400'
+            }));
+            await sendMetric('ThumbnailSize', thumbnail.length, 'Bytes');
+        }
+
+        console.log(`[${requestId}] Generated ${widths.length} thumbnails for ${key}`);
+        return widths.length;
+    };
+
+    const removeThumbnails = async (bucket, key, userId, fileId) => {
+        operationType = 'DELETE_THUMBNAIL';
+
+        // When a file is moved its metadata already points at the new key by the time the
+        // old one is deleted; those thumbnails belong to the moved file
+        const { Item } = await docClient.send(new GetCommand({ TableName: FILES_TABLE, Key: { fileId } }));
+        if (Item && Item.userId === userId && Item.key !== key) {
+            console.log(`[${requestId}] ${key} was moved to ${Item.key}, keeping thumbnails`);
+            return 0;
+        }
+
+        await s3Client.send(new DeleteObjectsCommand({
+            Bucket: bucket,
+            Delete: {
+                Objects: THUMBNAIL_WIDTHS.map(width => ({ Key: thumbnailKey(userId, fileId, width) })),
+                Quiet: true
+            }
+        }));
+
+        console.log(`[${requestId}] Removed thumbnails for ${key}`);
+        return THUMBNAIL_WIDTHS.length;
+    };
+
+    const records = event?.Records || [];
+    let generated = 0;
+    let removed = 0;
+    let failures = 0;
+
+    for (const record of records) {
+        const bucket = record.s3?.bucket?.name;
+        const key = record.s3?.object?.key ? decodeKey(record.s3.object.key) : '';
+        const parsed = parseKey(key);
+        if (!bucket || !parsed) {
+            console.log(`[${requestId}] Ignoring event for ${bucket}/${key}`);
+            continue;
+        }
+
+        try {
+            if (record.eventName?.startsWith('ObjectCreated')) {
+                generated += await generateThumbnails(bucket, key, parsed.userId, parsed.fileId);
+            } else if (record.eventName?.startsWith('ObjectRemoved')) {
+                removed += await removeThumbnails(bucket, key, parsed.userId, parsed.fileId);
+            }
+        } catch (error) {
+            // The object can be gone already, e.g. an upload rejected on confirm
+            if (error.name === 'NotFound' || error.name === 'NoSuchKey') {
+                console.log(`[${requestId}] ${key} no longer exists, skipping`);
+                continue;
+            }
+            failures++;
+            await sendMetric('Errors', 1, 'Count');
+            console.error(`[${requestId}] [ERROR] Failed to process ${record.eventName} for ${key}:`, error);
+        }
+    }
+
+    const duration = Date.now() - startTime;
+    await sendMetric('RequestDuration', duration, 'Milliseconds');
+    if (generated > 0) {
+        await sendMetric('ThumbnailsGenerated', generated, 'Count');
+    }
+
+    // Throwing makes Lambda retry the event; finished thumbnails are skipped on the retry
+    if (failures > 0) {
+        throw new Error(`${failures} of ${records.length} thumbnail events failed`);
+    }
+
+    console.log(`[${requestId}] [SUCCESS] Generated ${generated} and removed ${removed} thumbnails in ${duration}ms`);
+    return { generated, removed };
+};
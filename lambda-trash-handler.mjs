@@ -0,0 +1,505 @@
+// ==========================================
+// LAMBDA FUNCTION 4: TRASH HANDLER (.mjs)
+// ==========================================
+// Deleting a note sets its deletedAt; deleting a file moves it to trash/{userId}/{fileId}
+// and sets deletedAt on its metadata. This handler serves the /trash routes and, when
+// invoked by an EventBridge schedule, purges anything trashed longer than the retention period.
+
+import { S3Client, ListObjectsV2Command, CopyObjectCommand, DeleteObjectCommand, DeleteObjectsCommand } from "@aws-sdk/client-s3";
+import { DynamoDBClient } from "@aws-sdk/client-dynamodb";
+import {
+    DynamoDBDocumentClient, QueryCommand, ScanCommand, GetCommand, PutCommand, UpdateCommand, DeleteCommand, BatchGetCommand, BatchWriteCommand
+} from "@aws-sdk/lib-dynamodb";
+import { CloudWatchClient, PutMetricDataCommand } from "@aws-sdk/client-cloudwatch";
+import { relinkNotes } from "./lambda-lib/note-attachments.mjs";
+import { getUserRole } from "./lambda-lib/roles.mjs";
+import { MAX_PINNED_NOTES, countPinnedNotes } from "./lambda-lib/pinned-notes.mjs";
+
+// Points S3 at a local stand-in such as MinIO or LocalStack; unset in production
+const S3_ENDPOINT = process.env.S3_ENDPOINT;
+
+// Initialize clients
+const s3Client = new S3Client({
+    region: 'ap-south-1',
+    ...(S3_ENDPOINT && { endpoint: S3_ENDPOINT, forcePathStyle: true })
+});
+const docClient = DynamoDBDocumentClient.from(new DynamoDBClient({}));
+const cloudwatchClient = new CloudWatchClient({ region: 'ap-south-1' });
+const BUCKET_NAME = 'pca-files-namraa';
+const NOTES_TABLE = 'Notes';
+// GSI on the Notes table: partition key userId, sort key createdAt
+const NOTES_USER_INDEX = 'userId-createdAt-index';
+// Earlier versions of each note: partition key noteId, sort key version
+const NOTE_VERSIONS_TABLE = 'NoteVersions';
+const FILES_TABLE = 'Files';
+// "Shared with me" index kept by lambda-notes-handler.mjs: partition key email, sort key noteId
+const NOTE_COLLABORATORS_TABLE = 'NoteCollaborators';
+const NAMESPACE = 'PersonalCloudAssistant/Trash';
+
+// Days an item stays in the trash before the scheduled purge removes it for good
+const RETENTION_DAYS = Number(process.env.TRASH_RETENTION_DAYS) || 30;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const purgeAt = (deletedAt) => new Date(new Date(deletedAt).getTime() + RETENTION_DAYS * DAY_MS).toISOString();
+
+// Folder a key lives in, relative to the user's prefix
+const folderOfKey = (userId, key) => key.slice(`users/${userId}/`.length, key.lastIndexOf('/') + 1);
+
+const getExtension = (fileName) => {
+    const dot = fileName.lastIndexOf('.');
+    return dot > 0 ? fileName.slice(dot + 1).toLowerCase() : '';
+};
+
+// Walks every ListObjectsV2 page under the prefix instead of stopping at the first 1000 keys
+const listAllObjects = async (prefix) => {
+    const objects = [];
+    let continuationToken;
+    do {
+        const response = await s3Client.send(new ListObjectsV2Command({
+            Bucket: BUCKET_NAME,
+            Prefix: prefix,
+            ContinuationToken: continuationToken
+        }));
+        objects.push(...(response.Contents || []));
+        continuationToken = response.IsTruncated ? response.NextContinuationToken : undefined;
+    } while (continuationToken);
+    return objects;
+};
+
+// Fetches metadata items by ID; BatchGet takes at most 100 keys per call
+const getFileRecords = async (fileIds) => {
+    const records = {};
+    for (let i = 0; i < fileIds.length; i += 100) {
+        let requestItems = { [FILES_TABLE]: { Keys: fileIds.slice(i, i + 100).map(fileId => ({ fileId })) } };
+        while (requestItems && Object.keys(requestItems).length > 0) {
+            const response = await docClient.send(new BatchGetCommand({ RequestItems: requestItems }));
+            (response.Responses?.[FILES_TABLE] || []).forEach(record => { records[record.fileId] = record; });
+            requestItems = response.UnprocessedKeys;
+        }
+    }
+    return records;
+};
+
+// Trashed notes of one user, newest deletion first
+const listTrashedNotes = async (userId) => {
+    const notes = [];
+    let exclusiveStartKey;
+    do {
+        const response = await docClient.send(new QueryCommand({
+            TableName: NOTES_TABLE,
+            IndexName: NOTES_USER_INDEX,
+            KeyConditionExpression: 'userId = :userId',
+            FilterExpression: 'attribute_exists(deletedAt)',
+            ExpressionAttributeValues: { ':userId': userId },
+            ExclusiveStartKey: exclusiveStartKey
+        }));
+        notes.push(...(response.Items || []));
+        exclusiveStartKey = response.LastEvaluatedKey;
+    } while (exclusiveStartKey);
+    return notes.sort((a, b) => b.deletedAt.localeCompare(a.deletedAt));
+};
+
+// Trashed files of one user; the trash prefix holds exactly those objects
+const listTrashedFiles = async (userId) => {
+    const objects = await listAllObjects(`trash/${userId}/`);
+    const records = await getFileRecords(objects.map(object => object.Key.split('/').pop()));
+    return Object.values(records)
+        .filter(record => record.userId === userId && record.deletedAt)
+        .sort((a, b) => b.deletedAt.localeCompare(a.deletedAt));
+};
+
+const getTrashedNote = async (userId, noteId) => {
+    const { Item } = await docClient.send(new GetCommand({ TableName: NOTES_TABLE, Key: { noteId } }));
+    return Item && Item.userId === userId && Item.deletedAt ? Item : null;
+};
+
+const getTrashedFile = async (userId, fileId) => {
+    if (!fileId || fileId.includes('/')) return null;
+    const { Item } = await docClient.send(new GetCommand({ TableName: FILES_TABLE, Key: { fileId } }));
+    return Item && Item.userId === userId && Item.deletedAt ? Item : null;
+};
+
+// Removes a note, its version history and the records of who it was shared with.
+// Returns false if the note was restored (or purged) before the delete.
+const purgeNote = async (note) => {
+    let deleted;
+    try {
+        deleted = await docClient.send(new DeleteCommand({
+            TableName: NOTES_TABLE,
+            Key: { noteId: note.noteId },
+            // Never remove a note that was restored in the meantime
+            ConditionExpression: 'attribute_exists(deletedAt)',
+            ReturnValues: 'ALL_OLD'
+        }));
+    } catch (err) {
+        if (err.name !== 'ConditionalCheckFailedException') throw err;
+        return false;
+    }
+
+    const collaboratorKeys = Object.keys(deleted.Attributes?.collaborators || {}).map(email => ({ email, noteId: note.noteId }));
+    for (let i = 0; i < collaboratorKeys.length; i += 25) {
+        let requestItems = { [NOTE_COLLABORATORS_TABLE]: collaboratorKeys.slice(i, i + 25).map(Key => ({ DeleteRequest: { Key } })) };
+        while (requestItems && Object.keys(requestItems).length > 0) {
+            const result = await docClient.send(new BatchWriteCommand({ RequestItems: requestItems }));
+            requestItems = result.UnprocessedItems;
+        }
+    }
+
+    let exclusiveStartKey;
+    do {
+        const response = await docClient.send(new QueryCommand({
+            TableName: NOTE_VERSIONS_TABLE,
+            KeyConditionExpression: 'noteId = :noteId',
+            ExpressionAttributeValues: { ':noteId': note.noteId },
+            ProjectionExpression: 'noteId, #version',
+            ExpressionAttributeNames: { '#version': 'version' },
+            ExclusiveStartKey: exclusiveStartKey
+        }));
+        const keys = (response.Items || []).map(item => ({ noteId: item.noteId, version: item.version }));
+        // BatchWrite takes at most 25 requests per call
+        for (let i = 0; i < keys.length; i += 25) {
+            let requestItems = { [NOTE_VERSIONS_TABLE]: keys.slice(i, i + 25).map(Key => ({ DeleteRequest: { Key } })) };
+            while (requestItems && Object.keys(requestItems).length > 0) {
+                const result = await docClient.send(new BatchWriteCommand({ RequestItems: requestItems }));
+                requestItems = result.UnprocessedItems;
+            }
+        }
+        exclusiveStartKey = response.LastEvaluatedKey;
+    } while (exclusiveStartKey);
+    return true;
+};
+
+// Removes the trashed file's metadata, then its object and thumbnails, and unlinks it from notes.
+// The metadata goes first so a file restored in the meantime is never left without its object.
+// Returns false if the file was restored (or purged) before the delete.
+const purgeFile = async (record) => {
+    try {
+        await docClient.send(new DeleteCommand({
+            TableName: FILES_TABLE,
+            Key: { fileId: record.fileId },
+            ConditionExpression: 'attribute_exists(deletedAt) AND #key = :key',
+            ExpressionAttributeNames: { '#key': 'key' },
+            ExpressionAttributeValues: { ':key': record.key }
+        }));
+    } catch (err) {
+        if (err.name !== 'ConditionalCheckFailedException') throw err;
+        return false;
+    }
+
+    await s3Client.send(new DeleteObjectCommand({ Bucket: BUCKET_NAME, Key: record.key }));
+    const thumbnails = await listAllObjects(`thumbnails/${record.userId}/${record.fileId}/`);
+    if (thumbnails.length > 0) {
+        await s3Client.send(new DeleteObjectsCommand({
+            Bucket: BUCKET_NAME,
+            Delete: { Objects: thumbnails.map(object => ({ Key: object.Key })), Quiet: true }
+        }));
+    }
+    await relinkNotes(docClient, record, 'purge');
+    return true;
+};
+
+// Copies the object back into the folder it was deleted from, then clears deletedAt and puts
+// back the attributes that list it in GET /files (see listingAttributes in lambda-files-handler.mjs).
+// Notes it was attached to list it again. Returns false if the file was restored or purged since
+// it was read, so the record still has to be in the trash at the same key for the write to apply.
+const restoreFile = async (record) => {
+    const { deletedAt, ...restored } = record;
+    const key = `users/${record.userId}/${record.folder || ''}${record.fileId}`;
+    const folder = folderOfKey(record.userId, key);
+    await s3Client.send(new CopyObjectCommand({
+        Bucket: BUCKET_NAME,
+        CopySource: `${BUCKET_NAME}/${encodeURIComponent(record.key).replace(/%2F/g, '/')}`,
+        Key: key
+    }));
+    try {
+        await docClient.send(new PutCommand({
+            TableName: FILES_TABLE,
+            Item: { ...restored, key, folder, ownerId: record.userId, ownerFolder: `${record.userId}#${folder}`, nameKey: record.name.toLowerCase() },
+            ConditionExpression: 'attribute_exists(deletedAt) AND #key = :key',
+            ExpressionAttributeNames: { '#key': 'key' },
+            ExpressionAttributeValues: { ':key': record.key }
+        }));
+    } catch (err) {
+        if (err.name !== 'ConditionalCheckFailedException') throw err;
+        // The copy is the live object if another request restored the file first; otherwise
+        // nothing points at it
+        const { Item } = await docClient.send(new GetCommand({ TableName: FILES_TABLE, Key: { fileId: record.fileId } }));
+        if (Item?.key !== key) {
+            await s3Client.send(new DeleteObjectCommand({ Bucket: BUCKET_NAME, Key: key }));
+        }
+        return false;
+    }
+    await s3Client.send(new DeleteObjectCommand({ Bucket: BUCKET_NAME, Key: record.key }));
+    await relinkNotes(docClient, record, 'restore');
+    return true;
+};
+
+const toTrashedNote = (note) => ({
+    id: note.noteId,
+    title: note.title,
+    content: note.content,
+    createdAt: note.createdAt,
+    deletedAt: note.deletedAt,
+    purgeAt: purgeAt(note.deletedAt)
+});
+
+const toTrashedFile = (record) => ({
+    id: record.fileId,
+    name: record.name,
+    size: record.size,
+    folder: record.folder || '',
+    type: getExtension(record.name),
+    uploadedAt: record.uploadedAt,
+    deletedAt: record.deletedAt,
+    purgeAt: purgeAt(record.deletedAt)
+});
+
+export const handler = async (event, context) => {
+    const startTime = Date.now();
+    const requestId = context?.requestId || context?.awsRequestId || `req-${Date.now()}`;
+    let operationType = 'unknown';
+
+    console.log(`[${requestId}] [START] Received event:`, JSON.stringify(event, null, 2));
+
+    const requestOrigin = event?.headers?.origin || event?.headers?.Origin;
+    const allowedOrigins = new Set([
+        'https://main.d1xrjjt0e3swym.amplifyapp.com',
+        'http://localhost:3000'
+    ]);
+
+    const corsHeaders = {
+        'Access-Control-Allow-Origin': allowedOrigins.has(requestOrigin) ? requestOrigin : 'https://main.d1xrjjt0e3swym.amplifyapp.com',
+        'Access-Control-Allow-Headers': 'Content-Type,Authorization,X-Amz-Date,X-Api-Key,X-Amz-Security-Token,Origin,Accept',
+        'Access-Control-Allow-Methods': 'GET,POST,DELETE,OPTIONS',
+        'Access-Control-Allow-Credentials': 'true',
+        'Content-Type': 'application/json'
+    };
+
+    // Helper function to send metrics to CloudWatch
+    const sendMetric = async (metricName, value, unit = 'Count') => {
+        try {
+            await cloudwatchClient.send(new PutMetricDataCommand({
+                Namespace: NAMESPACE,
+                MetricData: [
+                    {
+                        MetricName: metricName,
+                        Value: value,
+                        Unit: unit,
+                        Timestamp: new Date(),
+                        Dimensions: [
+                            { Name: 'Environment', Value: 'production' },
+                            { Name: 'OperationType', Value: operationType }
+                        ]
+                    }
+                ]
+            }));
+        } catch (err) {
+            console.error(`[${requestId}] Failed to send metric ${metricName}:`, err);
+        }
+    };
+
+    // EventBridge schedule, e.g. rate(1 day): purge everything past the retention period
+    if (event?.source === 'aws.events' || event?.['detail-type'] === 'Scheduled Event') {
+        operationType = 'PURGE_EXPIRED';
+        const cutoff = new Date(Date.now() - RETENTION_DAYS * DAY_MS).toISOString();
+        console.log(`[${requestId}] Purging items trashed before ${cutoff}`);
+
+        try {
+            let notesPurged = 0;
+            let exclusiveStartKey;
+            do {
+                const response = await docClient.send(new ScanCommand({
+                    TableName: NOTES_TABLE,
+                    FilterExpression: 'deletedAt < :cutoff',
+                    ExpressionAttributeValues: { ':cutoff': cutoff },
+                    ProjectionExpression: 'noteId',
+                    ExclusiveStartKey: exclusiveStartKey
+                }));
+                for (const note of response.Items || []) {
+                    if (await purgeNote(note)) notesPurged++;
+                }
+                exclusiveStartKey = response.LastEvaluatedKey;
+            } while (exclusiveStartKey);
+
+            const objects = await listAllObjects('trash/');
+            const records = await getFileRecords(objects.map(object => object.Key.split('/').pop()));
+            let filesPurged = 0;
+            for (const object of objects) {
+                const record = records[object.Key.split('/').pop()];
+                if (record?.deletedAt && record.deletedAt < cutoff && record.key === object.Key) {
+                    if (await purgeFile(record)) filesPurged++;
+                } else if (!record && object.LastModified.toISOString() < cutoff) {
+                    // Orphaned object without metadata; its trash time is when it was copied here
+                    await s3Client.send(new DeleteObjectCommand({ Bucket: BUCKET_NAME, Key: object.Key }));
+                    filesPurged++;
+                }
+            }
+
+            const duration = Date.now() - startTime;
+            await sendMetric('RequestDuration', duration, 'Milliseconds');
+            await sendMetric('NotesPurged', notesPurged, 'Count');
+            await sendMetric('FilesPurged', filesPurged, 'Count');
+
+            console.log(`[${requestId}] [SUCCESS] Purged ${notesPurged} notes and ${filesPurged} files in ${duration}ms`);
+            return { notesPurged, filesPurged };
+        } catch (error) {
+            const duration = Date.now() - startTime;
+            await sendMetric('Errors', 1, 'Count');
+            await sendMetric('RequestDuration', duration, 'Milliseconds');
+            console.error(`[${requestId}] [ERROR] Scheduled purge failed after ${duration}ms:`, error);
+            throw error;
+        }
+    }
+
+    try {
+        const method = event.httpMethod || event.requestContext?.http?.method;
+        const path = event.path || event.rawPath || '';
+        const pathParameters = event.pathParameters || {};
+
+        console.log(`[${requestId}] Method: ${method}, Path: ${path}`);
+
+        if (method === 'OPTIONS') {
+            return { statusCode: 200, headers: corsHeaders, body: '' };
+        }
+
+        const userId = event?.requestContext?.authorizer?.jwt?.claims?.sub
+            || event?.requestContext?.authorizer?.claims?.sub
+            || event?.requestContext?.authorizer?.claims?.["cognito:username"];
+
+        if (!userId) {
+            console.error(`[${requestId}] Missing authenticated user`);
+            return { statusCode: 401, headers: corsHeaders, body: JSON.stringify({ error: 'Unauthorized' }) };
+        }
+
+        // Read-only users can look at the trash but not restore or purge anything
+        const claims = event?.requestContext?.authorizer?.jwt?.claims || event?.requestContext?.authorizer?.claims || {};
+        if (getUserRole(claims) === 'read-only' && method !== 'GET') {
+            await sendMetric('Errors', 1, 'Count');
+            console.error(`[${requestId}] Read-only user attempted ${method} ${path}`);
+            return { statusCode: 403, headers: corsHeaders, body: JSON.stringify({ error: 'Your account is read-only', code: 'READ_ONLY' }) };
+        }
+
+        // /trash, /trash/{notes|files}/{id} or /trash/{notes|files}/{id}/restore
+        const segments = path.split('/').filter(Boolean);
+        const trashIndex = segments.lastIndexOf('trash');
+        const [itemType, pathItemId, action] = segments.slice(trashIndex + 1);
+        const itemId = pathParameters.id || (pathItemId ? decodeURIComponent(pathItemId) : undefined);
+
+        // GET /trash
+        if (method === 'GET' && !itemType) {
+            operationType = 'LIST_TRASH';
+            const [notes, files] = await Promise.all([listTrashedNotes(userId), listTrashedFiles(userId)]);
+
+            const duration = Date.now() - startTime;
+            await sendMetric('RequestDuration', duration, 'Milliseconds');
+
+            console.log(`[${requestId}] [SUCCESS] Listed ${notes.length} notes and ${files.length} files in trash in ${duration}ms`);
+            return {
+                statusCode: 200,
+                headers: corsHeaders,
+                body: JSON.stringify({ notes: notes.map(toTrashedNote), files: files.map(toTrashedFile), retentionDays: RETENTION_DAYS })
+            };
+        }
+
+        // DELETE /trash - empty the trash
+        if (method === 'DELETE' && !itemType) {
+            operationType = 'EMPTY_TRASH';
+            const [notes, files] = await Promise.all([listTrashedNotes(userId), listTrashedFiles(userId)]);
+            let notesPurged = 0;
+            for (const note of notes) {
+                if (await purgeNote(note)) notesPurged++;
+            }
+            let filesPurged = 0;
+            for (const file of files) {
+                if (await purgeFile(file)) filesPurged++;
+            }
+
+            const duration = Date.now() - startTime;
+            await sendMetric('RequestDuration', duration, 'Milliseconds');
+            await sendMetric('NotesPurged', notesPurged, 'Count');
+            await sendMetric('FilesPurged', filesPurged, 'Count');
+
+            console.log(`[${requestId}] [SUCCESS] Emptied trash (${notesPurged} notes, ${filesPurged} files) in ${duration}ms`);
+            return {
+                statusCode: 200,
+                headers: corsHeaders,
+                body: JSON.stringify({ message: 'Trash emptied', notesPurged, filesPurged })
+            };
+        }
+
+        if (!['notes', 'files'].includes(itemType) || !itemId) {
+            await sendMetric('Errors', 1, 'Count');
+            console.error(`[${requestId}] Unknown trash route: ${method} ${path}`);
+            return { statusCode: 404, headers: corsHeaders, body: JSON.stringify({ error: 'Not found' }) };
+        }
+
+        const item = itemType === 'notes' ? await getTrashedNote(userId, itemId) : await getTrashedFile(userId, itemId);
+        if (!item) {
+            await sendMetric('Errors', 1, 'Count');
+            console.error(`[${requestId}] Trashed ${itemType} item not found: ${itemId}`);
+            return { statusCode: 404, headers: corsHeaders, body: JSON.stringify({ error: 'Item not found in trash' }) };
+        }
+
+        // POST /trash/{notes|files}/{id}/restore
+        if (method === 'POST' && action === 'restore') {
+            operationType = itemType === 'notes' ? 'RESTORE_NOTE' : 'RESTORE_FILE';
+            let unpinned = false;
+            if (itemType === 'notes') {
+                // A pinned note goes back into the pinned index (userId-pinnedAt-index on Notes),
+                // unless the user already has as many pinned notes as the list shows
+                unpinned = Boolean(item.pinned) && await countPinnedNotes(docClient, userId) >= MAX_PINNED_NOTES;
+                const repin = Boolean(item.pinned) && !unpinned;
+                await docClient.send(new UpdateCommand({
+                    TableName: NOTES_TABLE,
+                    Key: { noteId: itemId },
+                    UpdateExpression: repin ? 'REMOVE deletedAt SET pinnedAt = :pinnedAt' : unpinned ? 'REMOVE deletedAt SET pinned = :false' : 'REMOVE deletedAt',
+                    ConditionExpression: 'userId = :userId',
+                    ExpressionAttributeValues: {
+                        ':userId': userId,
+                        ...(repin && { ':pinnedAt': new Date().toISOString() }),
+                        ...(unpinned && { ':false': false })
+                    }
+                }));
+            } else if (!(await restoreFile(item))) {
+                await sendMetric('Errors', 1, 'Count');
+                console.error(`[${requestId}] File ${itemId} left the trash before it was restored`);
+                return { statusCode: 409, headers: corsHeaders, body: JSON.stringify({ error: 'File was restored or deleted by another request' }) };
+            }
+
+            const duration = Date.now() - startTime;
+            await sendMetric('RequestDuration', duration, 'Milliseconds');
+            await sendMetric(itemType === 'notes' ? 'NotesRestored' : 'FilesRestored', 1, 'Count');
+
+            console.log(`[${requestId}] [SUCCESS] Restored ${itemType} item ${itemId} in ${duration}ms`);
+            return { statusCode: 200, headers: corsHeaders, body: JSON.stringify({ message: 'Restored successfully', id: itemId, type: itemType, unpinned }) };
+        }
+
+        // DELETE /trash/{notes|files}/{id} - delete permanently
+        if (method === 'DELETE' && !action) {
+            operationType = itemType === 'notes' ? 'PURGE_NOTE' : 'PURGE_FILE';
+            if (!(itemType === 'notes' ? await purgeNote(item) : await purgeFile(item))) {
+                await sendMetric('Errors', 1, 'Count');
+                console.error(`[${requestId}] Trashed ${itemType} item ${itemId} left the trash before it was purged`);
+                return { statusCode: 404, headers: corsHeaders, body: JSON.stringify({ error: 'Item not found in trash' }) };
+            }
+
+            const duration = Date.now() - startTime;
+            await sendMetric('RequestDuration', duration, 'Milliseconds');
+            await sendMetric(itemType === 'notes' ? 'NotesPurged' : 'FilesPurged', 1, 'Count');
+
+            console.log(`[${requestId}] [SUCCESS] Permanently deleted ${itemType} item ${itemId} in ${duration}ms`);
+            return { statusCode: 200, headers: corsHeaders, body: JSON.stringify({ message: 'Deleted permanently', id: itemId, type: itemType }) };
+        }
+
+        await sendMetric('Errors', 1, 'Count');
+        return { statusCode: 405, headers: corsHeaders, body: JSON.stringify({ error: `Method ${method} not allowed` }) };
+
+    } catch (error) {
+        const duration = Date.now() - startTime;
+        await sendMetric('Errors', 1, 'Count');
+        await sendMetric('RequestDuration', duration, 'Milliseconds');
+
+        console.error(`[${requestId}] [ERROR] Unexpected error after ${duration}ms:`, error);
+        return { statusCode: 500, headers: corsHeaders, body: JSON.stringify({ error: 'Internal server error: ' + error.message }) };
+    }
+};
@@ -0,0 +1,54 @@
+// Lays out one deployable directory per Lambda in dist/lambdas/{name}/: the handler, the shared
+// lambda-lib/ modules and a package.json listing the packages it imports. The AWS SDK comes with
+// the Lambda runtime and is left out; versions are taken from the root package.json dependencies.
+//
+//   node scripts/package-lambdas.mjs
+//   cd dist/lambdas/lambda-thumbnails-handler && npm install --omit=dev --os=linux --cpu=x64 && zip -r ../thumbnails.zip .
+
+import { readFile, readdir, mkdir, copyFile, writeFile, rm } from 'fs/promises';
+import { join } from 'path';
+import { builtinModules } from 'module';
+
+const ROOT = new URL('..', import.meta.url).pathname;
+const LIB_DIR = 'lambda-lib';
+const OUT_DIR = join(ROOT, 'dist', 'lambdas');
+
+// Bare package names a module imports ("pdf-parse", "@scope/name"), ignoring relative imports and Node built-ins
+const importedPackages = (source) => [...source.matchAll(/\bfrom\s+["']([^"'./][^"']*)["']|\bimport\s*\(\s*["']([^"'./][^"']*)["']\s*\)/g)]
+    .map(match => match[1] || match[2])
+    .filter(specifier => !specifier.startsWith('node:') && !builtinModules.includes(specifier))
+    .map(specifier => specifier.split('/').slice(0, specifier.startsWith('@') ? 2 : 1).join('/'));
+
+const rootPackage = JSON.parse(await readFile(join(ROOT, 'package.json'), 'utf8'));
+const handlers = (await readdir(ROOT)).filter(file => /^lambda-.+\.mjs$/.test(file));
+const libFiles = (await readdir(join(ROOT, LIB_DIR))).filter(file => file.endsWith('.mjs') && !file.endsWith('.test.mjs'));
+const libSources = await Promise.all(libFiles.map(file => readFile(join(ROOT, LIB_DIR, file), 'utf8')));
+
+await rm(OUT_DIR, { recursive: true, force: true });
+
+for (const handler of handlers) {
+    const name = handler.replace(/\.mjs$/, '');
+    const dir = join(OUT_DIR, name);
+    await mkdir(join(dir, LIB_DIR), { recursive: true });
+    await copyFile(join(ROOT, handler), join(dir, handler));
+    for (const file of libFiles) {
+        await copyFile(join(ROOT, LIB_DIR, file), join(dir, LIB_DIR, file));
+    }
+
+    const packages = [...new Set([await readFile(join(ROOT, handler), 'utf8'), ...libSources].flatMap(importedPackages))]
+        .filter(pkg => !pkg.startsWith('@aws-sdk/'))
+        .sort();
+    const versions = rootPackage.dependencies || {};
+    // A Lambda's packages are runtime dependencies; devDependencies would never reach the function
+    const missing = packages.filter(pkg => !versions[pkg]);
+    if (missing.length > 0) {
+        throw new Error(`${handler} imports ${missing.join(', ')}, which must be listed in the root dependencies`);
+    }
+
+    await writeFile(join(dir, 'package.json'), `${JSON.stringify({
+        name,
+        private: true,
+        dependencies: Object.fromEntries(packages.map(pkg => [pkg, versions[pkg]]))
+    }, null, 2)}\n`);
+    console.log(`${name}: ${packages.length ? packages.join(', ') : 'no dependencies'} -> ${dir}`);
+}
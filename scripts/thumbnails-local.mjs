@@ -0,0 +1,65 @@
+// Runs lambda-thumbnails-handler.mjs against a local S3 stand-in (MinIO or LocalStack).
+// Uploads an image as users/{userId}/{fileId}, sends the handler the ObjectCreated event
+// S3 would send and lists the thumbnails it wrote. With --remove it then deletes the
+// upload and sends the ObjectRemoved event, which also needs DYNAMODB_ENDPOINT.
+//
+//   S3_ENDPOINT=http://localhost:9000 node scripts/thumbnails-local.mjs photo.jpg [--remove]
+
+import { readFile } from 'fs/promises';
+import { extname } from 'path';
+import { randomUUID } from 'crypto';
+import {
+    S3Client, CreateBucketCommand, HeadBucketCommand, PutObjectCommand, DeleteObjectCommand, ListObjectsV2Command
+} from '@aws-sdk/client-s3';
+
+const BUCKET_NAME = 'pca-files-namraa';
+const USER_ID = 'local-user';
+const CONTENT_TYPES = { '.jpg': 'image/jpeg', '.jpeg': 'image/jpeg', '.png': 'image/png', '.gif': 'image/gif', '.webp': 'image/webp' };
+
+const [imagePath, ...flags] = process.argv.slice(2);
+if (!process.env.S3_ENDPOINT || !imagePath) {
+    console.error('Usage: S3_ENDPOINT=http://localhost:9000 node scripts/thumbnails-local.mjs <image> [--remove]');
+    process.exit(1);
+}
+if (flags.includes('--remove') && !process.env.DYNAMODB_ENDPOINT) {
+    console.error('--remove looks the file up in the Files table, so it needs DYNAMODB_ENDPOINT as well');
+    process.exit(1);
+}
+
+const s3Client = new S3Client({ region: 'ap-south-1', endpoint: process.env.S3_ENDPOINT, forcePathStyle: true });
+const { handler } = await import('../lambda-thumbnails-handler.mjs');
+
+// The event S3 would deliver, key URL-encoded the same way
+const s3Event = (eventName, key) => ({
+    Records: [{ eventName, s3: { bucket: { name: BUCKET_NAME }, object: { key: encodeURIComponent(key).replace(/%2F/g, '/') } } }]
+});
+
+const listThumbnails = async (fileId) => {
+    const response = await s3Client.send(new ListObjectsV2Command({ Bucket: BUCKET_NAME, Prefix: `thumbnails/${USER_ID}/${fileId}/` }));
+    return (response.Contents || []).map(object => `${object.Key} (${object.Size} bytes)`);
+};
+
+try {
+    await s3Client.send(new HeadBucketCommand({ Bucket: BUCKET_NAME }));
+} catch {
+    await s3Client.send(new CreateBucketCommand({ Bucket: BUCKET_NAME }));
+}
+
+const fileId = randomUUID();
+const key = `users/${USER_ID}/${fileId}`;
+await s3Client.send(new PutObjectCommand({
+    Bucket: BUCKET_NAME,
+    Key: key,
+    Body: await readFile(imagePath),
+    ContentType: CONTENT_TYPES[extname(imagePath).toLowerCase()] || 'application/octet-stream'
+}));
+console.log(`Uploaded ${imagePath} as ${key}`);
+
+console.log('Handler result:', await handler(s3Event('ObjectCreated:Put', key), { awsRequestId: `local-${fileId}` }));
+console.log('Thumbnails:', await listThumbnails(fileId));
+
+if (flags.includes('--remove')) {
+    await s3Client.send(new DeleteObjectCommand({ Bucket: BUCKET_NAME, Key: key }));
+    console.log('Handler result:', await handler(s3Event('ObjectRemoved:Delete', key), { awsRequestId: `local-${fileId}-removed` }));
+    console.log('Thumbnails left:', await listThumbnails(fileId));
+}
@@ -6,58 +6,77 @@ import Dashboard from './components/Dashboard';
 import CreateNote from './components/CreateNote';
 import ViewNotes from './components/ViewNotes';
 import Monitoring from './components/Monitoring';
+import Trash from './components/Trash';
+import SharedLinks from './components/SharedLinks';
+import SharedItem from './components/SharedItem';
+import { RoleProvider, useRole } from './roles';
 
-function App() {
-  const adminEmail = process.env.REACT_APP_ADMIN_EMAIL;
+// Members need no label; admins and read-only users are told what they are
+function RoleBadge() {
+  const { role } = useRole();
+  if (role !== 'admin' && role !== 'read-only') return null;
+  return <span className={`role-badge ${role}`}>{role === 'admin' ? 'Admin' : 'Read-only'}</span>;
+}
+
+function MonitoringLink() {
+  const { isAdmin } = useRole();
+  if (!isAdmin) return null;
+  return (
+    <Link to="/monitoring" className="monitoring-fab" title="View Monitoring">
+      📊
+    </Link>
+  );
+}
 
+function AuthenticatedApp() {
   return (
     <Authenticator
       loginMechanisms={['email']}
       signUpAttributes={['email']}
     >
-      {({ signOut, user }) => {
-        const adminEmailNormalized = adminEmail?.toLowerCase();
-        const userEmail = user?.attributes?.email || user?.signInDetails?.loginId || user?.username;
-        const userEmailNormalized = userEmail?.toLowerCase();
-        const isAdmin = Boolean(adminEmailNormalized && userEmailNormalized && userEmailNormalized === adminEmailNormalized);
-
-        if (process.env.NODE_ENV !== 'production') {
-          // Debug hint (visible in dev console only)
-          console.log('Admin check', { adminEmailNormalized, userEmailNormalized, isAdmin });
-        }
-        return (
-          <Router>
-            <div className="App">
-              <header className="app-header">
-                <h1>Personal Cloud Assistant</h1>
-                <div className="user-info">
-                  <span>Welcome</span>
-                  <button onClick={signOut} className="sign-out-btn">
-                    Sign Out
-                  </button>
-                </div>
-              </header>
-              
-              <main className="app-main">
-                <Routes>
-                  <Route path="/" element={<Dashboard />} />
-                  <Route path="/create" element={<CreateNote />} />
-                  <Route path="/view" element={<ViewNotes />} />
-                  <Route path="/monitoring" element={<Monitoring />} />
-                </Routes>
-              </main>
-              
-              {isAdmin && (
-                <Link to="/monitoring" className="monitoring-fab" title="View Monitoring">
-                  📊
-                </Link>
-              )}
-            </div>
-          </Router>
-        );
-      }}
+      {({ signOut, user }) => (
+        <RoleProvider userId={user?.userId}>
+          <div className="App">
+            <header className="app-header">
+              <h1>Personal Cloud Assistant</h1>
+              <div className="user-info">
+                <span>Welcome</span>
+                <RoleBadge />
+                <button onClick={signOut} className="sign-out-btn">
+                  Sign Out
+                </button>
+              </div>
+            </header>
+            
+            <main className="app-main">
+              <Routes>
+                <Route path="/" element={<Dashboard />} />
+                <Route path="/create" element={<CreateNote />} />
+                <Route path="/view" element={<ViewNotes />} />
+                <Route path="/trash" element={<Trash />} />
+                <Route path="/shared-links" element={<SharedLinks />} />
+                <Route path="/monitoring" element={<Monitoring />} />
+              </Routes>
+            </main>
+            
+            <MonitoringLink />
+          </div>
+        </RoleProvider>
+      )}
     </Authenticator>
   );
 }
 
+// Share links are opened by people without an account, so /share/:token sits outside the Authenticator
+function App() {
+  return (
+    <Router>
+      <Routes>
+        <Route path="/share/:token" element={<SharedItem />} />
+        <Route path="*" element={<AuthenticatedApp />} />
+      </Routes>
+    </Router>
+  );
+}
+
 export default App;
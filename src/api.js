@@ -27,3 +27,12 @@ export const apiFetch = async (path, options = {}) => {
     headers: mergedHeaders
   });
 };
+
+// For the public share routes, which are served without the Cognito authorizer
+export const publicFetch = (path, options = {}) => fetch(`${API_BASE}${path}`, {
+  ...options,
+  headers: {
+    'Content-Type': 'application/json',
+    ...(options.headers || {})
+  }
+});
@@ -1,17 +1,79 @@
-import React, { useState } from 'react';
+import React, { useState, useEffect } from 'react';
 import { Link } from 'react-router-dom';
 import './CreateNote.css';
 import { apiFetch } from '../api';
+import { renderMarkdown } from '../markdown';
+import { fetchTagCounts } from '../tags';
+import TagInput from './TagInput';
+import { getPendingUploads, discardPendingUpload, MULTIPART_THRESHOLD } from '../uploads';
+import { useUploadQueue } from '../useUploadQueue';
+import { useRole } from '../roles';
+
+// Mirrors the files API default allowlist; the server has the final say
+const ACCEPTED_FILE_TYPES = '.txt,.md,.csv,.json,.pdf,.doc,.docx,.jpg,.jpeg,.png,.gif,.webp,.zip,.mp3,.wav,.mp4';
+
+const ERROR_HINTS = {
+  FILE_TYPE_NOT_ALLOWED: 'This file type is not allowed',
+  FILE_TOO_LARGE: 'This file is over your size limit',
+  CONTENT_TYPE_MISMATCH: 'The file contents do not match its extension'
+};
+
+const STATUS_LABELS = {
+  queued: 'Waiting',
+  uploading: 'Uploading',
+  retrying: 'Retrying',
+  paused: 'Paused',
+  done: 'Uploaded',
+  failed: 'Failed'
+};
 
 function CreateNote() {
   const [noteTitle, setNoteTitle] = useState('');
   const [noteContent, setNoteContent] = useState('');
-  const [selectedFile, setSelectedFile] = useState(null);
+  const [noteTags, setNoteTags] = useState([]);
+  const [tagSuggestions, setTagSuggestions] = useState([]);
   const [isLoading, setIsLoading] = useState(false);
   const [message, setMessage] = useState('');
+  const [isDragging, setIsDragging] = useState(false);
+  const [pendingUploads, setPendingUploads] = useState(getPendingUploads);
+  const { queue, addFiles, pause, retry, remove, clearFinished, isBusy, summary } = useUploadQueue();
+  const { canWrite, loading: roleLoading } = useRole();
+
+  useEffect(() => {
+    fetchTagCounts()
+      .then(setTagSuggestions)
+      .catch((error) => console.error('Error loading tags:', error));
+  }, []);
+
+  // Interrupted multipart uploads are listed until their file is queued again
+  useEffect(() => {
+    setPendingUploads(getPendingUploads().filter(upload => !queue.some(item => (
+      item.file.name === upload.fileName && item.file.size === upload.size
+    ))));
+  }, [queue]);
 
   const handleFileChange = (event) => {
-    setSelectedFile(event.target.files[0]);
+    addFiles(event.target.files);
+    event.target.value = '';
+  };
+
+  const handleDragOver = (event) => {
+    if (!event.dataTransfer.types.includes('Files')) return;
+    event.preventDefault();
+    setIsDragging(true);
+  };
+
+  const handleDragLeave = (event) => {
+    // Ignore leave events fired while moving between child elements
+    if (!event.currentTarget.contains(event.relatedTarget)) {
+      setIsDragging(false);
+    }
+  };
+
+  const handleDrop = (event) => {
+    event.preventDefault();
+    setIsDragging(false);
+    addFiles(event.dataTransfer.files);
   };
 
   const handleSaveNote = async () => {
@@ -30,7 +92,8 @@ function CreateNote() {
         method: 'POST',
         body: JSON.stringify({
           title: noteTitle,
-          content: noteContent
+          content: noteContent,
+          tags: noteTags
         })
       });
 
@@ -65,6 +128,8 @@ function CreateNote() {
         setMessage('✅ Note saved successfully! Go to View Notes to see it.');
         setNoteTitle('');
         setNoteContent('');
+        setNoteTags([]);
+        fetchTagCounts().then(setTagSuggestions).catch(() => {});
       } else {
         setMessage(result.error || `API Error (${response.status}): ${responseText}`);
       }
@@ -77,54 +142,39 @@ function CreateNote() {
     }
   };
 
-  const handleUploadFile = async () => {
-    if (!selectedFile) {
-      setMessage('Please select a file to upload');
-      return;
-    }
-
-    setIsLoading(true);
-    setMessage('');
-
+  const handleDiscardPendingUpload = async (upload) => {
     try {
-      // Convert file to base64
-      const fileContent = await new Promise((resolve) => {
-        const reader = new FileReader();
-        reader.onload = () => resolve(reader.result.split(',')[1]); // Remove data URL prefix
-        reader.readAsDataURL(selectedFile);
-      });
-
-      const response = await apiFetch('/files', {
-        method: 'POST',
-        body: JSON.stringify({
-          fileName: selectedFile.name,
-          fileContent: fileContent,
-          isBase64: true,
-          contentType: selectedFile.type
-        })
-      });
-
-      const result = await response.json();
-      console.log('File uploaded:', result);
-      
-      if (response.ok) {
-        setMessage(`File "${selectedFile.name}" uploaded successfully!`);
-        setSelectedFile(null);
-        document.getElementById('fileInput').value = '';
-      } else {
-        setMessage(result.error || 'Error uploading file');
-      }
-      setIsLoading(false);
-
+      await discardPendingUpload(upload.fingerprint);
+      setMessage(`Discarded the interrupted upload of "${upload.fileName}".`);
     } catch (error) {
-      console.error('Error uploading file:', error);
-      setMessage('Error uploading file. Please try again.');
-      setIsLoading(false);
+      console.error('Error discarding upload:', error);
+      setMessage(`Error discarding upload: ${error.message}`);
     }
+    setPendingUploads(getPendingUploads());
   };
 
+  // Read-only accounts can browse but not create; the API rejects their writes anyway
+  if (!roleLoading && !canWrite) {
+    return (
+      <div className="create-note">
+        <div className="page-header">
+          <h2>Create Notes & Upload Files</h2>
+          <Link to="/" className="back-btn">← Back to Dashboard</Link>
+        </div>
+        <div className="message error">
+          Your account is read-only, so you cannot create notes or upload files. Ask an administrator for access.
+        </div>
+      </div>
+    );
+  }
+
   return (
-    <div className="create-note">
+    <div
+      className={`create-note ${isDragging ? 'dragging' : ''}`}
+      onDragOver={handleDragOver}
+      onDragLeave={handleDragLeave}
+      onDrop={handleDrop}
+    >
       <div className="page-header">
         <h2>Create Notes & Upload Files</h2>
         <Link to="/" className="back-btn">← Back to Dashboard</Link>
@@ -154,16 +204,38 @@ function CreateNote() {
           
           <div className="form-group">
             <label htmlFor="noteContent">Note Content:</label>
-            <textarea
-              id="noteContent"
-              value={noteContent}
-              onChange={(e) => setNoteContent(e.target.value)}
-              placeholder="Enter your note content..."
-              rows={8}
+            <div className="markdown-editor">
+              <textarea
+                id="noteContent"
+                value={noteContent}
+                onChange={(e) => setNoteContent(e.target.value)}
+                placeholder="Enter your note content... Markdown is supported: **bold**, - [ ] tasks, `code`, [links](https://example.com)"
+                rows={8}
+                disabled={isLoading}
+              />
+              <div className="markdown-preview" aria-label="Preview">
+                {noteContent.trim() ? (
+                  <div
+                    className="markdown-body"
+                    dangerouslySetInnerHTML={{ __html: renderMarkdown(noteContent) }}
+                  />
+                ) : (
+                  <p className="markdown-preview-empty">Preview appears here as you type.</p>
+                )}
+              </div>
+            </div>
+          </div>
+
+          <div className="form-group">
+            <label>Tags:</label>
+            <TagInput
+              tags={noteTags}
+              onChange={setNoteTags}
+              suggestions={tagSuggestions}
               disabled={isLoading}
             />
           </div>
-          
+
           <button 
             onClick={handleSaveNote} 
             disabled={isLoading || !noteTitle.trim()}
@@ -175,30 +247,96 @@ function CreateNote() {
 
         {/* File Upload Section */}
         <div className="section">
-          <h3>Upload File</h3>
+          <h3>Upload Files</h3>
           <div className="form-group">
-            <label htmlFor="fileInput">Choose File:</label>
+            <label htmlFor="fileInput">Choose Files:</label>
             <input
               id="fileInput"
               type="file"
+              multiple
               onChange={handleFileChange}
-              disabled={isLoading}
-              accept=".txt,.pdf,.doc,.docx,.jpg,.jpeg,.png"
+              accept={ACCEPTED_FILE_TYPES}
             />
-            {selectedFile && (
-              <p className="file-info">
-                Selected: {selectedFile.name} ({(selectedFile.size / 1024).toFixed(1)} KB)
-              </p>
-            )}
+            <p className="drop-hint">...or drop files anywhere on this page</p>
           </div>
-          
-          <button 
-            onClick={handleUploadFile} 
-            disabled={isLoading || !selectedFile}
-            className="action-btn"
-          >
-            {isLoading ? 'Uploading...' : 'Upload File'}
-          </button>
+
+          {summary && (
+            <div className={`upload-summary ${summary.failed > 0 ? 'has-failures' : ''}`}>
+              <span>
+                Uploaded {summary.done} of {summary.total} file{summary.total !== 1 ? 's' : ''}
+                {summary.failed > 0 && `, ${summary.failed} failed`}
+                {summary.paused > 0 && `, ${summary.paused} paused`}
+              </span>
+              <button onClick={clearFinished} className="discard-btn">Clear</button>
+            </div>
+          )}
+
+          {queue.length > 0 && (
+            <ul className="upload-queue">
+              {queue.map(item => {
+                const percent = item.file.size > 0 ? Math.floor((item.loaded / item.file.size) * 100) : 100;
+                const resumable = item.file.size > MULTIPART_THRESHOLD;
+                return (
+                  <li key={item.id} className={`upload-item ${item.status}`}>
+                    <div className="upload-item-header">
+                      <span className="upload-item-name">{item.file.name}</span>
+                      <span className="upload-item-status">
+                        {STATUS_LABELS[item.status]}
+                        {item.status === 'uploading' && ` ${percent}%`}
+                        {item.attempts > 1 && item.status !== 'done' && ` (attempt ${item.attempts})`}
+                      </span>
+                    </div>
+                    <div className="upload-progress-bar">
+                      <div className="upload-progress-fill" style={{ width: `${percent}%` }} />
+                    </div>
+                    {item.error && (
+                      <p className="upload-item-error">
+                        {ERROR_HINTS[item.errorCode] && <strong>{ERROR_HINTS[item.errorCode]}: </strong>}
+                        {item.error}
+                      </p>
+                    )}
+                    <div className="upload-item-actions">
+                      {item.status === 'uploading' && resumable && (
+                        <button onClick={() => pause(item.id)} className="discard-btn">Pause</button>
+                      )}
+                      {item.status === 'paused' && (
+                        <button onClick={() => retry(item.id)} className="discard-btn">Resume</button>
+                      )}
+                      {item.status === 'failed' && (
+                        <button onClick={() => retry(item.id)} className="discard-btn">Retry</button>
+                      )}
+                      {item.status !== 'done' && (
+                        <button onClick={() => remove(item.id)} className="discard-btn">
+                          {item.status === 'uploading' ? 'Cancel' : 'Remove'}
+                        </button>
+                      )}
+                    </div>
+                  </li>
+                );
+              })}
+            </ul>
+          )}
+
+          {pendingUploads.length > 0 && (
+            <div className="pending-uploads">
+              <h4>Interrupted uploads</h4>
+              <p className="pending-uploads-hint">Select the same file again to resume where it stopped.</p>
+              {pendingUploads.map(upload => (
+                <div key={upload.fingerprint} className="pending-upload">
+                  <span>
+                    {upload.fileName} ({(upload.size / (1024 * 1024)).toFixed(1)} MB)
+                  </span>
+                  <button
+                    onClick={() => handleDiscardPendingUpload(upload)}
+                    disabled={isBusy}
+                    className="discard-btn"
+                  >
+                    Discard
+                  </button>
+                </div>
+              ))}
+            </div>
+          )}
         </div>
       </div>
     </div>
@@ -2,30 +2,30 @@ import React, { useState, useEffect, useCallback } from 'react';
 import { Link } from 'react-router-dom';
 import './Dashboard.css';
 import { apiFetch } from '../api';
+import { useRole } from '../roles';
+
+const MAX_FAVORITES = 8;
 
 function Dashboard() {
   const [recentActivity, setRecentActivity] = useState([]);
+  const [favoriteNotes, setFavoriteNotes] = useState([]);
   const [isLoading, setIsLoading] = useState(true);
-
-  const getCleanFileName = (filename) => {
-    if (filename && filename.includes('-')) {
-      const parts = filename.split('-');
-      if (parts[0] && /^\d+$/.test(parts[0])) {
-        return parts.slice(1).join('-');
-      }
-    }
-    return filename;
-  };
+  const { canWrite } = useRole();
 
   const loadRecentActivity = useCallback(async () => {
     try {
-      const [notesResponse, filesResponse] = await Promise.all([
-        apiFetch('/notes'),
-        apiFetch('/files')
+      // Both lists come back newest first, so the first page holds everything we show
+      const [notesResponse, filesResponse, favoritesResponse] = await Promise.all([
+        apiFetch('/notes?limit=5'),
+        apiFetch('/files?limit=5&sort=uploadedAt&order=desc'),
+        apiFetch(`/notes?favorite=true&limit=${MAX_FAVORITES}`)
       ]);
 
-      const notes = notesResponse.ok ? await notesResponse.json() : [];
-      const files = filesResponse.ok ? await filesResponse.json() : [];
+      const notes = notesResponse.ok ? (await notesResponse.json()).notes || [] : [];
+      const files = filesResponse.ok ? (await filesResponse.json()).files || [] : [];
+      // Pinned favorites come back first, all of them, so the list is cut here
+      const favorites = favoritesResponse.ok ? (await favoritesResponse.json()).notes || [] : [];
+      setFavoriteNotes(favorites.slice(0, MAX_FAVORITES));
       
       // Combine and sort by date (most recent first)
       const activities = [
@@ -39,7 +39,7 @@ function Dashboard() {
         ...files.map(file => ({
           id: file.id,
           type: 'file',
-          title: getCleanFileName(file.name),
+          title: file.name,
           date: file.uploadedAt,
           icon: '📄'
         }))
@@ -63,13 +63,15 @@ function Dashboard() {
     <div className="dashboard">
       <h2>Dashboard</h2>
       <div className="dashboard-cards">
-        <div className="card">
-          <h3>Create & Upload</h3>
-          <p>Add notes and upload files to your cloud storage</p>
-          <Link to="/create" className="card-btn">
-            Go to Create
-          </Link>
-        </div>
+        {canWrite && (
+          <div className="card">
+            <h3>Create & Upload</h3>
+            <p>Add notes and upload files to your cloud storage</p>
+            <Link to="/create" className="card-btn">
+              Go to Create
+            </Link>
+          </div>
+        )}
         
         <div className="card">
           <h3>View & Manage</h3>
@@ -104,6 +106,32 @@ function Dashboard() {
             <p>No recent activity found</p>
           )}
         </div>
+
+        <div className="stat">
+          <h4>Favorite Notes</h4>
+          {isLoading ? (
+            <p>Loading favorites...</p>
+          ) : favoriteNotes.length > 0 ? (
+            <div className="activity-list">
+              {favoriteNotes.map(note => (
+                <div key={note.id} className="activity-item">
+                  <span className="activity-icon">{note.pinned ? '📌' : '⭐'}</span>
+                  <div className="activity-details">
+                    <span className="activity-title">{note.title}</span>
+                    <span className="activity-type">{note.tags?.length ? note.tags.join(', ') : 'note'}</span>
+                    <span className="activity-date">
+                      {new Date(note.updatedAt || note.createdAt).toLocaleDateString()}
+                    </span>
+                  </div>
+                </div>
+              ))}
+            </div>
+          ) : (
+            <p>
+              No favorites yet. Star a note in <Link to="/view">View & Manage</Link> to keep it here.
+            </p>
+          )}
+        </div>
       </div>
     </div>
   );
@@ -0,0 +1,121 @@
+import React from 'react';
+import './MetricChart.css';
+
+const WIDTH = 600;
+const HEIGHT = 200;
+const PADDING = { top: 10, right: 10, bottom: 24, left: 48 };
+const PLOT_WIDTH = WIDTH - PADDING.left - PADDING.right;
+const PLOT_HEIGHT = HEIGHT - PADDING.top - PADDING.bottom;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Rounds the top of the axis up to 1, 2 or 5 times a power of ten
+const niceMax = (value) => {
+  if (value <= 0) return 1;
+  const magnitude = 10 ** Math.floor(Math.log10(value));
+  return [1, 2, 5, 10].map(step => step * magnitude).find(step => step >= value);
+};
+
+const timeLabel = (timestamp, spanMs) => {
+  const date = new Date(timestamp);
+  return spanMs > DAY_MS
+    ? date.toLocaleDateString([], { month: 'short', day: 'numeric' })
+    : date.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+};
+
+// Line path through the points, broken wherever a bucket has no value
+const linePath = (points) => points.reduce((path, point, index) => {
+  if (point === null) return path;
+  const command = index > 0 && points[index - 1] !== null ? 'L' : 'M';
+  return `${path}${command}${point.x.toFixed(1)},${point.y.toFixed(1)} `;
+}, '');
+
+// Time series chart drawn as SVG. timestamps are the bucket starts; each entry in series is
+// { name, values, color } with one value per bucket (null for no data). formatValue is used for
+// the axis and tooltips.
+function MetricChart({ title, timestamps, series, type = 'line', formatValue = (value) => value.toLocaleString() }) {
+  const values = series.flatMap(item => item.values).filter(value => value !== null && value !== undefined);
+  const hasData = values.some(value => value > 0);
+  const top = niceMax(Math.max(0, ...values));
+  const buckets = timestamps.length;
+  const spanMs = buckets > 1 ? new Date(timestamps[buckets - 1]) - new Date(timestamps[0]) : 0;
+  const slot = PLOT_WIDTH / Math.max(buckets, 1);
+
+  const x = (index) => PADDING.left + slot * (index + 0.5);
+  const y = (value) => PADDING.top + PLOT_HEIGHT - (value / top) * PLOT_HEIGHT;
+  const labelIndexes = [...new Set([0, Math.floor((buckets - 1) / 2), buckets - 1])].filter(index => index >= 0);
+
+  return (
+    <div className="metric-chart">
+      <h4>{title}</h4>
+      {!hasData ? (
+        <p className="metric-chart-empty">No data in this range</p>
+      ) : (
+        <svg viewBox={`0 0 ${WIDTH} ${HEIGHT}`} role="img" aria-label={title}>
+          {[0, 0.5, 1].map(fraction => (
+            <g key={fraction}>
+              <line
+                x1={PADDING.left}
+                x2={WIDTH - PADDING.right}
+                y1={y(top * fraction)}
+                y2={y(top * fraction)}
+                className="metric-chart-grid"
+              />
+              <text x={PADDING.left - 6} y={y(top * fraction) + 4} textAnchor="end" className="metric-chart-label">
+                {formatValue(top * fraction)}
+              </text>
+            </g>
+          ))}
+          {labelIndexes.map(index => (
+            <text key={index} x={x(index)} y={HEIGHT - 6} textAnchor="middle" className="metric-chart-label">
+              {timeLabel(timestamps[index], spanMs)}
+            </text>
+          ))}
+
+          {type === 'bar'
+            ? series.map((item, seriesIndex) => {
+              const barWidth = (slot * 0.8) / series.length;
+              return item.values.map((value, index) => (value ? (
+                <rect
+                  key={`${item.name}-${index}`}
+                  x={x(index) - slot * 0.4 + barWidth * seriesIndex}
+                  y={y(value)}
+                  width={Math.max(barWidth, 1)}
+                  height={PADDING.top + PLOT_HEIGHT - y(value)}
+                  fill={item.color}
+                >
+                  <title>{`${item.name}: ${formatValue(value)} (${new Date(timestamps[index]).toLocaleString()})`}</title>
+                </rect>
+              ) : null));
+            })
+            : series.map(item => {
+              const points = item.values.map((value, index) => (
+                value === null || value === undefined ? null : { x: x(index), y: y(value), value, index }
+              ));
+              return (
+                <g key={item.name}>
+                  <path d={linePath(points)} fill="none" stroke={item.color} strokeWidth="2" />
+                  {points.filter(Boolean).map(point => (
+                    <circle key={point.index} cx={point.x} cy={point.y} r="2.5" fill={item.color}>
+                      <title>{`${item.name}: ${formatValue(point.value)} (${new Date(timestamps[point.index]).toLocaleString()})`}</title>
+                    </circle>
+                  ))}
+                </g>
+              );
+            })}
+        </svg>
+      )}
+      {series.length > 1 && (
+        <div className="metric-chart-legend">
+          {series.map(item => (
+            <span key={item.name}>
+              <span className="metric-chart-swatch" style={{ background: item.color }} />
+              {item.name}
+            </span>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default MetricChart;
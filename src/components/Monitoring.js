@@ -1,209 +1,167 @@
 import React, { useState, useEffect } from 'react';
-import { CloudWatchClient, GetMetricStatisticsCommand, ListMetricsCommand } from "@aws-sdk/client-cloudwatch";
-import { fetchAuthSession, fetchUserAttributes } from 'aws-amplify/auth';
 import { useNavigate } from 'react-router-dom';
+import { apiFetch } from '../api';
+import { useRole } from '../roles';
+import MetricChart from './MetricChart';
 import './Monitoring.css';
 
-// Admin email - only this user can access monitoring
-const ADMIN_EMAIL = process.env.REACT_APP_ADMIN_EMAIL;
+const MAX_OPERATIONS_SHOWN = 10;
+
+const RANGE_OPTIONS = [
+  { value: '1h', label: 'Last hour' },
+  { value: '24h', label: 'Last 24 hours' },
+  { value: '7d', label: 'Last 7 days' },
+  { value: '30d', label: 'Last 30 days' }
+];
+
+const COLORS = {
+  requests: '#667eea',
+  errors: '#FF6B6B',
+  p50: '#4CAF50',
+  p90: '#FFC107',
+  p99: '#FF6B6B'
+};
+
+// Metrics published in bytes; every other one is a count
+const BYTE_METRICS = ['FileUploadSize', 'ThumbnailSize'];
+
+// query is { range } or { start, end } with ISO dates
+const fetchAdminMetrics = async (query) => {
+  const response = await apiFetch(`/admin/metrics?${new URLSearchParams(query)}`);
+  if (!response.ok) {
+    const data = await response.json().catch(() => ({}));
+    throw new Error(data.error || `Failed to load metrics (${response.status})`);
+  }
+  return response.json();
+};
+
+const formatMs = (value) => (value === null || value === undefined ? '–' : `${Math.round(value)}ms`);
+
+const formatBytes = (bytes) => {
+  if (bytes < 1024) return `${Math.round(bytes)} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+};
+
+const formatCount = (value) => (Number.isInteger(value) ? value.toLocaleString() : value.toFixed(1));
+
+// datetime-local inputs work in local time without a zone
+const toLocalInput = (date) => new Date(date.getTime() - date.getTimezoneOffset() * 60000).toISOString().slice(0, 16);
+
+const rangeLabel = (query) => {
+  if (query.range) return RANGE_OPTIONS.find(option => option.value === query.range)?.label;
+  const format = (iso) => new Date(iso).toLocaleString([], { dateStyle: 'medium', timeStyle: 'short' });
+  return `${format(query.start)} – ${format(query.end)}`;
+};
+
+const operationKey = (operation) => `${operation.namespace}/${operation.operation}`;
+
+// Operations from every handler that served requests, with their namespace
+const timedOperations = (namespaces) => namespaces.flatMap(namespace => namespace.operations
+  .filter(operation => operation.requests > 0)
+  .map(operation => ({ ...operation, namespace: namespace.name })));
+
+// Slowest p90 first
+const slowestOperations = (operations) => [...operations]
+  .sort((a, b) => (b.p90 ?? 0) - (a.p90 ?? 0))
+  .slice(0, MAX_OPERATIONS_SHOWN);
 
 const Monitoring = () => {
   const navigate = useNavigate();
-  const [isAuthorized, setIsAuthorized] = useState(false);
-  const [checkingAuth, setCheckingAuth] = useState(true);
+  const { isAdmin: isAuthorized, loading: checkingAuth } = useRole();
+  const [query, setQuery] = useState({ range: RANGE_OPTIONS[0].value });
+  const [showCustomRange, setShowCustomRange] = useState(false);
+  const [customStart, setCustomStart] = useState(() => toLocalInput(new Date(Date.now() - 24 * 3600000)));
+  const [customEnd, setCustomEnd] = useState(() => toLocalInput(new Date()));
+  const [rangeError, setRangeError] = useState('');
+  const [latencyOperation, setLatencyOperation] = useState('');
   const [metrics, setMetrics] = useState({
     notesOperations: 0,
     filesOperations: 0,
     summarizeOperations: 0,
+    requests: 0,
     errors: 0,
     avgDuration: 0,
+    operations: [],
+    timestamps: [],
+    requestSeries: [],
+    errorSeries: [],
+    namespaces: [],
     lastUpdated: null,
     loading: true,
     health: 'healthy'
   });
 
-  // Check if user is admin
+  // Non-admins are sent back to the dashboard; the role comes from the user's Cognito groups
   useEffect(() => {
-    const checkAdminAccess = async () => {
-      try {
-        const userAttributes = await fetchUserAttributes();
-        const userEmail = userAttributes.email;
-        
-        console.log('Checking admin access for:', userEmail);
-        
-        if (userEmail === ADMIN_EMAIL) {
-          setIsAuthorized(true);
-          setCheckingAuth(false);
-        } else {
-          console.warn('Unauthorized access attempt to monitoring dashboard');
-          setCheckingAuth(false);
-          // Redirect non-admin users back to dashboard
-          setTimeout(() => navigate('/'), 2000);
-        }
-      } catch (error) {
-        console.error('Error checking admin access:', error);
-        setCheckingAuth(false);
-        navigate('/');
-      }
-    };
-
-    checkAdminAccess();
-  }, [navigate]);
+    if (checkingAuth || isAuthorized) return;
+    console.warn('Unauthorized access attempt to monitoring dashboard');
+    const timeout = setTimeout(() => navigate('/'), 2000);
+    return () => clearTimeout(timeout);
+  }, [checkingAuth, isAuthorized, navigate]);
 
-  // Fetch metrics from CloudWatch
+  // Fetch metrics from the admin API, which reads and aggregates them in CloudWatch
   useEffect(() => {
     if (!isAuthorized) return;
     
-    const fetchMetrics = async () => {
+    const loadMetrics = async () => {
       try {
-        // Initialize CloudWatch client with fresh credentials
-        const session = await fetchAuthSession();
-        console.log('Fetching CloudWatch metrics with credentials:', session.credentials ? 'Present' : 'Missing');
-        
-        const cwClient = new CloudWatchClient({
-          region: 'ap-south-1',
-          credentials: session.credentials
-        });
-        const endTime = new Date();
-        const startTime = new Date(endTime.getTime() - 3600000); // Last 1 hour
-
-        // Helper function to get metrics with all dimension combinations
-        const getMetricSum = async (namespace, metricName) => {
-          try {
-            // First, list all metrics to find dimension combinations
-            const listCmd = new ListMetricsCommand({
-              Namespace: namespace,
-              MetricName: metricName
-            });
-            const listRes = await cwClient.send(listCmd);
-            
-            console.log(`Found ${listRes.Metrics?.length || 0} metric streams for ${metricName}`);
-            
-            if (!listRes.Metrics || listRes.Metrics.length === 0) {
-              console.warn(`No metrics found for ${namespace}/${metricName}`);
-              return 0;
-            }
-
-            // Query each unique metric stream and sum the results
-            const queries = listRes.Metrics.map(metric => {
-              return cwClient.send(new GetMetricStatisticsCommand({
-                Namespace: namespace,
-                MetricName: metricName,
-                Dimensions: metric.Dimensions,
-                StartTime: startTime,
-                EndTime: endTime,
-                Period: 3600, // 1 hour period to get all data
-                Statistics: ['Sum']
-              }));
-            });
-
-            const responses = await Promise.all(queries);
-            const totalSum = responses.reduce((total, res) => {
-              if (res.Datapoints && res.Datapoints.length > 0) {
-                console.log(`Datapoints for ${metricName}:`, res.Datapoints.map(dp => ({
-                  timestamp: dp.Timestamp,
-                  value: dp.Sum
-                })));
-              }
-              const sum = res.Datapoints?.reduce((s, dp) => s + (dp.Sum || 0), 0) || 0;
-              return total + sum;
-            }, 0);
-
-            console.log(`Total ${metricName}: ${totalSum}`);
-            return totalSum;
-          } catch (err) {
-            console.error(`Error fetching ${namespace}/${metricName}:`, err);
-            return 0;
-          }
-        };
-
-        // Helper function to get average metric
-        const getMetricAverage = async (namespace, metricName) => {
-          try {
-            const listCmd = new ListMetricsCommand({
-              Namespace: namespace,
-              MetricName: metricName
-            });
-            const listRes = await cwClient.send(listCmd);
-            
-            if (!listRes.Metrics || listRes.Metrics.length === 0) {
-              return 0;
-            }
-
-            const queries = listRes.Metrics.map(metric => {
-              return cwClient.send(new GetMetricStatisticsCommand({
-                Namespace: namespace,
-                MetricName: metricName,
-                Dimensions: metric.Dimensions,
-                StartTime: startTime,
-                EndTime: endTime,
-                Period: 3600,
-                Statistics: ['Average']
-              }));
-            });
-
-            const responses = await Promise.all(queries);
-            let totalAvg = 0;
-            let count = 0;
-            
-            responses.forEach(res => {
-              res.Datapoints?.forEach(dp => {
-                if (dp.Average) {
-                  totalAvg += dp.Average;
-                  count++;
-                }
-              });
-            });
-
-            return count > 0 ? totalAvg / count : 0;
-          } catch (err) {
-            console.error(`Error fetching ${namespace}/${metricName}:`, err);
-            return 0;
-          }
-        };
-
-        // Fetch all metrics
-        const [notesOps, filesOps, errorCount, avgDur] = await Promise.all([
-          getMetricSum('PersonalCloudAssistant/Notes', 'NotesCreated'),
-          getMetricSum('PersonalCloudAssistant/Files', 'FilesUploaded'),
-          getMetricSum('PersonalCloudAssistant/Notes', 'Errors'),
-          getMetricAverage('PersonalCloudAssistant/Notes', 'RequestDuration')
-        ]);
-
-        console.log('Calculated Metrics:', {
-          notesOps,
-          filesOps,
-          errorCount,
-          avgDur
-        });
-
-        const health = errorCount > 5 ? 'degraded' : errorCount > 0 ? 'warning' : 'healthy';
+        const data = await fetchAdminMetrics(query);
+        const namespaceMetric = (namespace, metricName) => (
+          data.namespaces.find(item => item.name === namespace)?.metrics[metricName] || 0
+        );
+        const errorCount = data.totals.errors;
+        // Judged by error rate, since longer ranges naturally collect more errors
+        const errorRate = errorCount / Math.max(data.totals.requests, 1);
+        const health = errorRate > 0.05 ? 'degraded' : errorCount > 0 ? 'warning' : 'healthy';
+        setRangeError('');
 
         setMetrics({
-          notesOperations: notesOps,
-          filesOperations: filesOps,
-          summarizeOperations: 0, // Add if needed
+          notesOperations: namespaceMetric('Notes', 'NotesCreated'),
+          filesOperations: namespaceMetric('Files', 'FilesUploaded'),
+          summarizeOperations: namespaceMetric('Notes', 'SummarizeOperations') + namespaceMetric('Files', 'SummarizeOperations'),
+          requests: data.totals.requests,
           errors: errorCount,
-          avgDuration: Math.round(avgDur),
-          lastUpdated: new Date().toLocaleTimeString(),
+          avgDuration: Math.round(data.totals.averageDuration || 0),
+          operations: timedOperations(data.namespaces),
+          timestamps: data.timestamps,
+          requestSeries: data.totals.series.requests,
+          errorSeries: data.totals.series.errors,
+          namespaces: data.namespaces.filter(namespace => namespace.operations.length > 0),
+          lastUpdated: new Date(data.generatedAt).toLocaleTimeString(),
           loading: false,
           health: health
         });
       } catch (error) {
-        console.error('Error fetching CloudWatch metrics:', error);
-        console.error('Error details:', {
-          message: error.message,
-          code: error.code || error.$metadata?.httpStatusCode,
-          name: error.name
-        });
+        console.error('Error fetching metrics:', error);
+        setRangeError(`Error loading metrics: ${error.message}`);
         setMetrics(prev => ({ ...prev, loading: false, health: 'error' }));
       }
     };
 
-    fetchMetrics();
-    const interval = setInterval(fetchMetrics, 60000); // Refresh every minute
+    setMetrics(prev => ({ ...prev, loading: true }));
+    loadMetrics();
+    // Preset ranges move with the clock; a custom range stays put
+    if (!query.range) return;
+    const interval = setInterval(loadMetrics, 60000); // Refresh every minute
     return () => clearInterval(interval);
-  }, [isAuthorized]);
+  }, [isAuthorized, query]);
+
+  const handleSelectRange = (range) => {
+    setShowCustomRange(false);
+    setQuery({ range });
+  };
+
+  const handleApplyCustomRange = (e) => {
+    e.preventDefault();
+    const start = new Date(customStart);
+    const end = new Date(customEnd);
+    if (Number.isNaN(start.getTime()) || Number.isNaN(end.getTime()) || start >= end) {
+      setRangeError('Error: the start of the range must be before its end.');
+      return;
+    }
+    setQuery({ start: start.toISOString(), end: end.toISOString() });
+  };
 
   const getHealthColor = (health) => {
     switch (health) {
@@ -253,6 +211,12 @@ const Monitoring = () => {
     );
   }
 
+  const busiestOperation = metrics.operations.reduce(
+    (busiest, operation) => (!busiest || operation.requests > busiest.requests ? operation : busiest),
+    null
+  );
+  const latency = metrics.operations.find(operation => operationKey(operation) === latencyOperation) || busiestOperation;
+
   return (
     <div className="monitoring-container">
       <div className="monitoring-header">
@@ -265,6 +229,43 @@ const Monitoring = () => {
         </button>
       </div>
 
+      <div className="range-picker">
+        {RANGE_OPTIONS.map(option => (
+          <button
+            key={option.value}
+            onClick={() => handleSelectRange(option.value)}
+            className={`range-btn ${!showCustomRange && query.range === option.value ? 'active' : ''}`}
+          >
+            {option.label}
+          </button>
+        ))}
+        <button
+          onClick={() => setShowCustomRange(true)}
+          className={`range-btn ${showCustomRange ? 'active' : ''}`}
+        >
+          Custom
+        </button>
+        {showCustomRange && (
+          <form className="custom-range" onSubmit={handleApplyCustomRange}>
+            <input
+              type="datetime-local"
+              value={customStart}
+              onChange={(e) => setCustomStart(e.target.value)}
+              max={customEnd}
+            />
+            <span>to</span>
+            <input
+              type="datetime-local"
+              value={customEnd}
+              onChange={(e) => setCustomEnd(e.target.value)}
+              min={customStart}
+            />
+            <button type="submit" className="range-btn">Apply</button>
+          </form>
+        )}
+      </div>
+      {rangeError && <div className="range-error">{rangeError}</div>}
+
       {metrics.loading ? (
         <div className="loading">Loading metrics...</div>
       ) : (
@@ -281,14 +282,21 @@ const Monitoring = () => {
           <div className="metric-card">
             <div className="metric-label">Notes Created</div>
             <div className="metric-value">{metrics.notesOperations}</div>
-            <div className="metric-sublabel">(Last 1 hour)</div>
+            <div className="metric-sublabel">({rangeLabel(query)})</div>
           </div>
 
           {/* Files Operations */}
           <div className="metric-card">
             <div className="metric-label">Files Uploaded</div>
             <div className="metric-value">{metrics.filesOperations}</div>
-            <div className="metric-sublabel">(Last 1 hour)</div>
+            <div className="metric-sublabel">({rangeLabel(query)})</div>
+          </div>
+
+          {/* Summaries */}
+          <div className="metric-card">
+            <div className="metric-label">Summaries</div>
+            <div className="metric-value">{metrics.summarizeOperations}</div>
+            <div className="metric-sublabel">({rangeLabel(query)})</div>
           </div>
 
           {/* Errors */}
@@ -297,7 +305,7 @@ const Monitoring = () => {
             <div className="metric-value" style={{ color: metrics.errors > 0 ? '#FF6B6B' : '#4CAF50' }}>
               {metrics.errors}
             </div>
-            <div className="metric-sublabel">(Last 1 hour)</div>
+            <div className="metric-sublabel">({rangeLabel(query)})</div>
           </div>
 
           {/* Average Duration */}
@@ -307,27 +315,119 @@ const Monitoring = () => {
             <div className="metric-sublabel">Lambda execution</div>
           </div>
 
-          {/* Total Operations */}
+          {/* Total Requests */}
           <div className="metric-card">
-            <div className="metric-label">Total Operations</div>
-            <div className="metric-value">
-              {metrics.notesOperations + metrics.filesOperations + metrics.summarizeOperations}
-            </div>
-            <div className="metric-sublabel">(Last 1 hour)</div>
+            <div className="metric-label">Total Requests</div>
+            <div className="metric-value">{metrics.requests}</div>
+            <div className="metric-sublabel">({rangeLabel(query)})</div>
           </div>
         </div>
       )}
 
+      {!metrics.loading && metrics.timestamps.length > 0 && (
+        <div className="charts-grid">
+          <MetricChart
+            title="Requests & Errors"
+            type="bar"
+            timestamps={metrics.timestamps}
+            series={[
+              { name: 'Requests', values: metrics.requestSeries, color: COLORS.requests },
+              { name: 'Errors', values: metrics.errorSeries, color: COLORS.errors }
+            ]}
+            formatValue={formatCount}
+          />
+          {latency && (
+            <div className="latency-chart">
+              <select value={operationKey(latency)} onChange={(e) => setLatencyOperation(e.target.value)}>
+                {metrics.operations.map(operation => (
+                  <option key={operationKey(operation)} value={operationKey(operation)}>
+                    {operation.namespace} / {operation.operation}
+                  </option>
+                ))}
+              </select>
+              <MetricChart
+                title={`Latency: p50 ${formatMs(latency.p50)} • p90 ${formatMs(latency.p90)} • p99 ${formatMs(latency.p99)}`}
+                timestamps={metrics.timestamps}
+                series={['p50', 'p90', 'p99'].map(stat => ({ name: stat, values: latency.series[stat], color: COLORS[stat] }))}
+                formatValue={formatMs}
+              />
+            </div>
+          )}
+        </div>
+      )}
+
+      {/* Every metric each handler published in the range */}
+      {!metrics.loading && metrics.namespaces.map(namespace => (
+        <div key={namespace.name} className="metrics-info">
+          <h3>{namespace.name}</h3>
+          <div className="charts-grid">
+            <MetricChart
+              title={`Requests (avg ${formatMs(namespace.averageDuration)})`}
+              type="bar"
+              timestamps={metrics.timestamps}
+              series={[
+                { name: 'Requests', values: namespace.series.requests, color: COLORS.requests },
+                { name: 'Errors', values: namespace.series.errors, color: COLORS.errors }
+              ]}
+              formatValue={formatCount}
+            />
+            {Object.entries(namespace.series.metrics).map(([metricName, values]) => (
+              <MetricChart
+                key={metricName}
+                title={`${metricName} (${BYTE_METRICS.includes(metricName)
+                  ? formatBytes(namespace.metrics[metricName])
+                  : formatCount(namespace.metrics[metricName])} total)`}
+                type={BYTE_METRICS.includes(metricName) ? 'line' : 'bar'}
+                timestamps={metrics.timestamps}
+                series={[{ name: metricName, values, color: COLORS.requests }]}
+                formatValue={BYTE_METRICS.includes(metricName) ? formatBytes : formatCount}
+              />
+            ))}
+          </div>
+        </div>
+      ))}
+
       {/* Detailed Metrics Info */}
       <div className="metrics-info">
         <h3>📈 Performance Metrics</h3>
         <ul>
           <li><strong>Notes API:</strong> {metrics.notesOperations} operations</li>
           <li><strong>Files API:</strong> {metrics.filesOperations} operations</li>
+          <li><strong>Summaries:</strong> {metrics.summarizeOperations} generated</li>
           <li><strong>Errors:</strong> {metrics.errors} {metrics.errors > 0 ? '⚠️' : '✓'}</li>
           <li><strong>Avg Response Time:</strong> {metrics.avgDuration}ms</li>
         </ul>
       </div>
+
+      {metrics.operations.length > 0 && (
+        <div className="metrics-info">
+          <h3>🐢 Slowest Operations</h3>
+          <table className="operations-table">
+            <thead>
+              <tr>
+                <th>Operation</th>
+                <th>Requests</th>
+                <th>Errors</th>
+                <th>p50</th>
+                <th>p90</th>
+                <th>p99</th>
+              </tr>
+            </thead>
+            <tbody>
+              {slowestOperations(metrics.operations).map(operation => (
+                <tr key={operationKey(operation)}>
+                  <td>{operation.namespace} / {operation.operation}</td>
+                  <td>{operation.requests}</td>
+                  <td>{operation.errors}</td>
+                  <td>{formatMs(operation.p50)}</td>
+                  <td>{formatMs(operation.p90)}</td>
+                  <td>{formatMs(operation.p99)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
     </div>
   );
 };
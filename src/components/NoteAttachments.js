@@ -0,0 +1,198 @@
+import React, { useState, useEffect } from 'react';
+import './NoteAttachments.css';
+import { apiFetch } from '../api';
+
+// Enough to pick from; GET /files without a folder lists files from every folder
+const PICKER_PAGE_SIZE = 200;
+
+const fetchAttachments = async (noteId) => {
+  const response = await apiFetch(`/notes/${noteId}/attachments`);
+  if (!response.ok) {
+    throw new Error(`Failed to load attachments (${response.status})`);
+  }
+  const result = await response.json();
+  return result.attachments || [];
+};
+
+const fetchAllFiles = async () => {
+  const params = new URLSearchParams({ limit: PICKER_PAGE_SIZE, sort: 'name', order: 'asc' });
+  const response = await apiFetch(`/files?${params}`);
+  if (!response.ok) {
+    throw new Error(`Failed to load files (${response.status})`);
+  }
+  const result = await response.json();
+  return result.files || [];
+};
+
+const STATUS_LABELS = {
+  trashed: 'In the trash',
+  missing: 'No longer available'
+};
+
+// Files linked to a note. Attachments are shaped like file info from the files API, so
+// onPreview and onDownload are the file list's own handlers; canPreview says which types
+// the preview modal supports. onChanged receives the note after attaching or detaching;
+// without canEdit the list is shown without attach and detach controls.
+function NoteAttachments({ note, onChanged, onPreview, onDownload, canPreview, canEdit = true }) {
+  const [attachments, setAttachments] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [pickerFiles, setPickerFiles] = useState(null);
+  const [selectedFileId, setSelectedFileId] = useState('');
+  const [busy, setBusy] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+    setIsLoading(true);
+    fetchAttachments(note.id)
+      .then((loaded) => {
+        if (!cancelled) {
+          setAttachments(loaded);
+          setError('');
+        }
+      })
+      .catch((err) => {
+        console.error('Error loading attachments:', err);
+        if (!cancelled) setError('Error loading attachments. Please try again.');
+      })
+      .finally(() => {
+        if (!cancelled) setIsLoading(false);
+      });
+    return () => { cancelled = true; };
+  }, [note.id]);
+
+  const handleOpenPicker = async () => {
+    setBusy('picker');
+    try {
+      setPickerFiles(await fetchAllFiles());
+      setSelectedFileId('');
+    } catch (err) {
+      console.error('Error loading files:', err);
+      setError('Error loading your files. Please try again.');
+    } finally {
+      setBusy(null);
+    }
+  };
+
+  const applyChange = async (request, busyKey) => {
+    setBusy(busyKey);
+    try {
+      const response = await request();
+      const result = await response.json();
+      if (!response.ok) {
+        setError(`Error: ${result.error || 'Update failed'}`);
+        return false;
+      }
+      setAttachments(result.attachments || []);
+      setError('');
+      onChanged(result.note);
+      return true;
+    } catch (err) {
+      console.error('Error updating attachments:', err);
+      setError('Error updating attachments. Please try again.');
+      return false;
+    } finally {
+      setBusy(null);
+    }
+  };
+
+  const handleAttach = async () => {
+    if (!selectedFileId) return;
+    const attached = await applyChange(() => apiFetch(`/notes/${note.id}/attachments`, {
+      method: 'POST',
+      body: JSON.stringify({ fileIds: [selectedFileId] })
+    }), 'attach');
+    if (attached) setPickerFiles(null);
+  };
+
+  const handleDetach = (attachment) => {
+    if (!window.confirm(`Remove "${attachment.name || 'this file'}" from the note? The file itself is kept.`)) {
+      return;
+    }
+    applyChange(() => apiFetch(`/notes/${note.id}/attachments/${encodeURIComponent(attachment.id)}`, {
+      method: 'DELETE'
+    }), `detach-${attachment.id}`);
+  };
+
+  const attachedIds = new Set(attachments.map(attachment => attachment.id));
+  const availableFiles = (pickerFiles || []).filter(file => !attachedIds.has(file.id));
+
+  return (
+    <div className="note-attachments">
+      <h4>📎 Attachments</h4>
+      {error && <div className="attachments-error">{error}</div>}
+
+      {isLoading ? (
+        <p className="attachments-empty">Loading attachments...</p>
+      ) : attachments.length === 0 ? (
+        <p className="attachments-empty">No files attached.</p>
+      ) : (
+        <ul className="attachment-list">
+          {attachments.map(attachment => (
+            <li key={attachment.id} className={`attachment-item ${attachment.status}`}>
+              <div className="attachment-details">
+                <span className="attachment-name">{attachment.name || attachment.id}</span>
+                {attachment.status !== 'available' && (
+                  <span className="attachment-status">{STATUS_LABELS[attachment.status]}</span>
+                )}
+              </div>
+              <div className="attachment-actions">
+                {attachment.status === 'available' && canPreview(attachment) && (
+                  <button onClick={() => onPreview(attachment)} className="attachment-btn">
+                    Preview
+                  </button>
+                )}
+                {attachment.status === 'available' && (
+                  <button onClick={() => onDownload(attachment)} className="attachment-btn">
+                    Download
+                  </button>
+                )}
+                {canEdit && (
+                  <button
+                    onClick={() => handleDetach(attachment)}
+                    disabled={busy !== null}
+                    className="attachment-btn detach"
+                    title="Remove from note"
+                  >
+                    {busy === `detach-${attachment.id}` ? '⏳' : '✕'}
+                  </button>
+                )}
+              </div>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {!canEdit ? null : pickerFiles ? (
+        <div className="attachment-picker">
+          <select value={selectedFileId} onChange={(e) => setSelectedFileId(e.target.value)}>
+            <option value="">
+              {availableFiles.length ? 'Choose a file...' : 'No other files to attach'}
+            </option>
+            {availableFiles.map(file => (
+              <option key={file.id} value={file.id}>
+                {file.folder ? `${file.folder}${file.name}` : file.name}
+              </option>
+            ))}
+          </select>
+          <button
+            onClick={handleAttach}
+            disabled={!selectedFileId || busy !== null}
+            className="action-btn primary"
+          >
+            {busy === 'attach' ? 'Attaching...' : 'Attach'}
+          </button>
+          <button onClick={() => setPickerFiles(null)} className="action-btn secondary">
+            Cancel
+          </button>
+        </div>
+      ) : (
+        <button onClick={handleOpenPicker} disabled={busy !== null} className="action-btn secondary">
+          {busy === 'picker' ? 'Loading files...' : '📎 Attach a file'}
+        </button>
+      )}
+    </div>
+  );
+}
+
+export default NoteAttachments;
@@ -0,0 +1,198 @@
+import React, { useState, useEffect } from 'react';
+import './NoteCollaborators.css';
+import { apiFetch } from '../api';
+
+const ROLE_LABELS = {
+  viewer: 'Can view',
+  editor: 'Can edit'
+};
+
+const fetchCollaborators = async (noteId) => {
+  const response = await apiFetch(`/notes/${noteId}/collaborators`);
+  if (!response.ok) {
+    throw new Error(`Failed to load collaborators (${response.status})`);
+  }
+  return response.json();
+};
+
+// People a note is shared with by email. The owner adds people, changes their role and removes
+// them; collaborators see the list and can leave. onChanged receives the note after the owner
+// changes the list; onLeft is called once a collaborator has removed themselves.
+function NoteCollaborators({ note, onChanged, onLeft }) {
+  const [owner, setOwner] = useState(null);
+  const [yourEmail, setYourEmail] = useState(null);
+  const [collaborators, setCollaborators] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [email, setEmail] = useState('');
+  const [role, setRole] = useState('viewer');
+  const [busy, setBusy] = useState(null);
+
+  const isOwner = (note.role || 'owner') === 'owner';
+
+  useEffect(() => {
+    let cancelled = false;
+    setIsLoading(true);
+    fetchCollaborators(note.id)
+      .then((result) => {
+        if (cancelled) return;
+        setOwner(result.owner);
+        setYourEmail(result.yourEmail);
+        setCollaborators(result.collaborators || []);
+        setError('');
+      })
+      .catch((err) => {
+        console.error('Error loading collaborators:', err);
+        if (!cancelled) setError('Error loading who this note is shared with.');
+      })
+      .finally(() => {
+        if (!cancelled) setIsLoading(false);
+      });
+    return () => { cancelled = true; };
+  }, [note.id]);
+
+  const applyChange = async (request, busyKey) => {
+    setBusy(busyKey);
+    try {
+      const response = await request();
+      const result = await response.json();
+      if (!response.ok) {
+        setError(`Error: ${result.error || 'Update failed'}`);
+        return null;
+      }
+      setCollaborators(result.collaborators || []);
+      setError('');
+      return result;
+    } catch (err) {
+      console.error('Error updating collaborators:', err);
+      setError('Error updating collaborators. Please try again.');
+      return null;
+    } finally {
+      setBusy(null);
+    }
+  };
+
+  const saveCollaborator = (collaboratorEmail, collaboratorRole, busyKey) => applyChange(
+    () => apiFetch(`/notes/${note.id}/collaborators`, {
+      method: 'PUT',
+      body: JSON.stringify({ email: collaboratorEmail, role: collaboratorRole })
+    }),
+    busyKey
+  );
+
+  const handleAdd = async (e) => {
+    e.preventDefault();
+    if (!email.trim()) return;
+    const result = await saveCollaborator(email.trim(), role, 'add');
+    if (result) {
+      setEmail('');
+      onChanged(result.note);
+    }
+  };
+
+  const handleChangeRole = async (collaborator, newRole) => {
+    const result = await saveCollaborator(collaborator.email, newRole, `role-${collaborator.email}`);
+    if (result) onChanged(result.note);
+  };
+
+  const handleRemove = async (collaborator, leaving = false) => {
+    const question = leaving
+      ? `Leave "${note.title}"? You will lose access until the owner shares it again.`
+      : `Stop sharing "${note.title}" with ${collaborator.email}?`;
+    if (!window.confirm(question)) {
+      return;
+    }
+    const result = await applyChange(
+      () => apiFetch(`/notes/${note.id}/collaborators/${encodeURIComponent(collaborator.email)}`, { method: 'DELETE' }),
+      `remove-${collaborator.email}`
+    );
+    if (!result) return;
+    if (leaving) {
+      onLeft(note);
+    } else {
+      onChanged(result.note);
+    }
+  };
+
+  return (
+    <div className="note-collaborators">
+      <h4>👥 Shared with</h4>
+      {error && <div className="collaborators-error">{error}</div>}
+
+      {isLoading ? (
+        <p className="collaborators-empty">Loading...</p>
+      ) : (
+        <ul className="collaborator-list">
+          {owner && (
+            <li className="collaborator-item">
+              <span className="collaborator-email">{owner}</span>
+              <span className="collaborator-role">Owner</span>
+            </li>
+          )}
+          {collaborators.length === 0 && (
+            <li className="collaborators-empty">Not shared with anyone yet.</li>
+          )}
+          {collaborators.map(collaborator => (
+            <li key={collaborator.email} className="collaborator-item">
+              <span className="collaborator-email">{collaborator.email}</span>
+              {isOwner ? (
+                <div className="collaborator-actions">
+                  <select
+                    value={collaborator.role}
+                    onChange={(e) => handleChangeRole(collaborator, e.target.value)}
+                    disabled={busy !== null}
+                  >
+                    {Object.entries(ROLE_LABELS).map(([value, label]) => (
+                      <option key={value} value={value}>{label}</option>
+                    ))}
+                  </select>
+                  <button
+                    onClick={() => handleRemove(collaborator)}
+                    disabled={busy !== null}
+                    className="collaborator-remove"
+                    title="Stop sharing with this person"
+                  >
+                    {busy === `remove-${collaborator.email}` ? '⏳' : '✕'}
+                  </button>
+                </div>
+              ) : (
+                <span className="collaborator-role">{ROLE_LABELS[collaborator.role]}</span>
+              )}
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {isOwner ? (
+        <form onSubmit={handleAdd} className="collaborator-form">
+          <input
+            type="email"
+            value={email}
+            onChange={(e) => setEmail(e.target.value)}
+            placeholder="teammate@example.com"
+          />
+          <select value={role} onChange={(e) => setRole(e.target.value)}>
+            {Object.entries(ROLE_LABELS).map(([value, label]) => (
+              <option key={value} value={value}>{label}</option>
+            ))}
+          </select>
+          <button type="submit" disabled={!email.trim() || busy !== null} className="action-btn primary">
+            {busy === 'add' ? 'Sharing...' : 'Share'}
+          </button>
+        </form>
+      ) : (
+        yourEmail && (
+          <button
+            onClick={() => handleRemove({ email: yourEmail }, true)}
+            disabled={busy !== null}
+            className="action-btn secondary"
+          >
+            Leave this note
+          </button>
+        )
+      )}
+    </div>
+  );
+}
+
+export default NoteCollaborators;
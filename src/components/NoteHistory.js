@@ -0,0 +1,189 @@
+import React, { useState, useEffect } from 'react';
+import { diffWordsWithSpace } from 'diff';
+import './NoteHistory.css';
+import { apiFetch } from '../api';
+
+const formatDate = (dateString) => new Date(dateString).toLocaleString('en-US', {
+  year: 'numeric',
+  month: 'short',
+  day: 'numeric',
+  hour: '2-digit',
+  minute: '2-digit'
+});
+
+const fetchVersions = async (noteId) => {
+  const response = await apiFetch(`/notes/${noteId}/versions`);
+  if (!response.ok) {
+    throw new Error(`Failed to load history (${response.status})`);
+  }
+  const result = await response.json();
+  return result.versions || [];
+};
+
+// Inline shows one merged text; side-by-side shows the older text (with removals) next to the newer one (with additions)
+const DiffText = ({ from, to, mode }) => {
+  const parts = diffWordsWithSpace(from || '', to || '');
+  const render = (filter) => parts.filter(filter).map((part, index) => (
+    <span
+      key={index}
+      className={part.added ? 'diff-added' : part.removed ? 'diff-removed' : undefined}
+    >
+      {part.value}
+    </span>
+  ));
+
+  if (mode === 'side') {
+    return (
+      <div className="diff-side">
+        <pre className="diff-text">{render(part => !part.added)}</pre>
+        <pre className="diff-text">{render(part => !part.removed)}</pre>
+      </div>
+    );
+  }
+  return <pre className="diff-text">{render(() => true)}</pre>;
+};
+
+// Version history for a note with a diff between any two versions. onRestored receives the
+// updated note after an older version is restored (which saves it as a new version).
+// Viewers of a shared note get the history without the restore buttons.
+function NoteHistory({ note, onRestored, canRestore = true }) {
+  const [versions, setVersions] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [fromVersion, setFromVersion] = useState(null);
+  const [toVersion, setToVersion] = useState(null);
+  const [mode, setMode] = useState('inline');
+  const [restoring, setRestoring] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+    setIsLoading(true);
+    fetchVersions(note.id)
+      .then((loaded) => {
+        if (cancelled) return;
+        setVersions(loaded);
+        // Default to what the latest edit changed
+        setToVersion(loaded[0]?.version ?? null);
+        setFromVersion(loaded[1]?.version ?? loaded[0]?.version ?? null);
+        setError('');
+      })
+      .catch((err) => {
+        console.error('Error loading note history:', err);
+        if (!cancelled) setError('Error loading history. Please try again.');
+      })
+      .finally(() => {
+        if (!cancelled) setIsLoading(false);
+      });
+    return () => { cancelled = true; };
+  }, [note.id, note.version]);
+
+  const handleRestore = async (version) => {
+    if (!window.confirm(`Restore version ${version.version}? The current text is kept in the history.`)) {
+      return;
+    }
+
+    setRestoring(version.version);
+    try {
+      const response = await apiFetch(`/notes/${note.id}/versions/${version.version}/restore`, { method: 'POST' });
+      const result = await response.json();
+      if (!response.ok) {
+        setError(`Error: ${result.error || 'Restore failed'}`);
+        return;
+      }
+      onRestored(result.note);
+    } catch (err) {
+      console.error('Error restoring version:', err);
+      setError('Error restoring version. Please try again.');
+    } finally {
+      setRestoring(null);
+    }
+  };
+
+  if (isLoading) {
+    return <div className="note-history">Loading history...</div>;
+  }
+
+  const from = versions.find(version => version.version === fromVersion);
+  const to = versions.find(version => version.version === toVersion);
+
+  return (
+    <div className="note-history">
+      {error && <div className="history-error">{error}</div>}
+
+      {versions.length < 2 ? (
+        <p className="history-empty">This note has not been edited yet.</p>
+      ) : (
+        <>
+          <div className="history-compare">
+            <label>
+              Compare
+              <select value={fromVersion ?? ''} onChange={(e) => setFromVersion(Number(e.target.value))}>
+                {versions.map(version => (
+                  <option key={version.version} value={version.version}>v{version.version}</option>
+                ))}
+              </select>
+            </label>
+            <label>
+              with
+              <select value={toVersion ?? ''} onChange={(e) => setToVersion(Number(e.target.value))}>
+                {versions.map(version => (
+                  <option key={version.version} value={version.version}>
+                    v{version.version}{version.current ? ' (current)' : ''}
+                  </option>
+                ))}
+              </select>
+            </label>
+            <div className="history-mode">
+              <button
+                onClick={() => setMode('inline')}
+                className={mode === 'inline' ? 'active' : ''}
+              >
+                Inline
+              </button>
+              <button
+                onClick={() => setMode('side')}
+                className={mode === 'side' ? 'active' : ''}
+              >
+                Side by side
+              </button>
+            </div>
+          </div>
+
+          {from && to && (
+            <div className="history-diff">
+              <h4><DiffText from={from.title} to={to.title} mode="inline" /></h4>
+              <DiffText from={from.content} to={to.content} mode={mode} />
+            </div>
+          )}
+        </>
+      )}
+
+      <ul className="history-versions">
+        {versions.map(version => (
+          <li key={version.version} className={version.current ? 'current' : ''}>
+            <div>
+              <strong>v{version.version}</strong>
+              {version.current && <span className="history-badge">current</span>}
+              <span className="history-meta">
+                {version.editedAt ? formatDate(version.editedAt) : 'Unknown date'}
+                {' • '}
+                {version.editedBy || 'Unknown author'}
+              </span>
+            </div>
+            {canRestore && !version.current && (
+              <button
+                onClick={() => handleRestore(version)}
+                disabled={restoring !== null}
+                className="history-restore"
+              >
+                {restoring === version.version ? 'Restoring...' : 'Restore'}
+              </button>
+            )}
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+}
+
+export default NoteHistory;
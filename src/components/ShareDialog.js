@@ -0,0 +1,103 @@
+import React, { useState } from 'react';
+import './ShareDialog.css';
+import { EXPIRY_OPTIONS, MIN_SHARE_PASSWORD_LENGTH, createShare, shareUrl } from '../shares';
+
+// Form for a public link to a note or file; item is { type: 'note' | 'file', id, title }.
+// Once created the link is shown with a copy button; it can be revoked from Shared links.
+function ShareDialog({ item }) {
+  const [expiresInHours, setExpiresInHours] = useState(EXPIRY_OPTIONS[2].hours);
+  const [password, setPassword] = useState('');
+  const [maxDownloads, setMaxDownloads] = useState('');
+  const [share, setShare] = useState(null);
+  const [isCreating, setIsCreating] = useState(false);
+  const [message, setMessage] = useState('');
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    setIsCreating(true);
+    setMessage('');
+    try {
+      setShare(await createShare(item.type, item.id, {
+        expiresInHours,
+        password: password || undefined,
+        maxDownloads: maxDownloads ? Number(maxDownloads) : undefined
+      }));
+    } catch (error) {
+      console.error('Error creating share link:', error);
+      setMessage(`Error: ${error.message}`);
+    } finally {
+      setIsCreating(false);
+    }
+  };
+
+  const handleCopy = async () => {
+    try {
+      await navigator.clipboard.writeText(shareUrl(share.token));
+      setMessage('Link copied to clipboard.');
+    } catch {
+      setMessage('Error: could not copy, select the link and copy it instead.');
+    }
+  };
+
+  const countLabel = item.type === 'file' ? 'downloads' : 'views';
+
+  return (
+    <div className="share-dialog">
+      <h2>🔗 Share "{item.title}"</h2>
+      {share ? (
+        <div className="share-result">
+          <p>Anyone with this link can {item.type === 'file' ? 'download the file' : 'read the note'} until {new Date(share.expiresAt).toLocaleString()}.</p>
+          <div className="share-link-row">
+            <input type="text" value={shareUrl(share.token)} readOnly onFocus={(e) => e.target.select()} />
+            <button onClick={handleCopy} className="action-btn primary">Copy</button>
+          </div>
+          <p className="share-hint">
+            {share.hasPassword && 'Password protected. '}
+            {share.maxDownloads && `Limited to ${share.maxDownloads} ${countLabel}.`}
+          </p>
+        </div>
+      ) : (
+        <form onSubmit={handleCreate} className="share-form">
+          <label>
+            Expires after
+            <select value={expiresInHours} onChange={(e) => setExpiresInHours(Number(e.target.value))}>
+              {EXPIRY_OPTIONS.map(option => (
+                <option key={option.hours} value={option.hours}>{option.label}</option>
+              ))}
+            </select>
+          </label>
+          <label>
+            Password (optional)
+            <input
+              type="password"
+              value={password}
+              onChange={(e) => setPassword(e.target.value)}
+              autoComplete="new-password"
+              minLength={MIN_SHARE_PASSWORD_LENGTH}
+              placeholder={`At least ${MIN_SHARE_PASSWORD_LENGTH} characters, or empty for none`}
+            />
+          </label>
+          <label>
+            Maximum {countLabel} (optional)
+            <input
+              type="number"
+              min="1"
+              max="1000"
+              value={maxDownloads}
+              onChange={(e) => setMaxDownloads(e.target.value)}
+              placeholder="Unlimited"
+            />
+          </label>
+          <button type="submit" disabled={isCreating} className="action-btn primary">
+            {isCreating ? 'Creating...' : 'Create link'}
+          </button>
+        </form>
+      )}
+      {message && (
+        <div className={`share-message ${message.includes('Error') ? 'error' : 'info'}`}>{message}</div>
+      )}
+    </div>
+  );
+}
+
+export default ShareDialog;
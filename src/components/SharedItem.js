@@ -0,0 +1,175 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { useParams } from 'react-router-dom';
+import './SharedItem.css';
+import { publicFetch } from '../api';
+import { renderMarkdown } from '../markdown';
+
+const formatDate = (dateString) => new Date(dateString).toLocaleString('en-US', {
+  year: 'numeric',
+  month: 'short',
+  day: 'numeric',
+  hour: '2-digit',
+  minute: '2-digit'
+});
+
+const formatFileSize = (bytes) => {
+  if (!bytes) return '0 Bytes';
+  const k = 1024;
+  const sizes = ['Bytes', 'KB', 'MB', 'GB'];
+  const i = Math.floor(Math.log(bytes) / Math.log(k));
+  return parseFloat((bytes / Math.pow(k, i)).toFixed(2)) + ' ' + sizes[i];
+};
+
+const passwordHeaders = (password) => (password ? { 'X-Share-Password': password } : {});
+
+// Public page behind a share link; no sign-in. Password protected links ask for the
+// password first and send it with every request in the X-Share-Password header.
+function SharedItem() {
+  const { token } = useParams();
+  const [shared, setShared] = useState(null);
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [needsPassword, setNeedsPassword] = useState(false);
+  const [password, setPassword] = useState('');
+  const [isDownloading, setIsDownloading] = useState(false);
+
+  const sharePath = `/share/${encodeURIComponent(token)}`;
+
+  const load = useCallback(async (passwordValue) => {
+    setIsLoading(true);
+    setError('');
+    try {
+      const response = await publicFetch(sharePath, { headers: passwordHeaders(passwordValue) });
+      const result = await response.json();
+      if (response.ok) {
+        setShared(result);
+        setNeedsPassword(false);
+      } else if (result.code === 'PASSWORD_REQUIRED' || result.code === 'WRONG_PASSWORD') {
+        setNeedsPassword(true);
+        if (result.code === 'WRONG_PASSWORD') setError('Wrong password, please try again.');
+      } else if (result.code === 'TOO_MANY_ATTEMPTS') {
+        setNeedsPassword(true);
+        setError(result.error);
+      } else {
+        setError(result.error || `Could not open this link (${response.status})`);
+      }
+    } catch (err) {
+      console.error('Error opening share link:', err);
+      setError('Could not open this link. Please try again.');
+    } finally {
+      setIsLoading(false);
+    }
+  }, [sharePath]);
+
+  useEffect(() => {
+    load();
+  }, [load]);
+
+  const handleUnlock = (e) => {
+    e.preventDefault();
+    load(password);
+  };
+
+  const handleDownload = async () => {
+    setIsDownloading(true);
+    setError('');
+    try {
+      const response = await publicFetch(`${sharePath}/download`, {
+        method: 'POST',
+        headers: passwordHeaders(password)
+      });
+      const result = await response.json();
+      if (!response.ok) {
+        setError(result.error || `Download failed (${response.status})`);
+        if (result.code === 'DOWNLOAD_LIMIT_REACHED') {
+          setShared(prev => ({ ...prev, downloadsRemaining: 0, limitReached: true }));
+        }
+        return;
+      }
+      setShared(prev => ({
+        ...prev,
+        downloadsRemaining: result.downloadsRemaining,
+        limitReached: result.downloadsRemaining === 0
+      }));
+      window.location.href = result.downloadUrl;
+    } catch (err) {
+      console.error('Error downloading shared file:', err);
+      setError('Download failed. Please try again.');
+    } finally {
+      setIsDownloading(false);
+    }
+  };
+
+  return (
+    <div className="App shared-item-page">
+      <header className="app-header">
+        <h1>Personal Cloud Assistant</h1>
+      </header>
+
+      <main className="app-main">
+        <div className="shared-item">
+          {isLoading ? (
+            <div className="loading">Opening shared link...</div>
+          ) : needsPassword ? (
+            <form className="shared-item-card shared-password-form" onSubmit={handleUnlock}>
+              <h2>🔒 Password required</h2>
+              <p>The owner protected this link with a password.</p>
+              {error && <div className="shared-item-error">{error}</div>}
+              <input
+                type="password"
+                value={password}
+                onChange={(e) => setPassword(e.target.value)}
+                placeholder="Password"
+                autoFocus
+              />
+              <button type="submit" className="action-btn" disabled={!password}>
+                Open
+              </button>
+            </form>
+          ) : !shared ? (
+            <div className="shared-item-card">
+              <h2>Link unavailable</h2>
+              <p>{error}</p>
+            </div>
+          ) : shared.type === 'note' ? (
+            <div className="shared-item-card">
+              <h2>{shared.note.title}</h2>
+              <p className="shared-item-meta">
+                Updated {formatDate(shared.note.updatedAt)} • Link expires {formatDate(shared.expiresAt)}
+              </p>
+              {shared.note.tags.length > 0 && (
+                <div className="note-tags">
+                  {shared.note.tags.map(tag => (
+                    <span key={tag} className="tag">#{tag}</span>
+                  ))}
+                </div>
+              )}
+              <div
+                className="markdown-body"
+                dangerouslySetInnerHTML={{ __html: renderMarkdown(shared.note.content) }}
+              />
+            </div>
+          ) : (
+            <div className="shared-item-card">
+              <h2>📄 {shared.file.name}</h2>
+              <p className="shared-item-meta">
+                {formatFileSize(shared.file.size)} • Link expires {formatDate(shared.expiresAt)}
+                {shared.downloadsRemaining !== null && ` • ${shared.downloadsRemaining} downloads left`}
+              </p>
+              {error && <div className="shared-item-error">{error}</div>}
+              <button
+                onClick={handleDownload}
+                disabled={isDownloading || shared.limitReached}
+                className="action-btn"
+              >
+                {shared.limitReached ? 'Download limit reached' : isDownloading ? 'Preparing...' : '⬇️ Download'}
+              </button>
+            </div>
+          )}
+        </div>
+      </main>
+    </div>
+  );
+}
+
+export default SharedItem;
@@ -0,0 +1,120 @@
+import React, { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import './SharedLinks.css';
+import { apiFetch } from '../api';
+import { fetchShares, shareUrl } from '../shares';
+
+const formatDate = (dateString) => new Date(dateString).toLocaleString('en-US', {
+  year: 'numeric',
+  month: 'short',
+  day: 'numeric',
+  hour: '2-digit',
+  minute: '2-digit'
+});
+
+// Manage shared links: every public link the user created, with copy and revoke
+function SharedLinks() {
+  const [shares, setShares] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [message, setMessage] = useState('');
+  const [busyTokens, setBusyTokens] = useState({});
+
+  useEffect(() => {
+    fetchShares()
+      .then(setShares)
+      .catch((error) => {
+        console.error('Error loading shared links:', error);
+        setMessage('Error loading shared links. Please try again.');
+      })
+      .finally(() => setIsLoading(false));
+  }, []);
+
+  const handleCopy = async (share) => {
+    try {
+      await navigator.clipboard.writeText(shareUrl(share.token));
+      setMessage(`Link to "${share.title}" copied to clipboard.`);
+    } catch {
+      setMessage('Error: could not copy the link.');
+    }
+  };
+
+  const handleRevoke = async (share) => {
+    if (!window.confirm(`Revoke the link to "${share.title}"? Anyone using it will lose access.`)) {
+      return;
+    }
+
+    setBusyTokens(prev => ({ ...prev, [share.token]: true }));
+    try {
+      const response = await apiFetch(`/shares/${encodeURIComponent(share.token)}`, { method: 'DELETE' });
+      const result = await response.json();
+      if (response.ok) {
+        setShares(prev => prev.filter(s => s.token !== share.token));
+        setMessage(`Link to "${share.title}" revoked.`);
+      } else {
+        setMessage(`Error: ${result.error || 'Revoke failed'}`);
+      }
+    } catch (error) {
+      console.error('Error revoking link:', error);
+      setMessage('Error revoking link. Please try again.');
+    } finally {
+      setBusyTokens(prev => ({ ...prev, [share.token]: false }));
+    }
+  };
+
+  return (
+    <div className="shared-links">
+      <div className="page-header">
+        <h2>Shared Links</h2>
+        <Link to="/view" className="back-btn">← Back to Notes & Files</Link>
+      </div>
+
+      {message && (
+        <div className={`message ${message.includes('Error') ? 'error' : 'info'}`}>
+          {message}
+        </div>
+      )}
+
+      {isLoading ? (
+        <div className="loading">Loading shared links...</div>
+      ) : shares.length === 0 ? (
+        <p className="shared-links-empty">
+          You have not shared anything. Use 🔗 on a note or file to create a link.
+        </p>
+      ) : (
+        <div className="shared-links-list">
+          {shares.map(share => (
+            <div key={share.token} className={`shared-link-item ${share.expired ? 'expired' : ''}`}>
+              <div className="shared-link-info">
+                <h4>{share.type === 'note' ? '📝' : '📄'} {share.title}</h4>
+                <p className="shared-link-meta">
+                  {share.expired ? 'Expired' : 'Expires'} {formatDate(share.expiresAt)}
+                  {share.hasPassword && ' • 🔒 Password'}
+                  {' • '}
+                  {share.maxDownloads
+                    ? `${share.downloadCount} of ${share.maxDownloads} ${share.type === 'file' ? 'downloads' : 'views'}`
+                    : `${share.downloadCount} ${share.type === 'file' ? 'downloads' : 'views'}`}
+                </p>
+              </div>
+              <div className="shared-link-actions">
+                {!share.expired && (
+                  <button onClick={() => handleCopy(share)} className="action-btn secondary">
+                    Copy link
+                  </button>
+                )}
+                <button
+                  onClick={() => handleRevoke(share)}
+                  disabled={busyTokens[share.token]}
+                  className="action-btn delete-btn"
+                >
+                  {busyTokens[share.token] ? 'Revoking...' : share.expired ? 'Remove' : 'Revoke'}
+                </button>
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default SharedLinks;
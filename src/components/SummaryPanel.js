@@ -0,0 +1,48 @@
+import React, { useState } from 'react';
+import './SummaryPanel.css';
+import { apiFetch } from '../api';
+
+// Summarize button plus the summary it returns. endpoint is the summarize route of a note or
+// file, e.g. /notes/{id}/summarize; give the component a new key when the content changes.
+function SummaryPanel({ endpoint }) {
+  const [summary, setSummary] = useState(null);
+  const [isLoading, setIsLoading] = useState(false);
+  const [error, setError] = useState('');
+
+  const handleSummarize = async () => {
+    setIsLoading(true);
+    setError('');
+    try {
+      const response = await apiFetch(endpoint, { method: 'POST' });
+      const result = await response.json();
+      if (!response.ok) {
+        setError(`Error: ${result.error || 'Summary failed'}`);
+        return;
+      }
+      setSummary(result);
+    } catch (err) {
+      console.error('Error summarizing:', err);
+      setError('Error creating summary. Please try again.');
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  return (
+    <div className="summary-panel">
+      {summary ? (
+        <div className="summary-box">
+          <h4>✨ Summary</h4>
+          <p>{summary.summary}</p>
+        </div>
+      ) : (
+        <button onClick={handleSummarize} disabled={isLoading} className="action-btn secondary">
+          {isLoading ? 'Summarizing...' : '✨ Summarize'}
+        </button>
+      )}
+      {error && <div className="summary-error">{error}</div>}
+    </div>
+  );
+}
+
+export default SummaryPanel;
@@ -0,0 +1,106 @@
+import React, { useState } from 'react';
+import './TagInput.css';
+import { MAX_TAGS, MAX_TAG_LENGTH, normalizeTag, tagColor } from '../tags';
+
+const MAX_SUGGESTIONS = 6;
+
+// Chips for the current tags plus a text input that suggests the user's existing tags.
+// Enter or comma adds the typed tag, Backspace on an empty input removes the last one.
+function TagInput({ tags, onChange, suggestions = [], disabled = false }) {
+  const [draft, setDraft] = useState('');
+  const [highlighted, setHighlighted] = useState(0);
+
+  const query = normalizeTag(draft);
+  const matches = query
+    ? suggestions
+      .filter(suggestion => suggestion.name.includes(query) && !tags.includes(suggestion.name))
+      .slice(0, MAX_SUGGESTIONS)
+    : [];
+
+  const addTag = (value) => {
+    const tag = normalizeTag(value).slice(0, MAX_TAG_LENGTH).trim();
+    setDraft('');
+    setHighlighted(0);
+    if (!tag || tags.includes(tag) || tags.length >= MAX_TAGS) return;
+    onChange([...tags, tag]);
+  };
+
+  const removeTag = (tag) => {
+    onChange(tags.filter(existing => existing !== tag));
+  };
+
+  const handleKeyDown = (event) => {
+    if (event.key === 'Enter' || event.key === ',') {
+      event.preventDefault();
+      addTag(matches[highlighted]?.name || draft);
+    } else if (event.key === 'Backspace' && !draft && tags.length > 0) {
+      removeTag(tags[tags.length - 1]);
+    } else if (event.key === 'ArrowDown' && matches.length > 0) {
+      event.preventDefault();
+      setHighlighted((highlighted + 1) % matches.length);
+    } else if (event.key === 'ArrowUp' && matches.length > 0) {
+      event.preventDefault();
+      setHighlighted((highlighted - 1 + matches.length) % matches.length);
+    } else if (event.key === 'Escape') {
+      setDraft('');
+    }
+  };
+
+  return (
+    <div className={`tag-input ${disabled ? 'disabled' : ''}`}>
+      <div className="tag-input-field">
+        {tags.map(tag => (
+          <span key={tag} className="tag-chip" style={tagColor(tag)}>
+            {tag}
+            {!disabled && (
+              <button
+                type="button"
+                onClick={() => removeTag(tag)}
+                className="tag-chip-remove"
+                title={`Remove ${tag}`}
+              >
+                ×
+              </button>
+            )}
+          </span>
+        ))}
+        {tags.length < MAX_TAGS && (
+          <input
+            type="text"
+            value={draft}
+            onChange={(e) => {
+              setDraft(e.target.value);
+              setHighlighted(0);
+            }}
+            onKeyDown={handleKeyDown}
+            // Add whatever was typed when focus leaves, unless a suggestion is being clicked
+            onBlur={() => draft && addTag(draft)}
+            placeholder={tags.length === 0 ? 'Add tags...' : ''}
+            maxLength={MAX_TAG_LENGTH}
+            disabled={disabled}
+          />
+        )}
+      </div>
+      {matches.length > 0 && (
+        <ul className="tag-suggestions">
+          {matches.map((suggestion, index) => (
+            <li
+              key={suggestion.name}
+              className={index === highlighted ? 'highlighted' : ''}
+              // mousedown fires before the input's blur, so the suggestion wins over the typed text
+              onMouseDown={(e) => {
+                e.preventDefault();
+                addTag(suggestion.name);
+              }}
+            >
+              <span className="tag-chip" style={tagColor(suggestion.name)}>{suggestion.name}</span>
+              <span className="tag-suggestion-count">{suggestion.count}</span>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
+
+export default TagInput;
@@ -0,0 +1,228 @@
+import React, { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import './Trash.css';
+import { apiFetch } from '../api';
+import { useRole } from '../roles';
+
+const formatDate = (dateString) => new Date(dateString).toLocaleDateString('en-US', {
+  year: 'numeric',
+  month: 'short',
+  day: 'numeric'
+});
+
+const formatFileSize = (bytes) => {
+  if (!bytes) return '0 Bytes';
+  const k = 1024;
+  const sizes = ['Bytes', 'KB', 'MB', 'GB'];
+  const i = Math.floor(Math.log(bytes) / Math.log(k));
+  return parseFloat((bytes / Math.pow(k, i)).toFixed(2)) + ' ' + sizes[i];
+};
+
+const fetchTrash = async () => {
+  const response = await apiFetch('/trash');
+  if (!response.ok) {
+    throw new Error(`Failed to load trash (${response.status})`);
+  }
+  return response.json();
+};
+
+function Trash() {
+  const [notes, setNotes] = useState([]);
+  const [files, setFiles] = useState([]);
+  const [retentionDays, setRetentionDays] = useState(null);
+  const [isLoading, setIsLoading] = useState(true);
+  const [message, setMessage] = useState('');
+  const [busyItems, setBusyItems] = useState({});
+  const { canWrite } = useRole();
+
+  useEffect(() => {
+    fetchTrash()
+      .then((trash) => {
+        setNotes(trash.notes || []);
+        setFiles(trash.files || []);
+        setRetentionDays(trash.retentionDays);
+      })
+      .catch((error) => {
+        console.error('Error loading trash:', error);
+        setMessage('Error loading trash. Please try again.');
+      })
+      .finally(() => setIsLoading(false));
+  }, []);
+
+  const removeFromList = (type, id) => {
+    if (type === 'notes') {
+      setNotes(prev => prev.filter(note => note.id !== id));
+    } else {
+      setFiles(prev => prev.filter(file => file.id !== id));
+    }
+  };
+
+  // type is "notes" or "files"; restore puts the item back where it was deleted from
+  const handleRestore = async (type, item, label) => {
+    const busyKey = `${type}-${item.id}`;
+    setBusyItems(prev => ({ ...prev, [busyKey]: true }));
+    try {
+      const response = await apiFetch(`/trash/${type}/${encodeURIComponent(item.id)}/restore`, { method: 'POST' });
+      const result = await response.json();
+      if (response.ok) {
+        removeFromList(type, item.id);
+        setMessage(result.unpinned
+          ? `Restored "${label}" unpinned; you already have the maximum number of pinned notes.`
+          : `Restored "${label}".`);
+      } else {
+        setMessage(`Error: ${result.error || 'Restore failed'}`);
+      }
+    } catch (error) {
+      console.error('Error restoring item:', error);
+      setMessage('Error restoring item. Please try again.');
+    } finally {
+      setBusyItems(prev => ({ ...prev, [busyKey]: false }));
+    }
+  };
+
+  const handlePurge = async (type, item, label) => {
+    if (!window.confirm(`Permanently delete "${label}"? This action cannot be undone.`)) {
+      return;
+    }
+
+    const busyKey = `${type}-${item.id}`;
+    setBusyItems(prev => ({ ...prev, [busyKey]: true }));
+    try {
+      const response = await apiFetch(`/trash/${type}/${encodeURIComponent(item.id)}`, { method: 'DELETE' });
+      const result = await response.json();
+      if (response.ok) {
+        removeFromList(type, item.id);
+        setMessage(`"${label}" deleted permanently.`);
+      } else {
+        setMessage(`Error: ${result.error || 'Delete failed'}`);
+      }
+    } catch (error) {
+      console.error('Error deleting item:', error);
+      setMessage('Error deleting item. Please try again.');
+    } finally {
+      setBusyItems(prev => ({ ...prev, [busyKey]: false }));
+    }
+  };
+
+  const handleEmptyTrash = async () => {
+    if (!window.confirm('Permanently delete everything in the trash? This action cannot be undone.')) {
+      return;
+    }
+
+    setBusyItems(prev => ({ ...prev, empty: true }));
+    try {
+      const response = await apiFetch('/trash', { method: 'DELETE' });
+      const result = await response.json();
+      if (response.ok) {
+        setNotes([]);
+        setFiles([]);
+        setMessage('Trash emptied.');
+      } else {
+        setMessage(`Error: ${result.error || 'Could not empty trash'}`);
+      }
+    } catch (error) {
+      console.error('Error emptying trash:', error);
+      setMessage('Error emptying trash. Please try again.');
+    } finally {
+      setBusyItems(prev => ({ ...prev, empty: false }));
+    }
+  };
+
+  // Read-only accounts can look through the trash but not restore or purge
+  const renderActions = (type, item, label) => canWrite && (
+    <div className="trash-item-actions">
+      <button
+        onClick={() => handleRestore(type, item, label)}
+        disabled={busyItems[`${type}-${item.id}`]}
+        className="action-btn primary"
+      >
+        ↩️ Restore
+      </button>
+      <button
+        onClick={() => handlePurge(type, item, label)}
+        disabled={busyItems[`${type}-${item.id}`]}
+        className="action-btn delete-btn"
+      >
+        Delete forever
+      </button>
+    </div>
+  );
+
+  const isEmpty = notes.length === 0 && files.length === 0;
+
+  return (
+    <div className="trash">
+      <div className="page-header">
+        <h2>Trash</h2>
+        <Link to="/view" className="back-btn">← Back to Notes & Files</Link>
+      </div>
+
+      {message && (
+        <div className={`message ${message.includes('Error') ? 'error' : 'info'}`}>
+          {message}
+        </div>
+      )}
+
+      {isLoading ? (
+        <div className="loading">Loading trash...</div>
+      ) : (
+        <>
+          <div className="trash-toolbar">
+            <p>
+              Deleted notes and files stay here
+              {retentionDays ? ` for ${retentionDays} days` : ''} before they are removed for good.
+            </p>
+            {canWrite && !isEmpty && (
+              <button
+                onClick={handleEmptyTrash}
+                disabled={busyItems.empty}
+                className="action-btn delete-btn"
+              >
+                {busyItems.empty ? 'Emptying...' : '🗑️ Empty trash'}
+              </button>
+            )}
+          </div>
+
+          {isEmpty ? (
+            <p className="trash-empty">The trash is empty.</p>
+          ) : (
+            <div className="trash-sections">
+              <div className="trash-section">
+                <h3>Notes ({notes.length})</h3>
+                {notes.map((note) => (
+                  <div key={note.id} className="trash-item">
+                    <div className="trash-item-info">
+                      <h4>📝 {note.title}</h4>
+                      <p className="trash-item-meta">
+                        Deleted {formatDate(note.deletedAt)} • Removed for good on {formatDate(note.purgeAt)}
+                      </p>
+                    </div>
+                    {renderActions('notes', note, note.title)}
+                  </div>
+                ))}
+              </div>
+              <div className="trash-section">
+                <h3>Files ({files.length})</h3>
+                {files.map((file) => (
+                  <div key={file.id} className="trash-item">
+                    <div className="trash-item-info">
+                      <h4>📄 {file.name}</h4>
+                      <p className="trash-item-meta">
+                        {formatFileSize(file.size)}
+                        {file.folder && ` • from ${file.folder}`}
+                        {' • '}Deleted {formatDate(file.deletedAt)} • Removed for good on {formatDate(file.purgeAt)}
+                      </p>
+                    </div>
+                    {renderActions('files', file, file.name)}
+                  </div>
+                ))}
+              </div>
+            </div>
+          )}
+        </>
+      )}
+    </div>
+  );
+}
+
+export default Trash;
@@ -2,6 +2,124 @@ import React, { useState, useEffect } from 'react';
 import { Link } from 'react-router-dom';
 import './ViewNotes.css';
 import { apiFetch } from '../api';
+import { renderMarkdown, renderMarkdownExcerpt } from '../markdown';
+import NoteHistory from './NoteHistory';
+import SummaryPanel from './SummaryPanel';
+import NoteAttachments from './NoteAttachments';
+import NoteCollaborators from './NoteCollaborators';
+import ShareDialog from './ShareDialog';
+import TagInput from './TagInput';
+import { fetchTagCounts, tagColor } from '../tags';
+import { useRole } from '../roles';
+
+const NOTES_PAGE_SIZE = 20;
+const FILES_PAGE_SIZE = 24;
+
+// Values are "<sort>:<order>" pairs understood by GET /files
+const FILE_SORT_OPTIONS = [
+  { value: 'uploadedAt:desc', label: 'Newest first' },
+  { value: 'uploadedAt:asc', label: 'Oldest first' },
+  { value: 'name:asc', label: 'Name (A-Z)' },
+  { value: 'name:desc', label: 'Name (Z-A)' },
+  { value: 'size:desc', label: 'Largest first' },
+  { value: 'size:asc', label: 'Smallest first' }
+];
+
+// Pinned notes come first on the first page; archived notes are listed only with archived set.
+// shared lists the notes other people shared with this user instead of their own.
+const fetchNotesPage = async (cursor, { tag, archived, shared } = {}) => {
+  const params = new URLSearchParams({ limit: NOTES_PAGE_SIZE });
+  if (cursor) params.set('cursor', cursor);
+  if (tag) params.set('tag', tag);
+  if (shared) {
+    params.set('shared', 'true');
+  } else if (archived) {
+    params.set('archived', 'true');
+  }
+  const response = await apiFetch(`/notes?${params}`);
+  if (!response.ok) {
+    throw new Error(`Failed to load notes (${response.status})`);
+  }
+  return response.json();
+};
+
+// Pinned notes first, then newest first. A note unpinned on this page drops back to its date.
+const orderNotes = (notes) => [
+  ...notes.filter(note => note.pinned),
+  ...notes.filter(note => !note.pinned).sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+];
+
+const SEARCH_DEBOUNCE_MS = 300;
+const MIN_SEARCH_LENGTH = 2;
+
+const searchNotesAndFiles = async (query) => {
+  const response = await apiFetch(`/search?${new URLSearchParams({ q: query })}`);
+  if (!response.ok) {
+    throw new Error(await readError(response, `Search failed (${response.status})`));
+  }
+  const result = await response.json();
+  return result.results || [];
+};
+
+// Text with the [start, end] ranges returned by the search API wrapped in <mark>
+const Highlighted = ({ text, ranges }) => {
+  const parts = [];
+  let position = 0;
+  ranges.forEach(([start, end]) => {
+    if (start > position) parts.push(text.slice(position, start));
+    parts.push(<mark key={start}>{text.slice(start, end)}</mark>);
+    position = end;
+  });
+  parts.push(text.slice(position));
+  return <>{parts}</>;
+};
+
+// folder is "" for the root or "a/b/"; the API spells the root as "/"
+// How each previewable extension is shown in the preview modal
+const PREVIEW_KINDS = {
+  jpg: 'image', jpeg: 'image', png: 'image', gif: 'image', webp: 'image',
+  pdf: 'pdf',
+  txt: 'text', csv: 'text', json: 'text',
+  md: 'markdown'
+};
+// Text is fetched into the page, so very large files are left to a download
+const MAX_TEXT_PREVIEW_BYTES = 1024 * 1024;
+
+const previewKind = (file) => PREVIEW_KINDS[file.type] || null;
+
+// File types POST /files/{id}/summarize accepts
+const SUMMARIZABLE_TYPES = new Set(['txt', 'md', 'pdf', 'docx']);
+
+const FILE_ICONS = { image: '🖼️', pdf: '📕', text: '📄', markdown: '📝' };
+
+const readError = async (response, fallback) => {
+  try {
+    const result = await response.json();
+    return result.error || fallback;
+  } catch {
+    return fallback;
+  }
+};
+
+// Breadcrumb trail for a folder path, starting at the root
+const folderCrumbs = (folder) => {
+  const segments = folder.split('/').filter(Boolean);
+  return [
+    { name: 'All files', path: '' },
+    ...segments.map((name, index) => ({ name, path: `${segments.slice(0, index + 1).join('/')}/` }))
+  ];
+};
+
+const fetchFilesPage = async (sortOption, continuationToken, folder) => {
+  const [sort, order] = sortOption.split(':');
+  const params = new URLSearchParams({ limit: FILES_PAGE_SIZE, sort, order, folder: folder || '/' });
+  if (continuationToken) params.set('continuationToken', continuationToken);
+  const response = await apiFetch(`/files?${params}`);
+  if (!response.ok) {
+    throw new Error(`Failed to load files (${response.status})`);
+  }
+  return response.json();
+};
 
 function ViewNotes() {
   const [notes, setNotes] = useState([]);
@@ -10,34 +128,101 @@ function ViewNotes() {
   const [message, setMessage] = useState('');
   const [loadingFiles, setLoadingFiles] = useState({});
   const [searchQuery, setSearchQuery] = useState('');
+  const [searchResults, setSearchResults] = useState(null);
+  const [isSearching, setIsSearching] = useState(false);
   const [editingNote, setEditingNote] = useState(null);
   const [editTitle, setEditTitle] = useState('');
   const [editContent, setEditContent] = useState('');
+  const [editTags, setEditTags] = useState([]);
+  const [editConflict, setEditConflict] = useState(null);
+  const [tagCounts, setTagCounts] = useState([]);
+  const [activeTag, setActiveTag] = useState(null);
+  const [showArchived, setShowArchived] = useState(false);
+  const [showShared, setShowShared] = useState(false);
   const [viewingFullNote, setViewingFullNote] = useState(null);
+  const [showHistory, setShowHistory] = useState(false);
+  const [notesCursor, setNotesCursor] = useState(null);
+  const [loadingMoreNotes, setLoadingMoreNotes] = useState(false);
+  const [filesSort, setFilesSort] = useState(FILE_SORT_OPTIONS[0].value);
+  const [filesToken, setFilesToken] = useState(null);
+  const [totalFiles, setTotalFiles] = useState(0);
+  const [loadingMoreFiles, setLoadingMoreFiles] = useState(false);
+  const [currentFolder, setCurrentFolder] = useState('');
+  const [folders, setFolders] = useState([]);
+  const [draggedItem, setDraggedItem] = useState(null);
+  const [dropTarget, setDropTarget] = useState(null);
+  const [preview, setPreview] = useState(null);
+  // { type: 'note' | 'file', id, title } while the share dialog is open
+  const [sharing, setSharing] = useState(null);
+  const { canWrite } = useRole();
   
-  const MAX_PREVIEW_LENGTH =60; // Characters to show before "Read More"
+  const MAX_PREVIEW_LENGTH = 60; // Characters of rendered text to show before "Read More"
 
   useEffect(() => {
     loadNotesAndFiles();
   }, []);
 
+  // Searches on the server once typing pauses; results from an outdated query are dropped
+  useEffect(() => {
+    const query = searchQuery.trim();
+    if (query.length < MIN_SEARCH_LENGTH) {
+      setSearchResults(null);
+      setIsSearching(false);
+      return undefined;
+    }
+
+    let cancelled = false;
+    setIsSearching(true);
+    const timer = setTimeout(async () => {
+      try {
+        const results = await searchNotesAndFiles(query);
+        if (!cancelled) setSearchResults(results);
+      } catch (error) {
+        console.error('Error searching:', error);
+        if (!cancelled) {
+          setSearchResults([]);
+          setMessage(`Error searching: ${error.message}`);
+        }
+      } finally {
+        if (!cancelled) setIsSearching(false);
+      }
+    }, SEARCH_DEBOUNCE_MS);
+
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [searchQuery]);
+
   const loadNotesAndFiles = async () => {
     setIsLoading(true);
     try {
-      // Load notes and files in parallel
-      const [notesResponse, filesResponse] = await Promise.all([
-        apiFetch('/notes'),
-        apiFetch('/files')
+      // Load notes, files and tags in parallel
+      const [notesPage, filesPage, tags] = await Promise.all([
+        fetchNotesPage(null).catch((error) => {
+          console.error('Error loading notes:', error);
+          return { notes: [], nextCursor: null };
+        }),
+        fetchFilesPage(FILE_SORT_OPTIONS[0].value, null, '').catch((error) => {
+          console.error('Error loading files:', error);
+          return { files: [], folders: [], totalCount: 0, nextContinuationToken: null };
+        }),
+        fetchTagCounts().catch((error) => {
+          console.error('Error loading tags:', error);
+          return [];
+        })
       ]);
 
-      const notes = notesResponse.ok ? await notesResponse.json() : [];
-      const files = filesResponse.ok ? await filesResponse.json() : [];
+      console.log('Notes loaded:', notesPage);
+      console.log('Files loaded:', filesPage);
       
-      console.log('Notes loaded:', notes);
-      console.log('Files loaded:', files);
-      
-      setNotes(notes || []);
-      setFiles(files || []);
+      setNotes(notesPage.notes || []);
+      setNotesCursor(notesPage.nextCursor || null);
+      setTagCounts(tags);
+      setFiles(filesPage.files || []);
+      setFolders(filesPage.folders || []);
+      setTotalFiles(filesPage.totalCount || 0);
+      setFilesToken(filesPage.nextContinuationToken || null);
       setIsLoading(false);
 
     } catch (error) {
@@ -47,6 +232,266 @@ function ViewNotes() {
     }
   };
 
+  // Sorting and folders are handled on the server, so either change starts again from the first page
+  const reloadFiles = async (sortOption, folder) => {
+    setLoadingMoreFiles(true);
+    try {
+      const page = await fetchFilesPage(sortOption, null, folder);
+      setFiles(page.files || []);
+      setFolders(page.folders || []);
+      setTotalFiles(page.totalCount || 0);
+      setFilesToken(page.nextContinuationToken || null);
+    } catch (error) {
+      console.error('Error loading files:', error);
+      setMessage('Error loading files. Please try again.');
+    } finally {
+      setLoadingMoreFiles(false);
+    }
+  };
+
+  const handleFilesSortChange = (sortOption) => {
+    setFilesSort(sortOption);
+    reloadFiles(sortOption, currentFolder);
+  };
+
+  const handleOpenFolder = (folder) => {
+    setCurrentFolder(folder);
+    setMessage('');
+    reloadFiles(filesSort, folder);
+  };
+
+  const handleCreateFolder = async () => {
+    const name = window.prompt('New folder name:');
+    if (!name || !name.trim()) return;
+
+    try {
+      const response = await apiFetch('/files/folders', {
+        method: 'POST',
+        body: JSON.stringify({ path: `${currentFolder}${name.trim()}` })
+      });
+      if (!response.ok) {
+        setMessage(`Error: ${await readError(response, 'Failed to create folder')}`);
+        return;
+      }
+      const result = await response.json();
+      setFolders(prev => [...prev, result.folder].sort((a, b) => a.name.localeCompare(b.name)));
+      setMessage(`Folder "${result.folder.name}" created.`);
+    } catch (error) {
+      console.error('Error creating folder:', error);
+      setMessage('Error creating folder. Please try again.');
+    }
+  };
+
+  // Renaming and moving a folder are the same operation: a new path
+  const moveFolder = async (folder, newPath) => {
+    setLoadingFiles(prev => ({ ...prev, [`folder-${folder.path}`]: true }));
+    try {
+      const response = await apiFetch('/files/folders', {
+        method: 'PUT',
+        body: JSON.stringify({ path: folder.path, newPath })
+      });
+      if (!response.ok) {
+        setMessage(`Error: ${await readError(response, 'Failed to move folder')}`);
+        return;
+      }
+      await reloadFiles(filesSort, currentFolder);
+      setMessage(`Folder "${folder.name}" moved to ${newPath}.`);
+    } catch (error) {
+      console.error('Error moving folder:', error);
+      setMessage('Error moving folder. Please try again.');
+    } finally {
+      setLoadingFiles(prev => ({ ...prev, [`folder-${folder.path}`]: false }));
+    }
+  };
+
+  const handleRenameFolder = (folder) => {
+    const name = window.prompt('Rename folder to:', folder.name);
+    if (!name || !name.trim() || name.trim() === folder.name) return;
+    moveFolder(folder, `${currentFolder}${name.trim()}/`);
+  };
+
+  const handleDeleteFolder = async (folder) => {
+    if (!window.confirm(`Delete the folder "${folder.name}"?`)) {
+      return;
+    }
+
+    setLoadingFiles(prev => ({ ...prev, [`folder-${folder.path}`]: true }));
+    try {
+      const params = new URLSearchParams({ path: folder.path });
+      let response = await apiFetch(`/files/folders?${params}`, { method: 'DELETE' });
+      if (response.status === 409) {
+        const result = await response.json();
+        if (!window.confirm(`"${folder.name}" contains ${result.itemCount} item(s). Delete the folder and move its files to the trash?`)) {
+          return;
+        }
+        params.set('recursive', 'true');
+        response = await apiFetch(`/files/folders?${params}`, { method: 'DELETE' });
+      }
+      if (!response.ok) {
+        setMessage(`Error: ${await readError(response, 'Failed to delete folder')}`);
+        return;
+      }
+      const result = await response.json();
+      setFolders(prev => prev.filter(f => f.path !== folder.path));
+      setMessage(result.trashedCount
+        ? `Folder "${folder.name}" deleted; ${result.trashedCount} file(s) moved to trash.`
+        : `Folder "${folder.name}" deleted.`);
+    } catch (error) {
+      console.error('Error deleting folder:', error);
+      setMessage('Error deleting folder. Please try again.');
+    } finally {
+      setLoadingFiles(prev => ({ ...prev, [`folder-${folder.path}`]: false }));
+    }
+  };
+
+  // changes is { name } to rename or { folder } to move
+  const updateFile = async (file, changes) => {
+    setLoadingFiles(prev => ({ ...prev, [`update-file-${file.id}`]: true }));
+    try {
+      const response = await apiFetch(`/files/${file.id}`, {
+        method: 'PATCH',
+        body: JSON.stringify(changes)
+      });
+      if (!response.ok) {
+        setMessage(`Error: ${await readError(response, 'Failed to update file')}`);
+        return null;
+      }
+      const result = await response.json();
+      return result.file;
+    } catch (error) {
+      console.error('Error updating file:', error);
+      setMessage('Error updating file. Please try again.');
+      return null;
+    } finally {
+      setLoadingFiles(prev => ({ ...prev, [`update-file-${file.id}`]: false }));
+    }
+  };
+
+  const handleRenameFile = async (file) => {
+    const name = window.prompt('Rename file to:', file.name);
+    if (!name || !name.trim() || name.trim() === file.name) return;
+
+    const updated = await updateFile(file, { name: name.trim() });
+    if (updated) {
+      setFiles(prev => prev.map(f => (f.id === updated.id ? updated : f)));
+      setMessage(`Renamed to "${updated.name}".`);
+    }
+  };
+
+  const handleMoveFile = async (file, folder) => {
+    if ((file.folder || '') === folder) return;
+
+    const updated = await updateFile(file, { folder });
+    if (updated) {
+      setFiles(prev => prev.filter(f => f.id !== updated.id));
+      setTotalFiles(prev => Math.max(prev - 1, 0));
+      setMessage(`Moved "${updated.name}" to ${folder || 'All files'}.`);
+    }
+  };
+
+  // Drag-to-move: files and folders can be dropped on a folder card or a breadcrumb
+  const dropHandlers = (targetPath) => ({
+    onDragOver: (e) => {
+      if (!draggedItem) return;
+      e.preventDefault();
+      setDropTarget(targetPath);
+    },
+    onDragLeave: () => setDropTarget(prev => (prev === targetPath ? null : prev)),
+    onDrop: (e) => {
+      e.preventDefault();
+      setDropTarget(null);
+      if (!draggedItem) return;
+      if (draggedItem.type === 'file') {
+        handleMoveFile(draggedItem.file, targetPath);
+      } else if (!targetPath.startsWith(draggedItem.folder.path)) {
+        moveFolder(draggedItem.folder, `${targetPath}${draggedItem.folder.name}/`);
+      }
+      setDraggedItem(null);
+    }
+  });
+
+  const handleLoadMoreFiles = async () => {
+    if (!filesToken || loadingMoreFiles) return;
+
+    setLoadingMoreFiles(true);
+    try {
+      const page = await fetchFilesPage(filesSort, filesToken, currentFolder);
+      setFiles(prev => [...prev, ...(page.files || [])]);
+      // Large folders return their sub-folders over several pages too
+      if (page.folders?.length) {
+        setFolders(prev => [...prev, ...page.folders].sort((a, b) => a.name.localeCompare(b.name)));
+      }
+      setFilesToken(page.nextContinuationToken || null);
+    } catch (error) {
+      console.error('Error loading more files:', error);
+      setMessage('Error loading more files. Please try again.');
+    } finally {
+      setLoadingMoreFiles(false);
+    }
+  };
+
+  const refreshTagCounts = () => {
+    fetchTagCounts()
+      .then(setTagCounts)
+      .catch((error) => console.error('Error loading tags:', error));
+  };
+
+  // Tag and archive filtering happen on the server, so changing either starts again from the first page
+  const reloadNotes = async (filters) => {
+    setLoadingMoreNotes(true);
+    try {
+      const page = await fetchNotesPage(null, filters);
+      setNotes(page.notes || []);
+      setNotesCursor(page.nextCursor || null);
+    } catch (error) {
+      console.error('Error filtering notes:', error);
+      setMessage('Error loading notes. Please try again.');
+    } finally {
+      setLoadingMoreNotes(false);
+    }
+  };
+
+  // Selecting the active tag again clears the filter
+  const handleSelectTag = (tag) => {
+    const nextTag = tag === activeTag ? null : tag;
+    setActiveTag(nextTag);
+    reloadNotes({ tag: nextTag, archived: showArchived, shared: showShared });
+  };
+
+  // The archive and the notes shared with the user are separate lists, so switching to one leaves the other
+  const handleToggleArchived = () => {
+    setShowArchived(!showArchived);
+    setShowShared(false);
+    reloadNotes({ tag: activeTag, archived: !showArchived, shared: false });
+  };
+
+  // Notes shared with the user are listed on their own, never mixed with the user's archive
+  const handleToggleShared = () => {
+    setShowShared(!showShared);
+    setShowArchived(false);
+    reloadNotes({ tag: activeTag, shared: !showShared });
+  };
+
+  const handleLoadMoreNotes = async () => {
+    if (!notesCursor || loadingMoreNotes) return;
+
+    setLoadingMoreNotes(true);
+    try {
+      const page = await fetchNotesPage(notesCursor, { tag: activeTag, archived: showArchived, shared: showShared });
+      // A note unpinned since the first page loaded is already in the list
+      setNotes(prev => {
+        const loaded = new Set(prev.map(n => n.id));
+        return [...prev, ...(page.notes || []).filter(n => !loaded.has(n.id))];
+      });
+      setNotesCursor(page.nextCursor || null);
+    } catch (error) {
+      console.error('Error loading more notes:', error);
+      setMessage('Error loading more notes. Please try again.');
+    } finally {
+      setLoadingMoreNotes(false);
+    }
+  };
+
   const handleDownloadFile = async (file) => {
     setLoadingFiles(prev => ({ ...prev, [`download-${file.id}`]: true }));
     setMessage('Preparing download...');
@@ -61,13 +506,13 @@ function ViewNotes() {
       if (response.ok && result.downloadUrl) {
         const downloadLink = document.createElement('a');
         downloadLink.href = result.downloadUrl;
-        downloadLink.download = getCleanFileName(file.name);
+        downloadLink.download = result.fileName || file.name;
         downloadLink.style.display = 'none';
         document.body.appendChild(downloadLink);
         downloadLink.click();
         document.body.removeChild(downloadLink);
         
-        setMessage(`Downloaded ${getCleanFileName(file.name)} successfully!`);
+        setMessage(`Downloaded ${file.name} successfully!`);
       } else {
         setMessage(result.error || 'Download failed');
       }
@@ -79,8 +524,47 @@ function ViewNotes() {
     }
   };
 
+  const handlePreviewFile = async (file) => {
+    const kind = previewKind(file);
+    if (!kind) return;
+
+    setPreview({ file, kind, loading: true });
+    // Ignore the result if the modal was closed or another file opened meanwhile
+    const update = (changes) => setPreview(prev => (prev?.file.id === file.id ? { ...prev, ...changes } : prev));
+
+    try {
+      const response = await apiFetch(`/files/${file.id}/download?disposition=inline`);
+      const result = await response.json();
+      if (!response.ok) {
+        update({ loading: false, error: result.error || 'Preview failed' });
+        return;
+      }
+
+      if (kind === 'text' || kind === 'markdown') {
+        if (file.size > MAX_TEXT_PREVIEW_BYTES) {
+          update({ loading: false, error: 'This file is too large to preview. Download it instead.' });
+          return;
+        }
+        const content = await fetch(result.downloadUrl);
+        if (!content.ok) {
+          throw new Error(`Failed to load file content (${content.status})`);
+        }
+        update({ loading: false, url: result.downloadUrl, text: await content.text() });
+      } else {
+        update({ loading: false, url: result.downloadUrl });
+      }
+    } catch (error) {
+      console.error('Error previewing file:', error);
+      update({ loading: false, error: 'Error loading preview. Please try again.' });
+    }
+  };
+
+  const handleClosePreview = () => {
+    setPreview(null);
+  };
+
   const handleDeleteNote = async (note) => {
-    if (!window.confirm(`Are you sure you want to delete the note "${note.title}"? This action cannot be undone.`)) {
+    if (!window.confirm(`Move the note "${note.title}" to the trash? You can restore it from the Trash page.`)) {
       return;
     }
 
@@ -93,7 +577,8 @@ function ViewNotes() {
 
       if (response.ok) {
         setNotes(notes.filter(n => n.id !== note.id));
-        setMessage(`Note "${note.title}" deleted successfully!`);
+        setMessage(`Note "${note.title}" moved to trash.`);
+        refreshTagCounts();
       } else {
         const result = await response.json();
         setMessage(result.error || 'Failed to delete note');
@@ -107,7 +592,7 @@ function ViewNotes() {
   };
 
   const handleDeleteFile = async (file) => {
-    if (!window.confirm(`Are you sure you want to delete the file "${getCleanFileName(file.name)}"? This action cannot be undone.`)) {
+    if (!window.confirm(`Move the file "${file.name}" to the trash? You can restore it from the Trash page.`)) {
       return;
     }
 
@@ -120,7 +605,8 @@ function ViewNotes() {
 
       if (response.ok) {
         setFiles(files.filter(f => f.id !== file.id));
-        setMessage(`File "${getCleanFileName(file.name)}" deleted successfully!`);
+        setTotalFiles(prev => Math.max(prev - 1, 0));
+        setMessage(`File "${file.name}" moved to trash.`);
       } else {
         const result = await response.json();
         setMessage(result.error || 'Failed to delete file');
@@ -138,6 +624,8 @@ function ViewNotes() {
     setEditingNote(note.id);
     setEditTitle(note.title);
     setEditContent(note.content);
+    setEditTags(note.tags || []);
+    setEditConflict(null);
     setMessage('');
   };
 
@@ -145,9 +633,45 @@ function ViewNotes() {
     setEditingNote(null);
     setEditTitle('');
     setEditContent('');
+    setEditTags([]);
+    setEditConflict(null);
+  };
+
+  const replaceNote = (updatedNote) => {
+    setNotes(prev => prev.map(n => (n.id === updatedNote.id ? updatedNote : n)));
+  };
+
+  // Pinning, favoriting and archiving do not create a version, so no version is sent
+  const handleToggleFlag = async (note, flag) => {
+    const busyKey = `${flag}-note-${note.id}`;
+    setLoadingFiles(prev => ({ ...prev, [busyKey]: true }));
+
+    try {
+      const response = await apiFetch(`/notes/${note.id}`, {
+        method: 'PATCH',
+        body: JSON.stringify({ [flag]: !note[flag] })
+      });
+      const result = await response.json();
+
+      if (!response.ok) {
+        setMessage(result.error || 'Failed to update note');
+      } else if (flag === 'archived') {
+        // Archiving moves the note out of the list being shown, in either direction
+        setNotes(prev => prev.filter(n => n.id !== note.id));
+        setMessage(result.note.archived ? `Note "${note.title}" archived.` : `Note "${note.title}" moved out of the archive.`);
+      } else {
+        replaceNote(result.note);
+      }
+    } catch (error) {
+      console.error(`Error updating ${flag}:`, error);
+      setMessage('Error updating note. Please try again.');
+    } finally {
+      setLoadingFiles(prev => ({ ...prev, [busyKey]: false }));
+    }
   };
 
-  const handleSaveEdit = async (note) => {
+  // baseVersion is the version the edit was based on; a conflict hands us the server's one
+  const handleSaveEdit = async (note, baseVersion = note.version || 0) => {
     if (!editTitle.trim()) {
       setMessage('Note title cannot be empty');
       return;
@@ -156,17 +680,33 @@ function ViewNotes() {
     setLoadingFiles(prev => ({ ...prev, [`edit-note-${note.id}`]: true }));
 
     try {
-      // Update the note in the state
-      const updatedNotes = notes.map(n =>
-        n.id === note.id
-          ? { ...n, title: editTitle, content: editContent, updatedAt: new Date().toISOString() }
-          : n
-      );
-      setNotes(updatedNotes);
-      setEditingNote(null);
-      setEditTitle('');
-      setEditContent('');
-      setMessage(`Note "${editTitle}" updated successfully!`);
+      const response = await apiFetch(`/notes/${note.id}`, {
+        method: 'PUT',
+        body: JSON.stringify({
+          title: editTitle,
+          content: editContent,
+          tags: editTags,
+          version: baseVersion
+        })
+      });
+
+      const result = await response.json();
+
+      if (response.ok) {
+        replaceNote(result.note);
+        setEditingNote(null);
+        setEditTitle('');
+        setEditContent('');
+        setEditTags([]);
+        setEditConflict(null);
+        setMessage(`Note "${result.note.title}" updated successfully!`);
+        refreshTagCounts();
+      } else if (response.status === 409 && result.note) {
+        setEditConflict(result.note);
+        setMessage('Error: this note was changed somewhere else since you started editing.');
+      } else {
+        setMessage(result.error || 'Failed to update note');
+      }
     } catch (error) {
       console.error('Error updating note:', error);
       setMessage('Error updating note. Please try again.');
@@ -175,14 +715,48 @@ function ViewNotes() {
     }
   };
 
-  // Handler to open full note view
-  const handleReadMore = (note) => {
+  // Conflict resolution: discard local edits in favour of the saved copy
+  const handleLoadLatest = () => {
+    replaceNote(editConflict);
+    setEditTitle(editConflict.title);
+    setEditContent(editConflict.content);
+    setEditTags(editConflict.tags || []);
+    setEditConflict(null);
+    setMessage('');
+  };
+
+  // Conflict resolution: save local edits on top of the saved copy
+  const handleOverwrite = (note) => {
+    handleSaveEdit(note, editConflict.version || 0);
+  };
+
+  // Handler to open full note view, optionally straight on its history
+  const handleReadMore = (note, withHistory = false) => {
     setViewingFullNote(note);
+    setShowHistory(withHistory);
   };
 
   // Handler to close full note view
   const handleCloseFullNote = () => {
     setViewingFullNote(null);
+    setShowHistory(false);
+  };
+
+  const handleVersionRestored = (updatedNote) => {
+    replaceNote(updatedNote);
+    setViewingFullNote(updatedNote);
+    setMessage(`Note "${updatedNote.title}" restored to an earlier version.`);
+  };
+
+  const handleNoteChanged = (updatedNote) => {
+    replaceNote(updatedNote);
+    setViewingFullNote(updatedNote);
+  };
+
+  const handleLeftNote = (note) => {
+    setNotes(prev => prev.filter(n => n.id !== note.id));
+    handleCloseFullNote();
+    setMessage(`You left "${note.title}".`);
   };
 
   const formatDate = (dateString) => {
@@ -203,33 +777,28 @@ function ViewNotes() {
     return parseFloat((bytes / Math.pow(k, i)).toFixed(2)) + ' ' + sizes[i];
   };
 
-  const getCleanFileName = (filename) => {
-    // Remove timestamp prefix (e.g., "1765174533008-filename.pdf" -> "filename.pdf")
-    if (filename && filename.includes('-')) {
-      const parts = filename.split('-');
-      // Check if first part is a timestamp (all digits)
-      if (parts[0] && /^\d+$/.test(parts[0])) {
-        return parts.slice(1).join('-');
-      }
+  const handleOpenSearchResult = (result) => {
+    if (result.type === 'note') {
+      handleReadMore(result.note);
+    } else if (previewKind(result.file)) {
+      handlePreviewFile(result.file);
+    } else {
+      handleDownloadFile(result.file);
     }
-    return filename;
   };
 
-  // Filter notes and files based on search query
-  const filteredNotes = notes.filter(note =>
-    note.title.toLowerCase().includes(searchQuery.toLowerCase()) ||
-    note.content.toLowerCase().includes(searchQuery.toLowerCase())
-  );
-
-  const filteredFiles = files.filter(file =>
-    file.name.toLowerCase().includes(searchQuery.toLowerCase())
-  );
+  const noteResultCount = searchResults ? searchResults.filter(result => result.type === 'note').length : 0;
+  const fileResultCount = searchResults ? searchResults.length - noteResultCount : 0;
 
   return (
     <div className="view-notes">
       <div className="page-header">
         <h2>View Notes & Files</h2>
-        <Link to="/" className="back-btn">← Back to Dashboard</Link>
+        <div className="header-links">
+          <Link to="/shared-links" className="back-btn">🔗 Shared links</Link>
+          <Link to="/trash" className="back-btn">🗑️ Trash</Link>
+          <Link to="/" className="back-btn">← Back to Dashboard</Link>
+        </div>
       </div>
 
       {message && (
@@ -246,7 +815,7 @@ function ViewNotes() {
           <div className="search-container">
             <input
               type="text"
-              placeholder="🔍 Search notes and files by name or content..."
+              placeholder='🔍 Search notes and files... use "quotes" for an exact phrase'
               value={searchQuery}
               onChange={(e) => setSearchQuery(e.target.value)}
               className="search-input"
@@ -262,126 +831,440 @@ function ViewNotes() {
             )}
           </div>
 
-          {/* Search Results Summary */}
-          {searchQuery && (
-            <div className="search-results-summary">
-              Found <strong>{filteredNotes.length}</strong> note{filteredNotes.length !== 1 ? 's' : ''} and <strong>{filteredFiles.length}</strong> file{filteredFiles.length !== 1 ? 's' : ''}
-            </div>
+          {/* Search Results */}
+          {searchQuery.trim().length >= MIN_SEARCH_LENGTH && (
+            <>
+              <div className="search-results-summary">
+                {isSearching || !searchResults ? 'Searching...' : (
+                  <>
+                    Found <strong>{noteResultCount}</strong> note{noteResultCount !== 1 ? 's' : ''} and <strong>{fileResultCount}</strong> file{fileResultCount !== 1 ? 's' : ''}
+                  </>
+                )}
+              </div>
+              {searchResults?.length > 0 && (
+                <ul className="search-results">
+                  {searchResults.map(result => (
+                    <li key={`${result.type}-${result.id}`}>
+                      <button onClick={() => handleOpenSearchResult(result)} className="search-result">
+                        <span className="search-result-icon">
+                          {result.type === 'note' ? '📝' : FILE_ICONS[previewKind(result.file)] || '📦'}
+                        </span>
+                        <span className="search-result-body">
+                          <span className="search-result-title">
+                            <Highlighted text={result.title} ranges={result.titleHighlights} />
+                          </span>
+                          {result.snippet && (
+                            <span className="search-result-snippet">
+                              <Highlighted text={result.snippet} ranges={result.snippetHighlights} />
+                            </span>
+                          )}
+                        </span>
+                      </button>
+                    </li>
+                  ))}
+                </ul>
+              )}
+            </>
           )}
 
           <div className="content-sections">
           {/* Notes Section */}
           <div className="section">
-            <h3>Your Notes ({filteredNotes.length})</h3>
-            {filteredNotes.length === 0 ? (
+            <div className="section-header">
+              <h3>
+                {showShared ? 'Shared with Me' : showArchived ? 'Archived Notes' : 'Your Notes'} ({notes.length})
+              </h3>
+              <div className="note-list-toggles">
+                {!showShared && (
+                  <button
+                    onClick={handleToggleArchived}
+                    disabled={loadingMoreNotes}
+                    className={`archive-toggle ${showArchived ? 'active' : ''}`}
+                  >
+                    {showArchived ? '← Back to notes' : '🗄️ Archived'}
+                  </button>
+                )}
+                <button
+                  onClick={handleToggleShared}
+                  disabled={loadingMoreNotes}
+                  className={`archive-toggle ${showShared ? 'active' : ''}`}
+                >
+                  {showShared ? '← Back to notes' : '👥 Shared with me'}
+                </button>
+              </div>
+            </div>
+            {tagCounts.length > 0 && (
+              <div className="tag-filter">
+                {tagCounts.map(({ name, count }) => (
+                  <button
+                    key={name}
+                    onClick={() => handleSelectTag(name)}
+                    className={`tag-chip tag-filter-chip ${activeTag === name ? 'active' : ''}`}
+                    style={tagColor(name)}
+                    title={activeTag === name ? 'Show all notes' : `Show notes tagged "${name}"`}
+                  >
+                    {name} <span className="tag-count">{count}</span>
+                  </button>
+                ))}
+                {activeTag && (
+                  <button onClick={() => handleSelectTag(activeTag)} className="tag-filter-clear">
+                    Clear filter
+                  </button>
+                )}
+              </div>
+            )}
+            {notes.length === 0 ? (
               <p className="empty-state">
-                {searchQuery ? `No notes found matching "${searchQuery}". ` : 'No notes found. '}
-                <Link to="/create">Create your first note</Link>
+                {activeTag && `No ${showShared ? 'shared ' : showArchived ? 'archived ' : ''}notes tagged "${activeTag}". `}
+                {!activeTag && showShared && 'Nobody has shared a note with you yet.'}
+                {!activeTag && !showShared && (showArchived ? 'No archived notes.' : 'No notes found. ')}
+                {!showArchived && !showShared && <Link to="/create">Create your first note</Link>}
               </p>
             ) : (
               <div className="notes-grid">
-                {filteredNotes.map((note) => (
-                  <div key={note.id} className={`note-card ${editingNote === note.id ? 'editing' : ''}`}>
-                    {editingNote === note.id ? (
-                      // Edit Mode
-                      <div className="note-edit-form">
-                        <input
-                          type="text"
-                          value={editTitle}
-                          onChange={(e) => setEditTitle(e.target.value)}
-                          placeholder="Note title..."
-                          className="edit-input edit-title"
-                          maxLength="100"
-                        />
-                        <textarea
-                          value={editContent}
-                          onChange={(e) => setEditContent(e.target.value)}
-                          placeholder="Note content..."
-                          className="edit-input edit-content"
-                          rows="6"
-                        />
-                        <div className="edit-actions">
-                          <button
-                            onClick={() => handleSaveEdit(note)}
-                            disabled={loadingFiles[`edit-note-${note.id}`]}
-                            className="icon-btn primary"
-                            title="Save changes"
-                          >
-                            {loadingFiles[`edit-note-${note.id}`] ? '⏳' : '💾'}
-                          </button>
-                          <button
-                            onClick={handleCancelEdit}
-                            className="icon-btn secondary"
-                            title="Cancel editing"
-                          >
-                            ✕
-                          </button>
-                        </div>
-                      </div>
-                    ) : (
-                      // View Mode
-                      <>
-                        <h4>{note.title}</h4>
-                        <p className="note-preview">
-                          {note.content.substring(0, MAX_PREVIEW_LENGTH)}
-                          {note.content.length > MAX_PREVIEW_LENGTH && '...'}
-                        </p>
-                        <div className="note-meta">
-                          <span className="date">{formatDate(note.createdAt)}</span>
-                          <div className="note-actions">
-                            {note.content.length > MAX_PREVIEW_LENGTH && (
-                              <button
-                                onClick={() => handleReadMore(note)}
-                                className="icon-btn read-more-dots"
-                                title="Read full note"
-                              >
-                                ⋯
-                              </button>
-                            )}
+                {orderNotes(notes).map((note) => {
+                  const excerpt = renderMarkdownExcerpt(note.content, MAX_PREVIEW_LENGTH);
+                  // Notes other people shared carry the user's role; pinning, archiving, links and
+                  // deleting stay with the owner, and viewers and read-only accounts cannot edit
+                  const isOwner = (note.role || 'owner') === 'owner';
+                  const canManage = canWrite && isOwner;
+                  const canEdit = canWrite && (isOwner || note.role === 'editor');
+                  return (
+                    <div
+                      key={note.id}
+                      className={`note-card ${editingNote === note.id ? 'editing' : ''} ${note.pinned ? 'pinned' : ''}`}
+                    >
+                      {editingNote === note.id ? (
+                        // Edit Mode
+                        <div className="note-edit-form">
+                          <input
+                            type="text"
+                            value={editTitle}
+                            onChange={(e) => setEditTitle(e.target.value)}
+                            placeholder="Note title..."
+                            className="edit-input edit-title"
+                            maxLength="100"
+                          />
+                          <textarea
+                            value={editContent}
+                            onChange={(e) => setEditContent(e.target.value)}
+                            placeholder="Note content..."
+                            className="edit-input edit-content"
+                            rows="6"
+                          />
+                          <TagInput tags={editTags} onChange={setEditTags} suggestions={tagCounts} />
+                          {editConflict && (
+                            <div className="edit-conflict">
+                              <p>
+                                Saved copy was updated {formatDate(editConflict.updatedAt)}:
+                                <strong> {editConflict.title}</strong>
+                              </p>
+                              <div className="edit-conflict-actions">
+                                <button
+                                  onClick={handleLoadLatest}
+                                  className="action-btn secondary"
+                                >
+                                  Load latest
+                                </button>
+                                <button
+                                  onClick={() => handleOverwrite(note)}
+                                  disabled={loadingFiles[`edit-note-${note.id}`]}
+                                  className="action-btn delete-btn"
+                                >
+                                  Overwrite
+                                </button>
+                              </div>
+                            </div>
+                          )}
+                          <div className="edit-actions">
                             <button
-                              onClick={() => handleEditNote(note)}
-                              className="icon-btn secondary"
-                              title="Edit this note"
+                              onClick={() => handleSaveEdit(note)}
+                              disabled={loadingFiles[`edit-note-${note.id}`]}
+                              className="icon-btn primary"
+                              title="Save changes"
                             >
-                              ✏️
+                              {loadingFiles[`edit-note-${note.id}`] ? '⏳' : '💾'}
                             </button>
                             <button
-                              onClick={() => handleDeleteNote(note)}
-                              disabled={loadingFiles[`delete-note-${note.id}`]}
-                              className="icon-btn delete-btn"
-                              title="Delete this note"
+                              onClick={handleCancelEdit}
+                              className="icon-btn secondary"
+                              title="Cancel editing"
                             >
-                              {loadingFiles[`delete-note-${note.id}`] ? '⏳' : '🗑️'}
+                              ✕
                             </button>
                           </div>
                         </div>
-                      </>
-                    )}
-                  </div>
-                ))}
+                      ) : (
+                        // View Mode
+                        <>
+                          <div className="note-header">
+                            <h4>{note.title}</h4>
+                            {canManage && (
+                              <div className="note-flags">
+                                <button
+                                  onClick={() => handleToggleFlag(note, 'pinned')}
+                                  disabled={loadingFiles[`pinned-note-${note.id}`]}
+                                  className={`flag-btn ${note.pinned ? 'active' : ''}`}
+                                  title={note.pinned ? 'Unpin' : 'Pin to the top'}
+                                >
+                                  📌
+                                </button>
+                                <button
+                                  onClick={() => handleToggleFlag(note, 'favorite')}
+                                  disabled={loadingFiles[`favorite-note-${note.id}`]}
+                                  className={`flag-btn ${note.favorite ? 'active' : ''}`}
+                                  title={note.favorite ? 'Remove from favorites' : 'Add to favorites'}
+                                >
+                                  {note.favorite ? '★' : '☆'}
+                                </button>
+                              </div>
+                            )}
+                          </div>
+                          {note.tags?.length > 0 && (
+                            <div className="note-tags">
+                              {note.tags.map(tag => (
+                                <button
+                                  key={tag}
+                                  onClick={() => handleSelectTag(tag)}
+                                  className="tag-chip"
+                                  style={tagColor(tag)}
+                                  title={`Show notes tagged "${tag}"`}
+                                >
+                                  {tag}
+                                </button>
+                              ))}
+                            </div>
+                          )}
+                          <div
+                            className="note-preview markdown-body"
+                            dangerouslySetInnerHTML={{ __html: excerpt.html }}
+                          />
+                          {!isOwner && (
+                            <p className="shared-by">
+                              👥 Shared by {note.sharedBy || 'another user'} • {canEdit ? 'you can edit' : 'view only'}
+                            </p>
+                          )}
+                          <div className="note-meta">
+                            <span className="date">
+                              {formatDate(note.createdAt)}
+                              {note.attachments?.length > 0 && (
+                                <span className="attachment-count" title="Attached files">
+                                  {' '}📎 {note.attachments.length}
+                                </span>
+                              )}
+                              {isOwner && Object.keys(note.collaborators || {}).length > 0 && (
+                                <span className="attachment-count" title="Shared with other people">
+                                  {' '}👥 {Object.keys(note.collaborators).length}
+                                </span>
+                              )}
+                            </span>
+                            <div className="note-actions">
+                              {excerpt.truncated && (
+                                <button
+                                  onClick={() => handleReadMore(note)}
+                                  className="icon-btn read-more-dots"
+                                  title="Read full note"
+                                >
+                                  ⋯
+                                </button>
+                              )}
+                              <button
+                                onClick={() => handleReadMore(note, true)}
+                                className="icon-btn secondary"
+                                title="Version history"
+                              >
+                                🕘
+                              </button>
+                              {canEdit && (
+                                <button
+                                  onClick={() => handleEditNote(note)}
+                                  className="icon-btn secondary"
+                                  title="Edit this note"
+                                >
+                                  ✏️
+                                </button>
+                              )}
+                              {canManage && (
+                                <>
+                                  <button
+                                    onClick={() => setSharing({ type: 'note', id: note.id, title: note.title })}
+                                    className="icon-btn secondary"
+                                    title="Share a public link"
+                                  >
+                                    🔗
+                                  </button>
+                                  <button
+                                    onClick={() => handleToggleFlag(note, 'archived')}
+                                    disabled={loadingFiles[`archived-note-${note.id}`]}
+                                    className="icon-btn secondary"
+                                    title={note.archived ? 'Move out of the archive' : 'Archive this note'}
+                                  >
+                                    {loadingFiles[`archived-note-${note.id}`] ? '⏳' : note.archived ? '📤' : '🗄️'}
+                                  </button>
+                                  <button
+                                    onClick={() => handleDeleteNote(note)}
+                                    disabled={loadingFiles[`delete-note-${note.id}`]}
+                                    className="icon-btn delete-btn"
+                                    title="Delete this note"
+                                  >
+                                    {loadingFiles[`delete-note-${note.id}`] ? '⏳' : '🗑️'}
+                                  </button>
+                                </>
+                              )}
+                            </div>
+                          </div>
+                        </>
+                      )}
+                    </div>
+                  );
+                })}
+              </div>
+            )}
+            {notesCursor && (
+              <div className="load-more">
+                <button
+                  onClick={handleLoadMoreNotes}
+                  disabled={loadingMoreNotes}
+                  className="action-btn secondary"
+                >
+                  {loadingMoreNotes ? 'Loading...' : 'Load more notes'}
+                </button>
               </div>
             )}
           </div>
           {/* Files Section */}
           <div className="section">
-            <h3>Your Files ({filteredFiles.length})</h3>
-            {filteredFiles.length === 0 ? (
+            <div className="section-header">
+              <h3>Your Files ({totalFiles})</h3>
+              {canWrite && (
+                <button
+                  onClick={handleCreateFolder}
+                  className="action-btn secondary"
+                  title="Create a folder here"
+                >
+                  📁 New folder
+                </button>
+              )}
+              <select
+                value={filesSort}
+                onChange={(e) => handleFilesSortChange(e.target.value)}
+                disabled={loadingMoreFiles}
+                className="sort-select"
+                title="Sort files"
+              >
+                {FILE_SORT_OPTIONS.map(option => (
+                  <option key={option.value} value={option.value}>{option.label}</option>
+                ))}
+              </select>
+            </div>
+            <nav className="breadcrumbs" aria-label="Folder">
+              {folderCrumbs(currentFolder).map((crumb, index, crumbs) => (
+                <span key={crumb.path}>
+                  {index > 0 && <span className="breadcrumb-separator">/</span>}
+                  <button
+                    onClick={() => handleOpenFolder(crumb.path)}
+                    disabled={index === crumbs.length - 1}
+                    className={`breadcrumb ${dropTarget === crumb.path ? 'drop-target' : ''}`}
+                    {...dropHandlers(crumb.path)}
+                  >
+                    {crumb.name}
+                  </button>
+                </span>
+              ))}
+            </nav>
+            {folders.length > 0 && (
+              <div className="folders-list">
+                {folders.map((folder) => (
+                  <div
+                    key={folder.path}
+                    className={`folder-card ${dropTarget === folder.path ? 'drop-target' : ''}`}
+                    draggable={canWrite}
+                    onDragStart={() => setDraggedItem({ type: 'folder', folder })}
+                    onDragEnd={() => setDraggedItem(null)}
+                    {...dropHandlers(folder.path)}
+                  >
+                    <button
+                      onClick={() => handleOpenFolder(folder.path)}
+                      className="folder-open"
+                      title={`Open ${folder.name}`}
+                    >
+                      📁 {folder.name}
+                    </button>
+                    {canWrite && (
+                      <div className="folder-actions">
+                        <button
+                          onClick={() => handleRenameFolder(folder)}
+                          disabled={loadingFiles[`folder-${folder.path}`]}
+                          className="icon-btn secondary"
+                          title="Rename this folder"
+                        >
+                          ✏️
+                        </button>
+                        <button
+                          onClick={() => handleDeleteFolder(folder)}
+                          disabled={loadingFiles[`folder-${folder.path}`]}
+                          className="icon-btn delete-btn"
+                          title="Delete this folder"
+                        >
+                          {loadingFiles[`folder-${folder.path}`] ? '⏳' : '🗑️'}
+                        </button>
+                      </div>
+                    )}
+                  </div>
+                ))}
+              </div>
+            )}
+            {files.length === 0 ? (
               <p className="empty-state">
-                {searchQuery ? `No files found matching "${searchQuery}". ` : 'No files uploaded. '}
-                <Link to="/create">Upload your first file</Link>
+                {currentFolder && 'This folder has no files. Drag files onto it to move them here.'}
+                {!currentFolder && (
+                  <>No files uploaded. <Link to="/create">Upload your first file</Link></>
+                )}
               </p>
             ) : (
               <div className="files-list">
-                {filteredFiles.map((file) => (
-                  <div key={file.id} className="file-card">
+                {files.map((file) => (
+                  <div
+                    key={file.id}
+                    className={`file-card ${draggedItem?.file?.id === file.id ? 'dragging' : ''}`}
+                    draggable={canWrite}
+                    onDragStart={() => setDraggedItem({ type: 'file', file })}
+                    onDragEnd={() => setDraggedItem(null)}
+                    title={canWrite ? 'Drag onto a folder to move' : undefined}
+                  >
+                    <div className="file-thumb">
+                      <span className="file-icon">{FILE_ICONS[previewKind(file)] || '📦'}</span>
+                      {file.thumbnailUrl && (
+                        <img
+                          src={file.thumbnailUrl}
+                          alt=""
+                          loading="lazy"
+                          draggable="false"
+                          // Thumbnails are generated asynchronously after upload and may not exist yet
+                          onError={(e) => { e.currentTarget.hidden = true; }}
+                        />
+                      )}
+                    </div>
                     <div className="file-info">
-                      <h4>{getCleanFileName(file.name)}</h4>
+                      <h4>{file.name}</h4>
                       <p className="file-meta">
                         Size: {formatFileSize(file.size)} • 
                         Uploaded: {formatDate(file.uploadedAt)}
                       </p>
+                      {file.textSnippet && (
+                        <p className="file-snippet" title="Text found in this file">{file.textSnippet}</p>
+                      )}
                     </div>
                     <div className="file-actions">
+                      {previewKind(file) && (
+                        <button
+                          onClick={() => handlePreviewFile(file)}
+                          className="action-btn secondary"
+                          title="Preview this file"
+                        >
+                          👁️ Preview
+                        </button>
+                      )}
                       <button 
                         onClick={() => handleDownloadFile(file)}
                         disabled={loadingFiles[`download-${file.id}`]}
@@ -389,19 +1272,51 @@ function ViewNotes() {
                       >
                         {loadingFiles[`download-${file.id}`] ? 'Downloading...' : 'Download'}
                       </button>
-                      <button 
-                        onClick={() => handleDeleteFile(file)}
-                        disabled={loadingFiles[`delete-file-${file.id}`]}
-                        className="action-btn delete-btn"
-                        title="Delete this file"
-                      >
-                        {loadingFiles[`delete-file-${file.id}`] ? 'Deleting...' : '🗑️ Delete'}
-                      </button>
+                      {canWrite && (
+                        <>
+                          <button
+                            onClick={() => handleRenameFile(file)}
+                            disabled={loadingFiles[`update-file-${file.id}`]}
+                            className="action-btn secondary"
+                            title="Rename this file"
+                          >
+                            {loadingFiles[`update-file-${file.id}`] ? 'Saving...' : '✏️ Rename'}
+                          </button>
+                          <button
+                            onClick={() => setSharing({ type: 'file', id: file.id, title: file.name })}
+                            className="action-btn secondary"
+                            title="Share a public link"
+                          >
+                            🔗 Share
+                          </button>
+                          <button 
+                            onClick={() => handleDeleteFile(file)}
+                            disabled={loadingFiles[`delete-file-${file.id}`]}
+                            className="action-btn delete-btn"
+                            title="Delete this file"
+                          >
+                            {loadingFiles[`delete-file-${file.id}`] ? 'Deleting...' : '🗑️ Delete'}
+                          </button>
+                        </>
+                      )}
                     </div>
                   </div>
                 ))}
               </div>
             )}
+            {filesToken && (
+              <div className="load-more">
+                <button
+                  onClick={handleLoadMoreFiles}
+                  disabled={loadingMoreFiles}
+                  className="action-btn secondary"
+                >
+                  {loadingMoreFiles
+                    ? 'Loading...'
+                    : files.length < totalFiles ? `Load more files (${files.length} of ${totalFiles})` : 'Load more folders'}
+                </button>
+              </div>
+            )}
           </div>
           </div>
         </>
@@ -417,7 +1332,114 @@ function ViewNotes() {
             <div className="modal-body">
               <h2>{viewingFullNote.title}</h2>
               <p className="modal-date">{formatDate(viewingFullNote.createdAt)}</p>
-              <p className="modal-full-content">{viewingFullNote.content}</p>
+              <div
+                className="modal-full-content markdown-body"
+                dangerouslySetInnerHTML={{ __html: renderMarkdown(viewingFullNote.content) }}
+              />
+              <SummaryPanel
+                key={`${viewingFullNote.id}-${viewingFullNote.version || 0}`}
+                endpoint={`/notes/${viewingFullNote.id}/summarize`}
+              />
+              {/* Attached files stay private to the owner, so collaborators do not see them */}
+              {(viewingFullNote.role || 'owner') === 'owner' && (
+                <NoteAttachments
+                  note={viewingFullNote}
+                  onChanged={handleNoteChanged}
+                  onPreview={handlePreviewFile}
+                  onDownload={handleDownloadFile}
+                  canPreview={(file) => Boolean(previewKind(file))}
+                  canEdit={canWrite}
+                />
+              )}
+              {canWrite && (
+                <NoteCollaborators
+                  key={viewingFullNote.id}
+                  note={viewingFullNote}
+                  onChanged={handleNoteChanged}
+                  onLeft={handleLeftNote}
+                />
+              )}
+              <button
+                onClick={() => setShowHistory(prev => !prev)}
+                className="action-btn secondary"
+              >
+                {showHistory ? 'Hide history' : '🕘 History'}
+              </button>
+              {showHistory && (
+                <NoteHistory
+                  note={viewingFullNote}
+                  onRestored={handleVersionRestored}
+                  canRestore={canWrite && viewingFullNote.role !== 'viewer'}
+                />
+              )}
+            </div>
+          </div>
+        </div>
+      )}
+
+      {/* Share Link Modal */}
+      {sharing && (
+        <div className="modal-overlay" onClick={() => setSharing(null)}>
+          <div className="modal-content" onClick={(e) => e.stopPropagation()}>
+            <button className="modal-close-btn" onClick={() => setSharing(null)} title="Close">
+              ✕
+            </button>
+            <div className="modal-body">
+              <ShareDialog key={`${sharing.type}-${sharing.id}`} item={sharing} />
+            </div>
+          </div>
+        </div>
+      )}
+
+      {/* File Preview Modal */}
+      {preview && (
+        <div className="modal-overlay" onClick={handleClosePreview}>
+          <div className="modal-content file-preview" onClick={(e) => e.stopPropagation()}>
+            <button className="modal-close-btn" onClick={handleClosePreview} title="Close">
+              ✕
+            </button>
+            <div className="modal-body">
+              <h2>{preview.file.name}</h2>
+              <p className="modal-date">
+                {formatFileSize(preview.file.size)} • {formatDate(preview.file.uploadedAt)}
+              </p>
+              {preview.loading && <div className="loading">Loading preview...</div>}
+              {preview.error && (
+                <div className="message error">
+                  {preview.error}
+                </div>
+              )}
+              {!preview.loading && !preview.error && (
+                <div className="preview-frame">
+                  {preview.kind === 'image' && (
+                    <img src={preview.url} alt={preview.file.name} className="preview-image" />
+                  )}
+                  {preview.kind === 'pdf' && (
+                    <iframe src={preview.url} title={preview.file.name} className="preview-pdf" />
+                  )}
+                  {preview.kind === 'text' && (
+                    <pre className="preview-text">{preview.text}</pre>
+                  )}
+                  {preview.kind === 'markdown' && (
+                    <div
+                      className="preview-markdown markdown-body"
+                      dangerouslySetInnerHTML={{ __html: renderMarkdown(preview.text) }}
+                    />
+                  )}
+                </div>
+              )}
+              {SUMMARIZABLE_TYPES.has(preview.file.type) && (
+                <SummaryPanel key={preview.file.id} endpoint={`/files/${preview.file.id}/summarize`} />
+              )}
+              <div className="preview-actions">
+                <button
+                  onClick={() => handleDownloadFile(preview.file)}
+                  disabled={loadingFiles[`download-${preview.file.id}`]}
+                  className="action-btn primary"
+                >
+                  {loadingFiles[`download-${preview.file.id}`] ? 'Downloading...' : 'Download'}
+                </button>
+              </div>
             </div>
           </div>
         </div>
@@ -0,0 +1,51 @@
+import { marked } from 'marked';
+import DOMPurify from 'dompurify';
+import './markdown.css';
+
+marked.setOptions({ gfm: true, breaks: true });
+
+// Links in rendered markdown open in a new tab without access to this window
+DOMPurify.addHook('afterSanitizeAttributes', (node) => {
+  if (node.tagName === 'A' && node.hasAttribute('href')) {
+    node.setAttribute('target', '_blank');
+    node.setAttribute('rel', 'noopener noreferrer');
+  }
+});
+
+// Markdown to HTML that is safe for dangerouslySetInnerHTML; raw HTML in the source is sanitized
+export const renderMarkdown = (text) => DOMPurify.sanitize(marked.parse(text || ''), {
+  USE_PROFILES: { html: true },
+  ADD_ATTR: ['target']
+});
+
+// Rendered markdown cut after maxLength characters of visible text. The cut happens inside a text node
+// and everything after it is dropped, so tags are never split. Returns { html, truncated }.
+export const renderMarkdownExcerpt = (text, maxLength) => {
+  // DOMParser documents are inert, so images in the note are not fetched while measuring
+  const body = new DOMParser().parseFromString(renderMarkdown(text), 'text/html').body;
+  const walker = document.createTreeWalker(body, NodeFilter.SHOW_TEXT);
+  let remaining = maxLength;
+  let cutNode = null;
+
+  while (walker.nextNode()) {
+    const node = walker.currentNode;
+    // Newlines between block elements are not visible text
+    if (!node.textContent.trim()) continue;
+    if (node.textContent.length > remaining) {
+      node.textContent = `${node.textContent.slice(0, remaining).trimEnd()}...`;
+      cutNode = node;
+      break;
+    }
+    remaining -= node.textContent.length;
+  }
+
+  if (!cutNode) {
+    return { html: body.innerHTML, truncated: false };
+  }
+  for (let node = cutNode; node !== body; node = node.parentNode) {
+    while (node.nextSibling) {
+      node.nextSibling.remove();
+    }
+  }
+  return { html: body.innerHTML, truncated: true };
+};
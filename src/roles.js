@@ -0,0 +1,41 @@
+import React, { createContext, useContext, useEffect, useState } from 'react';
+import { apiFetch } from './api';
+
+// Roles are the Cognito groups admin, member and read-only. The API works out the role (see
+// lambda-lib/roles.mjs) and returns it from GET /notes/role; the UI only hides what a role
+// cannot do, the API enforces it.
+const DEFAULT_ROLE = 'member';
+
+const RoleContext = createContext({ role: null, loading: true, isAdmin: false, canWrite: false });
+
+// Asks the API for the role of the signed-in user; userId asks again after a different user
+// signs in
+export function RoleProvider({ userId, children }) {
+  const [role, setRole] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+    setRole(null);
+    apiFetch('/notes/role')
+      .then(async (response) => {
+        const result = await response.json();
+        if (!response.ok) throw new Error(result.error || `HTTP ${response.status}`);
+        if (!cancelled) setRole(result.role);
+      })
+      .catch((error) => {
+        console.error('Error reading user role:', error);
+        if (!cancelled) setRole(DEFAULT_ROLE);
+      });
+    return () => { cancelled = true; };
+  }, [userId]);
+
+  const value = {
+    role,
+    loading: role === null,
+    isAdmin: role === 'admin',
+    canWrite: role === 'admin' || role === 'member'
+  };
+  return <RoleContext.Provider value={value}>{children}</RoleContext.Provider>;
+}
+
+export const useRole = () => useContext(RoleContext);
@@ -0,0 +1,37 @@
+import { apiFetch } from './api';
+
+// Choices offered when creating a link; the API accepts 1 to 720 hours
+export const EXPIRY_OPTIONS = [
+  { hours: 1, label: '1 hour' },
+  { hours: 24, label: '1 day' },
+  { hours: 7 * 24, label: '7 days' },
+  { hours: 30 * 24, label: '30 days' }
+];
+
+// The API rejects shorter passwords; wrong guesses lock a link for a while, but short ones are still easy to guess
+export const MIN_SHARE_PASSWORD_LENGTH = 8;
+
+// Links open the public SharedItem page of this app, which calls /share/{token}
+export const shareUrl = (token) => `${window.location.origin}/share/${token}`;
+
+// type is "note" or "file"; options are { expiresInHours, password, maxDownloads }
+export const createShare = async (type, id, options) => {
+  const response = await apiFetch(`/${type}s/${id}/share`, {
+    method: 'POST',
+    body: JSON.stringify(options)
+  });
+  const result = await response.json();
+  if (!response.ok) {
+    throw new Error(result.error || `Failed to create link (${response.status})`);
+  }
+  return result.share;
+};
+
+export const fetchShares = async () => {
+  const response = await apiFetch('/shares');
+  if (!response.ok) {
+    throw new Error(`Failed to load shared links (${response.status})`);
+  }
+  const result = await response.json();
+  return result.shares || [];
+};
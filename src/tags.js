@@ -0,0 +1,36 @@
+import { apiFetch } from './api';
+
+// Mirrors the notes API limits; the server has the final say
+export const MAX_TAGS = 10;
+export const MAX_TAG_LENGTH = 30;
+
+// Same rules as the API: lowercase letters, digits, spaces, - and _, starting with a letter or digit
+export const normalizeTag = (tag) => tag
+  .toLowerCase()
+  .replace(/[^a-z0-9 _-]/g, '')
+  .replace(/\s+/g, ' ')
+  .replace(/^[ _-]+/, '')
+  .trim();
+
+// Each tag gets a stable label colour derived from its name, so it looks the same everywhere
+export const tagColor = (tag) => {
+  let hash = 0;
+  for (const char of tag) {
+    hash = (hash * 31 + char.charCodeAt(0)) % 360;
+  }
+  return {
+    background: `hsl(${hash}, 70%, 90%)`,
+    color: `hsl(${hash}, 60%, 30%)`,
+    borderColor: `hsl(${hash}, 60%, 75%)`
+  };
+};
+
+// [{ name, count }] for the user's notes, most used first
+export const fetchTagCounts = async () => {
+  const response = await apiFetch('/notes/tags');
+  if (!response.ok) {
+    throw new Error(`Failed to load tags (${response.status})`);
+  }
+  const result = await response.json();
+  return result.tags || [];
+};
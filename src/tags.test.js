@@ -0,0 +1,38 @@
+import { normalizeTag, tagColor } from './tags';
+
+describe('normalizeTag', () => {
+  test('lowercases and keeps letters, digits, spaces, - and _', () => {
+    expect(normalizeTag('Work_Items-2024')).toBe('work_items-2024');
+  });
+
+  test('drops other characters', () => {
+    expect(normalizeTag('#urgent!')).toBe('urgent');
+    expect(normalizeTag('café')).toBe('caf');
+  });
+
+  test('collapses whitespace and trims', () => {
+    expect(normalizeTag('  to   do list ')).toBe('to do list');
+  });
+
+  test('must start with a letter or digit', () => {
+    expect(normalizeTag('--_draft')).toBe('draft');
+    expect(normalizeTag('- _')).toBe('');
+  });
+});
+
+describe('tagColor', () => {
+  test('is stable for a tag', () => {
+    expect(tagColor('work')).toEqual(tagColor('work'));
+  });
+
+  test('uses one hue for background, text and border', () => {
+    const { background, color, borderColor } = tagColor('ideas');
+    const hue = background.match(/^hsl\((\d+),/)[1];
+    expect(color).toMatch(new RegExp(`^hsl\\(${hue},`));
+    expect(borderColor).toMatch(new RegExp(`^hsl\\(${hue},`));
+  });
+
+  test('gives different tags different colours', () => {
+    expect(tagColor('work')).not.toEqual(tagColor('home'));
+  });
+});
@@ -0,0 +1,238 @@
+import { apiFetch } from './api';
+
+// Files above this size are sent as S3 multipart uploads, which can be paused and resumed
+export const MULTIPART_THRESHOLD = 10 * 1024 * 1024;
+const PART_CONCURRENCY = 3;
+const PENDING_UPLOADS_KEY = 'pca.pendingUploads';
+
+const readJson = async (response) => {
+  const text = await response.text();
+  try {
+    return text ? JSON.parse(text) : {};
+  } catch {
+    return { error: text };
+  }
+};
+
+const postJson = async (path, payload, fallbackError) => {
+  const response = await apiFetch(path, {
+    method: 'POST',
+    body: JSON.stringify(payload)
+  });
+  const result = await readJson(response);
+  if (!response.ok) {
+    const error = new Error(result.error || `${fallbackError} (${response.status})`);
+    error.status = response.status;
+    // Validation failures carry a machine-readable code, e.g. FILE_TOO_LARGE
+    error.code = result.code;
+    throw error;
+  }
+  return result;
+};
+
+const abortError = () => new DOMException('Upload paused', 'AbortError');
+
+export const isAbortError = (error) => error?.name === 'AbortError';
+
+// fetch() cannot report upload progress, so bytes going to S3 use XHR
+const putWithProgress = (url, body, headers, onProgress, signal) => new Promise((resolve, reject) => {
+  if (signal?.aborted) {
+    reject(abortError());
+    return;
+  }
+
+  const xhr = new XMLHttpRequest();
+  xhr.open('PUT', url);
+  Object.entries(headers || {}).forEach(([name, value]) => xhr.setRequestHeader(name, value));
+  xhr.upload.onprogress = (event) => onProgress?.(event.loaded);
+  xhr.onload = () => (xhr.status >= 200 && xhr.status < 300
+    ? resolve()
+    : reject(new Error(`Upload to storage failed (${xhr.status})`)));
+  xhr.onerror = () => reject(new Error('Network error while uploading to storage'));
+  xhr.onabort = () => reject(abortError());
+  signal?.addEventListener('abort', () => xhr.abort(), { once: true });
+  xhr.send(body);
+});
+
+// Pending multipart uploads are kept in localStorage so they survive a page reload.
+// A File cannot be stored, so the user re-selects it and we match on name, size and mtime.
+const fileFingerprint = (file) => `${file.name}:${file.size}:${file.lastModified}`;
+
+const readPendingUploads = () => {
+  try {
+    return JSON.parse(localStorage.getItem(PENDING_UPLOADS_KEY)) || {};
+  } catch {
+    return {};
+  }
+};
+
+const writePendingUploads = (uploads) => {
+  localStorage.setItem(PENDING_UPLOADS_KEY, JSON.stringify(uploads));
+};
+
+const savePendingUpload = (fingerprint, record) => {
+  writePendingUploads({ ...readPendingUploads(), [fingerprint]: record });
+};
+
+const removePendingUpload = (fingerprint) => {
+  const uploads = readPendingUploads();
+  delete uploads[fingerprint];
+  writePendingUploads(uploads);
+};
+
+export const getPendingUploads = () => Object.entries(readPendingUploads())
+  .map(([fingerprint, record]) => ({ fingerprint, ...record }));
+
+export const hasPendingUpload = (file) => Boolean(readPendingUploads()[fileFingerprint(file)]);
+
+// Abort a stored upload on S3 and forget it locally
+export const discardPendingUpload = async (fingerprint) => {
+  const record = readPendingUploads()[fingerprint];
+  removePendingUpload(fingerprint);
+  if (!record) return;
+  try {
+    await postJson('/files/multipart/abort', { key: record.key, uploadId: record.uploadId }, 'Could not abort upload');
+  } catch (error) {
+    // Already completed or aborted uploads are gone from S3 anyway
+    if (error.status !== 404) throw error;
+  }
+};
+
+const confirmUpload = async (fileId) => {
+  const result = await postJson('/files', { fileId }, 'Could not confirm upload');
+  return result.file;
+};
+
+const uploadSingle = async (file, onProgress, signal) => {
+  const upload = await postJson('/files/upload-url', {
+    fileName: file.name,
+    contentType: file.type || 'application/octet-stream',
+    size: file.size
+  }, 'Could not start upload');
+
+  await putWithProgress(upload.uploadUrl, file, upload.headers, (loaded) => onProgress(loaded), signal);
+  return confirmUpload(upload.fileId);
+};
+
+// The resume record goes only once the upload is confirmed (confirming twice is harmless), so a
+// failed confirm can be retried
+const finishMultipart = async (fingerprint, fileId) => {
+  const confirmed = await confirmUpload(fileId);
+  removePendingUpload(fingerprint);
+  return confirmed;
+};
+
+const uploadMultipart = async (file, onProgress, signal) => {
+  const fingerprint = fileFingerprint(file);
+  let record = readPendingUploads()[fingerprint];
+  const uploadedParts = {};
+
+  if (record) {
+    try {
+      const { parts } = await postJson('/files/multipart/list-parts', { key: record.key, uploadId: record.uploadId }, 'Could not resume upload');
+      parts.forEach(part => { uploadedParts[part.partNumber] = part.size; });
+    } catch (error) {
+      if (error.status !== 404) throw error;
+      // Either an earlier attempt completed the upload and only its confirm failed, or the
+      // upload expired or was aborted elsewhere - then start over
+      try {
+        return await finishMultipart(fingerprint, record.fileId);
+      } catch (confirmError) {
+        if (confirmError.status !== 404) throw confirmError;
+      }
+      removePendingUpload(fingerprint);
+      record = null;
+    }
+  }
+
+  if (!record) {
+    const started = await postJson('/files/multipart/initiate', {
+      fileName: file.name,
+      contentType: file.type || 'application/octet-stream',
+      size: file.size
+    }, 'Could not start upload');
+    record = {
+      fileId: started.fileId,
+      key: started.key,
+      uploadId: started.uploadId,
+      partSize: started.partSize,
+      partCount: started.partCount,
+      fileName: file.name,
+      size: file.size,
+      startedAt: new Date().toISOString()
+    };
+    savePendingUpload(fingerprint, record);
+  }
+
+  const inFlight = {};
+  const reportProgress = () => {
+    const done = Object.values(uploadedParts).reduce((sum, size) => sum + size, 0);
+    const sending = Object.values(inFlight).reduce((sum, loaded) => sum + loaded, 0);
+    onProgress(done + sending);
+  };
+  reportProgress();
+
+  const remaining = [];
+  for (let partNumber = 1; partNumber <= record.partCount; partNumber++) {
+    if (!uploadedParts[partNumber]) remaining.push(partNumber);
+  }
+
+  const uploadPart = async (partNumber) => {
+    const { urls } = await postJson('/files/multipart/sign-parts', {
+      key: record.key,
+      uploadId: record.uploadId,
+      partNumbers: [partNumber]
+    }, 'Could not sign upload part');
+
+    const start = (partNumber - 1) * record.partSize;
+    const blob = file.slice(start, Math.min(start + record.partSize, file.size));
+    inFlight[partNumber] = 0;
+    try {
+      await putWithProgress(urls[partNumber], blob, {}, (loaded) => {
+        inFlight[partNumber] = loaded;
+        reportProgress();
+      }, signal);
+      uploadedParts[partNumber] = blob.size;
+    } finally {
+      delete inFlight[partNumber];
+      reportProgress();
+    }
+  };
+
+  const worker = async () => {
+    while (remaining.length > 0) {
+      if (signal?.aborted) throw abortError();
+      try {
+        await uploadPart(remaining.shift());
+      } catch (error) {
+        // Stop the other workers from picking up new parts; finished parts stay on S3 for a retry
+        remaining.length = 0;
+        throw error;
+      }
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(PART_CONCURRENCY, remaining.length) }, worker));
+
+  try {
+    await postJson('/files/multipart/complete', {
+      key: record.key,
+      uploadId: record.uploadId,
+      partCount: record.partCount
+    }, 'Could not complete upload');
+  } catch (error) {
+    // S3 forgets a multipart upload once it is completed: a retried complete only needs the confirm
+    if (error.code !== 'UPLOAD_NOT_FOUND') throw error;
+  }
+
+  return finishMultipart(fingerprint, record.fileId);
+};
+
+// Upload a File straight to S3 and confirm it with the files API.
+// onProgress receives { loaded, total } in bytes. Aborting the signal pauses the upload:
+// for multipart uploads, calling uploadFile again with the same file resumes it.
+export const uploadFile = async (file, { onProgress, signal } = {}) => {
+  const report = (loaded) => onProgress?.({ loaded: Math.min(loaded, file.size), total: file.size });
+  return file.size > MULTIPART_THRESHOLD
+    ? uploadMultipart(file, report, signal)
+    : uploadSingle(file, report, signal);
+};
@@ -0,0 +1,120 @@
+import { useState, useEffect, useRef, useCallback } from 'react';
+import { uploadFile, isAbortError } from './uploads';
+
+const MAX_CONCURRENT_UPLOADS = 3;
+const MAX_ATTEMPTS = 3;
+const RETRY_DELAY_MS = 2000;
+
+let nextItemId = 0;
+
+// Queue of files to upload. Items move through
+// queued -> uploading -> done | failed | paused. Failed items are retried
+// automatically (with a growing delay) until MAX_ATTEMPTS is reached, except for
+// 4xx rejections such as a disallowed file type, which would fail the same way again.
+export const useUploadQueue = ({ onUploaded } = {}) => {
+  const [queue, setQueue] = useState([]);
+  const controllersRef = useRef({});
+  const onUploadedRef = useRef(onUploaded);
+  onUploadedRef.current = onUploaded;
+
+  const updateItem = useCallback((id, changes) => {
+    setQueue(prev => prev.map(item => (item.id === id ? { ...item, ...changes } : item)));
+  }, []);
+
+  const startUpload = useCallback(async (item) => {
+    const controller = new AbortController();
+    controllersRef.current[item.id] = controller;
+    const attempts = item.attempts + 1;
+    updateItem(item.id, { status: 'uploading', attempts, error: null, errorCode: null });
+
+    try {
+      const uploaded = await uploadFile(item.file, {
+        onProgress: (progress) => updateItem(item.id, { loaded: progress.loaded }),
+        signal: controller.signal
+      });
+      updateItem(item.id, { status: 'done', loaded: item.file.size });
+      onUploadedRef.current?.(uploaded);
+    } catch (error) {
+      if (isAbortError(error)) {
+        updateItem(item.id, { status: 'paused' });
+      } else if (attempts < MAX_ATTEMPTS && !(error.status >= 400 && error.status < 500)) {
+        console.warn(`Upload of ${item.file.name} failed (attempt ${attempts}), retrying:`, error);
+        updateItem(item.id, { status: 'retrying', error: error.message });
+        setTimeout(() => {
+          // Only requeue if nobody removed or paused the item in the meantime
+          setQueue(prev => prev.map(entry => (
+            entry.id === item.id && entry.status === 'retrying' ? { ...entry, status: 'queued' } : entry
+          )));
+        }, RETRY_DELAY_MS * attempts);
+      } else {
+        console.error(`Upload of ${item.file.name} failed:`, error);
+        updateItem(item.id, { status: 'failed', error: error.message, errorCode: error.code });
+      }
+    } finally {
+      delete controllersRef.current[item.id];
+    }
+  }, [updateItem]);
+
+  // Start queued items whenever a slot frees up
+  useEffect(() => {
+    const active = queue.filter(item => item.status === 'uploading').length;
+    const waiting = queue.filter(item => item.status === 'queued');
+    waiting.slice(0, Math.max(MAX_CONCURRENT_UPLOADS - active, 0)).forEach(startUpload);
+  }, [queue, startUpload]);
+
+  const addFiles = useCallback((fileList) => {
+    const files = Array.from(fileList || []);
+    setQueue(prev => {
+      const isQueued = (file) => prev.some(item => (
+        item.status !== 'done'
+        && item.file.name === file.name
+        && item.file.size === file.size
+        && item.file.lastModified === file.lastModified
+      ));
+      const added = files.filter(file => !isQueued(file)).map(file => ({
+        id: ++nextItemId,
+        file,
+        status: 'queued',
+        loaded: 0,
+        attempts: 0,
+        error: null,
+        errorCode: null
+      }));
+      return [...prev, ...added];
+    });
+  }, []);
+
+  const pause = useCallback((id) => {
+    controllersRef.current[id]?.abort();
+  }, []);
+
+  // Resume a paused item or manually retry a failed one with a fresh set of attempts
+  const retry = useCallback((id) => {
+    setQueue(prev => prev.map(item => (
+      item.id === id && (item.status === 'paused' || item.status === 'failed')
+        ? { ...item, status: 'queued', attempts: 0, error: null, errorCode: null }
+        : item
+    )));
+  }, []);
+
+  const remove = useCallback((id) => {
+    controllersRef.current[id]?.abort();
+    setQueue(prev => prev.filter(item => item.id !== id));
+  }, []);
+
+  const clearFinished = useCallback(() => {
+    setQueue(prev => prev.filter(item => item.status !== 'done' && item.status !== 'failed'));
+  }, []);
+
+  const isBusy = queue.some(item => ['queued', 'uploading', 'retrying'].includes(item.status));
+  const summary = queue.length > 0 && !isBusy
+    ? {
+      done: queue.filter(item => item.status === 'done').length,
+      failed: queue.filter(item => item.status === 'failed').length,
+      paused: queue.filter(item => item.status === 'paused').length,
+      total: queue.length
+    }
+    : null;
+
+  return { queue, addFiles, pause, retry, remove, clearFinished, isBusy, summary };
+};